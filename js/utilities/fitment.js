@@ -0,0 +1,232 @@
+/**
+ * Vehicle fitment. An item lists the vehicles it fits in `fitment`, one entry per make / model /
+ * year range, optionally narrowed to an engine and a trim; an entry without an engine or trim fits
+ * every engine or trim of that model. Items flagged `universalFit` (fluids, tools, accessories) fit
+ * every vehicle. Makes and models are compared without case or extra spaces, so "NISSAN  versa"
+ * matches "Nissan Versa".
+ * Items are edited from the admin page, so this file has no copy under netlify/functions: the
+ * storefront uses it for the "fits my car" selector and the admin page for the editor and bulk import.
+ */
+
+export const MIN_FITMENT_YEAR = 1950;
+export const MAX_FITMENT_YEAR = new Date().getFullYear() + 2;
+export const MAX_FITMENT_ENTRIES = 200;
+const MAX_TEXT_LENGTH = 60;
+
+// Column order of the bulk import / export CSV
+export const FITMENT_CSV_COLUMNS = ['sku', 'make', 'model', 'yearFrom', 'yearTo', 'engine', 'trim'];
+
+function text(value) {
+    return typeof value === 'string' ? value.replace(/[<>"]/g, '').replace(/\s+/g, ' ').trim().substring(0, MAX_TEXT_LENGTH) : '';
+}
+
+function key(value) {
+    return text(value).toLowerCase();
+}
+
+function toYear(value) {
+    const year = typeof value === 'number' ? value : parseInt(String(value || '').trim(), 10);
+    return Number.isInteger(year) ? year : null;
+}
+
+/**
+ * Validates one fitment entry.
+ * @param {{make, model, yearFrom, yearTo?, engine?, trim?}} input - Years may be numbers or strings;
+ *        a missing yearTo means the single year yearFrom.
+ * @returns {{entry: object}|{error: string}}
+ */
+export function normalizeFitmentEntry(input = {}) {
+    const make = text(input.make);
+    const model = text(input.model);
+    if (!make || !model) return { error: 'Each fitment needs a make and a model.' };
+    const yearFrom = toYear(input.yearFrom);
+    const yearTo = input.yearTo === undefined || input.yearTo === null || input.yearTo === '' ? yearFrom : toYear(input.yearTo);
+    if (yearFrom === null || yearTo === null || yearFrom < MIN_FITMENT_YEAR || yearTo > MAX_FITMENT_YEAR || yearFrom > yearTo) {
+        return { error: `${make} ${model}: the years must run from ${MIN_FITMENT_YEAR} to ${MAX_FITMENT_YEAR}, first year first.` };
+    }
+    return { entry: { make, model, yearFrom, yearTo, engine: text(input.engine), trim: text(input.trim) } };
+}
+
+/**
+ * Validates an item's fitment list and drops exact duplicates.
+ * @returns {{fitment: Array<object>}|{error: string}}
+ */
+export function normalizeFitment(entries = []) {
+    if (!Array.isArray(entries)) return { error: 'Fitment must be a list of vehicles.' };
+    const fitment = [];
+    const seen = new Set();
+    for (const input of entries) {
+        const normalized = normalizeFitmentEntry(input);
+        if (normalized.error) return normalized;
+        const id = fitmentKey(normalized.entry);
+        if (seen.has(id)) continue;
+        seen.add(id);
+        fitment.push(normalized.entry);
+    }
+    if (fitment.length > MAX_FITMENT_ENTRIES) return { error: `An item can list up to ${MAX_FITMENT_ENTRIES} vehicles.` };
+    return { fitment };
+}
+
+function fitmentKey(entry) {
+    return [entry.make, entry.model, entry.yearFrom, entry.yearTo, entry.engine, entry.trim].map(value => String(value).toLowerCase()).join('|');
+}
+
+// "Nissan | Versa | 2012-2019 | 1.6L | SV", the one-per-line format of the admin editor
+export function formatFitmentLine(entry) {
+    const years = entry.yearFrom === entry.yearTo ? `${entry.yearFrom}` : `${entry.yearFrom}-${entry.yearTo}`;
+    return [entry.make, entry.model, years, entry.engine, entry.trim].join(' | ').replace(/( \| )+$/, '');
+}
+
+/**
+ * Reads the admin editor's textarea, one vehicle per line as formatFitmentLine writes it.
+ * @returns {{fitment: Array<object>}|{error: string}}
+ */
+export function parseFitmentLines(value = '') {
+    const entries = [];
+    const lines = value.split('\n').map(line => line.trim()).filter(line => line !== '');
+    for (const [index, line] of lines.entries()) {
+        const [make, model, years = '', engine, trim] = line.split('|').map(part => part.trim());
+        const [yearFrom, yearTo] = years.split('-').map(part => part.trim());
+        const normalized = normalizeFitmentEntry({ make, model, yearFrom, yearTo, engine, trim });
+        if (normalized.error) return { error: `Line ${index + 1}: ${normalized.error}` };
+        entries.push(normalized.entry);
+    }
+    return normalizeFitment(entries);
+}
+
+// Splits CSV text into rows of fields; handles quoted fields with commas, quotes and line breaks.
+// Semicolons separate fields too, as Excel saves CSV that way in Spanish locales
+function parseCsv(csvText) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < csvText.length; i += 1) {
+        const char = csvText[i];
+        if (quoted) {
+            if (char === '"' && csvText[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && csvText[i + 1] === '\n') i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Reads a bulk fitment CSV with a header row naming FITMENT_CSV_COLUMNS (any order; engine and trim
+ * optional), one vehicle per row, and groups the rows by SKU.
+ * @returns {{bySku: Object<string, Array<object>>, rows: number}|{error: string}}
+ */
+export function parseFitmentCsv(csvText = '') {
+    const [header, ...rows] = parseCsv(csvText.replace(/^\uFEFF/, ''));
+    if (!header) return { error: 'The file is empty.' };
+    const columns = header.map(name => name.trim().toLowerCase());
+    const indexOf = name => columns.indexOf(name.toLowerCase());
+    const missing = ['sku', 'make', 'model', 'yearFrom'].filter(name => indexOf(name) === -1);
+    if (missing.length > 0) return { error: `The header row is missing: ${missing.join(', ')}. Expected ${FITMENT_CSV_COLUMNS.join(',')}.` };
+
+    const bySku = {};
+    for (const [index, fields] of rows.entries()) {
+        const value = name => (indexOf(name) === -1 ? '' : (fields[indexOf(name)] || '').trim());
+        const sku = value('sku');
+        if (!sku) return { error: `Row ${index + 2}: the SKU is empty.` };
+        const normalized = normalizeFitmentEntry({
+            make: value('make'), model: value('model'), yearFrom: value('yearFrom'), yearTo: value('yearTo'), engine: value('engine'), trim: value('trim')
+        });
+        if (normalized.error) return { error: `Row ${index + 2} (${sku}): ${normalized.error}` };
+        (bySku[sku] || (bySku[sku] = [])).push(normalized.entry);
+    }
+    return { bySku, rows: rows.length };
+}
+
+// The fitment of the given items as a CSV for bulk editing: re-import it in replace mode
+export function toFitmentCsv(items = []) {
+    const cell = value => (/[",;\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+    const rows = [];
+    items.forEach(item => (item.fitment || []).forEach(entry => {
+        rows.push([item.sku || '', entry.make, entry.model, entry.yearFrom, entry.yearTo, entry.engine || '', entry.trim || ''].map(cell).join(','));
+    }));
+    return [FITMENT_CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Validates the vehicle a customer picked; engine and trim are optional.
+ * @returns {{make, model, year, engine, trim}|null}
+ */
+export function normalizeVehicle(input) {
+    if (!input || typeof input !== 'object') return null;
+    const make = text(input.make);
+    const model = text(input.model);
+    const year = toYear(input.year);
+    if (!make || !model || year === null || year < MIN_FITMENT_YEAR || year > MAX_FITMENT_YEAR) return null;
+    return { make, model, year, engine: text(input.engine), trim: text(input.trim) };
+}
+
+export function formatVehicle(vehicle) {
+    return vehicle ? [vehicle.year, vehicle.make, vehicle.model, vehicle.engine, vehicle.trim].filter(Boolean).join(' ') : '';
+}
+
+function entryFits(entry, vehicle) {
+    return key(entry.make) === key(vehicle.make)
+        && key(entry.model) === key(vehicle.model)
+        && vehicle.year >= entry.yearFrom && vehicle.year <= entry.yearTo
+        // An unspecified engine or trim on either side does not rule the part out
+        && (!entry.engine || !vehicle.engine || key(entry.engine) === key(vehicle.engine))
+        && (!entry.trim || !vehicle.trim || key(entry.trim) === key(vehicle.trim));
+}
+
+export function fitsVehicle(item, vehicle) {
+    if (!vehicle) return true;
+    if (item.universalFit) return true;
+    return (item.fitment || []).some(entry => entryFits(entry, vehicle));
+}
+
+/**
+ * Choices for the storefront selector, drawn from the catalog's fitment so customers only see
+ * vehicles something fits. Each list narrows by the parts of `vehicle` already picked.
+ * @returns {{makes: string[], models: string[], years: number[], engines: string[], trims: string[]}}
+ */
+export function getVehicleOptions(items = [], vehicle = {}) {
+    const unique = values => {
+        const byKey = new Map();
+        values.filter(Boolean).forEach(value => { if (!byKey.has(key(value))) byKey.set(key(value), value); });
+        return [...byKey.values()].sort((a, b) => a.localeCompare(b));
+    };
+    const entries = items.flatMap(item => item.fitment || []);
+    const ofMake = entries.filter(entry => vehicle.make && key(entry.make) === key(vehicle.make));
+    const ofModel = ofMake.filter(entry => vehicle.model && key(entry.model) === key(vehicle.model));
+    const year = toYear(vehicle.year);
+    const ofYear = ofModel.filter(entry => year !== null && year >= entry.yearFrom && year <= entry.yearTo);
+
+    const years = new Set();
+    ofModel.forEach(entry => {
+        for (let y = entry.yearFrom; y <= entry.yearTo; y += 1) years.add(y);
+    });
+    return {
+        makes: unique(entries.map(entry => entry.make)),
+        models: unique(ofMake.map(entry => entry.model)),
+        years: [...years].sort((a, b) => b - a),
+        engines: unique(ofYear.map(entry => entry.engine)),
+        trims: unique(ofYear.filter(entry => !vehicle.engine || !entry.engine || key(entry.engine) === key(vehicle.engine)).map(entry => entry.trim))
+    };
+}
@@ -0,0 +1,254 @@
+/**
+ * Promotions (discount codes) managed from the admin Promotions tab and redeemed at checkout or on
+ * manual orders. Each promotion is stored under its upper-case code in the promotions collection:
+ *   { code, description, type: 'percentage'|'fixed', value, scope: 'order'|'catalog'|'item', scopeIds,
+ *     minCartCents, startsOn, endsOn, maxUses, maxUsesPerCustomer, active }
+ * plus the usage counters kept by the order functions: usageCount, customerCount, discountTotalCents.
+ * `value` is a percentage (1–100) or a fixed amount; fixed amounts, minCartCents and discountTotalCents
+ * are in the catalog currency (see currency.js). startsOn/endsOn are YYYY-MM-DD in Bogotá time, both
+ * days included. An order takes one code.
+ * The discount is spread over the lines in scope as `discountCents`, so IVA is worked out on the
+ * discounted amounts (a discount granted on the invoice reduces the taxable base). The order freezes
+ * the applied terms in `discount`, so editing it later re-applies the same rule.
+ * Redemptions are counted per customer in promotions/{code}/redemptions: by Firebase uid when the buyer
+ * is signed in, otherwise by email. The order keeps the redemption's ID in `promotionRedemptionId`, and
+ * cancelling the order gives the use back (releaseRedemption).
+ * Mirrored in the site's js/utilities/promotions.js for admin.html.
+ */
+
+import { convertFromCatalog, isRateDate, todayInBogota } from './currency.js';
+
+export const PROMOTION_TYPES = ['percentage', 'fixed'];
+export const PROMOTION_SCOPES = ['order', 'catalog', 'item'];
+export const MAX_SCOPE_IDS = 100;
+
+// Why a code cannot be applied, in the customer's language
+const PROMOTION_ERRORS = {
+    not_found: { es: 'Este código de descuento no existe.', en: 'This discount code does not exist.' },
+    inactive: { es: 'Este código de descuento no está activo.', en: 'This discount code is not active.' },
+    not_started: { es: 'Esta promoción aún no ha comenzado.', en: 'This promotion has not started yet.' },
+    expired: { es: 'Esta promoción ya terminó.', en: 'This promotion has ended.' },
+    exhausted: { es: 'Esta promoción alcanzó su límite de usos.', en: 'This promotion has reached its usage limit.' },
+    customer_limit: { es: 'Ya usaste este código el máximo de veces permitido.', en: 'You have already used this code the maximum number of times.' },
+    min_cart: { es: 'Tu compra no alcanza el mínimo de esta promoción.', en: 'Your cart is below the minimum for this promotion.' },
+    not_applicable: { es: 'Ningún producto de tu carrito aplica para esta promoción.', en: 'None of the items in your cart qualify for this promotion.' }
+};
+
+export function getPromotionErrorMessage(reason, lang) {
+    const messages = PROMOTION_ERRORS[reason] || PROMOTION_ERRORS.not_found;
+    return messages[lang === 'en' ? 'en' : 'es'];
+}
+
+// Codes are matched case-insensitively: "verano10" redeems VERANO10
+export function normalizePromotionCode(code) {
+    if (typeof code !== 'string') return null;
+    const normalized = code.trim().toUpperCase();
+    return /^[A-Z0-9_-]{3,30}$/.test(normalized) ? normalized : null;
+}
+
+// Firestore document IDs cannot contain "/", which encodeURIComponent escapes. Signed-in buyers are
+// counted by uid, so typing another email does not reset their limit
+export function customerRedemptionId(email, uid = null) {
+    if (uid) return `uid:${encodeURIComponent(uid)}`;
+    return encodeURIComponent(String(email || '').trim().toLowerCase());
+}
+
+function optionalLimit(value) {
+    return value === null || value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Validates a promotion sent by the admin UI. Usage counters are not part of the input.
+ * @returns {{promotion: object}|{error: string}}
+ */
+export function normalizePromotion(input = {}) {
+    const code = normalizePromotionCode(input.code);
+    if (!code) return { error: 'The code needs 3 to 30 letters, digits, "-" or "_".' };
+    const description = typeof input.description === 'string' ? input.description.replace(/</g, "&lt;").replace(/>/g, "&gt;").trim() : '';
+    if (description.length > 120) return { error: 'The description can have up to 120 characters.' };
+
+    if (!PROMOTION_TYPES.includes(input.type)) return { error: `Type must be one of: ${PROMOTION_TYPES.join(', ')}.` };
+    if (input.type === 'percentage' && (typeof input.value !== 'number' || !(input.value > 0) || input.value > 100)) {
+        return { error: 'A percentage discount must be more than 0 and at most 100.' };
+    }
+    if (input.type === 'fixed' && (!Number.isInteger(input.value) || input.value <= 0)) {
+        return { error: 'A fixed discount must be a whole number of cents above 0.' };
+    }
+
+    if (!PROMOTION_SCOPES.includes(input.scope)) return { error: `Scope must be one of: ${PROMOTION_SCOPES.join(', ')}.` };
+    let scopeIds = [];
+    if (input.scope !== 'order') {
+        scopeIds = Array.isArray(input.scopeIds) ? [...new Set(input.scopeIds.filter(id => typeof id === 'string' && id && !id.includes('/')))] : [];
+        if (scopeIds.length === 0 || scopeIds.length > MAX_SCOPE_IDS) {
+            return { error: `A ${input.scope} promotion needs between 1 and ${MAX_SCOPE_IDS} ${input.scope === 'catalog' ? 'categories' : 'items'}.` };
+        }
+    }
+
+    const minCartCents = optionalLimit(input.minCartCents) ?? 0;
+    if (!Number.isInteger(minCartCents) || minCartCents < 0) return { error: 'The minimum cart value must be a whole number of cents (0 or more).' };
+
+    const startsOn = optionalLimit(input.startsOn);
+    const endsOn = optionalLimit(input.endsOn);
+    if ((startsOn !== null && !isRateDate(startsOn)) || (endsOn !== null && !isRateDate(endsOn))) {
+        return { error: 'Start and end dates must be valid YYYY-MM-DD dates, or empty.' };
+    }
+    if (startsOn && endsOn && endsOn < startsOn) return { error: 'The end date cannot be before the start date.' };
+
+    const maxUses = optionalLimit(input.maxUses);
+    const maxUsesPerCustomer = optionalLimit(input.maxUsesPerCustomer);
+    if ((maxUses !== null && (!Number.isInteger(maxUses) || maxUses <= 0)) ||
+        (maxUsesPerCustomer !== null && (!Number.isInteger(maxUsesPerCustomer) || maxUsesPerCustomer <= 0))) {
+        return { error: 'Usage limits must be whole numbers above 0, or empty for no limit.' };
+    }
+
+    return {
+        promotion: {
+            code, description, type: input.type, value: input.value, scope: input.scope, scopeIds,
+            minCartCents, startsOn, endsOn, maxUses, maxUsesPerCustomer, active: input.active !== false
+        }
+    };
+}
+
+/**
+ * Checks the promotion's status, dates and usage limits (the cart is checked by computeDiscount).
+ * @returns {string|null} A reason for getPromotionErrorMessage, or null when the code can be redeemed.
+ */
+export function getPromotionUnavailableReason(promotion, customerUses = 0, date = todayInBogota()) {
+    if (!promotion) return 'not_found';
+    if (promotion.active === false) return 'inactive';
+    if (promotion.startsOn && date < promotion.startsOn) return 'not_started';
+    if (promotion.endsOn && date > promotion.endsOn) return 'expired';
+    if (promotion.maxUses && (promotion.usageCount || 0) >= promotion.maxUses) return 'exhausted';
+    if (promotion.maxUsesPerCustomer && customerUses >= promotion.maxUsesPerCustomer) return 'customer_limit';
+    return null;
+}
+
+/**
+ * The terms an order keeps, with fixed amounts and the minimum converted at the order's frozen rate.
+ */
+export function freezePromotionRule(promotion, exchangeRate = null) {
+    return {
+        code: promotion.code,
+        description: promotion.description || '',
+        type: promotion.type,
+        value: promotion.type === 'fixed' ? convertFromCatalog(promotion.value, exchangeRate) : promotion.value,
+        scope: promotion.scope,
+        scopeIds: promotion.scopeIds || [],
+        minCartCents: convertFromCatalog(promotion.minCartCents || 0, exchangeRate)
+    };
+}
+
+export function isLineInScope(rule, line) {
+    if (rule.scope === 'item') return rule.scopeIds.includes(line.id);
+    if (rule.scope === 'catalog') return rule.scopeIds.includes(line.catalogId);
+    return true;
+}
+
+/**
+ * Applies a frozen rule to priced lines (catalog-scoped rules need each line's `catalogId`).
+ * The minimum is checked against the whole cart before discount. The discount is split over the lines
+ * in scope in proportion to their amounts, the last one taking the rounding remainder.
+ * @param {Array<{id: string, price: number, quantity: number, catalogId?: string}>} lines
+ * @returns {{amountCents: number, lineDiscounts: number[]}|{error: string}} lineDiscounts is indexed like `lines`.
+ */
+export function computeDiscount(rule, lines) {
+    const amounts = lines.map(line => line.price * line.quantity);
+    const cartCents = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (cartCents < rule.minCartCents) return { error: 'min_cart' };
+
+    const inScope = lines.map(line => isLineInScope(rule, line));
+    const eligibleCents = amounts.reduce((sum, amount, index) => sum + (inScope[index] ? amount : 0), 0);
+    if (eligibleCents === 0) return { error: 'not_applicable' };
+
+    const amountCents = rule.type === 'percentage'
+        ? Math.round(eligibleCents * rule.value / 100)
+        : Math.min(rule.value, eligibleCents);
+    const lastIndex = inScope.lastIndexOf(true);
+    let remaining = amountCents;
+    const lineDiscounts = amounts.map((amount, index) => {
+        if (!inScope[index]) return 0;
+        const share = index === lastIndex ? remaining : Math.floor(amountCents * amount / eligibleCents);
+        remaining -= share;
+        return share;
+    });
+    return { amountCents, lineDiscounts };
+}
+
+// Order lines with `discountCents` set from computeDiscount (and cleared where it no longer applies)
+export function setLineDiscounts(lines, lineDiscounts = []) {
+    return lines.map((line, index) => {
+        const { discountCents, ...rest } = line;
+        return lineDiscounts[index] > 0 ? { ...rest, discountCents: lineDiscounts[index] } : rest;
+    });
+}
+
+/**
+ * Reads a promotion and the customer's past redemptions inside an order transaction, before any write.
+ * @param {string|null} uid - The signed-in buyer's Firebase uid; null for guests and manual orders.
+ * @returns {Promise<{ref: object, redemptionRef: object, promotion: object|null, customerUses: number}>}
+ */
+export async function readPromotionForOrder(transaction, db, collectionPath, code, email, uid = null) {
+    const ref = db.collection(collectionPath).doc(code);
+    const redemptionRef = ref.collection('redemptions').doc(customerRedemptionId(email, uid));
+    const [snap, redemptionSnap] = await transaction.getAll(ref, redemptionRef);
+    return {
+        ref,
+        redemptionRef,
+        promotion: snap.exists ? snap.data() : null,
+        customerUses: redemptionSnap.exists ? (redemptionSnap.data().count || 0) : 0
+    };
+}
+
+/**
+ * Counts a redemption in the transaction that writes the order. Counters are set from the values read
+ * by readPromotionForOrder, so two orders racing for the last use conflict and one is retried.
+ * @param {number} discountCatalogCents - The discount granted, converted back to the catalog currency.
+ */
+export function recordRedemption(transaction, read, { orderId, orderNumber, email, discountCatalogCents }) {
+    const now = new Date().toISOString();
+    transaction.update(read.ref, {
+        usageCount: (read.promotion.usageCount || 0) + 1,
+        customerCount: (read.promotion.customerCount || 0) + (read.customerUses === 0 ? 1 : 0),
+        discountTotalCents: (read.promotion.discountTotalCents || 0) + discountCatalogCents,
+        lastUsedAt: now
+    });
+    transaction.set(read.redemptionRef, {
+        email: String(email).trim().toLowerCase(),
+        count: read.customerUses + 1,
+        lastOrderId: orderId,
+        lastOrderNumber: orderNumber,
+        updatedAt: now
+    }, { merge: true });
+}
+
+/**
+ * Reads the promotion and redemption counted for `order`, before any write of the transaction that
+ * cancels it. Null when the order used no code or its redemption was already released. Orders from
+ * before `promotionRedemptionId` were counted by their buyer email.
+ */
+export async function readRedemptionForRelease(transaction, db, collectionPath, order) {
+    if (!order.discount || !order.discount.code || order.redemptionReleased) return null;
+    const ref = db.collection(collectionPath).doc(order.discount.code);
+    const redemptionRef = ref.collection('redemptions').doc(order.promotionRedemptionId || customerRedemptionId(order.buyerEmail));
+    const [snap, redemptionSnap] = await transaction.getAll(ref, redemptionRef);
+    if (!snap.exists || !redemptionSnap.exists) return null;
+    return { ref, redemptionRef, promotion: snap.data(), customerUses: redemptionSnap.data().count || 0 };
+}
+
+/**
+ * Gives back the use counted by recordRedemption when its order is cancelled, so the code (and the
+ * customer's limit) can be redeemed again.
+ * @param {number} discountCatalogCents - The order's discount, converted back to the catalog currency.
+ */
+export function releaseRedemption(transaction, read, { discountCatalogCents }) {
+    const now = new Date().toISOString();
+    transaction.update(read.ref, {
+        usageCount: Math.max((read.promotion.usageCount || 0) - 1, 0),
+        customerCount: Math.max((read.promotion.customerCount || 0) - (read.customerUses === 1 ? 1 : 0), 0),
+        discountTotalCents: Math.max((read.promotion.discountTotalCents || 0) - discountCatalogCents, 0)
+    });
+    transaction.set(read.redemptionRef, {
+        count: Math.max(read.customerUses - 1, 0),
+        updatedAt: now
+    }, { merge: true });
+}
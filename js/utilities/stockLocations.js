@@ -0,0 +1,100 @@
+/**
+ * Stock locations. Items keep their units per location in `stockByLocation`; `stock` stays the
+ * sellable total (every location that is not in transit), which is what the storefront, checkout
+ * holds and availability checks read. Items without `stockByLocation` hold all their stock at
+ * DEFAULT_LOCATION. Units move between locations only through paired transfer movements.
+ * Mirrored in the site's js/utilities/stockLocations.js for the admin inventory.
+ */
+
+export const STOCK_LOCATIONS = {
+    warehouse: { label: 'Bogotá warehouse', sellable: true },
+    showroom: { label: 'Showroom', sellable: true },
+    inTransit: { label: 'In transit (Buenaventura)', sellable: false }
+};
+
+export const LOCATION_IDS = Object.keys(STOCK_LOCATIONS);
+export const SELLABLE_LOCATIONS = LOCATION_IDS.filter(id => STOCK_LOCATIONS[id].sellable);
+export const DEFAULT_LOCATION = 'warehouse';
+
+// A location is low when its units are at or below its threshold; 0 turns the warning off. Only the
+// main warehouse warns by default: migrated items keep nothing in the showroom, so a showroom
+// threshold is left for the admin to set once it is stocked
+export const DEFAULT_LOW_STOCK_THRESHOLDS = { warehouse: 10, showroom: 0, inTransit: 0 };
+const MAX_THRESHOLD = 100000;
+
+export function isStockLocation(location) {
+    return Object.prototype.hasOwnProperty.call(STOCK_LOCATIONS, location);
+}
+
+export function isSellableLocation(location) {
+    return isStockLocation(location) && STOCK_LOCATIONS[location].sellable;
+}
+
+export function getLocationLabel(location) {
+    return isStockLocation(location) ? STOCK_LOCATIONS[location].label : location;
+}
+
+/**
+ * Units per location for every known location (missing ones are 0).
+ * @param {object} item - The item document.
+ * @returns {Object<string, number>}
+ */
+export function getStockByLocation(item = {}) {
+    const byLocation = Object.fromEntries(LOCATION_IDS.map(id => [id, 0]));
+    if (item.stockByLocation && typeof item.stockByLocation === 'object') {
+        LOCATION_IDS.forEach(id => {
+            if (typeof item.stockByLocation[id] === 'number') byLocation[id] = item.stockByLocation[id];
+        });
+    } else {
+        byLocation[DEFAULT_LOCATION] = typeof item.stock === 'number' ? item.stock : 0;
+    }
+    return byLocation;
+}
+
+export function getSellableStock(stockByLocation) {
+    return SELLABLE_LOCATIONS.reduce((sum, id) => sum + (stockByLocation[id] || 0), 0);
+}
+
+/**
+ * Splits `quantity` over the sellable locations, taking from `preferred` first and then from the
+ * others in order. Only what is on the shelves is planned, so the parts can add up to less.
+ * @returns {Array<{location: string, quantity: number}>}
+ */
+export function planLocationTake(stockByLocation, quantity, preferred = DEFAULT_LOCATION) {
+    const order = [preferred, ...SELLABLE_LOCATIONS.filter(id => id !== preferred)].filter(isSellableLocation);
+    let remaining = quantity;
+    const parts = [];
+    order.forEach(location => {
+        const take = Math.min(remaining, Math.max(0, stockByLocation[location] || 0));
+        if (take > 0) {
+            parts.push({ location, quantity: take });
+            remaining -= take;
+        }
+    });
+    return parts;
+}
+
+/**
+ * Validates the per-location low-stock thresholds saved in the admin config.
+ * @returns {{thresholds: Object<string, number>}|{error: string}}
+ */
+export function normalizeLowStockThresholds(input = {}) {
+    const thresholds = {};
+    for (const id of LOCATION_IDS) {
+        const value = input[id] ?? DEFAULT_LOW_STOCK_THRESHOLDS[id];
+        if (!Number.isInteger(value) || value < 0 || value > MAX_THRESHOLD) {
+            return { error: `The low-stock threshold for ${getLocationLabel(id)} must be a whole number between 0 and ${MAX_THRESHOLD}.` };
+        }
+        thresholds[id] = value;
+    }
+    return { thresholds };
+}
+
+export function getLowStockThresholds(config = {}) {
+    return { ...DEFAULT_LOW_STOCK_THRESHOLDS, ...(config.lowStockThresholds || {}) };
+}
+
+export function isLowStock(units, location, thresholds = DEFAULT_LOW_STOCK_THRESHOLDS) {
+    const threshold = thresholds[location] || 0;
+    return threshold > 0 && units <= threshold;
+}
@@ -0,0 +1,189 @@
+/**
+ * Netlify Function (Public, token-protected) behind quote.html, where a customer answers a quote.
+ * GET  ?id=<quoteId>&token=<token>              -> the quote summary with its current status
+ * POST { quoteId, token, action: 'accept' | 'decline' }
+ * The token is the one in the emailed accept link; only its hash is stored on the quote. An
+ * accepted quote waits for an admin to convert it into an order (adminCreateOrder({ quoteId })).
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const QUOTES_COLLECTION = process.env.QUOTES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/quotes';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+
+// Rate limiting (per warm instance) so accept tokens cannot be guessed by brute force
+const rateLimitStore = {};
+const MAX_REQUESTS_PER_HOUR = 30;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// What the customer page may see; never the token hash or admin fields
+function toPublicQuote(quoteId, quote, status) {
+    return {
+        quoteId,
+        quoteNumber: quote.quoteNumber,
+        buyerName: quote.buyerName,
+        communicationLang: quote.communicationLang,
+        items: (quote.items || []).map(({ name, sku, price, quantity }) => ({ name, sku, price, quantity })),
+        totalCents: quote.totalCents,
+        timestamp: quote.timestamp,
+        expiresAt: quote.expiresAt,
+        status
+    };
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Rate Limiting ---
+    const clientIp = event.headers['client-ip'] || event.headers['x-nf-client-connection-ip'] || 'unknown';
+    const now = Date.now();
+    rateLimitStore[clientIp] = (rateLimitStore[clientIp] || []).filter(timestamp => timestamp > now - RATE_LIMIT_WINDOW_MS);
+
+    if (rateLimitStore[clientIp].length >= MAX_REQUESTS_PER_HOUR) {
+        console.warn(`Rate limit exceeded for IP: ${clientIp} on acceptQuote.`);
+        return { statusCode: 429, body: JSON.stringify({ error: 'Rate limit exceeded. Please try again later.' }) };
+    }
+    rateLimitStore[clientIp].push(now);
+
+    let params;
+    if (event.httpMethod === 'GET') {
+        params = event.queryStringParameters || {};
+        params = { quoteId: params.id, token: params.token };
+    } else {
+        try {
+            params = JSON.parse(event.body);
+        } catch (error) {
+            return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+        }
+    }
+
+    const { quoteId, token, action } = params;
+    const { isValidAcceptToken, isQuoteExpired, getQuoteStatus, buildQuoteHistoryEntry } = await import('./js/utilities/quotes.js');
+
+    // --- 2. Input Validation ---
+    if (!quoteId || typeof quoteId !== 'string' || quoteId.includes('/') || typeof token !== 'string') {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid quote link.' }) };
+    }
+    if (event.httpMethod === 'POST' && action !== 'accept' && action !== 'decline') {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Action must be "accept" or "decline".' }) };
+    }
+
+    const quoteRef = db.collection(QUOTES_COLLECTION).doc(quoteId);
+
+    if (event.httpMethod === 'GET') {
+        try {
+            const quoteSnap = await quoteRef.get();
+            // A wrong token is reported like a missing quote so quote IDs cannot be probed
+            if (!quoteSnap.exists || !isValidAcceptToken(quoteSnap.data(), token)) {
+                return { statusCode: 404, body: JSON.stringify({ error: 'Quote not found.' }) };
+            }
+            const quote = quoteSnap.data();
+            return {
+                statusCode: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(toPublicQuote(quoteId, quote, getQuoteStatus(quote)))
+            };
+        } catch (error) {
+            console.error(`Error loading quote ${quoteId}:`, error);
+            return { statusCode: 500, body: JSON.stringify({ error: 'Failed to load quote', details: error.message }) };
+        }
+    }
+
+    const newStatus = action === 'accept' ? 'Accepted' : 'Declined';
+    let quote;
+    let alreadyAnswered = false;
+
+    try {
+        // --- 3. Record the customer's answer atomically ---
+        await db.runTransaction(async (transaction) => {
+            const quoteSnap = await transaction.get(quoteRef);
+            if (!quoteSnap.exists || !isValidAcceptToken(quoteSnap.data(), token)) {
+                const notFound = new Error('Quote not found.');
+                notFound.statusCode = 404;
+                throw notFound;
+            }
+
+            quote = quoteSnap.data();
+            // Clicking the same button twice (or retrying) is not an error
+            if (quote.status === newStatus) {
+                alreadyAnswered = true;
+                return;
+            }
+            if (quote.status !== 'Sent') {
+                const answered = new Error(`This quote is already ${quote.status.toLowerCase()}.`);
+                answered.statusCode = 409;
+                throw answered;
+            }
+            if (isQuoteExpired(quote)) {
+                const expired = new Error('This quote has expired. Please contact us for an updated quote.');
+                expired.statusCode = 410;
+                throw expired;
+            }
+
+            transaction.update(quoteRef, {
+                status: newStatus,
+                statusHistory: [...(quote.statusHistory || []), buildQuoteHistoryEntry('Sent', newStatus, quote.buyerEmail)],
+                respondedAt: new Date().toISOString(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        });
+
+        if (!alreadyAnswered) {
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: action === 'accept' ? 'QUOTE_ACCEPTED' : 'QUOTE_DECLINED',
+                objectId: quoteId,
+                details: { quoteNumber: quote.quoteNumber, buyerEmail: quote.buyerEmail, totalCents: quote.totalCents },
+                performedByEmail: quote.buyerEmail,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            // --- 4. Let orders@ know so an accepted quote can be converted ---
+            try {
+                const { acceptTokenHash, createdAt, updatedAt, ...emailQuote } = quote;
+                const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendQuoteEmail`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${quoteId}:${action}` },
+                    body: JSON.stringify({ ...emailQuote, quoteId, notice: action === 'accept' ? 'accepted' : 'declined' })
+                });
+                if (!emailResponse.ok) {
+                    console.error(`Quote ${action} notice failed for ${quote.quoteNumber}: ${await emailResponse.text()}`);
+                }
+            } catch (emailError) {
+                // The answer is saved; the admin Quotes page shows it either way
+                console.error(`Quote ${action} notice trigger failed for ${quote.quoteNumber}:`, emailError);
+            }
+        }
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Quote ${quote.quoteNumber} ${newStatus.toLowerCase()}.`,
+                quote: toPublicQuote(quoteId, quote, newStatus)
+            })
+        };
+
+    } catch (error) {
+        if (error.statusCode) {
+            return { statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) };
+        }
+
+        console.error(`Error answering quote ${quoteId}:`, error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to update quote', details: error.message }) };
+    }
+};
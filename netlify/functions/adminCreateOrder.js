@@ -1,6 +1,21 @@
 /**
  * Netlify Function (Admin Only) to create an order manually.
  * It uses the Firebase Admin SDK to save the order and then calls the send-email function.
+ * With `quoteId`, the order converts an Accepted quote: its lines must match the quote's, the order
+ * keeps a link back to it and the quote becomes Converted in the same transaction.
+ * Shipping is priced from `geolocation` against the delivery zones and added to the line total.
+ * IVA is split out per line tax category; business buyers who are withholding agents can be flagged
+ * with `buyerWithholdsTax` (and their NIT in `buyerTaxId`) so the order records the retención.
+ * Line prices and totalCents are sent in catalog dollars; with `currency: 'COP'` the order is billed
+ * in pesos at the day's exchange rate, which is frozen on the order.
+ * `promotionCode` applies a discount code with the same checks as placeOrder (lines may send their
+ * `catalogId` for category-scoped promotions); the redemption counts against the buyer's email and is
+ * given back if the order is cancelled.
+ * The lines are taken out of stock in the same transaction as sale movements in the inventory ledger.
+ * A manual order never fails for lack of stock: whatever the shelf cannot cover is recorded on the line
+ * as `backorderedQuantity` (with the item's backorder policy) and filled later by allocateBackorders.
+ * `fulfillmentLocation` picks the sellable location the units come from first (default the main
+ * warehouse); in-transit stock is never taken.
  */
 const admin = require('firebase-admin');
 const fetch = require('node-fetch');
@@ -20,6 +35,13 @@ const db = admin.firestore();
 const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app'; 
 // Use the correct function path for the email service
 const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const QUOTES_COLLECTION = process.env.QUOTES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/quotes';
+const DELIVERY_ZONES_COLLECTION = process.env.DELIVERY_ZONES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/deliveryZones';
+const EXCHANGE_RATES_COLLECTION = process.env.EXCHANGE_RATES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/exchangeRates';
+const PROMOTIONS_COLLECTION = process.env.PROMOTIONS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/promotions';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const CONFIG_DOC_PATH = 'admin/config';
 
 // Helper function to sanitize strings and remove HTML/script tags
 function sanitizeString(str) {
@@ -67,7 +89,13 @@ exports.handler = async function (event) {
         buyerPhone, 
         deliveryAddress,
         notes,
-        geolocation 
+        geolocation,
+        quoteId,
+        buyerTaxId,
+        buyerWithholdsTax,
+        currency,
+        promotionCode,
+        fulfillmentLocation
     } = orderDetails;
     
     // --- 2. Enhanced Input Validation and Sanitization ---
@@ -86,6 +114,19 @@ exports.handler = async function (event) {
     const sanitizedName = sanitizeString(buyerName);
     const sanitizedAddress = sanitizeString(deliveryAddress);
     const sanitizedNotes = sanitizeString(notes);
+    const sanitizedTaxId = sanitizeString(buyerTaxId) || null;
+    const { TAX_CATEGORIES, DEFAULT_TAX_CATEGORY, getTaxSettings, computeOrderTaxes } = await import('./js/utilities/taxes.js');
+    const { CATALOG_CURRENCY, CURRENCIES, convertFromCatalog, convertToCatalog, findExchangeRate } = await import('./js/utilities/currency.js');
+    const {
+        normalizePromotionCode,
+        getPromotionErrorMessage,
+        getPromotionUnavailableReason,
+        freezePromotionRule,
+        computeDiscount,
+        setLineDiscounts,
+        readPromotionForOrder,
+        recordRedemption
+    } = await import('./js/utilities/promotions.js');
     
     // Validate item structure and calculate total for price integrity check
     let calculatedTotalCents = 0;
@@ -106,7 +147,9 @@ exports.handler = async function (event) {
             name: sanitizeString(item.name),
             sku: sanitizeString(item.sku),
             price: price,
-            quantity: quantity
+            quantity: quantity,
+            taxCategory: TAX_CATEGORIES[item.taxCategory] ? item.taxCategory : DEFAULT_TAX_CATEGORY,
+            catalogId: item.catalogId ? sanitizeString(item.catalogId) : null
         };
     }).filter(item => item !== null);
 
@@ -121,11 +164,64 @@ exports.handler = async function (event) {
         finalGeolocation = { lat: geolocation.lat, lng: geolocation.lng };
     }
     
+    if (quoteId !== undefined && (!quoteId || typeof quoteId !== 'string' || quoteId.includes('/'))) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid quoteId.' }) };
+    }
+
+    if (buyerWithholdsTax === true && !sanitizedTaxId) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'A buyer that withholds tax needs a tax ID (NIT).' }) };
+    }
+
+    if (currency !== undefined && !CURRENCIES.includes(currency)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Currency must be one of: ${CURRENCIES.join(', ')}.` }) };
+    }
+    const orderCurrency = currency || CATALOG_CURRENCY;
+
+    const { DEFAULT_LOCATION, isSellableLocation, getSellableStock, planLocationTake } = await import('./js/utilities/stockLocations.js');
+    if (fulfillmentLocation !== undefined && fulfillmentLocation !== null && !isSellableLocation(fulfillmentLocation)) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'The fulfillment location must be a location with sellable stock.' }) };
+    }
+    const orderLocation = fulfillmentLocation || DEFAULT_LOCATION;
+
+    const code = promotionCode ? normalizePromotionCode(promotionCode) : null;
+    if (promotionCode && !code) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Discount code: ${getPromotionErrorMessage('not_found', 'en')}` }) };
+    }
+    
     // --- End Enhanced Input Validation and Sanitization ---
 
+    const { getBackorderPolicy, estimateShipDays, hasOpenBackorders } = await import('./js/utilities/backorders.js');
+    const { buildStatusHistoryEntry } = await import('./js/utilities/orderStatus.js');
+    const { allocateOrderNumber } = await import('./js/utilities/orderNumbers.js');
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+    const { buildQuoteHistoryEntry } = await import('./js/utilities/quotes.js');
+    const { createInventoryLedger } = await import('./js/utilities/inventoryLedger.js');
+    const { resolveDeliveryZone, computeShipping } = await import('./js/utilities/deliveryZones.js');
+
+    // A repeated click after a dropped response replays the first result instead of duplicating the order
+    const idempotency = await claimIdempotencyKey(db, 'adminCreateOrder', event, decodedToken.uid);
+    if (idempotency.response) return idempotency.response;
+
     let orderRef = null;
 
     try {
+        const exchangeRate = orderCurrency === CATALOG_CURRENCY ? null : await findExchangeRate(db, EXCHANGE_RATES_COLLECTION);
+        if (orderCurrency !== CATALOG_CURRENCY && !exchangeRate) {
+            return idempotency.complete({ statusCode: 409, body: JSON.stringify({ error: `No exchange rate is configured for ${orderCurrency}. Add one in the Config tab.` }) });
+        }
+        // catalogId is only needed to scope a promotion; it is not stored on the order lines
+        const pricedLines = validatedItems.map(item => ({ ...item, price: convertFromCatalog(item.price, exchangeRate) }));
+        let orderItems = pricedLines.map(({ catalogId, ...line }) => line);
+
+        // The client's totalCents covers the lines only; taxes come from the store settings and
+        // shipping from the delivery zones, both worked out after any discount
+        const configDoc = await db.doc(CONFIG_DOC_PATH).get();
+        const taxSettings = getTaxSettings(configDoc.exists ? configDoc.data().taxSettings : undefined);
+        taxSettings.withholdingMinBaseCents = convertFromCatalog(taxSettings.withholdingMinBaseCents, exchangeRate);
+        const zoneEntry = finalGeolocation
+            ? resolveDeliveryZone((await db.collection(DELIVERY_ZONES_COLLECTION).get()).docs.map(doc => ({ id: doc.id, data: doc.data() })), finalGeolocation)
+            : null;
+
         // 3. Prepare the order record for Firestore (using sanitized/validated data)
         const orderData = {
             buyerEmail: buyerEmail.trim(), 
@@ -133,61 +229,217 @@ exports.handler = async function (event) {
             buyerPhone: buyerPhone || null,
             deliveryAddress: sanitizedAddress,
             notes: sanitizedNotes,
-            items: validatedItems,
-            totalCents: calculatedTotalCents,
+            buyerTaxId: sanitizedTaxId,
+            buyerWithholdsTax: buyerWithholdsTax === true,
+            currency: orderCurrency,
+            exchangeRate,
+            taxSettings,
             geolocation: finalGeolocation,
+            fulfillmentLocation: orderLocation,
             status: 'Manually Created',
+            statusHistory: [buildStatusHistoryEntry(null, 'Manually Created', decodedToken.email)],
             createdByAdmin: decodedToken.email,
             timestamp: new Date().toISOString(),
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
         };
 
-        // 4. Save the order to Firestore
-        orderRef = await db.collection(ORDERS_COLLECTION).add(orderData); 
+        // 4. Allocate the order number and save the order in one transaction
+        const newOrderRef = db.collection(ORDERS_COLLECTION).doc();
+        const quoteRef = quoteId ? db.collection(QUOTES_COLLECTION).doc(quoteId) : null;
+        await db.runTransaction(async (transaction) => {
+            const quoteSnap = quoteRef ? await transaction.get(quoteRef) : null;
+            const promotionRead = code ? await readPromotionForOrder(transaction, db, PROMOTIONS_COLLECTION, code, buyerEmail) : null;
+            const itemSnaps = validatedItems.length > 0
+                ? await transaction.getAll(...validatedItems.map(item => db.collection(ITEMS_COLLECTION).doc(item.id)))
+                : [];
+            if (quoteRef) {
+                if (!quoteSnap.exists) {
+                    const notFound = new Error(`Quote ${quoteId} not found.`);
+                    notFound.statusCode = 404;
+                    throw notFound;
+                }
+                const quote = quoteSnap.data();
+                if (quote.status !== 'Accepted') {
+                    const notAccepted = new Error(`Quote ${quote.quoteNumber} is ${quote.status}; only accepted quotes can be converted.`);
+                    notAccepted.statusCode = 409;
+                    throw notAccepted;
+                }
+                // The order is billed at the quoted prices, whatever the catalog says today (quotes are in dollars)
+                const matchesQuote = quote.items.length === validatedItems.length && quote.items.every(line =>
+                    validatedItems.some(item => item.id === line.id && item.price === line.price && item.quantity === line.quantity));
+                if (!matchesQuote) {
+                    const mismatch = new Error(`Order lines do not match quote ${quote.quoteNumber}.`);
+                    mismatch.statusCode = 409;
+                    throw mismatch;
+                }
+                orderData.quoteId = quoteId;
+                orderData.quoteNumber = quote.quoteNumber;
+            }
+
+            let discount = null;
+            if (promotionRead) {
+                const reason = getPromotionUnavailableReason(promotionRead.promotion, promotionRead.customerUses);
+                const rule = reason ? null : freezePromotionRule(promotionRead.promotion, exchangeRate);
+                const result = rule ? computeDiscount(rule, pricedLines) : { error: reason };
+                if (result.error) {
+                    const rejected = new Error(`Discount code ${code}: ${getPromotionErrorMessage(result.error, 'en')}`);
+                    rejected.statusCode = 400;
+                    throw rejected;
+                }
+                orderItems = setLineDiscounts(orderItems, result.lineDiscounts);
+                discount = { ...rule, amountCents: result.amountCents };
+                orderData.promotionRedemptionId = promotionRead.redemptionRef.id;
+            }
+
+            const taxes = computeOrderTaxes(orderItems, taxSettings, buyerWithholdsTax === true);
+            const shipping = computeShipping(zoneEntry, taxes.goodsTotalCents, exchangeRate);
+            Object.assign(orderData, {
+                items: orderItems,
+                subtotalCents: taxes.subtotalCents,
+                taxLines: taxes.taxLines,
+                taxCents: taxes.taxCents,
+                withholding: taxes.withholding,
+                discount,
+                shipping,
+                totalCents: taxes.goodsTotalCents + (shipping ? shipping.feeCents : 0)
+            });
+
+            orderData.orderNumber = await allocateOrderNumber(transaction, db);
+
+            // Items deleted since the cart was built are skipped
+            const ledger = createInventoryLedger(db, { performedBy: decodedToken.email });
+            const reference = { kind: 'order', id: newOrderRef.id, number: orderData.orderNumber };
+            itemSnaps.forEach((snap, index) => {
+                if (!snap.exists) return;
+                const onHand = ledger.stockByLocation(snap);
+                const taken = Math.min(validatedItems[index].quantity, getSellableStock(onHand));
+                planLocationTake(onHand, taken, orderLocation).forEach(part => ledger.move(snap, {
+                    type: 'sale',
+                    location: part.location,
+                    quantityDelta: -part.quantity,
+                    reference,
+                    note: quoteRef ? `Quote ${orderData.quoteNumber}` : 'Manual order'
+                }));
+                const shortfall = validatedItems[index].quantity - taken;
+                if (shortfall > 0) {
+                    const item = snap.data();
+                    Object.assign(orderItems[index], {
+                        backordered: true,
+                        backorderedQuantity: shortfall,
+                        backorderPolicy: getBackorderPolicy(item),
+                        estimatedShipDays: estimateShipDays(item)
+                    });
+                    if (orderItems[index].backorderPolicy === 'preorder' && item.expectedDate) orderItems[index].expectedDate = item.expectedDate;
+                }
+            });
+            orderData.hasBackorders = hasOpenBackorders(orderItems);
+            ledger.write(transaction);
+            transaction.set(newOrderRef, orderData);
+            if (discount) {
+                recordRedemption(transaction, promotionRead, {
+                    orderId: newOrderRef.id,
+                    orderNumber: orderData.orderNumber,
+                    email: orderData.buyerEmail,
+                    discountCatalogCents: convertToCatalog(discount.amountCents, exchangeRate)
+                });
+            }
+            if (quoteRef) {
+                transaction.update(quoteRef, {
+                    status: 'Converted',
+                    statusHistory: [...(quoteSnap.data().statusHistory || []), buildQuoteHistoryEntry('Accepted', 'Converted', decodedToken.email, orderData.orderNumber)],
+                    orderId: newOrderRef.id,
+                    orderNumber: orderData.orderNumber,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+            }
+        });
+        orderRef = newOrderRef;
         const orderId = orderRef.id;
 
-        // 5. Call Netlify Function to send email
+        if (quoteRef) {
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'QUOTE_CONVERTED',
+                objectId: quoteId,
+                details: { quoteNumber: orderData.quoteNumber, orderId, orderNumber: orderData.orderNumber, totalCents: orderData.totalCents },
+                performedByEmail: decodedToken.email,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        // 5. Call Netlify Function to send email (customer, orders@ and a copy to the creating admin)
         const emailPayload = { 
             ...orderDetails, 
             orderId: orderId,
+            orderNumber: orderData.orderNumber,
+            quoteNumber: orderData.quoteNumber || null,
+            items: orderData.items,
+            currency: orderData.currency,
+            exchangeRate: orderData.exchangeRate,
+            subtotalCents: orderData.subtotalCents,
+            taxLines: orderData.taxLines,
+            taxCents: orderData.taxCents,
+            withholding: orderData.withholding,
+            discount: orderData.discount,
+            shipping: orderData.shipping,
+            totalCents: orderData.totalCents,
             timestamp: orderData.timestamp,
+            adminEmail: decodedToken.email,
+            requesterEmail: decodedToken.email,
             // Explicitly ensure 'communicationLang' is set for the emailer
             communicationLang: orderDetails.language || orderDetails.communicationLang || 'en'
         };
         
-        const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendOrderConfirmation`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(emailPayload)
-        });
+        try {
+            const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendOrderConfirmation`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${orderId}:confirmation` },
+                body: JSON.stringify(emailPayload)
+            });
 
-        if (!emailResponse.ok) {
-            const emailErrorText = await emailResponse.text();
-            console.error(`Email function failed for order ${orderId}: ${emailErrorText}`);
+            if (!emailResponse.ok) {
+                const emailErrorText = await emailResponse.text();
+                console.error(`Email function failed for order ${orderId}: ${emailErrorText}`);
+                await orderRef.update({ emailStatus: 'Failed' });
+            } else {
+                await orderRef.update({ emailStatus: 'Sent' });
+            }
+        } catch (emailError) {
+            // The order is committed: an email failure must not make a retry create a second order
+            console.error(`Email trigger failed for order ${orderId}:`, emailError);
             await orderRef.update({ emailStatus: 'Failed' });
-        } else {
-            await orderRef.update({ emailStatus: 'Sent' });
         }
 
-        return {
+        return idempotency.complete({
             statusCode: 200,
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ 
                 message: 'Order created and email initiated successfully.', 
-                orderId: orderId 
+                orderId: orderId,
+                orderNumber: orderData.orderNumber,
+                quoteNumber: orderData.quoteNumber || null,
+                shipping: orderData.shipping,
+                currency: orderData.currency,
+                taxCents: orderData.taxCents,
+                withholding: orderData.withholding,
+                discount: orderData.discount,
+                totalCents: orderData.totalCents
             }),
-        };
+        });
 
     } catch (error) {
+        if (error.statusCode) {
+            return idempotency.complete({ statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) });
+        }
+
         console.error('Error creating order:', error);
         
         if (orderRef) {
             await orderRef.update({ status: 'Creation Failed', failureDetails: error.message });
         }
 
-        return {
+        return idempotency.complete({
             statusCode: 500,
             body: JSON.stringify({ error: 'Failed to create order', details: error.message }),
-        };
+        });
     }
 };
@@ -0,0 +1,138 @@
+/**
+ * Netlify Function (Public) that previews a discount code for the checkout cart.
+ * POST { code, items: [{ id, quantity }], currency?, buyerEmail?, communicationLang? }
+ * Returns { discount, lineDiscounts } where discount is what placeOrder would store ({ code, description,
+ * type, value, scope, amountCents }, in `currency`) and lineDiscounts maps item IDs to their share, or
+ * 400 with { error, promotionError } when the code cannot be applied. The per-customer limit is checked
+ * against the signed-in buyer when a token is sent, like placeOrder counts it, otherwise only when
+ * buyerEmail is sent. placeOrder checks everything again; this is a preview.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const PROMOTIONS_COLLECTION = process.env.PROMOTIONS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/promotions';
+const EXCHANGE_RATES_COLLECTION = process.env.EXCHANGE_RATES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/exchangeRates';
+
+// Rate limiting (per warm instance) so codes cannot be guessed by brute force
+const rateLimitStore = {};
+const MAX_REQUESTS_PER_HOUR = 30;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Rate Limiting ---
+    const clientIp = event.headers['client-ip'] || event.headers['x-nf-client-connection-ip'] || 'unknown';
+    const now = Date.now();
+    rateLimitStore[clientIp] = (rateLimitStore[clientIp] || []).filter(timestamp => timestamp > now - RATE_LIMIT_WINDOW_MS);
+
+    if (rateLimitStore[clientIp].length >= MAX_REQUESTS_PER_HOUR) {
+        console.warn(`Rate limit exceeded for IP: ${clientIp} on checkPromotion.`);
+        return { statusCode: 429, body: JSON.stringify({ error: 'Rate limit exceeded. Please try again later.' }) };
+    }
+    rateLimitStore[clientIp].push(now);
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { code, items, currency, buyerEmail, communicationLang } = requestBody;
+    const lang = communicationLang === 'en' ? 'en' : 'es';
+    const { normalizeCartLines, MAX_QUANTITY_PER_LINE } = await import('./js/utilities/stockReservations.js');
+    const { CATALOG_CURRENCY, CURRENCIES, convertFromCatalog, findExchangeRate } = await import('./js/utilities/currency.js');
+    const {
+        normalizePromotionCode,
+        getPromotionErrorMessage,
+        getPromotionUnavailableReason,
+        freezePromotionRule,
+        computeDiscount,
+        customerRedemptionId
+    } = await import('./js/utilities/promotions.js');
+
+    // --- 2. Input Validation ---
+    let uid = null;
+    const authHeader = event.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        try {
+            uid = (await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1])).uid;
+        } catch (e) {
+            return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+        }
+    }
+    const promotionCode = normalizePromotionCode(code);
+    if (!promotionCode) {
+        return { statusCode: 400, body: JSON.stringify({ error: getPromotionErrorMessage('not_found', lang), promotionError: 'not_found' }) };
+    }
+    const cartLines = Array.isArray(items) && items.length > 0 ? normalizeCartLines(items) : null;
+    if (!cartLines) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Each item needs an id and a whole quantity between 1 and ${MAX_QUANTITY_PER_LINE}.` }) };
+    }
+    if (currency !== undefined && !CURRENCIES.includes(currency)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Currency must be one of: ${CURRENCIES.join(', ')}.` }) };
+    }
+
+    try {
+        const exchangeRate = currency && currency !== CATALOG_CURRENCY ? await findExchangeRate(db, EXCHANGE_RATES_COLLECTION) : null;
+        if (currency && currency !== CATALOG_CURRENCY && !exchangeRate) {
+            return { statusCode: 409, body: JSON.stringify({ error: `No exchange rate is configured for ${currency}.` }) };
+        }
+
+        const promotionRef = db.collection(PROMOTIONS_COLLECTION).doc(promotionCode);
+        const promotionSnap = await promotionRef.get();
+        const redemptionSnap = promotionSnap.exists && (uid || (typeof buyerEmail === 'string' && buyerEmail.trim()))
+            ? await promotionRef.collection('redemptions').doc(customerRedemptionId(buyerEmail, uid)).get()
+            : null;
+        const customerUses = redemptionSnap && redemptionSnap.exists ? (redemptionSnap.data().count || 0) : 0;
+
+        const reason = getPromotionUnavailableReason(promotionSnap.exists ? promotionSnap.data() : null, customerUses);
+        if (reason) {
+            return { statusCode: 400, body: JSON.stringify({ error: getPromotionErrorMessage(reason, lang), promotionError: reason }) };
+        }
+
+        // Priced like placeOrder prices the cart; unknown or unpriced items are left out of the preview
+        const itemSnaps = await db.getAll(...cartLines.map(line => db.collection(ITEMS_COLLECTION).doc(line.id)));
+        const lines = itemSnaps
+            .map((snap, index) => snap.exists && typeof snap.data().price === 'number' && snap.data().price > 0
+                ? { id: cartLines[index].id, price: convertFromCatalog(snap.data().price, exchangeRate), quantity: cartLines[index].quantity, catalogId: snap.data().catalogId || null }
+                : null)
+            .filter(line => line !== null);
+
+        const rule = freezePromotionRule(promotionSnap.data(), exchangeRate);
+        const result = computeDiscount(rule, lines);
+        if (result.error) {
+            return { statusCode: 400, body: JSON.stringify({ error: getPromotionErrorMessage(result.error, lang), promotionError: result.error }) };
+        }
+
+        const lineDiscounts = {};
+        lines.forEach((line, index) => {
+            if (result.lineDiscounts[index] > 0) lineDiscounts[line.id] = result.lineDiscounts[index];
+        });
+        const { scopeIds, minCartCents, ...terms } = rule;
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ discount: { ...terms, amountCents: result.amountCents }, lineDiscounts })
+        };
+    } catch (error) {
+        console.error('Error checking promotion:', error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to check discount code', details: error.message }) };
+    }
+};
@@ -0,0 +1,186 @@
+/**
+ * Netlify Function (Admin Only) to save the manual order cart as a quote (cotización).
+ * POST { buyerName, buyerEmail, buyerPhone?, deliveryAddress?, notes?, communicationLang, validDays?,
+ *        items: [{ id, name, sku, price, quantity }], totalCents }
+ * Prices are frozen on the quote. The customer is emailed the quote as a PDF with a link to accept
+ * it (see acceptQuote); an accepted quote is turned into an order by adminCreateOrder({ quoteId }).
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const QUOTES_COLLECTION = process.env.QUOTES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/quotes';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const MAX_NOTES_LENGTH = 1000;
+
+// Helper function to sanitize strings and remove HTML/script tags
+function sanitizeString(str) {
+    if (!str) return '';
+    return String(str).replace(/</g, "&lt;").replace(/>/g, "&gt;").trim();
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { buyerName, buyerEmail, buyerPhone, deliveryAddress, notes, communicationLang, validDays, items, totalCents } = requestBody;
+
+    const {
+        DEFAULT_QUOTE_VALID_DAYS,
+        MAX_QUOTE_VALID_DAYS,
+        allocateQuoteNumber,
+        quoteTotalCents,
+        createAcceptToken,
+        buildAcceptUrl,
+        buildQuoteHistoryEntry
+    } = await import('./js/utilities/quotes.js');
+
+    // --- 2. Input Validation ---
+    if (!buyerName || typeof buyerName !== 'string' || !buyerEmail || typeof buyerEmail !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(buyerEmail.trim())) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'A quote needs the customer name and a valid email.' }) };
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'A quote needs at least one item.' }) };
+    }
+    const days = validDays === undefined ? DEFAULT_QUOTE_VALID_DAYS : validDays;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_QUOTE_VALID_DAYS) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Quotes can be valid for 1 to ${MAX_QUOTE_VALID_DAYS} days.` }) };
+    }
+
+    const lines = items.map(item => ({
+        id: sanitizeString(item && item.id),
+        name: sanitizeString(item && item.name),
+        sku: sanitizeString(item && item.sku) || null,
+        price: item && Number.isInteger(item.price) && item.price > 0 ? item.price : 0,
+        quantity: item && Number.isInteger(item.quantity) && item.quantity > 0 ? item.quantity : 0
+    }));
+    if (lines.some(line => !line.id || !line.name || line.price === 0 || line.quantity === 0)) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Each quoted line needs an item id, name, whole price in cents and quantity.' }) };
+    }
+    const calculatedTotalCents = quoteTotalCents(lines);
+    if (typeof totalCents !== 'number' || Math.abs(calculatedTotalCents - totalCents) > 1) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Price integrity failure. Calculated total (${calculatedTotalCents}) does not match provided total (${totalCents}).` }) };
+    }
+
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+    const idempotency = await claimIdempotencyKey(db, 'createQuote', event, decodedToken.uid);
+    if (idempotency.response) return idempotency.response;
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+    const quoteRef = db.collection(QUOTES_COLLECTION).doc();
+    const { token, tokenHash } = createAcceptToken();
+    const createdAt = new Date();
+    let quote;
+
+    try {
+        // --- 3. Allocate the quote number and save the quote atomically ---
+        await db.runTransaction(async (transaction) => {
+            const quoteNumber = await allocateQuoteNumber(transaction, db, createdAt);
+            quote = {
+                quoteNumber,
+                buyerName: sanitizeString(buyerName),
+                buyerEmail: buyerEmail.trim(),
+                buyerPhone: buyerPhone ? sanitizeString(buyerPhone) : null,
+                deliveryAddress: sanitizeString(deliveryAddress) || null,
+                notes: sanitizeString(notes).substring(0, MAX_NOTES_LENGTH) || null,
+                communicationLang: communicationLang === 'es' ? 'es' : 'en',
+                items: lines,
+                totalCents: calculatedTotalCents,
+                validDays: days,
+                expiresAt: new Date(createdAt.getTime() + days * 24 * 60 * 60 * 1000).toISOString(),
+                status: 'Sent',
+                statusHistory: [buildQuoteHistoryEntry(null, 'Sent', performedBy)],
+                acceptTokenHash: tokenHash,
+                createdByAdmin: performedBy,
+                timestamp: createdAt.toISOString(),
+            };
+            transaction.set(quoteRef, { ...quote, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'QUOTE_CREATED',
+            objectId: quoteRef.id,
+            details: { quoteNumber: quote.quoteNumber, buyerEmail: quote.buyerEmail, totalCents: quote.totalCents, expiresAt: quote.expiresAt },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // --- 4. Email the quote PDF with the accept link ---
+        const acceptUrl = buildAcceptUrl(SITE_URL, quoteRef.id, token);
+        let emailSent = false;
+        try {
+            const { acceptTokenHash, ...emailQuote } = quote;
+            const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendQuoteEmail`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${quoteRef.id}:quote` },
+                body: JSON.stringify({ ...emailQuote, quoteId: quoteRef.id, acceptUrl, requesterEmail: performedBy })
+            });
+            emailSent = emailResponse.ok;
+            if (!emailResponse.ok) {
+                console.error(`Quote email failed for ${quote.quoteNumber}: ${await emailResponse.text()}`);
+            }
+        } catch (emailError) {
+            // The quote is saved; the accept link is returned below so the admin can share it another way
+            console.error(`Quote email trigger failed for ${quote.quoteNumber}:`, emailError);
+        }
+        await quoteRef.update({ emailStatus: emailSent ? 'Sent' : 'Failed' });
+
+        return idempotency.complete({
+            statusCode: 201,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Quote ${quote.quoteNumber} created.`,
+                quoteId: quoteRef.id,
+                quoteNumber: quote.quoteNumber,
+                expiresAt: quote.expiresAt,
+                acceptUrl,
+                emailSent
+            }),
+        });
+
+    } catch (error) {
+        console.error('Error creating quote:', error);
+        return idempotency.complete({
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to create quote', details: error.message }),
+        });
+    }
+};
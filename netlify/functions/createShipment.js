@@ -0,0 +1,167 @@
+/**
+ * Netlify Function (Admin Only) to split part of an order into a new shipment.
+ * POST { orderId, lines: [{ id, quantity }], carrier?, trackingNumber? }
+ * The shipment is stored in the order's `shipments` sub-collection with status 'Preparing';
+ * updateShipmentStatus moves it along and derives the order's status from all its shipments.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const MAX_TEXT_LENGTH = 200;
+
+// Helper function to sanitize strings and remove HTML/script tags
+function sanitizeString(str) {
+    if (!str) return '';
+    return String(str).replace(/</g, "&lt;").replace(/>/g, "&gt;").trim().substring(0, MAX_TEXT_LENGTH);
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { orderId, lines, carrier, trackingNumber } = requestBody;
+
+    if (!orderId || typeof orderId !== 'string' || orderId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid orderId.' }) };
+    }
+    if (!Array.isArray(lines) || lines.length === 0) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'A shipment needs at least one line.' }) };
+    }
+
+    const { normalizeStatus } = await import('./js/utilities/orderStatus.js');
+    const {
+        SHIPMENTS_SUBCOLLECTION,
+        SHIPPABLE_ORDER_STATUSES,
+        validateShipmentLines,
+        formatShipmentNumber,
+        buildShipmentHistoryEntry
+    } = await import('./js/utilities/shipments.js');
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+
+    const idempotency = await claimIdempotencyKey(db, 'createShipment', event, decodedToken.uid);
+    if (idempotency.response) return idempotency.response;
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+    const orderRef = db.collection(ORDERS_COLLECTION).doc(orderId);
+    const shipmentRef = orderRef.collection(SHIPMENTS_SUBCOLLECTION).doc();
+    let shipment;
+
+    try {
+        // --- 2. Check the lines against what is left to ship and create the shipment atomically ---
+        await db.runTransaction(async (transaction) => {
+            const orderSnap = await transaction.get(orderRef);
+            if (!orderSnap.exists) {
+                const notFound = new Error(`Order ${orderId} not found.`);
+                notFound.statusCode = 404;
+                throw notFound;
+            }
+
+            const order = orderSnap.data();
+            const orderStatus = normalizeStatus(order.status);
+            if (!SHIPPABLE_ORDER_STATUSES.includes(orderStatus)) {
+                const notShippable = new Error(`Shipments can only be created for orders that are ${SHIPPABLE_ORDER_STATUSES.join(' or ')} (this order is ${orderStatus}).`);
+                notShippable.statusCode = 409;
+                throw notShippable;
+            }
+
+            const shipmentsSnap = await transaction.get(orderRef.collection(SHIPMENTS_SUBCOLLECTION));
+            const orderItems = order.items || [];
+            const linesError = validateShipmentLines(lines, orderItems, shipmentsSnap.docs.map(doc => doc.data()));
+            if (linesError) {
+                const invalid = new Error(linesError);
+                invalid.statusCode = 422;
+                throw invalid;
+            }
+
+            const sequence = (order.shipmentCount || 0) + 1;
+            shipment = {
+                shipmentNumber: formatShipmentNumber(order.orderNumber || orderId, sequence),
+                sequence,
+                lines: lines.map(line => {
+                    const item = orderItems.find(orderItem => orderItem.id === line.id);
+                    return { id: line.id, name: item.name, sku: item.sku || null, price: item.price, quantity: line.quantity };
+                }),
+                carrier: sanitizeString(carrier) || null,
+                trackingNumber: sanitizeString(trackingNumber) || null,
+                status: 'Preparing',
+                statusHistory: [buildShipmentHistoryEntry(null, 'Preparing', performedBy)],
+                createdBy: performedBy,
+            };
+
+            transaction.set(shipmentRef, { ...shipment, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+            transaction.update(orderRef, {
+                shipmentCount: sequence,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'SHIPMENT_CREATED',
+            objectId: orderId,
+            details: { shipmentId: shipmentRef.id, shipmentNumber: shipment.shipmentNumber, lines: shipment.lines.map(line => ({ id: line.id, quantity: line.quantity })) },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return idempotency.complete({
+            statusCode: 201,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Shipment ${shipment.shipmentNumber} created.`,
+                orderId,
+                shipmentId: shipmentRef.id,
+                shipment
+            }),
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return idempotency.complete({ statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) });
+        }
+
+        console.error(`Error creating shipment for order ${orderId}:`, error);
+        return idempotency.complete({
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to create shipment', details: error.message }),
+        });
+    }
+};
@@ -1,11 +1,17 @@
 /**
  * Netlify Function (Admin Only) to delete a single order document.
+ * Deletion is a soft delete: the order is moved to the archivedOrders collection together with
+ * who deleted it, when, from which IP and why. restoreOrder moves it back and
+ * purgeArchivedOrders removes it for good once the retention period has passed.
  */
 const admin = require('firebase-admin');
 
 // --- CONFIGURATION ---
 const WHITELIST_CHECK_ENABLED = true; 
 const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const ARCHIVED_ORDERS_COLLECTION = process.env.ARCHIVED_ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/archivedOrders';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const MAX_REASON_LENGTH = 500;
 
 // --- FIREBASE INITIALIZATION ---
 if (!admin.apps.length) {
@@ -60,8 +66,9 @@ exports.handler = async function (event, context) {
     }
 
     const idToken = authHeader.split('Bearer ')[1];
+    let decodedToken;
     try {
-        const decodedToken = await admin.auth().verifyIdToken(idToken);
+        decodedToken = await admin.auth().verifyIdToken(idToken);
         if (decodedToken.admin !== true) {
             return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
         }
@@ -71,26 +78,56 @@ exports.handler = async function (event, context) {
     }
 
     // --- 4. Execution ---
-    const orderId = event.queryStringParameters.orderId;
+    const { orderId, reason } = event.queryStringParameters || {};
     if (!orderId) {
         return { statusCode: 400, body: JSON.stringify({ error: 'Missing required query parameter: orderId' }) };
     }
 
+    const archiveReason = String(reason || '').replace(/</g, "&lt;").replace(/>/g, "&gt;").trim().substring(0, MAX_REASON_LENGTH);
+    if (!archiveReason) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing required query parameter: reason' }) };
+    }
+
     try {
         const orderRef = db.collection(ORDERS_COLLECTION).doc(orderId);
-        const docSnapshot = await orderRef.get();
+        const archiveRef = db.collection(ARCHIVED_ORDERS_COLLECTION).doc(orderId);
+        let orderFound = true;
+
+        // Copy and delete in one transaction so the order is never in both places or in neither
+        await db.runTransaction(async (transaction) => {
+            const docSnapshot = await transaction.get(orderRef);
+            if (!docSnapshot.exists) {
+                orderFound = false;
+                return;
+            }
 
-        if (!docSnapshot.exists) {
+            transaction.set(archiveRef, {
+                ...docSnapshot.data(),
+                archivedAt: admin.firestore.FieldValue.serverTimestamp(),
+                archivedBy: decodedToken.email || decodedToken.uid,
+                archivedFromIp: clientIP || null,
+                archiveReason,
+            });
+            transaction.delete(orderRef);
+        });
+
+        if (!orderFound) {
             return { statusCode: 404, body: JSON.stringify({ error: `Order ${orderId} not found.` }) };
         }
 
-        await orderRef.delete();
-        console.log(`Order ${orderId} deleted by Admin (IP: ${clientIP}).`);
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'ORDER_ARCHIVED',
+            objectId: orderId,
+            details: { reason: archiveReason, ip: clientIP || null },
+            performedByEmail: decodedToken.email || decodedToken.uid,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.log(`Order ${orderId} archived by ${decodedToken.email} (IP: ${clientIP}). Reason: ${archiveReason}`);
 
         return {
             statusCode: 200,
             body: JSON.stringify({ 
-                message: `Order ${orderId} successfully deleted.`, 
+                message: `Order ${orderId} moved to archived orders.`, 
                 orderId: orderId 
             }),
         };
@@ -0,0 +1,140 @@
+/**
+ * Netlify Function (Admin Only) to issue an order's electronic invoice (UBL 2.1 XML + PDF).
+ * POST { orderId }
+ * Issues the next number from the configured DIAN ranges, or reuses the order's invoice if it already
+ * has one, stores both files in Cloud Storage and returns { invoice, xmlUrl, pdfUrl } with short-lived
+ * download links. Paid orders are invoiced automatically when their payment is recorded
+ * (recordPaymentEntry, paymentWebhook); this covers credit sales, which are invoiced before they are
+ * paid, and resending the files.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const INVOICES_COLLECTION = process.env.INVOICES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/invoices';
+const EXCHANGE_RATES_COLLECTION = process.env.EXCHANGE_RATES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/exchangeRates';
+const CONFIG_DOC_PATH = 'admin/config';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const DOWNLOAD_LINK_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Renders the invoice HTML through Doppio, like the receipt and quote PDFs
+async function renderPdf(html) {
+    const doppioRes = await fetch('https://api.doppio.sh/v1/render/pdf/direct', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${process.env.DOPPIO_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            page: {
+                setContent: { html: Buffer.from(html, 'utf8').toString('base64') },
+                pdf: { format: 'A4', printBackground: true, margin: { top: '1cm', bottom: '1cm', left: '1cm', right: '1cm' } }
+            }
+        })
+    });
+    if (!doppioRes.ok) {
+        throw new Error(`Doppio API Failed: ${doppioRes.status} - ${await doppioRes.text()}`);
+    }
+    return Buffer.from(await doppioRes.arrayBuffer());
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { orderId } = requestBody;
+    if (!orderId || typeof orderId !== 'string' || orderId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid orderId.' }) };
+    }
+
+    const { issueOrderInvoice, buildInvoiceXml, renderInvoiceHtml, saveInvoiceFiles } = await import('./js/utilities/invoices.js');
+    const performedBy = decodedToken.email || decodedToken.uid;
+
+    try {
+        const { invoice, created } = await issueOrderInvoice(db, {
+            ordersCollection: ORDERS_COLLECTION,
+            invoicesCollection: INVOICES_COLLECTION,
+            exchangeRatesCollection: EXCHANGE_RATES_COLLECTION,
+            configDocPath: CONFIG_DOC_PATH,
+            orderId,
+            issuedBy: performedBy,
+            allowUnpaid: true
+        });
+
+        // The files are rebuilt from the stored snapshot, so an existing invoice is re-saved unchanged
+        const bucket = admin.storage().bucket(process.env.FIREBASE_STORAGE_BUCKET);
+        await saveInvoiceFiles(bucket, invoice, buildInvoiceXml(invoice), await renderPdf(renderInvoiceHtml(invoice)));
+
+        if (created) {
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'INVOICE_ISSUED',
+                objectId: orderId,
+                details: { invoiceNumber: invoice.number, cufe: invoice.cufe, payableCents: invoice.totals.payableCents, currency: invoice.currency },
+                performedByEmail: performedBy,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        const expires = Date.now() + DOWNLOAD_LINK_TTL_MS;
+        const [[xmlUrl], [pdfUrl]] = await Promise.all([
+            bucket.file(invoice.xmlPath).getSignedUrl({ action: 'read', expires }),
+            bucket.file(invoice.pdfPath).getSignedUrl({ action: 'read', expires })
+        ]);
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: created ? `Invoice ${invoice.number} issued for order ${invoice.orderNumber}.` : `Order ${invoice.orderNumber} already has invoice ${invoice.number}; its files were stored again.`,
+                invoice: { number: invoice.number, cufe: invoice.cufe, issuedAt: invoice.issuedAt, status: invoice.status },
+                created,
+                xmlUrl,
+                pdfUrl
+            })
+        };
+    } catch (error) {
+        if (error.statusCode) {
+            return { statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) };
+        }
+        console.error(`Error issuing invoice for order ${orderId}:`, error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to issue invoice', details: error.message }) };
+    }
+};
@@ -0,0 +1,63 @@
+/**
+ * Netlify Function (Admin Only) returning the landed unit cost of every costed item.
+ * GET -> { items: { [itemId]: { landedUnitCostCents, landedCost: { shipmentId, shipmentNumber, units, at } } } }
+ * Costs are written by manageImportShipment when a shipment is finalized and kept in an admin-only
+ * collection, so the storefront's public item documents never carry them. Amounts are catalog cents.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const LANDED_COSTS_COLLECTION = process.env.LANDED_COSTS_COLLECTION_PATH || 'admin/landedCosts/items';
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'GET') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    try {
+        const costsSnap = await db.collection(LANDED_COSTS_COLLECTION).get();
+        const items = {};
+        costsSnap.docs.forEach(doc => {
+            const { landedUnitCostCents, landedCost } = doc.data();
+            if (typeof landedUnitCostCents === 'number') items[doc.id] = { landedUnitCostCents, landedCost: landedCost || null };
+        });
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ items })
+        };
+    } catch (error) {
+        console.error('Error reading landed costs:', error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to read landed costs', details: error.message }) };
+    }
+};
@@ -15,6 +15,7 @@ if (!admin.apps.length) {
 }
 
 const db = admin.firestore();
+const EXCHANGE_RATES_COLLECTION = process.env.EXCHANGE_RATES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/exchangeRates';
 
 /**
  * CIDR-aware IP matching with aggressive trimming
@@ -61,6 +62,10 @@ exports.handler = async function (event) {
         
         const whitelist = Array.isArray(configData.ipWhitelist) ? configData.ipWhitelist : [];
 
+        // Today's USD→COP rate, so the storefront can show catalog prices in pesos (null until one is set)
+        const { findExchangeRate } = await import('./js/utilities/currency.js');
+        const exchangeRate = await findExchangeRate(db, EXCHANGE_RATES_COLLECTION);
+
         // --- DEBUG LOGGING ---
         console.log("--- DEBUG START ---");
         console.log("Raw Client IP Header:", clientIp);
@@ -84,6 +89,9 @@ exports.handler = async function (event) {
             body: JSON.stringify({
                 maintenanceMode: configData.maintenanceMode === true,
                 chatWidgetEnabled: configData.chatWidgetEnabled !== false,
+                // Only the pricing mode: checkout previews IVA, withholding applies to admin orders
+                taxSettings: { pricesIncludeTax: configData.taxSettings?.pricesIncludeTax !== false },
+                exchangeRate,
                 isRequesterAdmin: isWhitelisted, 
                 clientIp: clientIp.trim() 
             }),
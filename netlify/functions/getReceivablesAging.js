@@ -0,0 +1,69 @@
+/**
+ * Netlify Function (Admin Only) returning the accounts receivable aging report.
+ * GET -> { asOf, buckets, customers: [{ email, name, buckets, totalCents, oldestDays, orders }], totals, orderCount, currency }
+ * Unpaid balances are grouped per customer into 0–30, 31–60, 61–90 and 90+ days from the order date
+ * (js/utilities/receivables.js). Bucket amounts are in the catalog currency; each order also lists its
+ * balance in its own currency. Reads every live order, like the admin Financials tab does.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'GET') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    const { buildAgingReport, AGING_BUCKETS } = await import('./js/utilities/receivables.js');
+    const { CATALOG_CURRENCY } = await import('./js/utilities/currency.js');
+
+    try {
+        const ordersSnap = await db.collection(ORDERS_COLLECTION).get();
+        const now = new Date();
+        const report = buildAgingReport(ordersSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })), now);
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                asOf: now.toISOString(),
+                buckets: AGING_BUCKETS.map(bucket => bucket.key),
+                currency: CATALOG_CURRENCY,
+                ...report
+            })
+        };
+    } catch (error) {
+        console.error('Error building receivables aging report:', error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to build aging report', details: error.message }) };
+    }
+};
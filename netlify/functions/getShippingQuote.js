@@ -0,0 +1,85 @@
+/**
+ * Netlify Function (Public) that prices shipping for the checkout and manual order forms.
+ * POST { geolocation: { lat, lng }, goodsTotalCents, currency? }   (the cart total including IVA, before
+ *      shipping, in `currency`: COP or USD, default USD)
+ * Returns { shipping } where shipping is the line placeOrder/adminCreateOrder would store, or null
+ * when the point is outside every delivery zone. The order functions recompute it; this is a preview.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const DELIVERY_ZONES_COLLECTION = process.env.DELIVERY_ZONES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/deliveryZones';
+const EXCHANGE_RATES_COLLECTION = process.env.EXCHANGE_RATES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/exchangeRates';
+
+// Rate limiting (per warm instance); every pin drag asks for a new quote
+const rateLimitStore = {};
+const MAX_REQUESTS_PER_HOUR = 120;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Rate Limiting ---
+    const clientIp = event.headers['client-ip'] || event.headers['x-nf-client-connection-ip'] || 'unknown';
+    const now = Date.now();
+    rateLimitStore[clientIp] = (rateLimitStore[clientIp] || []).filter(timestamp => timestamp > now - RATE_LIMIT_WINDOW_MS);
+
+    if (rateLimitStore[clientIp].length >= MAX_REQUESTS_PER_HOUR) {
+        console.warn(`Rate limit exceeded for IP: ${clientIp} on getShippingQuote.`);
+        return { statusCode: 429, body: JSON.stringify({ error: 'Rate limit exceeded. Please try again later.' }) };
+    }
+    rateLimitStore[clientIp].push(now);
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { geolocation, goodsTotalCents, currency } = requestBody;
+    const { CATALOG_CURRENCY, CURRENCIES, findExchangeRate } = await import('./js/utilities/currency.js');
+
+    // --- 2. Input Validation ---
+    if (!geolocation || typeof geolocation.lat !== 'number' || typeof geolocation.lng !== 'number') {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid geolocation.' }) };
+    }
+    if (!Number.isInteger(goodsTotalCents) || goodsTotalCents < 0) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'goodsTotalCents must be a whole number of cents.' }) };
+    }
+    if (currency !== undefined && !CURRENCIES.includes(currency)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Currency must be one of: ${CURRENCIES.join(', ')}.` }) };
+    }
+
+    try {
+        const exchangeRate = currency && currency !== CATALOG_CURRENCY ? await findExchangeRate(db, EXCHANGE_RATES_COLLECTION) : null;
+        if (currency && currency !== CATALOG_CURRENCY && !exchangeRate) {
+            return { statusCode: 409, body: JSON.stringify({ error: `No exchange rate is configured for ${currency}.` }) };
+        }
+
+        const { quoteShipping } = await import('./js/utilities/deliveryZones.js');
+        const shipping = await quoteShipping(db, DELIVERY_ZONES_COLLECTION, { lat: geolocation.lat, lng: geolocation.lng }, goodsTotalCents, exchangeRate);
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ shipping })
+        };
+    } catch (error) {
+        console.error('Error quoting shipping:', error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to quote shipping', details: error.message }) };
+    }
+};
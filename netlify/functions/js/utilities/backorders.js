@@ -0,0 +1,88 @@
+/**
+ * Backorder and pre-order rules shared by placeOrder, reserveStock and allocateBackorders.
+ * An item's `backorderPolicy` decides what happens once its stock runs out:
+ *   deny     - the line is rejected (the default for items without a policy)
+ *   allow    - the order is accepted and ships `backorderLeadDays` after the parts arrive
+ *   preorder - the order is accepted against an inbound shipment due on `expectedDate` (YYYY-MM-DD)
+ * The part of a line that could not be taken from stock is stored as `backorderedQuantity`, and the
+ * order carries `hasBackorders: true` until replenished stock has covered every such line (FIFO).
+ */
+
+export const BACKORDER_POLICIES = ['deny', 'allow', 'preorder'];
+export const DEFAULT_BACKORDER_LEAD_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getBackorderPolicy(item = {}) {
+    return BACKORDER_POLICIES.includes(item.backorderPolicy) ? item.backorderPolicy : 'deny';
+}
+
+export function acceptsBackorders(item = {}) {
+    return getBackorderPolicy(item) !== 'deny';
+}
+
+/**
+ * Rough number of days until a backordered unit of this item ships, for "ships in ~N days".
+ * @returns {number|null} Null for deny items; at least 1 otherwise.
+ */
+export function estimateShipDays(item = {}, now = Date.now()) {
+    const policy = getBackorderPolicy(item);
+    if (policy === 'preorder' && item.expectedDate) {
+        const expected = new Date(`${item.expectedDate}T00:00:00`).getTime();
+        if (expected) return Math.max(1, Math.ceil((expected - now) / DAY_MS));
+    }
+    if (policy === 'deny') return null;
+    return Number.isInteger(item.backorderLeadDays) && item.backorderLeadDays > 0 ? item.backorderLeadDays : DEFAULT_BACKORDER_LEAD_DAYS;
+}
+
+/**
+ * Splits a requested quantity into what stock covers now and what goes on backorder.
+ * @returns {{fromStock: number, backordered: number}|null} Null when the item cannot be backordered.
+ */
+export function splitBackorderQuantity(item, requested, available) {
+    const fromStock = Math.min(requested, Math.max(0, available));
+    const backordered = requested - fromStock;
+    if (backordered > 0 && !acceptsBackorders(item)) return null;
+    return { fromStock, backordered };
+}
+
+export function hasOpenBackorders(items = []) {
+    return items.some(line => (line.backorderedQuantity || 0) > 0);
+}
+
+function orderedAtMillis(order) {
+    const value = order.createdAt;
+    if (value && typeof value.toMillis === 'function') return value.toMillis();
+    return new Date(value || order.timestamp).getTime() || 0;
+}
+
+/**
+ * Plans how `units` of replenished stock are handed to waiting orders, oldest order first.
+ * @param {Array<{id: string, data: object}>} orders - Orders with `hasBackorders: true`.
+ * @returns {Array<{orderId: string, order: object, allocated: number, items: Array, complete: boolean}>}
+ *          One entry per order that received units, with its updated `items` array.
+ */
+export function planBackorderAllocation(orders, itemId, units) {
+    let remaining = units;
+    const allocations = [];
+
+    [...orders]
+        .filter(entry => entry.data.status !== 'Cancelled')
+        .sort((a, b) => orderedAtMillis(a.data) - orderedAtMillis(b.data))
+        .forEach(({ id, data }) => {
+            if (remaining <= 0) return;
+            let allocated = 0;
+            const items = (data.items || []).map(line => {
+                if (line.id !== itemId || !(line.backorderedQuantity > 0) || remaining <= 0) return line;
+                const take = Math.min(line.backorderedQuantity, remaining);
+                remaining -= take;
+                allocated += take;
+                return { ...line, backorderedQuantity: line.backorderedQuantity - take };
+            });
+            if (allocated > 0) {
+                allocations.push({ orderId: id, order: data, allocated, items, complete: !hasOpenBackorders(items) });
+            }
+        });
+
+    return allocations;
+}
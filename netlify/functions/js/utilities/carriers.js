@@ -0,0 +1,236 @@
+/**
+ * Courier adapters used by requestDelivery and pollDeliveryStatuses. A carrier adapter exposes:
+ *   isEnabled()                          whether its credentials are configured
+ *   createShipment(request)              books the pickup; returns the booking (below)
+ *   cancelShipment(carrierShipmentId)    cancels a booking that has not been picked up yet
+ *   getShipmentStatus(carrierShipmentId) the current status and the carrier's events
+ * where request is { orderNumber, recipient: { name, phone, email, address, geolocation },
+ * declaredValueCents, currency, items: [{ name, sku, quantity }] } and a booking is
+ *   { carrierShipmentId, trackingNumber, trackingUrl, estimatedDelivery, status,
+ *     label: { contentType, extension, content: Buffer } }
+ * Statuses are normalized to DELIVERY_STATUSES. Adding a courier means adding an entry to CARRIERS.
+ * The order keeps the booking in `delivery` (see buildDeliveryRecord); its label is stored in Cloud
+ * Storage under labels/.
+ */
+import { createHash, randomBytes } from 'crypto';
+
+export const DELIVERY_STATUSES = ['created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'cancelled', 'exception'];
+
+// Deliveries in these statuses are finished and no longer polled
+export const FINAL_DELIVERY_STATUSES = ['delivered', 'cancelled'];
+
+// The order status a carrier status moves the order to (when the order has no partial shipments)
+const ORDER_STATUS_BY_DELIVERY_STATUS = {
+    picked_up: 'Shipped',
+    in_transit: 'Shipped',
+    out_for_delivery: 'Shipped',
+    delivered: 'Delivered'
+};
+
+export function getOrderStatusForDelivery(deliveryStatus) {
+    return ORDER_STATUS_BY_DELIVERY_STATUS[deliveryStatus] || null;
+}
+
+export function isActiveDelivery(delivery) {
+    return Boolean(delivery) && !FINAL_DELIVERY_STATUSES.includes(delivery.status);
+}
+
+// Orders from checkout are booked as soon as they are confirmed; admin orders start as Manually Created
+export const DELIVERABLE_ORDER_STATUSES = ['Pending', 'Manually Created', 'Processing'];
+
+const MOCK_STEPS = ['created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+
+function escapeLabelText(value) {
+    return String(value || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Offline stand-in courier. Nothing leaves the server: the booking ID encodes when it was made and
+ * the status advances one step every MOCK_CARRIER_STEP_MINUTES (default 2), so polling walks an order
+ * through Shipped and Delivered in about ten minutes. It can be cancelled until it is picked up.
+ * Disabled on the production deploy context unless MOCK_CARRIER_ENABLED is "true".
+ */
+const mock = {
+    name: 'mock',
+    label: 'Mock courier (testing)',
+    isEnabled() {
+        return process.env.MOCK_CARRIER_ENABLED === 'true' || (process.env.CONTEXT !== 'production' && process.env.MOCK_CARRIER_ENABLED !== 'false');
+    },
+    stepMillis() {
+        return (parseFloat(process.env.MOCK_CARRIER_STEP_MINUTES) || 2) * 60 * 1000;
+    },
+    bookedAt(carrierShipmentId) {
+        const [, createdAt] = String(carrierShipmentId).split('-');
+        return parseInt(createdAt, 36) || Date.now();
+    },
+    async createShipment({ orderNumber, recipient, items }) {
+        const now = Date.now();
+        const carrierShipmentId = `MOCK-${now.toString(36).toUpperCase()}-${randomBytes(3).toString('hex').toUpperCase()}`;
+        const trackingNumber = `MK${createHash('sha256').update(carrierShipmentId).digest('hex').substring(0, 10).toUpperCase()}`;
+        const html = `<!DOCTYPE html><html><body style="font-family: monospace; width: 4in; border: 2px solid #000; padding: 12px;">
+            <h2 style="margin: 0;">MOCK COURIER</h2>
+            <p style="font-size: 22px; letter-spacing: 2px; margin: 8px 0;">${trackingNumber}</p>
+            <p><strong>Ref:</strong> ${escapeLabelText(orderNumber)}</p>
+            <p><strong>To:</strong> ${escapeLabelText(recipient.name)}<br>${escapeLabelText(recipient.address)}<br>${escapeLabelText(recipient.phone)}</p>
+            <p>${items.map(item => `${item.quantity} x ${escapeLabelText(item.sku || item.name)}`).join('<br>')}</p>
+            <p style="font-size: 10px;">Test label. Not valid for shipping.</p>
+        </body></html>`;
+        return {
+            carrierShipmentId,
+            trackingNumber,
+            trackingUrl: null,
+            estimatedDelivery: new Date(now + this.stepMillis() * (MOCK_STEPS.length - 1)).toISOString(),
+            status: 'created',
+            label: { contentType: 'text/html', extension: 'html', content: Buffer.from(html, 'utf8') }
+        };
+    },
+    async cancelShipment(carrierShipmentId) {
+        const { status } = await this.getShipmentStatus(carrierShipmentId);
+        if (status !== 'created') {
+            throw Object.assign(new Error(`The mock courier already has this parcel (${status}); it can no longer be cancelled.`), { statusCode: 409 });
+        }
+        return { cancelled: true };
+    },
+    async getShipmentStatus(carrierShipmentId) {
+        const bookedAt = this.bookedAt(carrierShipmentId);
+        const stepsDone = Math.min(MOCK_STEPS.length - 1, Math.floor((Date.now() - bookedAt) / this.stepMillis()));
+        const events = MOCK_STEPS.slice(0, stepsDone + 1).map((status, index) => ({
+            status,
+            at: new Date(bookedAt + index * this.stepMillis()).toISOString(),
+            description: `Mock courier: ${status.replace(/_/g, ' ')}`
+        }));
+        return { status: MOCK_STEPS[stepsDone], events };
+    }
+};
+
+export const CARRIERS = { mock };
+
+export function getCarrier(name) {
+    const carrier = Object.prototype.hasOwnProperty.call(CARRIERS, name) ? CARRIERS[name] : null;
+    return carrier && carrier.isEnabled() ? carrier : null;
+}
+
+export function listEnabledCarriers() {
+    return Object.values(CARRIERS).filter(carrier => carrier.isEnabled()).map(carrier => ({ name: carrier.name, label: carrier.label }));
+}
+
+export function getLabelPath(orderRef, trackingNumber, extension) {
+    return `labels/${orderRef}/${trackingNumber}.${extension}`;
+}
+
+/**
+ * What the carrier needs to book the pickup. Backordered units have not arrived, so they are left out.
+ */
+export function buildCarrierRequest(order, orderId) {
+    return {
+        orderNumber: order.orderNumber || orderId,
+        recipient: {
+            name: order.buyerName || '',
+            phone: order.buyerPhone || '',
+            email: order.buyerEmail || '',
+            address: order.deliveryAddress || '',
+            geolocation: order.geolocation || null
+        },
+        declaredValueCents: order.totalCents || 0,
+        currency: order.currency || null,
+        items: (order.items || [])
+            .map(item => ({ name: item.name, sku: item.sku || null, quantity: item.quantity - (item.backorderedQuantity || 0) }))
+            .filter(item => item.quantity > 0)
+    };
+}
+
+/**
+ * The `delivery` field stored on the order for a new booking.
+ */
+export function buildDeliveryRecord(carrier, booking, labelPath, by) {
+    const now = new Date().toISOString();
+    return {
+        carrier: carrier.name,
+        carrierLabel: carrier.label,
+        carrierShipmentId: booking.carrierShipmentId,
+        trackingNumber: booking.trackingNumber,
+        trackingUrl: booking.trackingUrl || null,
+        estimatedDelivery: booking.estimatedDelivery || null,
+        labelPath,
+        labelContentType: booking.label ? booking.label.contentType : null,
+        status: booking.status || 'created',
+        events: [{ status: booking.status || 'created', at: now, description: 'Delivery requested' }],
+        requestedBy: by,
+        requestedAt: now,
+        statusUpdatedAt: now
+    };
+}
+
+/**
+ * Applies a polled carrier status to the order. Returns null when nothing changed; otherwise the
+ * order fields to write and the order status transitions it caused (Processing -> Shipped -> Delivered
+ * when a parcel is reported delivered before it was seen in transit). Orders split into partial
+ * shipments keep their shipment-derived status.
+ * @param {object} order
+ * @param {{status: string, events?: Array}} polled
+ * @param {{canTransition: Function, normalizeStatus: Function, buildStatusHistoryEntry: Function}} orderStatus
+ */
+export function planDeliveryStatusUpdate(order, polled, by, orderStatus) {
+    const delivery = order.delivery;
+    if (!DELIVERY_STATUSES.includes(polled.status)) return null;
+    const events = Array.isArray(polled.events) && polled.events.length > 0 ? polled.events : delivery.events;
+    if (polled.status === delivery.status && (events || []).length === (delivery.events || []).length) return null;
+
+    const update = {
+        delivery: { ...delivery, status: polled.status, events: events || [], statusUpdatedAt: new Date().toISOString() }
+    };
+
+    const transitions = [];
+    const target = getOrderStatusForDelivery(polled.status);
+    if (target && !(order.shipmentCount > 0)) {
+        let current = orderStatus.normalizeStatus(order.status);
+        const path = target === 'Delivered' && current !== 'Shipped' ? ['Shipped', 'Delivered'] : [target];
+        const history = [...(order.statusHistory || [])];
+        path.forEach(next => {
+            if (current === next || !orderStatus.canTransition(current, next)) return;
+            history.push(orderStatus.buildStatusHistoryEntry(current, next, by, `Carrier ${delivery.carrier}: ${polled.status.replace(/_/g, ' ')}`));
+            transitions.push({ from: current, to: next });
+            current = next;
+        });
+        if (transitions.length > 0) {
+            update.status = current;
+            update.statusHistory = history;
+        }
+    }
+    return { update, transitions };
+}
+
+/**
+ * Polls the carrier for an order's delivery and applies the result in a transaction.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{orderRef: object, by: string, orderStatus: object, timestamp: Function}} options
+ *   orderStatus is js/utilities/orderStatus.js; timestamp returns the updatedAt sentinel.
+ * @returns {Promise<{order: object, delivery: object, transitions: Array}>} `order` as written.
+ */
+export async function refreshDeliveryStatus(db, { orderRef, by, orderStatus, timestamp }) {
+    const firstSnap = await orderRef.get();
+    const delivery = firstSnap.exists ? firstSnap.data().delivery : null;
+    if (!isActiveDelivery(delivery)) {
+        throw Object.assign(new Error('This order has no delivery in progress.'), { statusCode: 409 });
+    }
+    const carrier = getCarrier(delivery.carrier);
+    if (!carrier) {
+        throw Object.assign(new Error(`Carrier "${delivery.carrier}" is not enabled on this site.`), { statusCode: 409 });
+    }
+    const polled = await carrier.getShipmentStatus(delivery.carrierShipmentId);
+
+    return db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(orderRef);
+        const order = snap.data();
+        // Cancelled or rebooked while the carrier was being asked
+        if (!order.delivery || order.delivery.carrierShipmentId !== delivery.carrierShipmentId || !isActiveDelivery(order.delivery)) {
+            return { order, delivery: order.delivery, transitions: [] };
+        }
+        const plan = planDeliveryStatusUpdate(order, polled, by, orderStatus);
+        if (!plan) return { order, delivery: order.delivery, transitions: [] };
+
+        transaction.update(orderRef, { ...plan.update, updatedAt: timestamp() });
+        const written = { ...order, ...plan.update };
+        return { order: written, delivery: written.delivery, transitions: plan.transitions };
+    });
+}
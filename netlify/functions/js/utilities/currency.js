@@ -0,0 +1,87 @@
+/**
+ * Order currencies. Catalog prices, delivery-zone fees and tax thresholds are kept in
+ * CATALOG_CURRENCY (US dollars). An order can instead be billed in Colombian pesos: its amounts are
+ * converted at the USD→COP rate in force on the order date, and that rate is frozen on the order as
+ * `exchangeRate` so later edits, payments and reports convert the same way.
+ * Rates live in the exchangeRates collection, one document per effective date (YYYY-MM-DD, Bogotá
+ * time), and are written only by manageExchangeRate. Amounts are always cents of their currency.
+ * Orders without `currency` predate this and are in dollars.
+ * Mirrored in the site's js/utilities/currency.js for the storefront and admin pages.
+ */
+
+export const CATALOG_CURRENCY = 'USD';
+export const CURRENCIES = ['COP', 'USD'];
+export const DEFAULT_ORDER_CURRENCY = 'COP';
+export const MAX_EXCHANGE_RATE = 100000;
+
+// Pesos are quoted without decimals; amounts are still stored in cents
+const FRACTION_DIGITS = { COP: 0, USD: 2 };
+
+export function getOrderCurrency(order = {}) {
+    return CURRENCIES.includes(order.currency) ? order.currency : CATALOG_CURRENCY;
+}
+
+export function getLocale(lang) {
+    return lang === 'es' ? 'es-CO' : 'en-US';
+}
+
+// 1234500 COP -> "$ 12.345" (es) / "COP 12,345" (en); 1250 USD -> "US$ 12,50" (es) / "$12.50" (en)
+export function formatMoney(cents, currency = CATALOG_CURRENCY, lang = 'en') {
+    const digits = FRACTION_DIGITS[currency] ?? 2;
+    return new Intl.NumberFormat(getLocale(lang), {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format((cents || 0) / 100);
+}
+
+/**
+ * Catalog cents to order cents at a frozen rate. `exchangeRate` is null for orders billed in the
+ * catalog currency, so their amounts pass through unchanged.
+ */
+export function convertFromCatalog(cents, exchangeRate) {
+    return exchangeRate ? Math.round(cents * exchangeRate.rate) : cents;
+}
+
+// Order cents back to catalog cents, for reports that add up orders in different currencies
+export function convertToCatalog(cents, exchangeRate) {
+    return exchangeRate ? Math.round(cents / exchangeRate.rate) : cents;
+}
+
+export function todayInBogota(date = new Date()) {
+    // en-CA formats as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Bogota' }).format(date);
+}
+
+export function isRateDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+/**
+ * Validates a rate sent by the admin UI: pesos per dollar from `effectiveDate` on.
+ * @returns {{entry: {effectiveDate: string, rate: number}}|{error: string}}
+ */
+export function normalizeExchangeRate(input = {}) {
+    if (!isRateDate(input.effectiveDate)) return { error: 'The effective date must be a valid YYYY-MM-DD date.' };
+    if (typeof input.rate !== 'number' || !(input.rate > 0) || input.rate > MAX_EXCHANGE_RATE) {
+        return { error: `The rate must be a number of pesos per dollar between 0 and ${MAX_EXCHANGE_RATE}.` };
+    }
+    return { entry: { effectiveDate: input.effectiveDate, rate: input.rate } };
+}
+
+/**
+ * The rate in force on `date`: the latest entry effective on or before it.
+ * @returns {Promise<{base: string, quote: string, rate: number, effectiveDate: string}|null>}
+ */
+export async function findExchangeRate(db, collectionPath, date = todayInBogota()) {
+    const snap = await db.collection(collectionPath)
+        .where('effectiveDate', '<=', date)
+        .orderBy('effectiveDate', 'desc')
+        .limit(1)
+        .get();
+    if (snap.empty) return null;
+    const { rate, effectiveDate } = snap.docs[0].data();
+    return { base: CATALOG_CURRENCY, quote: 'COP', rate, effectiveDate };
+}
@@ -0,0 +1,139 @@
+/**
+ * Delivery zones managed from the admin Config tab and used to price shipping from an order's
+ * `geolocation` (the checkout map pin). Resolution is done offline: no Maps API call.
+ * A zone is either
+ *   { type: 'radius',  center: { lat, lng }, radiusKm }
+ *   { type: 'polygon', polygon: [{ lat, lng }, ...] }   (at least 3 vertices, not closed)
+ * plus { name, feeCents, freeShippingThresholdCents, etaMinDays, etaMaxDays, priority, active }.
+ * When zones overlap, the lowest `priority` wins (e.g. a city-centre polygon over a metro radius).
+ * Orders outside every zone carry `shipping: null` and are quoted by staff as before.
+ * Zone fees and thresholds are in the catalog currency (see currency.js).
+ */
+
+import { convertFromCatalog } from './currency.js';
+
+export const ZONE_TYPES = ['radius', 'polygon'];
+export const MAX_POLYGON_VERTICES = 500;
+export const MAX_RADIUS_KM = 500;
+const EARTH_RADIUS_KM = 6371;
+
+function isCoordinate(point) {
+    return point && typeof point.lat === 'number' && typeof point.lng === 'number' &&
+        Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+}
+
+export function haversineKm(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Ray-casting point-in-polygon on raw lat/lng. Zones are city-sized, so treating degrees as a flat
+ * plane is accurate enough and avoids any projection.
+ */
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        const crosses = (a.lat > point.lat) !== (b.lat > point.lat) &&
+            point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+export function zoneContains(zone, point) {
+    if (zone.type === 'radius') return haversineKm(zone.center, point) <= zone.radiusKm;
+    if (zone.type === 'polygon') return pointInPolygon(point, zone.polygon);
+    return false;
+}
+
+/**
+ * @param {Array<{id: string, data: object}>} zones
+ * @returns {{id: string, data: object}|null} The active zone with the lowest priority containing the point.
+ */
+export function resolveDeliveryZone(zones, point) {
+    if (!isCoordinate(point)) return null;
+    return [...zones]
+        .filter(entry => entry.data.active !== false && zoneContains(entry.data, point))
+        .sort((a, b) => (a.data.priority || 0) - (b.data.priority || 0))[0] || null;
+}
+
+/**
+ * The shipping line stored on an order. Orders whose goods total (IVA included) reaches the zone's
+ * threshold ship free. `goodsTotalCents` and the returned fee are in the order's currency; pass the
+ * order's frozen `exchangeRate` when it is billed in pesos.
+ * @returns {{zoneId: string, zoneName: string, feeCents: number, freeShipping: boolean, etaMinDays: number, etaMaxDays: number}|null}
+ */
+export function computeShipping(zoneEntry, goodsTotalCents, exchangeRate = null) {
+    if (!zoneEntry) return null;
+    const zone = zoneEntry.data;
+    const threshold = zone.freeShippingThresholdCents;
+    const freeShipping = Number.isInteger(threshold) && threshold > 0 && goodsTotalCents >= convertFromCatalog(threshold, exchangeRate);
+    return {
+        zoneId: zoneEntry.id,
+        zoneName: zone.name,
+        feeCents: freeShipping ? 0 : convertFromCatalog(zone.feeCents, exchangeRate),
+        freeShipping,
+        etaMinDays: zone.etaMinDays,
+        etaMaxDays: zone.etaMaxDays
+    };
+}
+
+/**
+ * Loads the zones and prices shipping for a point in one call (used outside transactions: zones are
+ * configuration, not contended data).
+ */
+export async function quoteShipping(db, collectionPath, point, goodsTotalCents, exchangeRate = null) {
+    if (!isCoordinate(point)) return null;
+    const snap = await db.collection(collectionPath).get();
+    const zones = snap.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+    return computeShipping(resolveDeliveryZone(zones, point), goodsTotalCents, exchangeRate);
+}
+
+/**
+ * Validates a zone sent by the admin UI.
+ * @returns {{zone: object}|{error: string}}
+ */
+export function normalizeZone(input = {}) {
+    const name = typeof input.name === 'string' ? input.name.replace(/</g, "&lt;").replace(/>/g, "&gt;").trim() : '';
+    if (!name || name.length > 80) return { error: 'Each zone needs a name of up to 80 characters.' };
+    if (!ZONE_TYPES.includes(input.type)) return { error: `Zone type must be one of: ${ZONE_TYPES.join(', ')}.` };
+
+    const zone = { name, type: input.type };
+    if (input.type === 'radius') {
+        if (!isCoordinate(input.center)) return { error: 'A radius zone needs a valid center latitude and longitude.' };
+        if (typeof input.radiusKm !== 'number' || !(input.radiusKm > 0) || input.radiusKm > MAX_RADIUS_KM) {
+            return { error: `The radius must be between 0 and ${MAX_RADIUS_KM} km.` };
+        }
+        zone.center = { lat: input.center.lat, lng: input.center.lng };
+        zone.radiusKm = input.radiusKm;
+    } else {
+        if (!Array.isArray(input.polygon) || input.polygon.length < 3 || input.polygon.length > MAX_POLYGON_VERTICES ||
+            !input.polygon.every(isCoordinate)) {
+            return { error: `A polygon zone needs between 3 and ${MAX_POLYGON_VERTICES} valid lat,lng vertices.` };
+        }
+        zone.polygon = input.polygon.map(point => ({ lat: point.lat, lng: point.lng }));
+    }
+
+    if (!Number.isInteger(input.feeCents) || input.feeCents < 0) return { error: 'The fee must be a whole number of cents (0 or more).' };
+    const threshold = input.freeShippingThresholdCents;
+    if (threshold !== null && threshold !== undefined && (!Number.isInteger(threshold) || threshold < 0)) {
+        return { error: 'The free-shipping threshold must be a whole number of cents, or empty for none.' };
+    }
+    if (!Number.isInteger(input.etaMinDays) || !Number.isInteger(input.etaMaxDays) || input.etaMinDays < 0 || input.etaMaxDays < input.etaMinDays) {
+        return { error: 'The ETA needs whole minimum and maximum days, with the maximum not below the minimum.' };
+    }
+
+    zone.feeCents = input.feeCents;
+    zone.freeShippingThresholdCents = threshold > 0 ? threshold : null;
+    zone.etaMinDays = input.etaMinDays;
+    zone.etaMaxDays = input.etaMaxDays;
+    zone.priority = Number.isInteger(input.priority) ? input.priority : 0;
+    zone.active = input.active !== false;
+    return { zone };
+}
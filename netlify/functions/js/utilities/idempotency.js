@@ -0,0 +1,128 @@
+/**
+ * Idempotency-Key support for functions that create orders or send emails.
+ * The first request with a key claims it; the final response is stored for 24 hours and any replay
+ * with the same key gets that stored response back instead of running the function again.
+ * Keys are scoped to the caller (signed-in UID, otherwise client IP), so one caller can never replay
+ * another's response, and each record keeps a hash of the request body: the same key sent again with
+ * a different body is refused with 422 instead of returning the first response.
+ * Keys built by other functions for the event they stand for ("<orderId>:ledger:<entryId>",
+ * "<orderId>:confirmation", ...) share one internal scope instead: those calls leave from whichever
+ * lambda instance runs the caller, so a retry rarely comes from the same IP.
+ * Records carry an `expiresAt` Timestamp so a Firestore TTL policy on that field can remove them;
+ * expired records are ignored either way.
+ */
+import { createHash } from 'crypto';
+
+export const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+export const IDEMPOTENCY_COLLECTION_PATH = process.env.IDEMPOTENCY_COLLECTION_PATH || 'admin/idempotency/keys';
+
+// A claim older than this is treated as abandoned (the function timed out or crashed)
+const IN_PROGRESS_TIMEOUT_MS = 60 * 1000;
+const KEY_PATTERN = /^[A-Za-z0-9:_.-]{8,200}$/;
+
+/**
+ * Reads the Idempotency-Key header (Netlify lowercases header names).
+ * @returns {string|null|false} The key, null when absent, false when malformed.
+ */
+export function getIdempotencyKey(headers = {}) {
+    const key = headers['idempotency-key'] || headers['Idempotency-Key'];
+    if (!key) return null;
+    return KEY_PATTERN.test(key) ? key : false;
+}
+
+// Netlify sends the client address in these headers; behind other proxies the first forwarded hop is the client
+function getClientIp(headers = {}) {
+    const forwarded = headers['x-forwarded-for'];
+    return headers['x-nf-client-connection-ip'] || headers['client-ip'] || (forwarded ? forwarded.split(',')[0].trim() : '') || 'unknown';
+}
+
+const sha256 = value => createHash('sha256').update(value).digest('hex');
+
+// Browser keys are UUIDs; keys sent by other functions join ids and event names with colons
+function isServerKey(key) {
+    return key.includes(':');
+}
+
+/**
+ * Claims the request's Idempotency-Key for `scope` (usually the function name) and the caller.
+ * Returns `{ response }` when the caller must return immediately (replay, request still running,
+ * key reused with another body, or malformed key). Otherwise returns `{ complete }`: pass every
+ * final response through it so it is stored. Responses with a 5xx status release the key instead,
+ * so the client can retry.
+ * Requests without the header are not tracked and `complete` returns the response unchanged.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} scope
+ * @param {Object} event - The Netlify event (its headers and body are read).
+ * @param {string|null} [callerId] - The verified UID of the caller; without one, server keys use the
+ *   internal scope and other keys the client IP.
+ */
+export async function claimIdempotencyKey(db, scope, event, callerId = null) {
+    const headers = event.headers || {};
+    const key = getIdempotencyKey(headers);
+    if (key === null) return { complete: response => response };
+    if (key === false) {
+        return { response: { statusCode: 400, body: JSON.stringify({ error: 'Invalid Idempotency-Key header.' }) } };
+    }
+
+    const caller = callerId ? `uid:${callerId}` : isServerKey(key) ? 'internal' : `ip:${getClientIp(headers)}`;
+    const docId = sha256(`${scope}:${caller}:${key}`);
+    const bodyHash = sha256(event.body || '');
+    const recordRef = db.collection(IDEMPOTENCY_COLLECTION_PATH).doc(docId);
+    const now = Date.now();
+
+    const existing = await db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(recordRef);
+        const record = snap.exists ? snap.data() : null;
+        const isLive = record && record.expiresAt && record.expiresAt.toMillis() > now;
+
+        if (isLive && record.bodyHash && record.bodyHash !== bodyHash) return { status: 'mismatch' };
+        if (isLive && record.status === 'completed') return record;
+        if (isLive && record.status === 'in_progress' && now - record.startedAt.toMillis() < IN_PROGRESS_TIMEOUT_MS) return record;
+
+        transaction.set(recordRef, {
+            scope,
+            caller,
+            bodyHash,
+            status: 'in_progress',
+            startedAt: new Date(now),
+            expiresAt: new Date(now + IDEMPOTENCY_TTL_MS),
+        });
+        return null;
+    });
+
+    if (existing && existing.status === 'mismatch') {
+        return { response: { statusCode: 422, body: JSON.stringify({ error: 'The request body does not match the earlier request sent with this key.' }) } };
+    }
+    if (existing && existing.status === 'completed') {
+        console.log(`Idempotent replay for ${scope} (record ${docId}).`);
+        return {
+            response: {
+                ...existing.response,
+                headers: { ...(existing.response.headers || {}), 'Idempotent-Replayed': 'true' },
+            },
+        };
+    }
+    if (existing) {
+        return { response: { statusCode: 409, body: JSON.stringify({ error: 'A request with this Idempotency-Key is still being processed.' }) } };
+    }
+
+    return {
+        async complete(response) {
+            try {
+                if (response.statusCode >= 500) {
+                    await recordRef.delete();
+                } else {
+                    await recordRef.set({
+                        status: 'completed',
+                        response: { statusCode: response.statusCode, headers: response.headers || null, body: response.body },
+                        completedAt: new Date(),
+                    }, { merge: true });
+                }
+            } catch (error) {
+                // The work is done; failing to record it must not turn a success into an error
+                console.error(`Failed to record idempotent response for ${scope}:`, error);
+            }
+            return response;
+        },
+    };
+}
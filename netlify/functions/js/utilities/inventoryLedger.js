@@ -0,0 +1,202 @@
+/**
+ * Append-only inventory ledger. Every change to an item's stock is written as a movement in the
+ * same transaction that moves the balance, so each location's units always equal the item's opening
+ * balance there plus the sum of its movements at that location. Movements are only ever added, never
+ * edited or deleted; a mistake is corrected with another movement.
+ * Movement types and their quantityDelta:
+ *   receipt      +qty     units received against a purchase order
+ *   sale         -qty     units taken by an order (checkout, admin order, order edit or a backorder allocation)
+ *   return       ±qty     units restocked from a return, a cancelled order or lines removed from an order (negative when reversed)
+ *   adjustment   ±qty     manual correction from the Inventory tab (counts, damage, opening stock)
+ *   transfer     ±qty     one leg of a move between locations; both legs share a transferId
+ *   reservation   0       a checkout hold placed or released; heldDelta records the change in units held
+ * Every movement but a reservation names its location (see stockLocations.js); `stock` is rewritten
+ * as the sellable total whenever a location changes.
+ * Items that predate the ledger get `stockLedger.openingBalances` (their units then) on their first movement.
+ */
+import { randomBytes } from 'crypto';
+import { DEFAULT_LOCATION, LOCATION_IDS, getStockByLocation, getSellableStock, isStockLocation } from './stockLocations.js';
+
+export const INVENTORY_MOVEMENTS_COLLECTION_PATH = process.env.INVENTORY_MOVEMENTS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/inventoryMovements';
+
+export const MOVEMENT_TYPES = ['receipt', 'sale', 'return', 'adjustment', 'transfer', 'reservation'];
+
+// The documents a movement can point back to
+export const MOVEMENT_REFERENCE_KINDS = ['order', 'purchaseOrder', 'return', 'reservation', 'manual'];
+
+const MAX_NOTE_LENGTH = 200;
+
+function stockOf(item) {
+    return typeof item.stock === 'number' ? item.stock : 0;
+}
+
+/**
+ * Opening units per location. Items opened on the ledger before locations existed recorded a single
+ * `openingBalance`, which was all at DEFAULT_LOCATION.
+ */
+export function getOpeningBalances(item = {}) {
+    const ledger = item.stockLedger || {};
+    const balances = Object.fromEntries(LOCATION_IDS.map(id => [id, 0]));
+    if (ledger.openingBalances) {
+        LOCATION_IDS.forEach(id => { balances[id] = ledger.openingBalances[id] || 0; });
+    } else {
+        balances[DEFAULT_LOCATION] = ledger.openingBalance || 0;
+    }
+    return balances;
+}
+
+/**
+ * Collects the movements of one transaction and works out each item's running balances.
+ * Call `move` / `transfer` while planning (after every read), then `write(transaction)` once to
+ * stage the item balances and the movement documents (a WriteBatch works too). A ledger belongs to
+ * one transaction attempt: create it inside the runTransaction callback so a retry starts from fresh reads.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{performedBy: string}} options - Admin email, uid or `system:<function>` for the movements.
+ */
+export function createInventoryLedger(db, { performedBy }) {
+    const items = new Map();
+    const movements = [];
+    const at = new Date();
+
+    function entryFor(itemSnap) {
+        let entry = items.get(itemSnap.id);
+        if (!entry) {
+            const item = itemSnap.data();
+            entry = { ref: itemSnap.ref, item, balances: getStockByLocation(item), changed: false };
+            items.set(itemSnap.id, entry);
+        }
+        return entry;
+    }
+
+    const ledger = {
+        /**
+         * Records one movement against an item already read in this transaction.
+         * @param {FirebaseFirestore.DocumentSnapshot} itemSnap
+         * @param {{type: string, location?: string, quantityDelta?: number, heldDelta?: number,
+         *          reference?: {kind: string, id: string, number?: string}, note?: string, transferId?: string}} movement
+         * @returns {number} The location's balance after the movement (the sellable total for reservations).
+         */
+        move(itemSnap, { type, location = DEFAULT_LOCATION, quantityDelta = 0, heldDelta = 0, reference = null, note = '', transferId = null }) {
+            if (!MOVEMENT_TYPES.includes(type)) throw new Error(`Unknown inventory movement type "${type}".`);
+            if (!Number.isInteger(quantityDelta) || !Number.isInteger(heldDelta)) throw new Error('Inventory movements must be whole units.');
+            if (type === 'reservation' ? quantityDelta !== 0 : heldDelta !== 0) {
+                throw new Error('Only reservation movements change held units, and they never change stock.');
+            }
+            const isReservation = type === 'reservation';
+            if (!isReservation && !isStockLocation(location)) throw new Error(`Unknown stock location "${location}".`);
+
+            const entry = entryFor(itemSnap);
+            const name = entry.item.name || itemSnap.id;
+            let balanceBefore;
+            let balanceAfter;
+            if (isReservation) {
+                balanceBefore = balanceAfter = getSellableStock(entry.balances);
+            } else {
+                balanceBefore = entry.balances[location];
+                balanceAfter = balanceBefore + quantityDelta;
+                if (balanceAfter < 0) throw new Error(`${name} cannot go below zero stock at ${location}.`);
+                entry.balances[location] = balanceAfter;
+                if (quantityDelta !== 0) entry.changed = true;
+            }
+
+            movements.push({
+                itemId: itemSnap.id,
+                itemName: entry.item.name || null,
+                sku: entry.item.sku || null,
+                type,
+                location: isReservation ? null : location,
+                quantityDelta,
+                heldDelta,
+                balanceBefore,
+                balanceAfter,
+                stockAfter: getSellableStock(entry.balances),
+                transferId,
+                reference: reference && MOVEMENT_REFERENCE_KINDS.includes(reference.kind)
+                    ? { kind: reference.kind, id: reference.id || null, number: reference.number || null }
+                    : null,
+                note: typeof note === 'string' ? note.trim().substring(0, MAX_NOTE_LENGTH) : '',
+                performedBy,
+                at
+            });
+            return balanceAfter;
+        },
+
+        /**
+         * Moves units between two locations as a pair of transfer movements sharing a transferId.
+         * @returns {string} The transferId.
+         */
+        transfer(itemSnap, { from, to, quantity, reference = null, note = '' }) {
+            if (from === to) throw new Error('A transfer needs two different locations.');
+            if (!Number.isInteger(quantity) || quantity <= 0) throw new Error('A transfer moves a positive whole number of units.');
+            const transferId = `TRF-${randomBytes(6).toString('hex').toUpperCase()}`;
+            ledger.move(itemSnap, { type: 'transfer', location: from, quantityDelta: -quantity, reference, note, transferId });
+            ledger.move(itemSnap, { type: 'transfer', location: to, quantityDelta: quantity, reference, note, transferId });
+            return transferId;
+        },
+
+        // The item's units per location so far in this transaction (from the snapshot before any movement)
+        stockByLocation(itemSnap) {
+            return { ...entryFor(itemSnap).balances };
+        },
+
+        // The item's sellable total so far in this transaction, or null when it has no movements yet
+        balance(itemId) {
+            const entry = items.get(itemId);
+            return entry ? getSellableStock(entry.balances) : null;
+        },
+
+        get movements() {
+            return movements;
+        },
+
+        /**
+         * Stages the new balances and the movements. Items whose stock did not change (reservations
+         * only) are left untouched.
+         */
+        write(transaction) {
+            items.forEach(entry => {
+                if (!entry.changed) return;
+                const update = {
+                    stock: getSellableStock(entry.balances),
+                    stockByLocation: entry.balances,
+                    'stockLedger.lastMovementAt': at,
+                    updatedAt: at
+                };
+                if (!entry.item.stockLedger) {
+                    update.stockLedger = { openingBalances: getStockByLocation(entry.item), openedAt: at, lastMovementAt: at };
+                    delete update['stockLedger.lastMovementAt'];
+                } else if (!entry.item.stockLedger.openingBalances) {
+                    update['stockLedger.openingBalances'] = getOpeningBalances(entry.item);
+                }
+                transaction.update(entry.ref, update);
+            });
+            movements.forEach(movement => transaction.set(db.collection(INVENTORY_MOVEMENTS_COLLECTION_PATH).doc(), movement));
+        }
+    };
+    return ledger;
+}
+
+/**
+ * Compares an item's units per location to its opening balances plus its movements there, and its
+ * `stock` to the sellable total those add up to.
+ * @param {object} item - The item document.
+ * @param {Object<string, number>} movementTotals - Sum of the item's quantityDelta values per location.
+ * @returns {{expected: number, actual: number, difference: number, locations: Array<object>}|null}
+ *          null when everything agrees or the item has never had a movement.
+ */
+export function findBalanceMismatch(item, movementTotals = {}) {
+    const hasMovements = Object.values(movementTotals).some(total => total !== 0);
+    if (!item.stockLedger && !hasMovements) return null;
+
+    const opening = getOpeningBalances(item);
+    const actualByLocation = getStockByLocation(item);
+    const expectedByLocation = Object.fromEntries(LOCATION_IDS.map(id => [id, opening[id] + (movementTotals[id] || 0)]));
+    const locations = LOCATION_IDS
+        .filter(id => expectedByLocation[id] !== actualByLocation[id])
+        .map(id => ({ location: id, expected: expectedByLocation[id], actual: actualByLocation[id] }));
+
+    const expected = getSellableStock(expectedByLocation);
+    const actual = stockOf(item);
+    if (expected === actual && locations.length === 0) return null;
+    return { expected, actual, difference: actual - expected, locations };
+}
@@ -0,0 +1,674 @@
+/**
+ * Electronic invoices (facturas electrónicas de venta) in the UBL 2.1 structure used by the DIAN's
+ * Anexo Técnico 1.9. An invoice is issued once per order, from the order's frozen lines, taxes and
+ * currency, and numbered from the DIAN-authorized ranges in the admin config (`invoiceSettings`):
+ *   { seller: { nit, legalName, tradeName, address, cityCode, cityName, departmentCode, departmentName,
+ *               email, phone, taxResponsibilities, taxScheme },
+ *     environment: '1' (production) | '2' (habilitación / test), softwareId,
+ *     ranges: [{ prefix, resolutionNumber, resolutionDate, validFrom, validTo, from, to, technicalKey }] }
+ * The issued invoice is kept as a snapshot in the invoices collection (its ID is the invoice number),
+ * so the XML and the PDF can be rebuilt byte for byte at any time. The XML is left unsigned and untransmitted
+ * (status 'pending_transmission'): signing it and sending it to the DIAN is a later step.
+ * Refunds after invoicing need an electronic credit note, which is not issued here.
+ */
+import { createHash } from 'crypto';
+import { formatMoney, todayInBogota, isRateDate, findExchangeRate } from './currency.js';
+import { getTaxCategory, getTaxLabel, getWithholdingLabel, formatTaxRate, getAmountDueCents } from './taxes.js';
+import { computePaidCents } from './paymentLedger.js';
+
+export const INVOICE_COUNTER_DOC_PATH = process.env.INVOICE_COUNTER_DOC_PATH || 'admin/invoiceCounter';
+export const INVOICE_ENVIRONMENTS = ['1', '2'];
+export const MAX_INVOICE_RANGES = 10;
+// Identifies an end consumer who gave no tax ID ("consumidor final")
+export const FINAL_CONSUMER_ID = '222222222222';
+
+const DIAN_NIT = '800197268';
+const QR_BASE_URLS = {
+    '1': 'https://catalogo-vpfe.dian.gov.co/document/searchqr?documentkey=',
+    '2': 'https://catalogo-vpfe-hab.dian.gov.co/document/searchqr?documentkey='
+};
+const DV_WEIGHTS = [3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71];
+
+/**
+ * The DIAN check digit (dígito de verificación) of a NIT.
+ * @param {string} nit - Digits only, without the check digit.
+ */
+export function computeNitCheckDigit(nit) {
+    const digits = String(nit).split('').reverse();
+    const sum = digits.reduce((total, digit, index) => total + Number(digit) * DV_WEIGHTS[index], 0);
+    const remainder = sum % 11;
+    return String(remainder > 1 ? 11 - remainder : remainder);
+}
+
+/**
+ * Splits a tax ID typed by a buyer ("900.123.456-7", "900123456") into its number and check digit.
+ * @returns {{number: string, dv: string}|null}
+ */
+export function parseNit(value) {
+    const match = /^([\d.\s]{5,20})(?:-(\d))?$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const number = match[1].replace(/[.\s]/g, '');
+    if (number.length < 5 || number.length > 15) return null;
+    return { number, dv: match[2] || computeNitCheckDigit(number) };
+}
+
+const text = (value, max) => typeof value === 'string' ? value.replace(/[<>]/g, '').trim().substring(0, max) : '';
+
+/**
+ * Validates the `invoiceSettings` sent by the admin config panel.
+ * @returns {{settings: object}|{error: string}}
+ */
+export function normalizeInvoiceSettings(input = {}) {
+    const seller = input.seller || {};
+    const nit = String(seller.nit || '').replace(/\D/g, '');
+    if (nit.length < 5 || nit.length > 15) return { error: 'The seller NIT needs 5 to 15 digits (without the check digit).' };
+    const legalName = text(seller.legalName, 200);
+    const address = text(seller.address, 200);
+    if (!legalName || !address) return { error: 'The seller legal name and address are required.' };
+    if (!/^\d{5}$/.test(seller.cityCode || '') || !/^\d{2}$/.test(seller.departmentCode || '')) {
+        return { error: 'The city code needs 5 digits and the department code 2 (DIVIPOLA, e.g. 11001 and 11 for Bogotá).' };
+    }
+    const taxResponsibilities = text(seller.taxResponsibilities, 60).toUpperCase() || 'R-99-PN';
+    if (!/^[A-Z0-9.-]+(;[A-Z0-9.-]+)*$/.test(taxResponsibilities)) {
+        return { error: 'Tax responsibilities are DIAN codes separated by ";" (e.g. O-13;O-15).' };
+    }
+
+    if (!INVOICE_ENVIRONMENTS.includes(input.environment)) return { error: 'The environment must be "1" (production) or "2" (test).' };
+
+    const ranges = Array.isArray(input.ranges) ? input.ranges : [];
+    if (ranges.length === 0 || ranges.length > MAX_INVOICE_RANGES) {
+        return { error: `Add between 1 and ${MAX_INVOICE_RANGES} authorized numbering ranges.` };
+    }
+    const normalizedRanges = [];
+    for (const range of ranges) {
+        const prefix = String(range.prefix || '').trim().toUpperCase();
+        const resolutionNumber = String(range.resolutionNumber || '').replace(/\D/g, '');
+        if (!/^[A-Z0-9]{0,4}$/.test(prefix)) return { error: 'A range prefix can have up to 4 letters or digits.' };
+        if (!resolutionNumber) return { error: 'Every range needs its DIAN resolution number.' };
+        if (![range.resolutionDate, range.validFrom, range.validTo].every(isRateDate)) {
+            return { error: `Range ${prefix || resolutionNumber}: resolution and validity dates must be YYYY-MM-DD.` };
+        }
+        if (range.validTo < range.validFrom) return { error: `Range ${prefix || resolutionNumber}: the validity ends before it starts.` };
+        if (!Number.isInteger(range.from) || !Number.isInteger(range.to) || range.from < 1 || range.to < range.from) {
+            return { error: `Range ${prefix || resolutionNumber}: "from" and "to" must be whole numbers with from ≤ to.` };
+        }
+        const technicalKey = String(range.technicalKey || '').trim();
+        if (!/^[A-Za-z0-9]{1,128}$/.test(technicalKey)) return { error: `Range ${prefix || resolutionNumber}: the technical key (clave técnica) is required.` };
+        normalizedRanges.push({
+            prefix, resolutionNumber, resolutionDate: range.resolutionDate, validFrom: range.validFrom, validTo: range.validTo,
+            from: range.from, to: range.to, technicalKey
+        });
+    }
+
+    return {
+        settings: {
+            seller: {
+                nit,
+                dv: computeNitCheckDigit(nit),
+                legalName,
+                tradeName: text(seller.tradeName, 200) || legalName,
+                address,
+                cityCode: seller.cityCode,
+                cityName: text(seller.cityName, 60),
+                departmentCode: seller.departmentCode,
+                departmentName: text(seller.departmentName, 60),
+                email: text(seller.email, 120),
+                phone: text(seller.phone, 30),
+                taxResponsibilities,
+                // '01' = responsable de IVA, 'ZZ' = no responsable
+                taxScheme: seller.taxScheme === 'ZZ' ? 'ZZ' : '01'
+            },
+            environment: input.environment,
+            softwareId: text(input.softwareId, 100),
+            ranges: normalizedRanges
+        }
+    };
+}
+
+export function getRangeKey(range) {
+    return `${range.prefix || 'NOPREFIX'}_${range.resolutionNumber}`;
+}
+
+/**
+ * The first configured range in force on `date` that still has numbers left.
+ * @param {object} counters - The invoice counter document: last number issued per range key.
+ * @returns {{range: object, sequence: number}|null}
+ */
+export function pickNumberingRange(ranges, counters = {}, date = todayInBogota()) {
+    for (const range of ranges) {
+        if (date < range.validFrom || date > range.validTo) continue;
+        const sequence = Math.max((counters[getRangeKey(range)] || 0) + 1, range.from);
+        if (sequence <= range.to) return { range, sequence };
+    }
+    return null;
+}
+
+const amount = cents => ((cents || 0) / 100).toFixed(2);
+const percent = rate => (rate * 100).toFixed(2);
+
+// Spreads `total` over `weights` in proportion, the last weighted entry taking the rounding remainder
+function spread(total, weights) {
+    const sum = weights.reduce((acc, weight) => acc + weight, 0);
+    const lastIndex = weights.reduce((last, weight, index) => weight > 0 ? index : last, -1);
+    let remaining = total;
+    return weights.map((weight, index) => {
+        if (sum === 0 || weight <= 0) return 0;
+        const share = index === lastIndex ? remaining : Math.floor(total * weight / sum);
+        remaining -= share;
+        return share;
+    });
+}
+
+/**
+ * CUFE (código único de factura electrónica): SHA-384 of the invoice number, date, time, amounts,
+ * tax totals for IVA (01), INC (04) and ICA (03), seller and buyer IDs, technical key and environment.
+ */
+export function computeCufe(invoice, technicalKey) {
+    const ivaCents = invoice.taxTotals.reduce((sum, line) => sum + line.taxCents, 0);
+    const source = [
+        invoice.number, invoice.issueDate, invoice.issueTime,
+        amount(invoice.totals.lineExtensionCents),
+        '01', amount(ivaCents), '04', amount(0), '03', amount(0),
+        amount(invoice.totals.payableCents),
+        invoice.seller.nit, invoice.buyer.idNumber, technicalKey, invoice.environment
+    ].join('');
+    return createHash('sha384').update(source).digest('hex');
+}
+
+/**
+ * Freezes an order into an invoice. Each tax category's base and IVA are spread over its lines so the
+ * line amounts add up exactly to the order's tax lines; the delivery fee is a document-level charge
+ * outside the IVA base (see taxes.js).
+ * @param {object|null} copExchangeRate - The rate in force on the issue date, for invoices in dollars.
+ */
+export function buildInvoiceSnapshot(order, orderId, settings, { range, sequence }, copExchangeRate = null, issuedAt = new Date()) {
+    const taxSettings = order.taxSettings || {};
+    const items = order.items || [];
+    const netAmounts = items.map(item => item.price * item.quantity - (item.discountCents || 0));
+    const lines = items.map((item, index) => ({
+        id: item.id,
+        sku: item.sku || null,
+        name: item.name,
+        quantity: item.quantity,
+        taxCategory: getTaxCategory(item),
+        netCents: netAmounts[index],
+        discountCents: item.discountCents || 0
+    }));
+
+    const taxTotals = order.taxLines.map(taxLine => {
+        const weights = lines.map(line => line.taxCategory === taxLine.category ? Math.max(line.netCents, 0) : 0);
+        const bases = spread(taxLine.baseCents, weights);
+        const taxes = spread(taxLine.taxCents, weights);
+        lines.forEach((line, index) => {
+            if (line.taxCategory !== taxLine.category) return;
+            line.rate = taxLine.rate;
+            line.lineExtensionCents = bases[index];
+            line.taxCents = taxes[index];
+        });
+        return { category: taxLine.category, rate: taxLine.rate, baseCents: taxLine.baseCents, taxCents: taxLine.taxCents };
+    });
+    const invoiceLines = lines.map(({ netCents, discountCents, ...line }) => {
+        const rate = line.rate ?? 0;
+        const lineExtensionCents = line.lineExtensionCents ?? 0;
+        // Discounts are on tax-inclusive amounts when catalog prices include IVA
+        const allowanceCents = discountCents > 0 ? (taxSettings.pricesIncludeTax === false ? discountCents : Math.round(discountCents / (1 + rate))) : 0;
+        return {
+            ...line,
+            rate,
+            lineExtensionCents,
+            taxCents: line.taxCents ?? 0,
+            allowanceCents,
+            unitPriceCents: (lineExtensionCents + allowanceCents) / line.quantity
+        };
+    });
+
+    const subtotalCents = order.subtotalCents;
+    const taxCents = order.taxCents;
+    const chargeCents = order.shipping && !order.shipping.freeShipping ? order.shipping.feeCents : 0;
+    const buyerNit = parseNit(order.buyerTaxId);
+    const invoice = {
+        number: `${range.prefix}${sequence}`,
+        prefix: range.prefix,
+        sequence,
+        rangeKey: getRangeKey(range),
+        resolution: {
+            number: range.resolutionNumber, date: range.resolutionDate, validFrom: range.validFrom, validTo: range.validTo,
+            from: range.from, to: range.to
+        },
+        environment: settings.environment,
+        softwareId: settings.softwareId || '',
+        issuedAt: issuedAt.toISOString(),
+        issueDate: todayInBogota(issuedAt),
+        issueTime: `${new Intl.DateTimeFormat('en-GB', { timeZone: 'America/Bogota', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' }).format(issuedAt)}-05:00`,
+        orderId,
+        orderNumber: order.orderNumber || orderId,
+        language: (order.language || order.communicationLang) === 'en' ? 'en' : 'es',
+        currency: order.currency || 'USD',
+        // Invoices in dollars state the peso rate of the issue date (orders in pesos need none)
+        copExchangeRate: order.currency === 'COP' ? null : copExchangeRate,
+        seller: settings.seller,
+        buyer: {
+            name: order.buyerName || '',
+            email: order.buyerEmail || '',
+            phone: order.buyerPhone || '',
+            address: order.deliveryAddress || '',
+            // NIT (31) for business buyers, otherwise the DIAN's generic final consumer (13)
+            idType: buyerNit ? '31' : '13',
+            idNumber: buyerNit ? buyerNit.number : FINAL_CONSUMER_ID,
+            dv: buyerNit ? buyerNit.dv : null
+        },
+        lines: invoiceLines,
+        taxTotals,
+        withholding: order.withholding || null,
+        discount: order.discount ? { code: order.discount.code, description: order.discount.description || '' } : null,
+        shipping: chargeCents > 0 ? { zoneName: order.shipping.zoneName, feeCents: chargeCents } : null,
+        totals: {
+            lineExtensionCents: subtotalCents,
+            taxExclusiveCents: subtotalCents,
+            taxInclusiveCents: subtotalCents + taxCents,
+            taxCents,
+            chargeCents,
+            payableCents: order.totalCents
+        },
+        xmlPath: `invoices/${range.prefix}${sequence}.xml`,
+        pdfPath: `invoices/${range.prefix}${sequence}.pdf`,
+        status: 'pending_transmission'
+    };
+    invoice.cufe = computeCufe(invoice, range.technicalKey);
+    // Código de seguridad del software: SHA-384 of the software ID, its PIN and the invoice number
+    invoice.softwareSecurityCode = createHash('sha384').update(`${invoice.softwareId}${process.env.DIAN_SOFTWARE_PIN || ''}${invoice.number}`).digest('hex');
+    invoice.qrUrl = `${QR_BASE_URLS[invoice.environment]}${invoice.cufe}`;
+    return invoice;
+}
+
+/**
+ * Issues the order's invoice, or returns the one it already has. Reads the order, the invoice settings
+ * and the numbering counter in one transaction, so two receipts for the same order never use two numbers.
+ * Only orders whose stored payment ledger covers the amount due are invoiced, unless `allowUnpaid` is
+ * set by an admin invoicing a credit sale (generateInvoice).
+ * Errors carry a statusCode for the calling function.
+ * @returns {Promise<{invoice: object, created: boolean}>}
+ */
+export async function issueOrderInvoice(db, { ordersCollection, invoicesCollection, exchangeRatesCollection, configDocPath, orderId, issuedBy, allowUnpaid = false }) {
+    const orderRef = db.collection(ordersCollection).doc(orderId);
+    const counterRef = db.doc(INVOICE_COUNTER_DOC_PATH);
+    const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+    const copExchangeRate = await findExchangeRate(db, exchangeRatesCollection);
+
+    return db.runTransaction(async (transaction) => {
+        const [orderSnap, configSnap, counterSnap] = await transaction.getAll(orderRef, db.doc(configDocPath), counterRef);
+        if (!orderSnap.exists) throw fail(`Order ${orderId} not found.`, 404);
+        const order = orderSnap.data();
+
+        if (order.invoice) {
+            const invoiceSnap = await transaction.get(db.collection(invoicesCollection).doc(order.invoice.number));
+            if (!invoiceSnap.exists) throw fail(`Invoice ${order.invoice.number} of order ${orderId} is missing.`, 500);
+            return { invoice: invoiceSnap.data(), created: false };
+        }
+        if (order.status === 'Cancelled') throw fail('Cancelled orders cannot be invoiced.', 409);
+        if (!allowUnpaid && computePaidCents(order.paymentHistory) < getAmountDueCents(order)) {
+            throw fail(`Order ${order.orderNumber || orderId} is not paid in full and cannot be invoiced automatically.`, 409);
+        }
+        if (!Array.isArray(order.taxLines)) throw fail(`Order ${order.orderNumber || orderId} was placed before taxes were recorded and cannot be invoiced electronically.`, 422);
+
+        const settings = configSnap.exists ? configSnap.data().invoiceSettings : null;
+        if (!settings || !Array.isArray(settings.ranges)) throw fail('Electronic invoicing is not configured.', 409);
+        const numbering = pickNumberingRange(settings.ranges, counterSnap.exists ? counterSnap.data() : {});
+        if (!numbering) throw fail('No authorized numbering range is in force with numbers left. Add a new DIAN resolution.', 409);
+
+        if (order.currency !== 'COP' && !copExchangeRate) throw fail('Invoices in USD need a USD→COP exchange rate; add one in the config tab.', 409);
+
+        const invoice = { ...buildInvoiceSnapshot(order, orderId, settings, numbering, copExchangeRate), issuedBy };
+        transaction.set(db.collection(invoicesCollection).doc(invoice.number), invoice);
+        transaction.update(orderRef, {
+            invoice: { number: invoice.number, cufe: invoice.cufe, issuedAt: invoice.issuedAt, xmlPath: invoice.xmlPath, pdfPath: invoice.pdfPath }
+        });
+        transaction.set(counterRef, { [invoice.rangeKey]: numbering.sequence, updatedAt: invoice.issuedAt }, { merge: true });
+        return { invoice, created: true };
+    });
+}
+
+/**
+ * Issues the invoice of an order that a payment just settled, when electronic invoicing is configured.
+ * Called by the functions that record payments (recordPaymentEntry, paymentWebhook) after the ledger
+ * transaction commits; the receipt email then attaches the invoice the order already has.
+ * @returns {Promise<{invoice: object, created: boolean}|null>} null when invoicing is not configured.
+ */
+export async function issuePaidOrderInvoice(db, options) {
+    const configSnap = await db.doc(options.configDocPath).get();
+    if (!configSnap.exists || !configSnap.data().invoiceSettings) return null;
+    return issueOrderInvoice(db, { ...options, allowUnpaid: false });
+}
+
+const xml = value => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function taxSubtotalXml(currency, baseCents, taxCents, rate, schemeId, schemeName) {
+    return `
+            <cac:TaxSubtotal>
+                <cbc:TaxableAmount currencyID="${currency}">${amount(baseCents)}</cbc:TaxableAmount>
+                <cbc:TaxAmount currencyID="${currency}">${amount(taxCents)}</cbc:TaxAmount>
+                <cac:TaxCategory>
+                    <cbc:Percent>${percent(rate)}</cbc:Percent>
+                    <cac:TaxScheme>
+                        <cbc:ID>${schemeId}</cbc:ID>
+                        <cbc:Name>${schemeName}</cbc:Name>
+                    </cac:TaxScheme>
+                </cac:TaxCategory>
+            </cac:TaxSubtotal>`;
+}
+
+function addressXml(tag, { cityCode, cityName, departmentCode, departmentName, address }) {
+    return `
+                <${tag}>
+                    ${cityCode ? `<cbc:ID>${xml(cityCode)}</cbc:ID>` : ''}
+                    ${cityName ? `<cbc:CityName>${xml(cityName)}</cbc:CityName>` : ''}
+                    ${departmentName ? `<cbc:CountrySubentity>${xml(departmentName)}</cbc:CountrySubentity>` : ''}
+                    ${departmentCode ? `<cbc:CountrySubentityCode>${xml(departmentCode)}</cbc:CountrySubentityCode>` : ''}
+                    <cac:AddressLine>
+                        <cbc:Line>${xml(address)}</cbc:Line>
+                    </cac:AddressLine>
+                    <cac:Country>
+                        <cbc:IdentificationCode>CO</cbc:IdentificationCode>
+                        <cbc:Name languageID="es">Colombia</cbc:Name>
+                    </cac:Country>
+                </${tag}>`;
+}
+
+/**
+ * The invoice as a UBL 2.1 document with the DIAN extensions. The second UBLExtension is left empty
+ * for the XAdES signature added when the document is transmitted.
+ */
+export function buildInvoiceXml(invoice) {
+    const currency = invoice.currency;
+    const { seller, buyer, totals } = invoice;
+    const ivaCents = invoice.taxTotals.reduce((sum, line) => sum + line.taxCents, 0);
+    const buyerIsCompany = buyer.idType === '31';
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+    xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+    xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2"
+    xmlns:ext="urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2"
+    xmlns:sts="dian:gov:co:facturaelectronica:Structures-2-1"
+    xmlns:ds="http://www.w3.org/2000/09/xmldsig#">
+    <ext:UBLExtensions>
+        <ext:UBLExtension>
+            <ext:ExtensionContent>
+                <sts:DianExtensions>
+                    <sts:InvoiceControl>
+                        <sts:InvoiceAuthorization>${xml(invoice.resolution.number)}</sts:InvoiceAuthorization>
+                        <sts:AuthorizationPeriod>
+                            <cbc:StartDate>${invoice.resolution.validFrom}</cbc:StartDate>
+                            <cbc:EndDate>${invoice.resolution.validTo}</cbc:EndDate>
+                        </sts:AuthorizationPeriod>
+                        <sts:AuthorizedInvoices>
+                            ${invoice.prefix ? `<sts:Prefix>${xml(invoice.prefix)}</sts:Prefix>` : ''}
+                            <sts:From>${invoice.resolution.from}</sts:From>
+                            <sts:To>${invoice.resolution.to}</sts:To>
+                        </sts:AuthorizedInvoices>
+                    </sts:InvoiceControl>
+                    <sts:InvoiceSource>
+                        <cbc:IdentificationCode listAgencyID="6" listAgencyName="United Nations Economic Commission for Europe" listSchemeURI="urn:oasis:names:specification:ubl:codelist:gc:CountryIdentificationCode-2.1">CO</cbc:IdentificationCode>
+                    </sts:InvoiceSource>
+                    <sts:SoftwareProvider>
+                        <sts:ProviderID schemeAgencyID="195" schemeAgencyName="CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)" schemeID="${seller.dv}" schemeName="31">${seller.nit}</sts:ProviderID>
+                        <sts:SoftwareID schemeAgencyID="195" schemeAgencyName="CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)">${xml(invoice.softwareId)}</sts:SoftwareID>
+                    </sts:SoftwareProvider>
+                    <sts:SoftwareSecurityCode schemeAgencyID="195" schemeAgencyName="CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)">${invoice.softwareSecurityCode}</sts:SoftwareSecurityCode>
+                    <sts:AuthorizationProvider>
+                        <sts:AuthorizationProviderID schemeAgencyID="195" schemeAgencyName="CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)" schemeID="4" schemeName="31">${DIAN_NIT}</sts:AuthorizationProviderID>
+                    </sts:AuthorizationProvider>
+                    <sts:QRCode>${xml(invoice.qrUrl)}</sts:QRCode>
+                </sts:DianExtensions>
+            </ext:ExtensionContent>
+        </ext:UBLExtension>
+        <ext:UBLExtension>
+            <ext:ExtensionContent></ext:ExtensionContent>
+        </ext:UBLExtension>
+    </ext:UBLExtensions>
+    <cbc:UBLVersionID>UBL 2.1</cbc:UBLVersionID>
+    <cbc:CustomizationID>10</cbc:CustomizationID>
+    <cbc:ProfileID>DIAN 2.1: Factura Electrónica de Venta</cbc:ProfileID>
+    <cbc:ProfileExecutionID>${invoice.environment}</cbc:ProfileExecutionID>
+    <cbc:ID>${xml(invoice.number)}</cbc:ID>
+    <cbc:UUID schemeID="${invoice.environment}" schemeName="CUFE-SHA384">${invoice.cufe}</cbc:UUID>
+    <cbc:IssueDate>${invoice.issueDate}</cbc:IssueDate>
+    <cbc:IssueTime>${invoice.issueTime}</cbc:IssueTime>
+    <cbc:InvoiceTypeCode>01</cbc:InvoiceTypeCode>
+    <cbc:Note>${xml(`Pedido ${invoice.orderNumber}`)}</cbc:Note>
+    <cbc:DocumentCurrencyCode>${currency}</cbc:DocumentCurrencyCode>
+    <cbc:LineCountNumeric>${invoice.lines.length}</cbc:LineCountNumeric>
+    <cac:OrderReference>
+        <cbc:ID>${xml(invoice.orderNumber)}</cbc:ID>
+    </cac:OrderReference>
+    <cac:AccountingSupplierParty>
+        <cbc:AdditionalAccountID>1</cbc:AdditionalAccountID>
+        <cac:Party>
+            <cac:PartyName>
+                <cbc:Name>${xml(seller.tradeName)}</cbc:Name>
+            </cac:PartyName>
+            <cac:PhysicalLocation>${addressXml('cac:Address', seller)}
+            </cac:PhysicalLocation>
+            <cac:PartyTaxScheme>
+                <cbc:RegistrationName>${xml(seller.legalName)}</cbc:RegistrationName>
+                <cbc:CompanyID schemeAgencyID="195" schemeAgencyName="CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)" schemeID="${seller.dv}" schemeName="31">${seller.nit}</cbc:CompanyID>
+                <cbc:TaxLevelCode listName="48">${xml(seller.taxResponsibilities)}</cbc:TaxLevelCode>${addressXml('cac:RegistrationAddress', seller)}
+                <cac:TaxScheme>
+                    <cbc:ID>${seller.taxScheme}</cbc:ID>
+                    <cbc:Name>${seller.taxScheme === '01' ? 'IVA' : 'No aplica'}</cbc:Name>
+                </cac:TaxScheme>
+            </cac:PartyTaxScheme>
+            <cac:PartyLegalEntity>
+                <cbc:RegistrationName>${xml(seller.legalName)}</cbc:RegistrationName>
+                <cbc:CompanyID schemeAgencyID="195" schemeAgencyName="CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)" schemeID="${seller.dv}" schemeName="31">${seller.nit}</cbc:CompanyID>
+                <cac:CorporateRegistrationScheme>
+                    <cbc:ID>${xml(invoice.prefix)}</cbc:ID>
+                </cac:CorporateRegistrationScheme>
+            </cac:PartyLegalEntity>${seller.phone || seller.email ? `
+            <cac:Contact>
+                ${seller.phone ? `<cbc:Telephone>${xml(seller.phone)}</cbc:Telephone>` : ''}
+                ${seller.email ? `<cbc:ElectronicMail>${xml(seller.email)}</cbc:ElectronicMail>` : ''}
+            </cac:Contact>` : ''}
+        </cac:Party>
+    </cac:AccountingSupplierParty>
+    <cac:AccountingCustomerParty>
+        <cbc:AdditionalAccountID>${buyerIsCompany ? '1' : '2'}</cbc:AdditionalAccountID>
+        <cac:Party>
+            <cac:PartyName>
+                <cbc:Name>${xml(buyer.name)}</cbc:Name>
+            </cac:PartyName>
+            <cac:PhysicalLocation>${addressXml('cac:Address', { address: buyer.address })}
+            </cac:PhysicalLocation>
+            <cac:PartyTaxScheme>
+                <cbc:RegistrationName>${xml(buyer.name)}</cbc:RegistrationName>
+                <cbc:CompanyID schemeAgencyID="195" schemeAgencyName="CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)"${buyer.dv ? ` schemeID="${buyer.dv}"` : ''} schemeName="${buyer.idType}">${buyer.idNumber}</cbc:CompanyID>
+                <cbc:TaxLevelCode listName="49">R-99-PN</cbc:TaxLevelCode>
+                <cac:TaxScheme>
+                    <cbc:ID>ZZ</cbc:ID>
+                    <cbc:Name>No aplica</cbc:Name>
+                </cac:TaxScheme>
+            </cac:PartyTaxScheme>
+            <cac:PartyLegalEntity>
+                <cbc:RegistrationName>${xml(buyer.name)}</cbc:RegistrationName>
+                <cbc:CompanyID schemeAgencyID="195" schemeAgencyName="CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)"${buyer.dv ? ` schemeID="${buyer.dv}"` : ''} schemeName="${buyer.idType}">${buyer.idNumber}</cbc:CompanyID>
+            </cac:PartyLegalEntity>
+            <cac:Contact>
+                ${buyer.phone ? `<cbc:Telephone>${xml(buyer.phone)}</cbc:Telephone>` : ''}
+                <cbc:ElectronicMail>${xml(buyer.email)}</cbc:ElectronicMail>
+            </cac:Contact>
+        </cac:Party>
+    </cac:AccountingCustomerParty>
+    <cac:PaymentMeans>
+        <cbc:ID>1</cbc:ID>
+        <cbc:PaymentMeansCode>ZZZ</cbc:PaymentMeansCode>
+    </cac:PaymentMeans>${invoice.copExchangeRate ? `
+    <cac:PaymentExchangeRate>
+        <cbc:SourceCurrencyCode>${currency}</cbc:SourceCurrencyCode>
+        <cbc:SourceCurrencyBaseRate>1.00</cbc:SourceCurrencyBaseRate>
+        <cbc:TargetCurrencyCode>COP</cbc:TargetCurrencyCode>
+        <cbc:TargetCurrencyBaseRate>1.00</cbc:TargetCurrencyBaseRate>
+        <cbc:CalculationRate>${invoice.copExchangeRate.rate.toFixed(2)}</cbc:CalculationRate>
+        <cbc:Date>${invoice.copExchangeRate.effectiveDate}</cbc:Date>
+    </cac:PaymentExchangeRate>` : ''}${invoice.shipping ? `
+    <cac:AllowanceCharge>
+        <cbc:ID>1</cbc:ID>
+        <cbc:ChargeIndicator>true</cbc:ChargeIndicator>
+        <cbc:AllowanceChargeReason>${xml(`Flete (${invoice.shipping.zoneName})`)}</cbc:AllowanceChargeReason>
+        <cbc:MultiplierFactorNumeric>100.00</cbc:MultiplierFactorNumeric>
+        <cbc:Amount currencyID="${currency}">${amount(invoice.shipping.feeCents)}</cbc:Amount>
+        <cbc:BaseAmount currencyID="${currency}">${amount(invoice.shipping.feeCents)}</cbc:BaseAmount>
+    </cac:AllowanceCharge>` : ''}
+    <cac:TaxTotal>
+        <cbc:TaxAmount currencyID="${currency}">${amount(ivaCents)}</cbc:TaxAmount>${invoice.taxTotals.map(line => taxSubtotalXml(currency, line.baseCents, line.taxCents, line.rate, '01', 'IVA')).join('')}
+    </cac:TaxTotal>${invoice.withholding ? `
+    <cac:WithholdingTaxTotal>
+        <cbc:TaxAmount currencyID="${currency}">${amount(invoice.withholding.amountCents)}</cbc:TaxAmount>${taxSubtotalXml(currency, invoice.withholding.baseCents, invoice.withholding.amountCents, invoice.withholding.rate, '06', 'ReteRenta')}
+    </cac:WithholdingTaxTotal>` : ''}
+    <cac:LegalMonetaryTotal>
+        <cbc:LineExtensionAmount currencyID="${currency}">${amount(totals.lineExtensionCents)}</cbc:LineExtensionAmount>
+        <cbc:TaxExclusiveAmount currencyID="${currency}">${amount(totals.taxExclusiveCents)}</cbc:TaxExclusiveAmount>
+        <cbc:TaxInclusiveAmount currencyID="${currency}">${amount(totals.taxInclusiveCents)}</cbc:TaxInclusiveAmount>
+        <cbc:AllowanceTotalAmount currencyID="${currency}">0.00</cbc:AllowanceTotalAmount>
+        <cbc:ChargeTotalAmount currencyID="${currency}">${amount(totals.chargeCents)}</cbc:ChargeTotalAmount>
+        <cbc:PayableAmount currencyID="${currency}">${amount(totals.payableCents)}</cbc:PayableAmount>
+    </cac:LegalMonetaryTotal>${invoice.lines.map((line, index) => `
+    <cac:InvoiceLine>
+        <cbc:ID>${index + 1}</cbc:ID>
+        <cbc:InvoicedQuantity unitCode="94">${line.quantity}</cbc:InvoicedQuantity>
+        <cbc:LineExtensionAmount currencyID="${currency}">${amount(line.lineExtensionCents)}</cbc:LineExtensionAmount>${line.allowanceCents > 0 ? `
+        <cac:AllowanceCharge>
+            <cbc:ID>1</cbc:ID>
+            <cbc:ChargeIndicator>false</cbc:ChargeIndicator>
+            <cbc:AllowanceChargeReason>${xml(invoice.discount ? `Descuento ${invoice.discount.code}` : 'Descuento')}</cbc:AllowanceChargeReason>
+            <cbc:Amount currencyID="${currency}">${amount(line.allowanceCents)}</cbc:Amount>
+            <cbc:BaseAmount currencyID="${currency}">${amount(line.lineExtensionCents + line.allowanceCents)}</cbc:BaseAmount>
+        </cac:AllowanceCharge>` : ''}
+        <cac:TaxTotal>
+            <cbc:TaxAmount currencyID="${currency}">${amount(line.taxCents)}</cbc:TaxAmount>${taxSubtotalXml(currency, line.lineExtensionCents, line.taxCents, line.rate, '01', 'IVA')}
+        </cac:TaxTotal>
+        <cac:Item>
+            <cbc:Description>${xml(line.name)}</cbc:Description>${line.sku ? `
+            <cac:SellersItemIdentification>
+                <cbc:ID>${xml(line.sku)}</cbc:ID>
+            </cac:SellersItemIdentification>` : ''}
+            <cac:StandardItemIdentification>
+                <cbc:ID schemeID="999" schemeName="Estándar de adopción del contribuyente">${xml(line.sku || line.id)}</cbc:ID>
+            </cac:StandardItemIdentification>
+        </cac:Item>
+        <cac:Price>
+            <cbc:PriceAmount currencyID="${currency}">${amount(line.unitPriceCents)}</cbc:PriceAmount>
+            <cbc:BaseQuantity unitCode="94">1</cbc:BaseQuantity>
+        </cac:Price>
+    </cac:InvoiceLine>`).join('')}
+</Invoice>
+`;
+}
+
+const INVOICE_STRINGS = {
+    es: {
+        title: 'Factura electrónica de venta', number: 'No.', issued: 'Fecha de emisión', order: 'Pedido',
+        buyer: 'Adquiriente', buyerId: 'Identificación', finalConsumer: 'Consumidor final',
+        item: 'Descripción', qty: 'Cant.', unitPrice: 'Valor unitario (sin IVA)', tax: 'Impuesto', lineTotal: 'Total (sin IVA)',
+        discount: 'Descuento', subtotal: 'Subtotal', shipping: 'Flete', total: 'Total factura', payable: 'Neto a pagar',
+        exchangeRate: 'Tasa de cambio', resolution: (r, prefix) => `Resolución DIAN No. ${r.number} del ${r.date}, prefijo ${prefix || '—'}, del ${r.from} al ${r.to}, vigente del ${r.validFrom} al ${r.validTo}.`,
+        graphic: 'Representación gráfica de la factura electrónica de venta.', verify: 'Verifique este documento en'
+    },
+    en: {
+        title: 'Electronic sales invoice', number: 'No.', issued: 'Issue date', order: 'Order',
+        buyer: 'Customer', buyerId: 'Tax ID', finalConsumer: 'Final consumer',
+        item: 'Description', qty: 'Qty', unitPrice: 'Unit price (before VAT)', tax: 'Tax', lineTotal: 'Total (before VAT)',
+        discount: 'Discount', subtotal: 'Subtotal', shipping: 'Freight', total: 'Invoice total', payable: 'Net payable',
+        exchangeRate: 'Exchange rate', resolution: (r, prefix) => `DIAN resolution No. ${r.number} of ${r.date}, prefix ${prefix || '—'}, numbers ${r.from} to ${r.to}, valid ${r.validFrom} to ${r.validTo}.`,
+        graphic: 'Printed representation of the electronic sales invoice.', verify: 'Verify this document at'
+    }
+};
+
+/**
+ * The printable version of the invoice (representación gráfica) in the customer's language, rendered
+ * to PDF by the calling function.
+ */
+export function renderInvoiceHtml(invoice, lang = invoice.language) {
+    const s = INVOICE_STRINGS[lang === 'en' ? 'en' : 'es'];
+    const money = cents => formatMoney(cents, invoice.currency, lang);
+    const { seller, buyer, totals } = invoice;
+    const cell = 'padding:8px 10px;border-bottom:1px solid #e2e8f0;font-size:12px;color:#334155;';
+    const totalRow = (label, value, bold = false) => `<tr><td style="padding:4px 10px;text-align:right;font-size:12px;color:#475569;">${label}</td><td style="padding:4px 10px;text-align:right;font-size:12px;${bold ? 'font-weight:700;color:#0f172a;' : 'color:#1e293b;'}">${value}</td></tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="${lang}">
+<head><meta charset="UTF-8"><title>${s.title} ${xml(invoice.number)}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;margin:0;padding:24px;color:#1e293b;">
+    <table width="100%" style="border-collapse:collapse;margin-bottom:16px;">
+        <tr>
+            <td style="vertical-align:top;">
+                <p style="margin:0;font-size:18px;font-weight:700;">${xml(seller.tradeName)}</p>
+                <p style="margin:2px 0;font-size:12px;">${xml(seller.legalName)} · NIT ${seller.nit}-${seller.dv}</p>
+                <p style="margin:2px 0;font-size:12px;">${xml(seller.address)}, ${xml(seller.cityName)} ${xml(seller.departmentName)}</p>
+                <p style="margin:2px 0;font-size:12px;">${xml(seller.email)} ${xml(seller.phone)}</p>
+                <p style="margin:2px 0;font-size:11px;color:#64748b;">${xml(seller.taxResponsibilities)}</p>
+            </td>
+            <td style="vertical-align:top;text-align:right;">
+                <p style="margin:0;font-size:16px;font-weight:700;color:#4338ca;">${s.title}</p>
+                <p style="margin:2px 0;font-size:14px;font-weight:700;">${s.number} ${xml(invoice.number)}</p>
+                <p style="margin:2px 0;font-size:12px;">${s.issued}: ${invoice.issueDate} ${invoice.issueTime}</p>
+                <p style="margin:2px 0;font-size:12px;">${s.order}: ${xml(invoice.orderNumber)}</p>
+            </td>
+        </tr>
+    </table>
+    <div style="padding:10px;border:1px solid #e2e8f0;border-radius:6px;margin-bottom:16px;font-size:12px;">
+        <p style="margin:0;font-weight:700;">${s.buyer}: ${xml(buyer.name)}</p>
+        <p style="margin:2px 0;">${s.buyerId}: ${buyer.idType === '31' ? `NIT ${buyer.idNumber}-${buyer.dv}` : `${buyer.idNumber} (${s.finalConsumer})`}</p>
+        <p style="margin:2px 0;">${xml(buyer.address)}</p>
+        <p style="margin:2px 0;">${xml(buyer.email)} ${xml(buyer.phone)}</p>
+    </div>
+    <table width="100%" style="border-collapse:collapse;">
+        <thead>
+            <tr style="background:#f1f5f9;">
+                <th style="${cell}text-align:left;">${s.item}</th>
+                <th style="${cell}text-align:center;">${s.qty}</th>
+                <th style="${cell}text-align:right;">${s.unitPrice}</th>
+                <th style="${cell}text-align:right;">${s.discount}</th>
+                <th style="${cell}text-align:right;">${s.tax}</th>
+                <th style="${cell}text-align:right;">${s.lineTotal}</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${invoice.lines.map(line => `
+            <tr>
+                <td style="${cell}">${xml(line.name)}${line.sku ? ` <span style="color:#64748b;">(${xml(line.sku)})</span>` : ''}</td>
+                <td style="${cell}text-align:center;">${line.quantity}</td>
+                <td style="${cell}text-align:right;">${money(Math.round(line.unitPriceCents))}</td>
+                <td style="${cell}text-align:right;">${line.allowanceCents ? `−${money(line.allowanceCents)}` : ''}</td>
+                <td style="${cell}text-align:right;">${getTaxLabel(line.taxCategory, lang)}: ${money(line.taxCents)}</td>
+                <td style="${cell}text-align:right;font-weight:700;">${money(line.lineExtensionCents)}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>
+    <table style="border-collapse:collapse;margin:12px 0 0 auto;">
+        ${totalRow(s.subtotal, money(totals.lineExtensionCents))}
+        ${invoice.taxTotals.map(line => totalRow(`${getTaxLabel(line.category, lang)} (${money(line.baseCents)})`, money(line.taxCents))).join('')}
+        ${invoice.shipping ? totalRow(`${s.shipping} (${xml(invoice.shipping.zoneName)})`, money(invoice.shipping.feeCents)) : ''}
+        ${totalRow(s.total, money(totals.payableCents), true)}
+        ${invoice.withholding ? totalRow(`${getWithholdingLabel(lang)} ${formatTaxRate(invoice.withholding.rate, lang)}`, `−${money(invoice.withholding.amountCents)}`) : ''}
+        ${invoice.withholding ? totalRow(s.payable, money(totals.payableCents - invoice.withholding.amountCents), true) : ''}
+        ${invoice.copExchangeRate ? totalRow(s.exchangeRate, `${invoice.copExchangeRate.rate} COP/USD (${invoice.copExchangeRate.effectiveDate})`) : ''}
+    </table>
+    <div style="margin-top:20px;padding-top:10px;border-top:1px solid #e2e8f0;font-size:10px;color:#475569;">
+        <p style="margin:2px 0;word-break:break-all;"><strong>CUFE:</strong> ${invoice.cufe}</p>
+        <p style="margin:2px 0;">${s.resolution(invoice.resolution, invoice.prefix)}</p>
+        <p style="margin:2px 0;">${s.graphic} ${s.verify} <a href="${xml(invoice.qrUrl)}">${xml(invoice.qrUrl)}</a></p>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Uploads the XML and PDF to Cloud Storage at the paths recorded on the invoice. Both are rebuilt from
+ * the snapshot, so saving them again (e.g. after a failed upload) writes the same documents.
+ */
+export async function saveInvoiceFiles(bucket, invoice, xmlContent, pdfBuffer) {
+    await Promise.all([
+        bucket.file(invoice.xmlPath).save(xmlContent, { contentType: 'application/xml; charset=utf-8', resumable: false }),
+        bucket.file(invoice.pdfPath).save(pdfBuffer, { contentType: 'application/pdf', resumable: false })
+    ]);
+}
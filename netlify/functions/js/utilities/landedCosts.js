@@ -0,0 +1,221 @@
+/**
+ * Landed cost of consolidated imports. An import shipment groups purchase order lines that travel
+ * together (e.g. several EXW suppliers consolidated by one forwarder into an LCL container to
+ * Buenaventura), each with its total weight and volume, plus the forwarder's and customs charges.
+ * Every charge is spread over the lines by weight, volume or goods value, and each line's goods cost
+ * plus its share of the charges, divided by its units, is the item's landed unit cost (kept admin-only).
+ * Everything is reported in CATALOG_CURRENCY cents; peso amounts use the shipment's frozen rate.
+ * Mirrored in the site's js/utilities/landedCosts.js for the admin preview.
+ */
+import { CATALOG_CURRENCY, CURRENCIES, MAX_EXCHANGE_RATE, convertToCatalog } from './currency.js';
+
+export const IMPORT_SHIPMENT_STATUSES = ['Draft', 'Finalized'];
+export const SHIPPING_MODES = ['sea', 'air'];
+export const ALLOCATION_BASES = ['weight', 'volume', 'value'];
+
+// Charge types from the forwarder RFQ, with the basis each is usually spread by
+export const LANDED_COST_CHARGE_TYPES = {
+    pickup: { label: 'Pickup from suppliers', basis: 'weight' },
+    warehousing: { label: 'Warehousing / consolidation', basis: 'volume' },
+    handling: { label: 'Handling, inspection & labelling', basis: 'volume' },
+    exportDocs: { label: 'Export declaration & B/L', basis: 'value' },
+    freight: { label: 'International freight', basis: 'volume' },
+    insurance: { label: 'Cargo insurance', basis: 'value' },
+    destination: { label: 'Destination charges (THC, CFS, DO)', basis: 'volume' },
+    customsClearance: { label: 'Customs clearance', basis: 'value' },
+    duties: { label: 'Import duties', basis: 'value' },
+    other: { label: 'Other', basis: 'value' }
+};
+
+export const MAX_SHIPMENT_LINES = 200;
+export const MAX_SHIPMENT_CHARGES = 30;
+const MAX_AMOUNT_CENTS = 10000000000;
+
+function text(value, maxLength) {
+    return typeof value === 'string' ? value.replace(/</g, "&lt;").replace(/>/g, "&gt;").trim().substring(0, maxLength) : '';
+}
+
+function isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Validates a draft import shipment sent by the admin UI and snapshots each PO line it carries.
+ * @param {object} input - { reference, forwarder, mode, departedOn, arrivedOn, notes, rate?,
+ *                           lines: [{ purchaseOrderId, lineId, quantity, weightKg, volumeCbm }],
+ *                           charges: [{ type, description, amountCents, currency, basis }] }
+ * @param {Object<string, object>} purchaseOrdersById - The purchase orders the lines refer to.
+ * @returns {{shipment: object, needsRate: boolean}|{error: string}}
+ */
+export function normalizeImportShipment(input = {}, purchaseOrdersById = {}) {
+    const reference = text(input.reference, 80);
+    if (!reference) return { error: 'Enter a reference (e.g. the forwarder booking or B/L number).' };
+    if (!SHIPPING_MODES.includes(input.mode)) return { error: `The mode must be one of: ${SHIPPING_MODES.join(', ')}.` };
+    for (const field of ['departedOn', 'arrivedOn']) {
+        if (input[field] && !isDate(input[field])) return { error: `${field} must be a date (YYYY-MM-DD).` };
+    }
+    if (input.rate !== null && input.rate !== undefined && (typeof input.rate !== 'number' || !(input.rate > 0) || input.rate > MAX_EXCHANGE_RATE)) {
+        return { error: `The exchange rate must be a number of pesos per dollar between 0 and ${MAX_EXCHANGE_RATE}.` };
+    }
+    if (!Array.isArray(input.lines) || input.lines.length === 0 || input.lines.length > MAX_SHIPMENT_LINES) {
+        return { error: `A shipment needs between 1 and ${MAX_SHIPMENT_LINES} purchase order lines.` };
+    }
+    if (!Array.isArray(input.charges) || input.charges.length > MAX_SHIPMENT_CHARGES) {
+        return { error: `A shipment can have up to ${MAX_SHIPMENT_CHARGES} charges.` };
+    }
+
+    const lines = [];
+    for (const line of input.lines) {
+        const po = purchaseOrdersById[line.purchaseOrderId];
+        const poLine = po && (po.lines || []).find(candidate => candidate.lineId === line.lineId);
+        if (!poLine) return { error: 'A shipment line refers to an unknown purchase order line.' };
+        const label = `${po.purchaseOrderNumber} ${poLine.name}`;
+        if (['Draft', 'Cancelled'].includes(po.status)) return { error: `${po.purchaseOrderNumber} is ${po.status}; only sent purchase orders can be shipped.` };
+        if (lines.some(existing => existing.purchaseOrderId === line.purchaseOrderId && existing.lineId === line.lineId)) {
+            return { error: `${label} is on the shipment twice.` };
+        }
+        if (!Number.isInteger(line.quantity) || line.quantity <= 0 || line.quantity > poLine.quantity) {
+            return { error: `${label}: the quantity must be between 1 and the ${poLine.quantity} ordered.` };
+        }
+        if (typeof line.weightKg !== 'number' || !(line.weightKg > 0) || line.weightKg > 100000) {
+            return { error: `${label}: enter the line's total weight in kg.` };
+        }
+        if (typeof line.volumeCbm !== 'number' || !(line.volumeCbm > 0) || line.volumeCbm > 1000) {
+            return { error: `${label}: enter the line's total volume in CBM.` };
+        }
+        lines.push({
+            purchaseOrderId: line.purchaseOrderId,
+            purchaseOrderNumber: po.purchaseOrderNumber,
+            lineId: line.lineId,
+            itemId: poLine.itemId,
+            name: poLine.name,
+            sku: poLine.sku || null,
+            quantity: line.quantity,
+            weightKg: Math.round(line.weightKg * 100) / 100,
+            volumeCbm: Math.round(line.volumeCbm * 10000) / 10000,
+            unitCostCents: poLine.unitCostCents,
+            currency: po.currency
+        });
+    }
+
+    const charges = [];
+    for (const [index, charge] of input.charges.entries()) {
+        if (!LANDED_COST_CHARGE_TYPES[charge.type]) return { error: `Charge ${index + 1}: unknown type.` };
+        if (!Number.isInteger(charge.amountCents) || charge.amountCents <= 0 || charge.amountCents > MAX_AMOUNT_CENTS) {
+            return { error: `Charge ${index + 1}: the amount must be a positive number of cents.` };
+        }
+        if (!CURRENCIES.includes(charge.currency)) return { error: `Charge ${index + 1}: the currency must be one of: ${CURRENCIES.join(', ')}.` };
+        if (!ALLOCATION_BASES.includes(charge.basis)) return { error: `Charge ${index + 1}: allocate by ${ALLOCATION_BASES.join(', ')}.` };
+        charges.push({
+            type: charge.type,
+            description: text(charge.description, 120) || LANDED_COST_CHARGE_TYPES[charge.type].label,
+            amountCents: charge.amountCents,
+            currency: charge.currency,
+            basis: charge.basis
+        });
+    }
+
+    const needsRate = [...lines, ...charges].some(entry => entry.currency !== CATALOG_CURRENCY);
+    return {
+        shipment: {
+            reference,
+            forwarder: text(input.forwarder, 120),
+            mode: input.mode,
+            departedOn: input.departedOn || null,
+            arrivedOn: input.arrivedOn || null,
+            notes: text(input.notes, 1000),
+            lines,
+            charges,
+            purchaseOrderIds: [...new Set(lines.map(line => line.purchaseOrderId))]
+        },
+        needsRate
+    };
+}
+
+// Splits `amount` in proportion to `weights` so the parts add up exactly (largest remainder)
+function apportion(amount, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const raw = weights.map(weight => (amount * weight) / total);
+    const parts = raw.map(Math.floor);
+    let remainder = amount - parts.reduce((sum, part) => sum + part, 0);
+    raw.map((value, index) => ({ index, fraction: value - parts[index] }))
+        .sort((a, b) => b.fraction - a.fraction)
+        .forEach(({ index }) => {
+            if (remainder > 0) {
+                parts[index] += 1;
+                remainder -= 1;
+            }
+        });
+    return parts;
+}
+
+/**
+ * Spreads the shipment's charges over its lines and works out each line's landed unit cost.
+ * @param {{lines: Array, charges: Array, exchangeRate?: {rate: number}|null}} shipment
+ * @returns {{lines: Array<object>, totals: {goodsCents, chargesCents, landedCents, weightKg, volumeCbm, units}}}
+ *          Each line gains goodsCents, chargesCents, landedTotalCents and landedUnitCostCents (catalog cents)
+ *          and `charges`, its share of every charge in the same order as the shipment's.
+ */
+export function allocateLandedCosts(shipment) {
+    const toCatalog = (cents, currency) => (currency === CATALOG_CURRENCY ? cents : convertToCatalog(cents, shipment.exchangeRate));
+    const lines = (shipment.lines || []).map(line => ({
+        ...line,
+        goodsCents: toCatalog(line.quantity * line.unitCostCents, line.currency),
+        charges: []
+    }));
+    const basisValues = {
+        weight: lines.map(line => line.weightKg || 0),
+        volume: lines.map(line => line.volumeCbm || 0),
+        value: lines.map(line => line.goodsCents)
+    };
+
+    (shipment.charges || []).forEach(charge => {
+        const amount = toCatalog(charge.amountCents, charge.currency);
+        // Free goods have no value to spread by, so such a charge falls back to weight
+        const weights = basisValues[charge.basis].some(value => value > 0) ? basisValues[charge.basis] : basisValues.weight;
+        const parts = lines.length > 0 ? apportion(amount, weights) : [];
+        lines.forEach((line, index) => line.charges.push(parts[index]));
+    });
+
+    lines.forEach(line => {
+        line.chargesCents = line.charges.reduce((sum, part) => sum + part, 0);
+        line.landedTotalCents = line.goodsCents + line.chargesCents;
+        line.landedUnitCostCents = Math.round(line.landedTotalCents / line.quantity);
+    });
+
+    const sum = key => lines.reduce((total, line) => total + (line[key] || 0), 0);
+    return {
+        lines,
+        totals: {
+            goodsCents: sum('goodsCents'),
+            chargesCents: sum('chargesCents'),
+            landedCents: sum('landedTotalCents'),
+            weightKg: Math.round(sum('weightKg') * 100) / 100,
+            volumeCbm: Math.round(sum('volumeCbm') * 10000) / 10000,
+            units: sum('quantity')
+        }
+    };
+}
+
+/**
+ * Landed unit cost per item: lines of the same item (from different purchase orders) are averaged
+ * by units. @returns {Object<string, {landedUnitCostCents: number, units: number}>}
+ */
+export function getItemLandedCosts(allocation) {
+    const byItem = {};
+    allocation.lines.forEach(line => {
+        const entry = byItem[line.itemId] || (byItem[line.itemId] = { totalCents: 0, units: 0 });
+        entry.totalCents += line.landedTotalCents;
+        entry.units += line.quantity;
+    });
+    return Object.fromEntries(Object.entries(byItem).map(([itemId, entry]) => [
+        itemId,
+        { landedUnitCostCents: Math.round(entry.totalCents / entry.units), units: entry.units }
+    ]));
+}
+
+// Gross margin of a catalog price over a landed cost, as a fraction of the price; null when either is unknown
+export function getMargin(priceCents, landedUnitCostCents) {
+    if (!(priceCents > 0) || typeof landedUnitCostCents !== 'number') return null;
+    return (priceCents - landedUnitCostCents) / priceCents;
+}
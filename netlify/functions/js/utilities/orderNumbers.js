@@ -0,0 +1,36 @@
+/**
+ * Sequential, human-readable order numbers: `${prefix}-${year}-${sequence}`, e.g. AX-2026-000123.
+ * The sequence restarts every calendar year (Bogotá time) and is kept in a single counter
+ * document holding one field per year.
+ */
+
+export const ORDER_NUMBER_PREFIX = process.env.ORDER_NUMBER_PREFIX || 'AX';
+export const ORDER_COUNTER_DOC_PATH = process.env.ORDER_COUNTER_DOC_PATH || 'admin/orderCounter';
+const SEQUENCE_DIGITS = 6;
+
+export function getOrderYear(date = new Date()) {
+    return new Intl.DateTimeFormat('en-US', { timeZone: 'America/Bogota', year: 'numeric' }).format(date);
+}
+
+export function formatOrderNumber(year, sequence) {
+    return `${ORDER_NUMBER_PREFIX}-${year}-${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+}
+
+/**
+ * Allocates the next order number inside a Firestore transaction.
+ * Firestore requires all reads before any write, so call this after the transaction's other reads
+ * and before its first write. Two concurrent orders conflict on the counter and one is retried.
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {FirebaseFirestore.Firestore} db
+ * @returns {Promise<string>} The allocated order number.
+ */
+export async function allocateOrderNumber(transaction, db, date = new Date()) {
+    const counterRef = db.doc(ORDER_COUNTER_DOC_PATH);
+    const counterSnap = await transaction.get(counterRef);
+    const year = getOrderYear(date);
+    const lastSequence = counterSnap.exists ? (counterSnap.data()[year] || 0) : 0;
+    const sequence = lastSequence + 1;
+
+    transaction.set(counterRef, { [year]: sequence, updatedAt: date.toISOString() }, { merge: true });
+    return formatOrderNumber(year, sequence);
+}
@@ -0,0 +1,50 @@
+/**
+ * Order status state machine shared by the server functions that change an order's status.
+ * 'Manually Created' is the initial status of admin orders and behaves like 'Pending'.
+ * Orders written before statuses were enforced may have no status; they are treated as 'Pending'.
+ * 'Partially Shipped' is only ever reached through shipments (see shipments.js).
+ */
+
+export const ORDER_STATUSES = ['Pending', 'Manually Created', 'Processing', 'Partially Shipped', 'Shipped', 'Delivered', 'Cancelled'];
+
+export const ORDER_STATUS_TRANSITIONS = {
+    'Pending': ['Processing', 'Cancelled'],
+    'Manually Created': ['Processing', 'Cancelled'],
+    'Processing': ['Partially Shipped', 'Shipped', 'Cancelled'],
+    'Partially Shipped': ['Shipped'],
+    'Shipped': ['Delivered', 'Cancelled'],
+    'Delivered': [],
+    'Cancelled': [],
+};
+
+// Only these target statuses email the customer; Processing is an internal step
+export const NOTIFIABLE_TRANSITIONS = ['Shipped', 'Delivered', 'Cancelled'];
+
+export function normalizeStatus(status) {
+    return ORDER_STATUSES.includes(status) ? status : 'Pending';
+}
+
+export function isTerminalStatus(status) {
+    return ORDER_STATUS_TRANSITIONS[normalizeStatus(status)].length === 0;
+}
+
+export function getAllowedTransitions(status) {
+    return ORDER_STATUS_TRANSITIONS[normalizeStatus(status)];
+}
+
+export function canTransition(from, to) {
+    return getAllowedTransitions(from).includes(to);
+}
+
+export function shouldNotifyCustomer(from, to) {
+    return NOTIFIABLE_TRANSITIONS.includes(to) && normalizeStatus(from) !== to;
+}
+
+/**
+ * Builds one statusHistory entry. `at` is an ISO string because Firestore
+ * does not allow serverTimestamp() inside array elements.
+ * @returns {{from: string|null, to: string, by: string, at: string, reason: string|null}}
+ */
+export function buildStatusHistoryEntry(from, to, by, reason = null) {
+    return { from: from || null, to, by, at: new Date().toISOString(), reason: reason || null };
+}
@@ -0,0 +1,54 @@
+/**
+ * Typed payment ledger kept in an order's `paymentHistory` array.
+ * Entry types and their effect on paidCents:
+ *   payment    +amount   money received
+ *   refund     -amount   money returned to the customer
+ *   reversal   -amount   a recorded payment that never cleared (bounced transfer, chargeback, mistake)
+ *   adjustment ±amount   manual correction; the only type whose amount may be negative
+ * Entries written before types existed have no `type` and count as payments.
+ */
+
+export const LEDGER_ENTRY_TYPES = ['payment', 'refund', 'reversal', 'adjustment'];
+
+// Types that reduce the balance paid and are documented to the customer with a credit note
+export const CREDIT_ENTRY_TYPES = ['refund', 'reversal'];
+
+export function entryType(entry) {
+    return LEDGER_ENTRY_TYPES.includes(entry.type) ? entry.type : 'payment';
+}
+
+export function signedAmountCents(entry) {
+    const amount = Number(entry.amountCents) || 0;
+    const type = entryType(entry);
+    if (type === 'adjustment') return amount;
+    return CREDIT_ENTRY_TYPES.includes(type) ? -Math.abs(amount) : Math.abs(amount);
+}
+
+export function computePaidCents(paymentHistory = []) {
+    return paymentHistory.reduce((sum, entry) => sum + signedAmountCents(entry), 0);
+}
+
+/**
+ * Validates the shape of a new ledger entry.
+ * @returns {string|null} An error message, or null when the entry is valid.
+ */
+export function validateLedgerEntry({ type, amountCents, reason }) {
+    if (!LEDGER_ENTRY_TYPES.includes(type)) {
+        return `Unknown entry type "${type}". Expected one of: ${LEDGER_ENTRY_TYPES.join(', ')}.`;
+    }
+    if (!Number.isInteger(amountCents) || amountCents === 0) {
+        return 'amountCents must be a non-zero whole number of cents.';
+    }
+    if (type !== 'adjustment' && amountCents < 0) {
+        return 'Only adjustments can have a negative amount; use a refund or reversal instead.';
+    }
+    if (type !== 'payment' && !reason) {
+        return `A reason is required for a ${type}.`;
+    }
+    return null;
+}
+
+// Refunds and reversals can never take more out than the ledger currently holds
+export function creditExceedsPaid({ type, amountCents }, paymentHistory = []) {
+    return CREDIT_ENTRY_TYPES.includes(type) && amountCents > computePaidCents(paymentHistory);
+}
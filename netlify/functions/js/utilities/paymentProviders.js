@@ -0,0 +1,211 @@
+/**
+ * Payment gateway adapters for the paymentWebhook function. Each adapter turns a provider's webhook
+ * into one normalized event:
+ *   { eventId, transactionId, reference, status, amountCents, currency, method, occurredAt }
+ * `status` is one of PAYMENT_EVENT_STATUSES; `reference` is what the checkout sent to the gateway as
+ * the payment reference: the order number, optionally followed by "_" and an attempt suffix
+ * (AX-2026-000123_2) because gateways reject a reused reference after a declined attempt.
+ * An adapter exposes:
+ *   isEnabled()                      whether its secrets are configured
+ *   verifySignature(request)         checks the provider's HMAC/checksum over the raw request
+ *   toPaymentEvent(request)          the normalized event, or null for notifications we do not act on
+ * where request is { headers, rawBody, body, query } with lower-cased header names.
+ * Adding a gateway means adding an entry to PAYMENT_PROVIDERS; the webhook itself does not change.
+ */
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import fetch from 'node-fetch';
+import { CURRENCIES } from './currency.js';
+
+export const PAYMENT_EVENT_STATUSES = ['pending', 'approved', 'declined', 'error', 'voided', 'refunded', 'charged_back'];
+
+// How far along a gateway transaction is. Events for a lower stage than the one already recorded
+// arrived out of order and are ignored (an APPROVED retried after the VOIDED must not pay again).
+const STATUS_STAGES = { pending: 0, approved: 1, declined: 1, error: 1, voided: 2, refunded: 2, charged_back: 2 };
+
+export function getStatusStage(status) {
+    return STATUS_STAGES[status] ?? 0;
+}
+
+// Ledger entry type a status produces on an order that holds the transaction's payment
+export const CREDIT_STATUS_ENTRY_TYPES = { voided: 'reversal', charged_back: 'reversal', refunded: 'refund' };
+
+const ORDER_REFERENCE_PATTERN = /^([A-Z]+-\d{4}-\d+)(?:_[A-Za-z0-9-]{1,20})?$/;
+
+// The order number inside a gateway reference, or null when it is not one of ours
+export function parseOrderReference(reference) {
+    const match = ORDER_REFERENCE_PATTERN.exec(String(reference || '').trim());
+    return match ? match[1] : null;
+}
+
+function safeEqualHex(expected, received) {
+    if (typeof received !== 'string' || received.length !== expected.length) return false;
+    return timingSafeEqual(Buffer.from(expected, 'utf8'), Buffer.from(received.toLowerCase(), 'utf8'));
+}
+
+// Gateways send decimal amounts; the ledger works in cents
+function decimalToCents(amount) {
+    const value = Number(amount);
+    return Number.isFinite(value) ? Math.round(value * 100) : NaN;
+}
+
+// Reads a dotted path such as "transaction.amount_in_cents" from the event data
+function readPath(source, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), source);
+}
+
+/**
+ * Wompi (Bancolombia) events: https://docs.wompi.co/docs/colombia/eventos/
+ * The checksum is SHA-256 over the values listed in signature.properties, the timestamp and the
+ * events secret. Only `transaction.updated` carries a payment; Wompi sends one per status change.
+ */
+const wompi = {
+    name: 'wompi',
+    label: 'Wompi',
+    isEnabled() {
+        return Boolean(process.env.WOMPI_EVENTS_SECRET);
+    },
+    verifySignature({ headers, body }) {
+        const signature = body && body.signature;
+        if (!signature || !Array.isArray(signature.properties) || typeof signature.checksum !== 'string') return false;
+        const values = signature.properties.map(path => readPath(body.data, path)).join('');
+        const expected = createHash('sha256').update(`${values}${body.timestamp}${process.env.WOMPI_EVENTS_SECRET}`).digest('hex');
+        // Newer accounts also send the checksum as a header; both must match when present
+        const headerChecksum = headers['x-event-checksum'];
+        return safeEqualHex(expected, signature.checksum) && (!headerChecksum || safeEqualHex(expected, headerChecksum));
+    },
+    async toPaymentEvent({ body }) {
+        if (body.event !== 'transaction.updated' || !body.data || !body.data.transaction) return null;
+        const transaction = body.data.transaction;
+        const status = String(transaction.status || '').toLowerCase();
+        return {
+            // Wompi has no event ID; a transaction reaches each status once, so the pair identifies the event
+            eventId: `${transaction.id}:${status}`,
+            transactionId: String(transaction.id),
+            reference: transaction.reference,
+            status,
+            amountCents: transaction.amount_in_cents,
+            currency: transaction.currency,
+            method: transaction.payment_method_type ? `Wompi (${transaction.payment_method_type})` : 'Wompi',
+            occurredAt: new Date(Number(body.timestamp) * 1000).toISOString()
+        };
+    }
+};
+
+const MERCADOPAGO_STATUSES = {
+    pending: 'pending', in_process: 'pending', authorized: 'pending',
+    approved: 'approved', rejected: 'declined', cancelled: 'voided',
+    refunded: 'refunded', charged_back: 'charged_back'
+};
+
+/**
+ * Mercado Pago notifications: https://www.mercadopago.com.co/developers/es/docs/your-integrations/notifications/webhooks
+ * x-signature is "ts=...,v1=..." where v1 is HMAC-SHA256 of "id:{data.id};request-id:{x-request-id};ts:{ts};"
+ * with the webhook secret. The notification only names the payment, so it is read back from the API,
+ * which also means a replayed notification always sees the payment's current state.
+ */
+const mercadopago = {
+    name: 'mercadopago',
+    label: 'Mercado Pago',
+    isEnabled() {
+        return Boolean(process.env.MERCADOPAGO_WEBHOOK_SECRET && process.env.MERCADOPAGO_ACCESS_TOKEN);
+    },
+    verifySignature({ headers, body, query }) {
+        const parts = Object.fromEntries(String(headers['x-signature'] || '').split(',').map(part => part.trim().split('=')));
+        const dataId = String(query['data.id'] || (body && body.data && body.data.id) || '');
+        if (!parts.ts || !parts.v1 || !dataId) return false;
+        // Alphanumeric IDs are signed in lower case
+        const manifest = `id:${dataId.toLowerCase()};request-id:${headers['x-request-id'] || ''};ts:${parts.ts};`;
+        const expected = createHmac('sha256', process.env.MERCADOPAGO_WEBHOOK_SECRET).update(manifest).digest('hex');
+        return safeEqualHex(expected, parts.v1);
+    },
+    async toPaymentEvent({ body, query }) {
+        const topic = body.type || query.type || query.topic;
+        const paymentId = String(query['data.id'] || (body.data && body.data.id) || '');
+        if (topic !== 'payment' || !paymentId) return null;
+
+        const response = await fetch(`https://api.mercadopago.com/v1/payments/${encodeURIComponent(paymentId)}`, {
+            headers: { 'Authorization': `Bearer ${process.env.MERCADOPAGO_ACCESS_TOKEN}` }
+        });
+        if (!response.ok) {
+            throw new Error(`Mercado Pago payment lookup failed: ${response.status} - ${await response.text()}`);
+        }
+        const payment = await response.json();
+        const status = MERCADOPAGO_STATUSES[payment.status] || 'error';
+        const amount = status === 'refunded' && payment.transaction_amount_refunded ? payment.transaction_amount_refunded : payment.transaction_amount;
+        return {
+            eventId: `${payment.id}:${status}`,
+            transactionId: String(payment.id),
+            reference: payment.external_reference,
+            status,
+            amountCents: decimalToCents(amount),
+            currency: payment.currency_id,
+            method: payment.payment_method_id ? `Mercado Pago (${payment.payment_method_id})` : 'Mercado Pago',
+            occurredAt: new Date(payment.date_last_updated || payment.date_created || Date.now()).toISOString()
+        };
+    }
+};
+
+/**
+ * Local stand-in gateway for development and testing. The body already is a normalized event and
+ * x-fake-signature is HMAC-SHA256 of the raw body with FAKE_PAYMENT_WEBHOOK_SECRET (see
+ * scripts/sendFakePaymentEvent.js). Never enabled on the production deploy context.
+ */
+const fake = {
+    name: 'fake',
+    label: 'Fake gateway',
+    isEnabled() {
+        return Boolean(process.env.FAKE_PAYMENT_WEBHOOK_SECRET) && process.env.CONTEXT !== 'production';
+    },
+    verifySignature({ headers, rawBody }) {
+        const expected = signFakePaymentEvent(rawBody, process.env.FAKE_PAYMENT_WEBHOOK_SECRET);
+        return safeEqualHex(expected, headers['x-fake-signature']);
+    },
+    async toPaymentEvent({ body }) {
+        const transactionId = String(body.transactionId || '');
+        const status = String(body.status || '').toLowerCase();
+        return {
+            eventId: String(body.eventId || `${transactionId}:${status}`),
+            transactionId,
+            reference: body.reference,
+            status,
+            amountCents: body.amountCents,
+            currency: body.currency,
+            method: body.method || 'Fake gateway',
+            occurredAt: new Date(body.occurredAt || Date.now()).toISOString()
+        };
+    }
+};
+
+export function signFakePaymentEvent(rawBody, secret) {
+    return createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+export const PAYMENT_PROVIDERS = { wompi, mercadopago, fake };
+
+export function getPaymentProvider(name) {
+    const provider = Object.prototype.hasOwnProperty.call(PAYMENT_PROVIDERS, name) ? PAYMENT_PROVIDERS[name] : null;
+    return provider && provider.isEnabled() ? provider : null;
+}
+
+/**
+ * Checks a normalized event before it touches an order.
+ * @returns {string|null} An error message, or null when the event is usable.
+ */
+export function validatePaymentEvent(paymentEvent) {
+    if (!paymentEvent.eventId || !paymentEvent.transactionId || paymentEvent.transactionId.includes('/')) {
+        return 'The event has no transaction ID.';
+    }
+    if (!PAYMENT_EVENT_STATUSES.includes(paymentEvent.status)) {
+        return `Unknown payment status "${paymentEvent.status}".`;
+    }
+    if (!Number.isInteger(paymentEvent.amountCents) || paymentEvent.amountCents <= 0) {
+        return 'The event amount must be a whole number of cents above 0.';
+    }
+    if (!CURRENCIES.includes(paymentEvent.currency)) {
+        return `Currency must be one of: ${CURRENCIES.join(', ')}.`;
+    }
+    if (Number.isNaN(new Date(paymentEvent.occurredAt).getTime())) {
+        return 'The event has no valid date.';
+    }
+    return null;
+}
@@ -0,0 +1,300 @@
+/**
+ * Supplier purchase orders, shared by manageSupplier, managePurchaseOrder and receivePurchaseOrder.
+ * A purchase order (PO) belongs to one supplier and lists lines { lineId, itemId, name, sku, quantity,
+ * unitCostCents, receivedQuantity } in the supplier's currency, with an incoterm (EXW or FOB plus the
+ * named place) and an expected date. Statuses run Draft -> Sent -> Partially Received -> Received;
+ * only drafts can be edited, and a PO can be cancelled until something has been received.
+ * Receiving adds the units to the item's stock and hands them to backordered orders first.
+ */
+import { getOrderYear } from './orderNumbers.js';
+import { CURRENCIES, formatMoney } from './currency.js';
+
+export const PURCHASE_ORDER_COUNTER_DOC_PATH = process.env.PURCHASE_ORDER_COUNTER_DOC_PATH || 'admin/purchaseOrderCounter';
+export const IMPORT_SHIPMENT_COUNTER_DOC_PATH = process.env.IMPORT_SHIPMENT_COUNTER_DOC_PATH || 'admin/importShipmentCounter';
+
+export const INCOTERMS = ['EXW', 'FOB'];
+
+export const PURCHASE_ORDER_STATUSES = ['Draft', 'Sent', 'Partially Received', 'Received', 'Cancelled'];
+
+export const PURCHASE_ORDER_STATUS_TRANSITIONS = {
+    'Draft': ['Sent', 'Cancelled'],
+    'Sent': ['Partially Received', 'Received', 'Cancelled'],
+    'Partially Received': ['Partially Received', 'Received'],
+    'Received': [],
+    'Cancelled': []
+};
+
+// Statuses in which goods can still arrive against the PO
+export const RECEIVABLE_PURCHASE_ORDER_STATUSES = ['Sent', 'Partially Received'];
+
+export const MAX_PURCHASE_ORDER_LINES = 100;
+const MAX_LINE_QUANTITY = 100000;
+const MAX_UNIT_COST_CENTS = 100000000;
+
+function text(value, maxLength) {
+    return typeof value === 'string' ? value.replace(/</g, "&lt;").replace(/>/g, "&gt;").trim().substring(0, maxLength) : '';
+}
+
+function isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+export function formatPurchaseOrderNumber(year, sequence) {
+    return `PO-${year}-${String(sequence).padStart(4, '0')}`;
+}
+
+/**
+ * Allocates the next PO number inside a Firestore transaction; same rules as allocateOrderNumber
+ * (call it after the transaction's other reads and before its first write).
+ */
+export async function allocatePurchaseOrderNumber(transaction, db, date = new Date()) {
+    const counterRef = db.doc(PURCHASE_ORDER_COUNTER_DOC_PATH);
+    const counterSnap = await transaction.get(counterRef);
+    const year = getOrderYear(date);
+    const sequence = (counterSnap.exists ? (counterSnap.data()[year] || 0) : 0) + 1;
+
+    transaction.set(counterRef, { [year]: sequence, updatedAt: date.toISOString() }, { merge: true });
+    return formatPurchaseOrderNumber(year, sequence);
+}
+
+// Import shipments (see landedCosts.js) are numbered IMP-YYYY-NNNN the same way
+export async function allocateImportShipmentNumber(transaction, db, date = new Date()) {
+    const counterRef = db.doc(IMPORT_SHIPMENT_COUNTER_DOC_PATH);
+    const counterSnap = await transaction.get(counterRef);
+    const year = getOrderYear(date);
+    const sequence = (counterSnap.exists ? (counterSnap.data()[year] || 0) : 0) + 1;
+
+    transaction.set(counterRef, { [year]: sequence, updatedAt: date.toISOString() }, { merge: true });
+    return `IMP-${year}-${String(sequence).padStart(4, '0')}`;
+}
+
+export function canTransitionPurchaseOrder(from, to) {
+    return (PURCHASE_ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+export function buildPurchaseOrderHistoryEntry(from, to, by, note = null) {
+    return { from: from || null, to, by, at: new Date().toISOString(), note: note || null };
+}
+
+/**
+ * Validates a supplier sent by the admin UI.
+ * @returns {{supplier: object}|{error: string}}
+ */
+export function normalizeSupplier(input = {}) {
+    const name = text(input.name, 120);
+    if (!name) return { error: 'The supplier name is required.' };
+    const email = text(input.email, 120);
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: 'The supplier email is not valid.' };
+    if (!CURRENCIES.includes(input.currency)) return { error: `The supplier currency must be one of: ${CURRENCIES.join(', ')}.` };
+    if (input.defaultIncoterm && !INCOTERMS.includes(input.defaultIncoterm)) return { error: `The incoterm must be one of: ${INCOTERMS.join(', ')}.` };
+    const leadTimeDays = input.leadTimeDays === null || input.leadTimeDays === undefined || input.leadTimeDays === '' ? null : input.leadTimeDays;
+    if (leadTimeDays !== null && (!Number.isInteger(leadTimeDays) || leadTimeDays < 0 || leadTimeDays > 365)) {
+        return { error: 'The lead time must be a whole number of days between 0 and 365.' };
+    }
+
+    return {
+        supplier: {
+            name,
+            contactName: text(input.contactName, 120),
+            email,
+            phone: text(input.phone, 40),
+            country: text(input.country, 60),
+            taxId: text(input.taxId, 40),
+            address: text(input.address, 200),
+            currency: input.currency,
+            defaultIncoterm: input.defaultIncoterm || 'FOB',
+            leadTimeDays,
+            // The language the supplier reads first; the PDF shows it above English or Spanish
+            language: input.language === 'es' ? 'es' : 'en',
+            notes: text(input.notes, 500),
+            active: input.active !== false
+        }
+    };
+}
+
+/**
+ * Validates a draft PO sent by the admin UI and snapshots each line's item name and SKU.
+ * @param {object} input - { supplierId, currency, incoterm, incotermPlace, expectedDate, notes, lines: [{ itemId, quantity, unitCostCents }] }
+ * @param {Object<string, object>} itemsById - The catalog items the lines refer to.
+ * @returns {{purchaseOrder: object}|{error: string}}
+ */
+export function normalizePurchaseOrder(input = {}, itemsById = {}) {
+    if (!input.supplierId || typeof input.supplierId !== 'string' || input.supplierId.includes('/')) return { error: 'Choose a supplier.' };
+    if (!CURRENCIES.includes(input.currency)) return { error: `The currency must be one of: ${CURRENCIES.join(', ')}.` };
+    if (!INCOTERMS.includes(input.incoterm)) return { error: `The incoterm must be one of: ${INCOTERMS.join(', ')}.` };
+    const incotermPlace = text(input.incotermPlace, 80);
+    if (!incotermPlace) return { error: `Name the ${input.incoterm} place (e.g. ${input.incoterm === 'FOB' ? 'Shanghai port' : "the supplier's warehouse"}).` };
+    if (input.expectedDate && !isDate(input.expectedDate)) return { error: 'The expected date must be a date (YYYY-MM-DD).' };
+    if (!Array.isArray(input.lines) || input.lines.length === 0 || input.lines.length > MAX_PURCHASE_ORDER_LINES) {
+        return { error: `A purchase order needs between 1 and ${MAX_PURCHASE_ORDER_LINES} lines.` };
+    }
+
+    const lines = [];
+    for (const [index, line] of input.lines.entries()) {
+        const item = itemsById[line.itemId];
+        if (!item) return { error: `Line ${index + 1}: unknown item.` };
+        if (lines.some(existing => existing.itemId === line.itemId)) return { error: `${item.name} is on the purchase order twice; use one line.` };
+        if (!Number.isInteger(line.quantity) || line.quantity <= 0 || line.quantity > MAX_LINE_QUANTITY) {
+            return { error: `${item.name}: the quantity must be a whole number between 1 and ${MAX_LINE_QUANTITY}.` };
+        }
+        if (!Number.isInteger(line.unitCostCents) || line.unitCostCents < 0 || line.unitCostCents > MAX_UNIT_COST_CENTS) {
+            return { error: `${item.name}: the unit cost must be a whole number of cents.` };
+        }
+        lines.push({
+            lineId: `L${index + 1}`,
+            itemId: line.itemId,
+            name: item.name,
+            sku: item.sku || null,
+            quantity: line.quantity,
+            unitCostCents: line.unitCostCents,
+            receivedQuantity: 0
+        });
+    }
+
+    return {
+        purchaseOrder: {
+            supplierId: input.supplierId,
+            currency: input.currency,
+            incoterm: input.incoterm,
+            incotermPlace,
+            expectedDate: input.expectedDate || null,
+            notes: text(input.notes, 1000),
+            lines
+        }
+    };
+}
+
+export function getPurchaseOrderTotals(purchaseOrder) {
+    const lines = purchaseOrder.lines || [];
+    return {
+        subtotalCents: lines.reduce((sum, line) => sum + line.quantity * line.unitCostCents, 0),
+        orderedUnits: lines.reduce((sum, line) => sum + line.quantity, 0),
+        receivedUnits: lines.reduce((sum, line) => sum + (line.receivedQuantity || 0), 0)
+    };
+}
+
+/**
+ * Checks a receipt against what is still outstanding on each line.
+ * @param {object} purchaseOrder
+ * @param {Array<{lineId: string, quantity: number}>} receipts
+ * @returns {{lines: Array, received: Array<{lineId, itemId, name, quantity, unitCostCents}>, status: string}|{error: string}}
+ */
+export function planPurchaseOrderReceipt(purchaseOrder, receipts) {
+    if (!RECEIVABLE_PURCHASE_ORDER_STATUSES.includes(purchaseOrder.status)) {
+        return { error: `Goods can only be received on a sent purchase order (this one is ${purchaseOrder.status}).` };
+    }
+    if (!Array.isArray(receipts) || receipts.length === 0) return { error: 'Enter the quantity received on at least one line.' };
+
+    const received = [];
+    const lines = (purchaseOrder.lines || []).map(line => ({ ...line }));
+    for (const receipt of receipts) {
+        const line = lines.find(candidate => candidate.lineId === receipt.lineId);
+        if (!line) return { error: `Unknown purchase order line ${receipt.lineId}.` };
+        if (received.some(entry => entry.lineId === line.lineId)) return { error: `Line ${line.lineId} is listed twice.` };
+        const outstanding = line.quantity - (line.receivedQuantity || 0);
+        if (!Number.isInteger(receipt.quantity) || receipt.quantity <= 0 || receipt.quantity > outstanding) {
+            return { error: `${line.name}: receive between 1 and ${outstanding} units.` };
+        }
+        line.receivedQuantity = (line.receivedQuantity || 0) + receipt.quantity;
+        received.push({ lineId: line.lineId, itemId: line.itemId, name: line.name, quantity: receipt.quantity, unitCostCents: line.unitCostCents });
+    }
+
+    const complete = lines.every(line => line.receivedQuantity >= line.quantity);
+    return { lines, received, status: complete ? 'Received' : 'Partially Received' };
+}
+
+const PO_STRINGS = {
+    en: {
+        title: 'Purchase Order', number: 'PO No.', date: 'Date', expected: 'Expected by', supplier: 'Supplier',
+        buyer: 'Buyer', terms: 'Incoterm', item: 'Item', sku: 'SKU', qty: 'Qty', unitCost: 'Unit cost',
+        amount: 'Amount', total: 'Total', notes: 'Notes', currency: 'Currency',
+        footer: 'Please confirm this purchase order, its prices and the expected date by replying to the buyer.'
+    },
+    es: {
+        title: 'Orden de Compra', number: 'OC N.º', date: 'Fecha', expected: 'Fecha esperada', supplier: 'Proveedor',
+        buyer: 'Comprador', terms: 'Incoterm', item: 'Artículo', sku: 'Ref.', qty: 'Cant.', unitCost: 'Costo unit.',
+        amount: 'Valor', total: 'Total', notes: 'Notas', currency: 'Moneda',
+        footer: 'Por favor confirme esta orden de compra, sus precios y la fecha esperada respondiendo al comprador.'
+    }
+};
+
+/**
+ * Bilingual PO document for the supplier, rendered to PDF by managePurchaseOrder. Every label shows
+ * the supplier's language first and the other one below it.
+ * @param {object} purchaseOrder
+ * @param {object} supplier
+ * @param {{name: string, taxId?: string, address?: string, email?: string, phone?: string}} buyer
+ */
+export function renderPurchaseOrderHtml(purchaseOrder, supplier, buyer) {
+    const first = supplier.language === 'es' ? 'es' : 'en';
+    const second = first === 'es' ? 'en' : 'es';
+    const label = key => `${PO_STRINGS[first][key]}<br><span style="font-weight:400;color:#64748b;font-size:10px;">${PO_STRINGS[second][key]}</span>`;
+    const money = cents => formatMoney(cents, purchaseOrder.currency, first);
+    const date = value => (value ? new Date(`${value.substring(0, 10)}T12:00:00`).toLocaleDateString(first === 'es' ? 'es-CO' : 'en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : '—');
+    const cell = 'padding:8px 10px;border-bottom:1px solid #e2e8f0;font-size:12px;color:#334155;';
+    const head = 'padding:8px 10px;border-bottom:2px solid #4338ca;font-size:11px;font-weight:700;color:#1e293b;text-align:left;vertical-align:bottom;';
+    const { subtotalCents } = getPurchaseOrderTotals(purchaseOrder);
+    const party = (title, p) => `
+        <td style="vertical-align:top;width:50%;padding:10px;border:1px solid #e2e8f0;font-size:12px;">
+            <p style="margin:0 0 4px;font-size:11px;font-weight:700;">${label(title)}</p>
+            <p style="margin:0;font-weight:700;">${p.name || ''}</p>
+            ${p.contactName ? `<p style="margin:2px 0;">${p.contactName}</p>` : ''}
+            ${p.taxId ? `<p style="margin:2px 0;">${p.taxId}</p>` : ''}
+            ${p.address ? `<p style="margin:2px 0;">${p.address}${p.country ? `, ${p.country}` : ''}</p>` : ''}
+            <p style="margin:2px 0;">${[p.email, p.phone].filter(Boolean).join(' · ')}</p>
+        </td>`;
+
+    return `<!DOCTYPE html>
+<html lang="${first}">
+<head><meta charset="UTF-8"><title>${PO_STRINGS[first].title} ${purchaseOrder.purchaseOrderNumber}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;margin:0;padding:24px;color:#1e293b;">
+    <table width="100%" style="border-collapse:collapse;margin-bottom:16px;">
+        <tr>
+            <td style="vertical-align:top;">
+                <p style="margin:0;font-size:20px;font-weight:700;color:#4338ca;">${PO_STRINGS[first].title}</p>
+                <p style="margin:0;font-size:13px;color:#64748b;">${PO_STRINGS[second].title}</p>
+            </td>
+            <td style="vertical-align:top;text-align:right;font-size:12px;">
+                <p style="margin:0;font-size:16px;font-weight:700;">${purchaseOrder.purchaseOrderNumber}</p>
+                <p style="margin:2px 0;">${PO_STRINGS[first].date} / ${PO_STRINGS[second].date}: ${date(purchaseOrder.sentAt || purchaseOrder.createdAtIso)}</p>
+                <p style="margin:2px 0;">${PO_STRINGS[first].expected} / ${PO_STRINGS[second].expected}: ${date(purchaseOrder.expectedDate)}</p>
+            </td>
+        </tr>
+    </table>
+    <table width="100%" style="border-collapse:collapse;margin-bottom:16px;">
+        <tr>${party('buyer', buyer)}${party('supplier', supplier)}</tr>
+    </table>
+    <p style="font-size:12px;margin:0 0 12px;"><strong>${PO_STRINGS[first].terms}:</strong> ${purchaseOrder.incoterm} ${purchaseOrder.incotermPlace} (Incoterms® 2020) · <strong>${PO_STRINGS[first].currency} / ${PO_STRINGS[second].currency}:</strong> ${purchaseOrder.currency}</p>
+    <table width="100%" style="border-collapse:collapse;margin-bottom:16px;">
+        <thead>
+            <tr>
+                <th style="${head}">${label('item')}</th>
+                <th style="${head}">${label('sku')}</th>
+                <th style="${head}text-align:right;">${label('qty')}</th>
+                <th style="${head}text-align:right;">${label('unitCost')}</th>
+                <th style="${head}text-align:right;">${label('amount')}</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${purchaseOrder.lines.map(line => `
+            <tr>
+                <td style="${cell}">${line.name}</td>
+                <td style="${cell}">${line.sku || ''}</td>
+                <td style="${cell}text-align:right;">${line.quantity}</td>
+                <td style="${cell}text-align:right;">${money(line.unitCostCents)}</td>
+                <td style="${cell}text-align:right;">${money(line.quantity * line.unitCostCents)}</td>
+            </tr>`).join('')}
+        </tbody>
+        <tfoot>
+            <tr>
+                <td colspan="4" style="padding:10px;text-align:right;font-size:12px;font-weight:700;">${PO_STRINGS[first].total} / ${PO_STRINGS[second].total} (${purchaseOrder.incoterm})</td>
+                <td style="padding:10px;text-align:right;font-size:14px;font-weight:700;">${money(subtotalCents)}</td>
+            </tr>
+        </tfoot>
+    </table>
+    ${purchaseOrder.notes ? `<div style="padding:10px;border:1px solid #e2e8f0;border-radius:6px;font-size:12px;margin-bottom:16px;"><strong>${PO_STRINGS[first].notes} / ${PO_STRINGS[second].notes}:</strong> ${purchaseOrder.notes}</div>` : ''}
+    <p style="font-size:11px;color:#64748b;margin:0;">${PO_STRINGS[first].footer}</p>
+    <p style="font-size:11px;color:#94a3b8;margin:2px 0 0;">${PO_STRINGS[second].footer}</p>
+</body>
+</html>`;
+}
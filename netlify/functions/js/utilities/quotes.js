@@ -0,0 +1,75 @@
+/**
+ * Quotes (cotizaciones) built by an admin from the manual order cart.
+ * A quote is created 'Sent' with frozen prices and an expiry date; the customer accepts it through a
+ * tokenized link (acceptQuote), and an admin then converts it into an order through adminCreateOrder.
+ * Lifecycle: Sent -> Accepted | Declined, Accepted -> Converted. A Sent quote past `expiresAt` reads
+ * as Expired and can no longer be accepted.
+ */
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { getOrderYear } from './orderNumbers.js';
+
+export const QUOTE_STATUSES = ['Sent', 'Accepted', 'Declined', 'Converted', 'Expired'];
+export const DEFAULT_QUOTE_VALID_DAYS = 15;
+export const MAX_QUOTE_VALID_DAYS = 90;
+export const QUOTE_NUMBER_PREFIX = process.env.QUOTE_NUMBER_PREFIX || 'COT';
+export const QUOTE_COUNTER_DOC_PATH = process.env.QUOTE_COUNTER_DOC_PATH || 'admin/quoteCounter';
+const SEQUENCE_DIGITS = 5;
+
+export function formatQuoteNumber(year, sequence) {
+    return `${QUOTE_NUMBER_PREFIX}-${year}-${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+}
+
+/**
+ * Allocates the next quote number inside a Firestore transaction (same rules as allocateOrderNumber:
+ * call it after the transaction's other reads and before its first write).
+ * @returns {Promise<string>}
+ */
+export async function allocateQuoteNumber(transaction, db, date = new Date()) {
+    const counterRef = db.doc(QUOTE_COUNTER_DOC_PATH);
+    const counterSnap = await transaction.get(counterRef);
+    const year = getOrderYear(date);
+    const sequence = (counterSnap.exists ? (counterSnap.data()[year] || 0) : 0) + 1;
+
+    transaction.set(counterRef, { [year]: sequence, updatedAt: date.toISOString() }, { merge: true });
+    return formatQuoteNumber(year, sequence);
+}
+
+export function isQuoteExpired(quote, now = Date.now()) {
+    return new Date(quote.expiresAt).getTime() <= now;
+}
+
+// The status shown to admins and customers: an open quote past its expiry reads as Expired
+export function getQuoteStatus(quote, now = Date.now()) {
+    return quote.status === 'Sent' && isQuoteExpired(quote, now) ? 'Expired' : quote.status;
+}
+
+export function quoteTotalCents(lines = []) {
+    return lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+}
+
+/**
+ * The accept link carries a random token; only its hash is stored on the quote, so reading the
+ * quote document is not enough to accept it.
+ * @returns {{token: string, tokenHash: string}}
+ */
+export function createAcceptToken() {
+    const token = randomBytes(24).toString('hex');
+    return { token, tokenHash: hashAcceptToken(token) };
+}
+
+export function hashAcceptToken(token) {
+    return createHash('sha256').update(String(token)).digest('hex');
+}
+
+export function isValidAcceptToken(quote, token) {
+    if (!quote.acceptTokenHash || typeof token !== 'string' || !/^[a-f0-9]{48}$/.test(token)) return false;
+    return timingSafeEqual(Buffer.from(hashAcceptToken(token), 'hex'), Buffer.from(quote.acceptTokenHash, 'hex'));
+}
+
+export function buildAcceptUrl(siteUrl, quoteId, token) {
+    return `${siteUrl}/quote.html?id=${encodeURIComponent(quoteId)}&token=${token}`;
+}
+
+export function buildQuoteHistoryEntry(from, to, by, note = null) {
+    return { from: from || null, to, by, at: new Date().toISOString(), note: note || null };
+}
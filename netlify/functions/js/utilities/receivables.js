@@ -0,0 +1,200 @@
+/**
+ * Accounts receivable: unpaid order balances aged from the order date, and the payment reminders sent
+ * for them by sendPaymentReminders.
+ * A balance is what the customer still owes: getAmountDueCents (total less retención and refunded
+ * returns) minus paidCents.
+ * Cancelled orders owe nothing. The aging report groups balances per customer (by email) in
+ * AGING_BUCKETS, converted to the catalog currency at each order's frozen rate so pesos and dollars
+ * can be added up; each order also keeps its balance in its own currency.
+ * Reminder settings live in admin/config as `paymentReminders`:
+ *   { enabled, cadenceDays: [7, 15, 30], repeatEveryDays: 30, maxReminders: 6 }
+ * The n-th reminder goes out once the order is cadenceDays[n] days old; past the list, every
+ * repeatEveryDays (0 stops after the list). Each reminder is logged on the order in `paymentReminders`.
+ */
+
+import { convertToCatalog, formatMoney, getOrderCurrency } from './currency.js';
+import { getAmountDueCents } from './taxes.js';
+
+export const AGING_BUCKETS = [
+    { key: '0-30', maxDays: 30 },
+    { key: '31-60', maxDays: 60 },
+    { key: '61-90', maxDays: 90 },
+    { key: '90+', maxDays: Infinity }
+];
+
+export const DEFAULT_REMINDER_SETTINGS = { enabled: false, cadenceDays: [7, 15, 30], repeatEveryDays: 30, maxReminders: 6 };
+export const MAX_CADENCE_STEPS = 10;
+export const MAX_REMINDERS = 24;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getReminderSettings(config) {
+    return { ...DEFAULT_REMINDER_SETTINGS, ...(config || {}) };
+}
+
+/**
+ * Validates the reminder settings sent by the admin UI.
+ * @returns {{settings: object}|{error: string}}
+ */
+export function normalizeReminderSettings(input = {}) {
+    const cadenceDays = Array.isArray(input.cadenceDays) ? input.cadenceDays : [];
+    if (cadenceDays.length === 0 || cadenceDays.length > MAX_CADENCE_STEPS ||
+        cadenceDays.some((days, index) => !Number.isInteger(days) || days < 1 || days > 365 || (index > 0 && days <= cadenceDays[index - 1]))) {
+        return { error: `The cadence needs 1 to ${MAX_CADENCE_STEPS} increasing whole numbers of days between 1 and 365.` };
+    }
+    const repeatEveryDays = input.repeatEveryDays ?? 0;
+    if (!Number.isInteger(repeatEveryDays) || repeatEveryDays < 0 || repeatEveryDays > 365) {
+        return { error: 'The repeat interval must be a whole number of days between 0 and 365 (0 to stop after the cadence).' };
+    }
+    const maxReminders = input.maxReminders ?? cadenceDays.length;
+    if (!Number.isInteger(maxReminders) || maxReminders < 1 || maxReminders > MAX_REMINDERS) {
+        return { error: `The maximum number of reminders must be between 1 and ${MAX_REMINDERS}.` };
+    }
+    return { settings: { enabled: input.enabled === true, cadenceDays, repeatEveryDays, maxReminders } };
+}
+
+// Orders store `timestamp` as an ISO string; `createdAt` is the server Timestamp (or its JSON form)
+export function getOrderDate(order) {
+    if (order.timestamp) {
+        const date = new Date(order.timestamp);
+        if (!Number.isNaN(date.getTime())) return date;
+    }
+    const createdAt = order.createdAt;
+    if (createdAt && typeof createdAt.toDate === 'function') return createdAt.toDate();
+    if (createdAt && typeof createdAt._seconds === 'number') return new Date(createdAt._seconds * 1000);
+    return null;
+}
+
+export function getBalanceCents(order) {
+    if (order.status === 'Cancelled') return 0;
+    return getAmountDueCents(order) - (order.paidCents || 0);
+}
+
+export function getAgeDays(order, now = new Date()) {
+    const date = getOrderDate(order);
+    return date ? Math.max(0, Math.floor((now.getTime() - date.getTime()) / DAY_MS)) : 0;
+}
+
+export function getAgingBucket(ageDays) {
+    return AGING_BUCKETS.find(bucket => ageDays <= bucket.maxDays).key;
+}
+
+function emptyBuckets() {
+    return Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+}
+
+/**
+ * Groups the unpaid balances of `orders` per customer.
+ * @returns {{customers: Array<object>, totals: object, orderCount: number}} Customers are sorted by
+ *   their balance, largest first; bucket amounts and totalCents are in the catalog currency.
+ */
+export function buildAgingReport(orders, now = new Date()) {
+    const customers = new Map();
+    const totals = { ...emptyBuckets(), totalCents: 0 };
+    let orderCount = 0;
+
+    orders.forEach(order => {
+        const balanceCents = getBalanceCents(order);
+        if (balanceCents <= 0) return;
+
+        const ageDays = getAgeDays(order, now);
+        const bucket = getAgingBucket(ageDays);
+        const catalogCents = convertToCatalog(balanceCents, order.exchangeRate);
+        const email = String(order.buyerEmail || '').trim().toLowerCase() || 'unknown';
+        if (!customers.has(email)) {
+            customers.set(email, { email, name: order.buyerName || '', buckets: emptyBuckets(), totalCents: 0, oldestDays: 0, orders: [] });
+        }
+        const customer = customers.get(email);
+        customer.buckets[bucket] += catalogCents;
+        customer.totalCents += catalogCents;
+        customer.oldestDays = Math.max(customer.oldestDays, ageDays);
+        customer.orders.push({
+            orderId: order.id,
+            orderNumber: order.orderNumber || null,
+            currency: getOrderCurrency(order),
+            balanceCents,
+            ageDays,
+            bucket,
+            remindersSent: (order.paymentReminders || []).filter(reminder => reminder.status === 'sent').length
+        });
+        totals[bucket] += catalogCents;
+        totals.totalCents += catalogCents;
+        orderCount += 1;
+    });
+
+    return {
+        customers: [...customers.values()].sort((a, b) => b.totalCents - a.totalCents),
+        totals,
+        orderCount
+    };
+}
+
+// The age in days at which reminder number `step` (0-based) is due, or null when there is none
+export function getReminderDueDay(step, settings) {
+    const { cadenceDays, repeatEveryDays } = settings;
+    if (step < cadenceDays.length) return cadenceDays[step];
+    if (!repeatEveryDays) return null;
+    return cadenceDays[cadenceDays.length - 1] + repeatEveryDays * (step - cadenceDays.length + 1);
+}
+
+/**
+ * The reminder step an order is due for now, or null. Reminders that failed to send are retried.
+ * An order that is already past several steps (e.g. reminders were just enabled) gets one reminder
+ * per run, spaced like the cadence, instead of all of them at once.
+ */
+export function getDueReminderStep(order, settings, now = new Date()) {
+    if (getBalanceCents(order) <= 0) return null;
+    const sent = (order.paymentReminders || []).filter(reminder => reminder.status === 'sent');
+    const step = sent.length;
+    if (step >= settings.maxReminders) return null;
+
+    const dueDay = getReminderDueDay(step, settings);
+    const ageDays = getAgeDays(order, now);
+    if (dueDay === null || ageDays < dueDay) return null;
+
+    if (step > 0) {
+        const gapDays = dueDay - getReminderDueDay(step - 1, settings);
+        const lastSentAt = new Date(sent[step - 1].sentAt);
+        if ((now.getTime() - lastSentAt.getTime()) / DAY_MS < gapDays) return null;
+    }
+    return step;
+}
+
+/**
+ * Subject and HTML body of a payment reminder in the customer's language.
+ * @param {{order: object, balanceCents: number, ageDays: number, step: number, lang: string}} params
+ */
+export function buildReminderEmail({ order, balanceCents, ageDays, step, lang }) {
+    const es = lang === 'es';
+    const currency = getOrderCurrency(order);
+    const amount = formatMoney(balanceCents, currency, es ? 'es' : 'en');
+    const orderRef = order.orderNumber || order.id;
+    const name = order.buyerName || (es ? 'cliente' : 'customer');
+    const paidLine = order.paidCents > 0
+        ? (es ? `Ya recibimos ${formatMoney(order.paidCents, currency, 'es')}; gracias.` : `We have already received ${formatMoney(order.paidCents, currency, 'en')}; thank you.`)
+        : '';
+
+    const subject = es
+        ? `${step > 0 ? 'Recordatorio: ' : ''}Saldo pendiente de ${amount} en su pedido autoInx #${orderRef}`
+        : `${step > 0 ? 'Reminder: ' : ''}Balance of ${amount} due on your autoInx order #${orderRef}`;
+    const intro = es
+        ? `Hola ${name}, su pedido #${orderRef} tiene un saldo pendiente de <strong>${amount}</strong> (hace ${ageDays} días).`
+        : `Hello ${name}, your order #${orderRef} has an outstanding balance of <strong>${amount}</strong> (placed ${ageDays} days ago).`;
+    const close = es
+        ? 'Si ya realizó el pago, por favor ignore este mensaje o responda con el comprobante. ¿Preguntas? Responda a este correo.'
+        : 'If you have already paid, please ignore this message or reply with the payment receipt. Questions? Reply to this email.';
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #3b3f44;">
+            <h2 style="color: #4f46e5;">${es ? 'Recordatorio de pago' : 'Payment reminder'}</h2>
+            <p style="font-size: 15px;">${intro}</p>
+            ${paidLine ? `<p style="font-size: 14px; color: #16a34a;">${paidLine}</p>` : ''}
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 14px;">
+                <tr><td style="padding: 8px; border-bottom: 1px solid #eee;">${es ? 'Pedido' : 'Order'}</td><td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">#${orderRef}</td></tr>
+                <tr><td style="padding: 8px; border-bottom: 1px solid #eee;">${es ? 'Total' : 'Total'}</td><td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${formatMoney(getAmountDueCents(order), currency, es ? 'es' : 'en')}</td></tr>
+                <tr><td style="padding: 8px; font-weight: bold; color: #e11d48;">${es ? 'Saldo pendiente' : 'Balance due'}</td><td style="padding: 8px; text-align: right; font-weight: bold; color: #e11d48;">${amount}</td></tr>
+            </table>
+            <p style="font-size: 14px;">${close}</p>
+        </div>
+    `;
+    return { subject, html };
+}
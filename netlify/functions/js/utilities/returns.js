@@ -0,0 +1,104 @@
+/**
+ * Return (RMA) workflow shared by requestReturn and updateReturnStatus.
+ * A return moves Requested -> Approved | Rejected, then Approved -> Received once the parts are
+ * back (each line restocked or scrapped), and finally Received -> Refunded | Replaced.
+ */
+
+export const RETURN_REASONS = ['wrong_fitment', 'defective', 'damaged_in_transit', 'not_as_described', 'no_longer_needed', 'other'];
+
+export const RETURN_STATUS_TRANSITIONS = {
+    'Requested': ['Approved', 'Rejected'],
+    'Approved': ['Received'],
+    'Received': ['Refunded', 'Replaced'],
+    'Rejected': [],
+    'Refunded': [],
+    'Replaced': [],
+};
+
+// updateReturnStatus actions and the status each one moves the return to
+export const RETURN_ACTIONS = {
+    approve: 'Approved',
+    reject: 'Rejected',
+    receive: 'Received',
+    refund: 'Refunded',
+    replace: 'Replaced',
+};
+
+export const LINE_DISPOSITIONS = ['restock', 'scrap'];
+
+// Only orders whose goods have left the warehouse can be returned
+export const RETURNABLE_ORDER_STATUSES = ['Partially Shipped', 'Shipped', 'Delivered'];
+
+export const MAX_RETURN_PHOTOS = 3;
+// Photos are stored as data URLs in Firestore documents, which are limited to 1 MiB each
+export const MAX_PHOTO_DATA_URL_LENGTH = 900 * 1024;
+
+export function canTransitionReturn(from, to) {
+    return (RETURN_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+export function formatRmaNumber(orderRef, sequence) {
+    return `RMA-${orderRef}-${sequence}`;
+}
+
+// Returned lines carry their share of any order discount (see promotions.js)
+export function returnValueCents(lines = []) {
+    return lines.reduce((sum, line) => sum + line.price * line.quantity - (line.discountCents || 0), 0);
+}
+
+/**
+ * Validates the lines of a new return against what the buyer actually received and the returns
+ * already open on it (rejected returns free their quantities again). Once the order has shipments
+ * only units in a Shipped or Delivered shipment count; before that, backordered units never left.
+ * @param {Array<Object>} shipments - The order's shipments; empty when it has none.
+ * @returns {string|null} An error message, or null when the lines are valid.
+ */
+export function validateReturnLines(lines, orderItems = [], existingReturns = [], shipments = []) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        return 'Choose at least one item to return.';
+    }
+    const returnable = {};
+    orderItems.forEach(item => {
+        returnable[item.id] = shipments.length > 0 ? 0 : (returnable[item.id] || 0) + item.quantity - (item.backorderedQuantity || 0);
+    });
+    shipments.filter(shipment => shipment.status === 'Shipped' || shipment.status === 'Delivered').forEach(shipment => {
+        (shipment.lines || []).forEach(line => {
+            if (line.id in returnable) returnable[line.id] += line.quantity;
+        });
+    });
+    existingReturns.filter(rma => rma.status !== 'Rejected').forEach(rma => {
+        (rma.lines || []).forEach(line => {
+            returnable[line.id] = (returnable[line.id] || 0) - line.quantity;
+        });
+    });
+
+    const requested = {};
+    for (const line of lines) {
+        if (!line || typeof line.id !== 'string' || !Number.isInteger(line.quantity) || line.quantity <= 0) {
+            return 'Each returned line needs an item id and a positive whole quantity.';
+        }
+        if (!(line.id in returnable)) {
+            return `Item ${line.id} is not part of this order.`;
+        }
+        requested[line.id] = (requested[line.id] || 0) + line.quantity;
+    }
+    const overReturned = Object.keys(requested).find(id => requested[id] > returnable[id]);
+    if (overReturned) {
+        return `Only ${Math.max(returnable[overReturned], 0)} of item ${overReturned} can still be returned.`;
+    }
+    return null;
+}
+
+/**
+ * Checks that every line of a return has a restock or scrap decision.
+ * @param {Object<string, string>} dispositions - Item id -> 'restock' | 'scrap'.
+ * @returns {string|null} An error message, or null when the decisions are complete.
+ */
+export function validateDispositions(lines = [], dispositions = {}) {
+    const missing = lines.find(line => !LINE_DISPOSITIONS.includes(dispositions[line.id]));
+    return missing ? `Choose restock or scrap for item ${missing.name || missing.id}.` : null;
+}
+
+export function buildReturnHistoryEntry(from, to, by, note = null) {
+    return { from: from || null, to, by, at: new Date().toISOString(), note: note || null };
+}
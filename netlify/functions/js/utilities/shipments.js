@@ -0,0 +1,117 @@
+/**
+ * Partial shipments: an order's items can leave in several shipments, each stored in the order's
+ * `shipments` sub-collection with its own lines, carrier, tracking number and status.
+ * Once an order has shipments its Shipped / Partially Shipped / Delivered status is derived from
+ * them instead of being set by hand.
+ */
+
+export const SHIPMENTS_SUBCOLLECTION = 'shipments';
+
+export const SHIPMENT_STATUSES = ['Preparing', 'Shipped', 'Delivered', 'Cancelled'];
+
+export const SHIPMENT_STATUS_TRANSITIONS = {
+    'Preparing': ['Shipped', 'Cancelled'],
+    'Shipped': ['Delivered'],
+    'Delivered': [],
+    'Cancelled': [],
+};
+
+// Order statuses that updateOrderStatus must not set by hand once the order has shipments
+export const SHIPMENT_DERIVED_STATUSES = ['Partially Shipped', 'Shipped', 'Delivered'];
+
+// Only an order being worked on can have shipments added to it
+export const SHIPPABLE_ORDER_STATUSES = ['Processing', 'Partially Shipped'];
+
+export function canTransitionShipment(from, to) {
+    return (SHIPMENT_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+export function isActiveShipment(shipment) {
+    return shipment.status !== 'Cancelled';
+}
+
+export function formatShipmentNumber(orderRef, sequence) {
+    return `${orderRef}-S${sequence}`;
+}
+
+// Sums line quantities per item id over the shipments whose status passes `filter`
+function quantitiesByItem(shipments, filter) {
+    const totals = {};
+    shipments.filter(filter).forEach(shipment => {
+        (shipment.lines || []).forEach(line => {
+            totals[line.id] = (totals[line.id] || 0) + line.quantity;
+        });
+    });
+    return totals;
+}
+
+/**
+ * Quantities of each order line not yet assigned to an active shipment.
+ * @returns {Object<string, number>} Item id -> unassigned quantity.
+ */
+export function getUnassignedQuantities(orderItems = [], shipments = []) {
+    const assigned = quantitiesByItem(shipments, isActiveShipment);
+    const remaining = {};
+    orderItems.forEach(item => {
+        remaining[item.id] = (remaining[item.id] || 0) + item.quantity;
+    });
+    Object.keys(remaining).forEach(id => {
+        remaining[id] -= assigned[id] || 0;
+    });
+    return remaining;
+}
+
+/**
+ * Validates the lines of a new shipment against what is left to ship. Units still on backorder
+ * have not arrived yet, so they cannot be put in a shipment.
+ * @returns {string|null} An error message, or null when the lines are valid.
+ */
+export function validateShipmentLines(lines, orderItems = [], shipments = []) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        return 'A shipment needs at least one line.';
+    }
+    const remaining = getUnassignedQuantities(orderItems, shipments);
+    orderItems.forEach(item => {
+        remaining[item.id] -= item.backorderedQuantity || 0;
+    });
+    const requested = {};
+    for (const line of lines) {
+        if (!line || typeof line.id !== 'string' || !Number.isInteger(line.quantity) || line.quantity <= 0) {
+            return 'Each shipment line needs an item id and a positive whole quantity.';
+        }
+        if (!(line.id in remaining)) {
+            return `Item ${line.id} is not part of this order.`;
+        }
+        requested[line.id] = (requested[line.id] || 0) + line.quantity;
+    }
+    const overAssigned = Object.keys(requested).find(id => requested[id] > remaining[id]);
+    if (overAssigned) {
+        const waiting = orderItems.some(item => item.id === overAssigned && item.backorderedQuantity > 0);
+        return `Only ${Math.max(remaining[overAssigned], 0)} of item ${overAssigned} are left to ship${waiting ? ' (the rest is still on backorder)' : ''}.`;
+    }
+    return null;
+}
+
+/**
+ * Derives the order status from its shipments. Returns `currentStatus` unchanged while nothing
+ * has shipped, so the manual Pending/Processing/Cancelled flow is unaffected.
+ */
+export function deriveOrderStatus(orderItems = [], shipments = [], currentStatus) {
+    const shipped = quantitiesByItem(shipments, s => s.status === 'Shipped' || s.status === 'Delivered');
+    const delivered = quantitiesByItem(shipments, s => s.status === 'Delivered');
+    const ordered = getUnassignedQuantities(orderItems, []);
+    const itemIds = Object.keys(ordered);
+
+    const covers = totals => itemIds.every(id => (totals[id] || 0) >= ordered[id]);
+    if (itemIds.length > 0 && covers(delivered)) return 'Delivered';
+    if (itemIds.length > 0 && covers(shipped)) return 'Shipped';
+    if (Object.keys(shipped).length > 0) return 'Partially Shipped';
+    return currentStatus;
+}
+
+/**
+ * Builds one shipment statusHistory entry (ISO `at`, as Firestore arrays cannot hold serverTimestamp()).
+ */
+export function buildShipmentHistoryEntry(from, to, by) {
+    return { from: from || null, to, by, at: new Date().toISOString() };
+}
@@ -0,0 +1,77 @@
+/**
+ * Shared helpers for timed stock reservations ("holds") taken while a customer is in checkout.
+ * One reservation document exists per checkout session and item: `${sessionId}_${itemId}`.
+ * Status lifecycle: active -> converted (order placed) | released (cart changed) | expired (cron).
+ */
+
+export const RESERVATION_TTL_MS = (parseInt(process.env.RESERVATION_TTL_MINUTES, 10) || 15) * 60 * 1000;
+export const MAX_QUANTITY_PER_LINE = 100;
+
+/**
+ * Validates `[{ id, quantity }]` cart lines from the browser and merges duplicate IDs,
+ * so one item is only read and decremented once per transaction.
+ * @param {Array<{id: string, quantity: number}>} items
+ * @returns {Array<{id: string, quantity: number}>|null} Null when any line is invalid.
+ */
+export function normalizeCartLines(items) {
+    const quantities = {};
+    for (const item of items) {
+        const id = item && typeof item.id === 'string' ? item.id.trim() : '';
+        const quantity = item && Number.isInteger(item.quantity) ? item.quantity : 0;
+        if (!id || id.includes('/') || quantity <= 0) return null;
+        quantities[id] = (quantities[id] || 0) + quantity;
+    }
+    const lines = Object.entries(quantities).map(([id, quantity]) => ({ id, quantity }));
+    return lines.every(line => line.quantity <= MAX_QUANTITY_PER_LINE) ? lines : null;
+}
+
+/**
+ * Session IDs are generated in the browser (crypto.randomUUID), so only accept that shape.
+ * @param {string} sessionId
+ * @returns {boolean}
+ */
+export function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && /^[A-Za-z0-9-]{8,64}$/.test(sessionId);
+}
+
+export function reservationDocId(sessionId, itemId) {
+    return `${sessionId}_${itemId}`;
+}
+
+// expiresAt is stored as a Firestore Timestamp, but tolerate plain millis/ISO strings
+export function expiresAtMillis(hold) {
+    const value = hold.expiresAt;
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    return new Date(value).getTime() || 0;
+}
+
+export function isHoldActive(hold, now = Date.now()) {
+    return hold.status === 'active' && expiresAtMillis(hold) > now;
+}
+
+/**
+ * Sums the quantities held by OTHER checkout sessions for each item, inside a transaction.
+ * Expired holds that the cron has not swept yet are ignored, so they never block a sale.
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {FirebaseFirestore.CollectionReference} reservationsRef
+ * @param {string[]} itemIds
+ * @param {string|null} excludeSessionId - The caller's own session, whose holds count as theirs.
+ * @returns {Promise<Object<string, number>>} Map of itemId -> quantity held by others.
+ */
+export async function getHeldQuantities(transaction, reservationsRef, itemIds, excludeSessionId = null) {
+    const now = Date.now();
+    const held = {};
+
+    for (const itemId of itemIds) {
+        const snap = await transaction.get(
+            reservationsRef.where('itemId', '==', itemId).where('status', '==', 'active')
+        );
+        held[itemId] = snap.docs
+            .map(doc => doc.data())
+            .filter(hold => hold.sessionId !== excludeSessionId && isHoldActive(hold, now))
+            .reduce((sum, hold) => sum + (hold.quantity || 0), 0);
+    }
+
+    return held;
+}
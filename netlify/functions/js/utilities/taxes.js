@@ -0,0 +1,103 @@
+/**
+ * Colombian sales taxes for orders. Each catalog item carries a `taxCategory` (IVA 19%, IVA 5% or
+ * exempt; items without one use the general 19% rate). The store-wide settings live in the admin
+ * config doc as `taxSettings` and are frozen on every order so later edits re-price consistently:
+ *   pricesIncludeTax         catalog prices already include IVA (the tax is extracted from them)
+ *                            or are net (the tax is added on top)
+ *   withholdingRate          retención en la fuente applied when a business buyer withholds it
+ *   withholdingMinBaseCents  purchases below this taxable base are not subject to withholding
+ * Tax is computed per category on the summed line amounts, so each rate is rounded once per order.
+ * National freight is excluded from IVA (E.T. art. 476), so the delivery fee stays outside the base.
+ * Mirrored in the site's js/utilities/taxes.js for admin.html and checkout.html.
+ */
+
+export const TAX_CATEGORIES = {
+    iva19: { rate: 0.19, label: { es: 'IVA 19%', en: 'VAT (IVA) 19%' } },
+    iva5: { rate: 0.05, label: { es: 'IVA 5%', en: 'VAT (IVA) 5%' } },
+    exempt: { rate: 0, label: { es: 'Exento de IVA', en: 'VAT exempt' } }
+};
+export const DEFAULT_TAX_CATEGORY = 'iva19';
+
+// Retención en la fuente on purchases of goods by a declarant buyer
+export const DEFAULT_WITHHOLDING_RATE = 0.025;
+export const MAX_WITHHOLDING_RATE = 0.2;
+
+export function getTaxCategory(item = {}) {
+    return TAX_CATEGORIES[item.taxCategory] ? item.taxCategory : DEFAULT_TAX_CATEGORY;
+}
+
+export function getTaxLabel(category, lang) {
+    const entry = TAX_CATEGORIES[category] || TAX_CATEGORIES[DEFAULT_TAX_CATEGORY];
+    return entry.label[lang === 'es' ? 'es' : 'en'];
+}
+
+export function getWithholdingLabel(lang) {
+    return lang === 'es' ? 'Retención en la fuente' : 'Withholding tax (retención en la fuente)';
+}
+
+// 0.025 -> "2.5%" (en) / "2,5%" (es)
+export function formatTaxRate(rate, lang) {
+    return `${(rate * 100).toLocaleString(lang === 'es' ? 'es-CO' : 'en-US', { maximumFractionDigits: 2 })}%`;
+}
+
+/**
+ * Fills in defaults for the `taxSettings` stored in the admin config (or frozen on an order).
+ * @returns {{pricesIncludeTax: boolean, withholdingRate: number, withholdingMinBaseCents: number}}
+ */
+export function getTaxSettings(settings = {}) {
+    const rate = settings.withholdingRate;
+    const minBase = settings.withholdingMinBaseCents;
+    return {
+        pricesIncludeTax: settings.pricesIncludeTax !== false,
+        withholdingRate: typeof rate === 'number' && rate >= 0 && rate <= MAX_WITHHOLDING_RATE ? rate : DEFAULT_WITHHOLDING_RATE,
+        withholdingMinBaseCents: Number.isInteger(minBase) && minBase >= 0 ? minBase : 0
+    };
+}
+
+/**
+ * Splits priced lines into a pre-tax subtotal and one tax line per category.
+ * Lines with `discountCents` (see promotions.js) are taxed on their discounted amount.
+ * @param {Array<{price: number, quantity: number, taxCategory?: string, discountCents?: number}>} lines
+ * @param {object} settings - The result of getTaxSettings.
+ * @param {boolean} buyerWithholdsTax - The buyer is a withholding agent (business buyers only).
+ * @returns {{subtotalCents: number, taxLines: Array<{category: string, rate: number, baseCents: number, taxCents: number}>,
+ *            taxCents: number, goodsTotalCents: number, withholding: {rate: number, baseCents: number, amountCents: number}|null}}
+ */
+export function computeOrderTaxes(lines, settings, buyerWithholdsTax = false) {
+    const amountByCategory = {};
+    lines.forEach(line => {
+        const category = getTaxCategory(line);
+        amountByCategory[category] = (amountByCategory[category] || 0) + line.price * line.quantity - (line.discountCents || 0);
+    });
+
+    const taxLines = Object.keys(TAX_CATEGORIES)
+        .filter(category => amountByCategory[category] > 0)
+        .map(category => {
+            const rate = TAX_CATEGORIES[category].rate;
+            const amount = amountByCategory[category];
+            const baseCents = settings.pricesIncludeTax ? Math.round(amount / (1 + rate)) : amount;
+            const taxCents = settings.pricesIncludeTax ? amount - baseCents : Math.round(amount * rate);
+            return { category, rate, baseCents, taxCents };
+        });
+
+    const subtotalCents = taxLines.reduce((sum, line) => sum + line.baseCents, 0);
+    const taxCents = taxLines.reduce((sum, line) => sum + line.taxCents, 0);
+
+    // Withheld by the buyer on the pre-tax base and paid to the DIAN on our behalf, so it is
+    // deducted from what the buyer pays us, not from the invoice total
+    const withholding = buyerWithholdsTax && settings.withholdingRate > 0 && subtotalCents >= settings.withholdingMinBaseCents
+        ? { rate: settings.withholdingRate, baseCents: subtotalCents, amountCents: Math.round(subtotalCents * settings.withholdingRate) }
+        : null;
+
+    return { subtotalCents, taxLines, taxCents, goodsTotalCents: subtotalCents + taxCents, withholding };
+}
+
+/**
+ * What the customer actually owes: the invoice total less any retención the buyer withholds and
+ * less the refunds for returned goods (`returnCreditCents`, kept by updateReturnStatus), which take
+ * money out of paidCents without leaving anything to collect.
+ * Used wherever paidCents is compared with the order to set isPaid.
+ */
+export function getAmountDueCents(order) {
+    return (order.totalCents || 0) - (order.withholding ? order.withholding.amountCents : 0) - (order.returnCreditCents || 0);
+}
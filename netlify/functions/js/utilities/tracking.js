@@ -0,0 +1,139 @@
+/**
+ * Order tracking shared by trackOrder (behind the public track.html page) and the Shipped emails.
+ * An order's tracking comes from its courier booking (`delivery`, see carriers.js) or, for couriers
+ * without an integration, from the carrier and tracking number an admin enters when marking it
+ * Shipped (`tracking`). Orders split into partial shipments carry tracking on each shipment.
+ */
+
+export const TRACKING_PAGE_PATH = '/track.html';
+
+// Order statuses in which the parcel is on its way and an estimated delivery date is shown
+const IN_TRANSIT_ORDER_STATUSES = ['Partially Shipped', 'Shipped'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_FIELD_LENGTH = 100;
+
+export function getTrackingPageUrl(siteUrl, orderNumber) {
+    return `${siteUrl}${TRACKING_PAGE_PATH}?order=${encodeURIComponent(orderNumber)}`;
+}
+
+// Order numbers are typed by customers, so case and surrounding spaces are forgiven
+export function normalizeOrderNumber(value) {
+    return typeof value === 'string' ? value.trim().toUpperCase() : '';
+}
+
+export function emailsMatch(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * The order's carrier and tracking number: the courier booking unless it was cancelled, otherwise
+ * what the admin entered. Null when the order has neither.
+ */
+export function getOrderTracking(order) {
+    const delivery = order.delivery;
+    if (delivery && delivery.status !== 'cancelled') {
+        return {
+            carrier: delivery.carrierLabel || delivery.carrier,
+            trackingNumber: delivery.trackingNumber,
+            trackingUrl: delivery.trackingUrl || null,
+            estimatedDelivery: delivery.estimatedDelivery || null,
+            status: delivery.status,
+            events: (delivery.events || []).map(({ status, at, description }) => ({ status, at, description: description || null }))
+        };
+    }
+    if (order.tracking) {
+        return {
+            carrier: order.tracking.carrier,
+            trackingNumber: order.tracking.trackingNumber || null,
+            trackingUrl: order.tracking.trackingUrl || null,
+            estimatedDelivery: order.tracking.estimatedDelivery || null,
+            status: null,
+            events: []
+        };
+    }
+    return null;
+}
+
+// When the order last moved to Shipped, from its status history
+export function getShippedAt(order) {
+    const entry = [...(order.statusHistory || [])].reverse().find(historyEntry => historyEntry.to === 'Shipped');
+    return entry ? entry.at : null;
+}
+
+/**
+ * Estimated delivery as an ISO date: the carrier's or admin's estimate when there is one, otherwise
+ * the slowest ETA of the order's delivery zone counted from `shippedAt`. Null when neither is known.
+ */
+export function estimateDeliveryDate(order, shippedAt) {
+    const tracking = getOrderTracking(order);
+    if (tracking && tracking.estimatedDelivery) return tracking.estimatedDelivery;
+    if (!shippedAt || !order.shipping || !Number.isInteger(order.shipping.etaMaxDays)) return null;
+    return new Date(new Date(shippedAt).getTime() + order.shipping.etaMaxDays * DAY_MS).toISOString();
+}
+
+export function formatEstimatedDelivery(isoDate, languageCode) {
+    return new Date(isoDate).toLocaleDateString(languageCode === 'es' ? 'es-CO' : 'en-US', {
+        weekday: 'long', month: 'long', day: 'numeric', timeZone: 'America/Bogota'
+    });
+}
+
+/**
+ * Validates the carrier details an admin enters when marking an order Shipped by hand. Values are
+ * stored as typed (trimmed); the emails, track.html and the admin escape them when rendering.
+ * @returns {{tracking: object}|{error: string}}
+ */
+export function normalizeTrackingInput(input = {}) {
+    const clean = value => (typeof value === 'string' ? value.trim() : '');
+    const carrier = clean(input.carrier);
+    const trackingNumber = clean(input.trackingNumber);
+    const trackingUrl = clean(input.trackingUrl);
+    if (!carrier || carrier.length > MAX_FIELD_LENGTH) return { error: `The carrier name is required (up to ${MAX_FIELD_LENGTH} characters).` };
+    if (trackingNumber.length > MAX_FIELD_LENGTH) return { error: `The tracking number can have up to ${MAX_FIELD_LENGTH} characters.` };
+    if (trackingUrl && (!/^https?:\/\/\S+$/.test(trackingUrl) || trackingUrl.length > 500)) return { error: 'The tracking link must be an http(s) URL.' };
+
+    let estimatedDelivery = null;
+    if (input.estimatedDelivery) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(input.estimatedDelivery) || isNaN(Date.parse(input.estimatedDelivery))) {
+            return { error: 'The estimated delivery must be a date (YYYY-MM-DD).' };
+        }
+        // Midday in Bogotá, so the date reads the same in every timezone the customer may be in
+        estimatedDelivery = new Date(`${input.estimatedDelivery}T12:00:00-05:00`).toISOString();
+    }
+    return { tracking: { carrier, trackingNumber: trackingNumber || null, trackingUrl: trackingUrl || null, estimatedDelivery } };
+}
+
+/**
+ * What the public tracking page may show: status, history and tracking. Never addresses, prices,
+ * who changed the status or internal reasons.
+ * @param {object} order
+ * @param {Array<object>} shipments - The order's shipments sub-collection.
+ */
+export function buildPublicTracking(order, shipments = []) {
+    const status = order.status;
+    const inTransit = IN_TRANSIT_ORDER_STATUSES.includes(status);
+    const shipmentEta = shipment => (shipment.status === 'Shipped' ? estimateDeliveryDate({ shipping: order.shipping }, shipment.shippedAt) : null);
+
+    return {
+        orderNumber: order.orderNumber,
+        status,
+        communicationLang: order.communicationLang || order.language || 'es',
+        timestamp: order.timestamp || null,
+        items: (order.items || []).map(({ name, quantity }) => ({ name, quantity })),
+        history: (order.statusHistory || []).map(({ to, at }) => ({ status: to, at })),
+        tracking: getOrderTracking(order),
+        estimatedDelivery: inTransit && !(order.shipmentCount > 0) ? estimateDeliveryDate(order, getShippedAt(order)) : null,
+        shipments: shipments
+            .filter(shipment => shipment.status !== 'Cancelled')
+            .sort((a, b) => a.sequence - b.sequence)
+            .map(shipment => ({
+                shipmentNumber: shipment.shipmentNumber,
+                status: shipment.status,
+                carrier: shipment.carrier || null,
+                trackingNumber: shipment.trackingNumber || null,
+                shippedAt: shipment.shippedAt || null,
+                deliveredAt: shipment.deliveredAt || null,
+                estimatedDelivery: shipmentEta(shipment),
+                items: (shipment.lines || []).map(({ name, quantity }) => ({ name, quantity }))
+            }))
+    };
+}
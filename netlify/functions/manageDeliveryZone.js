@@ -0,0 +1,128 @@
+/**
+ * Netlify Function (Admin Only) to create, update or delete a delivery zone.
+ * POST { action: 'save', zoneId?, zone: { name, type, center?, radiusKm?, polygon?, feeCents,
+ *        freeShippingThresholdCents?, etaMinDays, etaMaxDays, priority?, active? } }
+ * POST { action: 'delete', zoneId }
+ * Zones are validated by normalizeZone (js/utilities/deliveryZones.js) so placeOrder can trust them.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const DELIVERY_ZONES_COLLECTION = process.env.DELIVERY_ZONES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/deliveryZones';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { action, zoneId, zone } = requestBody;
+    const { normalizeZone } = await import('./js/utilities/deliveryZones.js');
+
+    // --- 2. Input Validation ---
+    if (action !== 'save' && action !== 'delete') {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Action must be "save" or "delete".' }) };
+    }
+    if ((action === 'delete' || zoneId !== undefined) && (!zoneId || typeof zoneId !== 'string' || zoneId.includes('/'))) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid zoneId.' }) };
+    }
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+
+    try {
+        if (action === 'delete') {
+            const zoneRef = db.collection(DELIVERY_ZONES_COLLECTION).doc(zoneId);
+            const zoneSnap = await zoneRef.get();
+            if (!zoneSnap.exists) {
+                return { statusCode: 404, body: JSON.stringify({ error: `Zone ${zoneId} not found.` }) };
+            }
+            await zoneRef.delete();
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'DELIVERY_ZONE_DELETED',
+                objectId: zoneId,
+                details: { name: zoneSnap.data().name },
+                performedByEmail: performedBy,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { statusCode: 200, body: JSON.stringify({ message: `Zone ${zoneSnap.data().name} deleted.`, zoneId }) };
+        }
+
+        const normalized = normalizeZone(zone);
+        if (normalized.error) {
+            return { statusCode: 400, body: JSON.stringify({ error: normalized.error }) };
+        }
+
+        const zoneRef = zoneId
+            ? db.collection(DELIVERY_ZONES_COLLECTION).doc(zoneId)
+            : db.collection(DELIVERY_ZONES_COLLECTION).doc();
+        if (zoneId && !(await zoneRef.get()).exists) {
+            return { statusCode: 404, body: JSON.stringify({ error: `Zone ${zoneId} not found.` }) };
+        }
+
+        await zoneRef.set({
+            ...normalized.zone,
+            updatedBy: performedBy,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: zoneId ? 'DELIVERY_ZONE_UPDATED' : 'DELIVERY_ZONE_CREATED',
+            objectId: zoneRef.id,
+            details: {
+                name: normalized.zone.name,
+                type: normalized.zone.type,
+                feeCents: normalized.zone.feeCents,
+                freeShippingThresholdCents: normalized.zone.freeShippingThresholdCents,
+                etaMinDays: normalized.zone.etaMinDays,
+                etaMaxDays: normalized.zone.etaMaxDays,
+                active: normalized.zone.active
+            },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: `Zone ${normalized.zone.name} saved.`, zoneId: zoneRef.id })
+        };
+    } catch (error) {
+        console.error('Error managing delivery zone:', error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to update delivery zone', details: error.message }) };
+    }
+};
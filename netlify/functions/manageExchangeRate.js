@@ -0,0 +1,117 @@
+/**
+ * Netlify Function (Admin Only) to add or delete a dated USD→COP exchange rate.
+ * POST { action: 'save', entry: { effectiveDate: 'YYYY-MM-DD', rate } }   (pesos per dollar)
+ * POST { action: 'delete', effectiveDate }
+ * One rate per effective date (the document ID), so saving a date again corrects it. Orders freeze the
+ * rate they were placed with, so changing or deleting a rate never re-prices existing orders.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const EXCHANGE_RATES_COLLECTION = process.env.EXCHANGE_RATES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/exchangeRates';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { action, entry, effectiveDate } = requestBody;
+    const { normalizeExchangeRate, isRateDate } = await import('./js/utilities/currency.js');
+
+    // --- 2. Input Validation ---
+    if (action !== 'save' && action !== 'delete') {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Action must be "save" or "delete".' }) };
+    }
+    if (action === 'delete' && !isRateDate(effectiveDate)) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid effectiveDate.' }) };
+    }
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+
+    try {
+        if (action === 'delete') {
+            const rateRef = db.collection(EXCHANGE_RATES_COLLECTION).doc(effectiveDate);
+            const rateSnap = await rateRef.get();
+            if (!rateSnap.exists) {
+                return { statusCode: 404, body: JSON.stringify({ error: `No rate effective ${effectiveDate}.` }) };
+            }
+            await rateRef.delete();
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'EXCHANGE_RATE_DELETED',
+                objectId: effectiveDate,
+                details: { rate: rateSnap.data().rate },
+                performedByEmail: performedBy,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { statusCode: 200, body: JSON.stringify({ message: `Rate effective ${effectiveDate} deleted.`, effectiveDate }) };
+        }
+
+        const normalized = normalizeExchangeRate(entry);
+        if (normalized.error) {
+            return { statusCode: 400, body: JSON.stringify({ error: normalized.error }) };
+        }
+
+        const rateRef = db.collection(EXCHANGE_RATES_COLLECTION).doc(normalized.entry.effectiveDate);
+        const previous = await rateRef.get();
+        await rateRef.set({
+            ...normalized.entry,
+            base: 'USD',
+            quote: 'COP',
+            updatedBy: performedBy,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: previous.exists ? 'EXCHANGE_RATE_UPDATED' : 'EXCHANGE_RATE_CREATED',
+            objectId: normalized.entry.effectiveDate,
+            details: { rate: normalized.entry.rate, previousRate: previous.exists ? previous.data().rate : null },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: `Rate of ${normalized.entry.rate} COP per USD saved from ${normalized.entry.effectiveDate}.`, effectiveDate: normalized.entry.effectiveDate })
+        };
+    } catch (error) {
+        console.error('Error managing exchange rate:', error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to update exchange rate', details: error.message }) };
+    }
+};
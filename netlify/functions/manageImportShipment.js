@@ -0,0 +1,277 @@
+/**
+ * Netlify Function (Admin Only) for import shipments and their landed cost (js/utilities/landedCosts.js).
+ * POST { action: 'save', shipmentId?, shipment: { reference, forwarder, mode, departedOn, arrivedOn, notes, rate?,
+ *        lines: [{ purchaseOrderId, lineId, quantity, weightKg, volumeCbm }],
+ *        charges: [{ type, description, amountCents, currency, basis }] } }   creates or edits a Draft
+ * POST { action: 'finalize', shipmentId }   records each item's landed unit cost and locks the shipment
+ * POST { action: 'delete', shipmentId }     drafts only
+ * Peso amounts are converted at `rate` when given, otherwise at the rate in force when the draft is saved.
+ * Landed costs are kept in an admin-only collection keyed by item ID, off the public item documents;
+ * getLandedCosts serves them to the admin panel.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const PURCHASE_ORDERS_COLLECTION = process.env.PURCHASE_ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/purchaseOrders';
+const IMPORT_SHIPMENTS_COLLECTION = process.env.IMPORT_SHIPMENTS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/importShipments';
+const EXCHANGE_RATES_COLLECTION = process.env.EXCHANGE_RATES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/exchangeRates';
+const LANDED_COSTS_COLLECTION = process.env.LANDED_COSTS_COLLECTION_PATH || 'admin/landedCosts/items';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const ACTIONS = ['save', 'finalize', 'delete'];
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { action, shipmentId, shipment } = requestBody;
+
+    // --- 2. Input Validation ---
+    if (!ACTIONS.includes(action)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Action must be one of: ${ACTIONS.join(', ')}.` }) };
+    }
+    if ((action !== 'save' || shipmentId) && (typeof shipmentId !== 'string' || shipmentId.includes('/'))) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid shipmentId.' }) };
+    }
+
+    const { normalizeImportShipment, allocateLandedCosts, getItemLandedCosts } = await import('./js/utilities/landedCosts.js');
+    const { allocateImportShipmentNumber } = await import('./js/utilities/purchaseOrders.js');
+    const { CATALOG_CURRENCY, findExchangeRate } = await import('./js/utilities/currency.js');
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+
+    // Saving a new shipment uses up a number and finalizing rewrites item costs, so retries must not repeat them
+    const idempotency = action !== 'delete'
+        ? await claimIdempotencyKey(db, `manageImportShipment:${action}`, event, decodedToken.uid)
+        : { complete: response => response };
+    if (idempotency.response) return idempotency.response;
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+    const shipmentRef = shipmentId
+        ? db.collection(IMPORT_SHIPMENTS_COLLECTION).doc(shipmentId)
+        : db.collection(IMPORT_SHIPMENTS_COLLECTION).doc();
+
+    try {
+        if (action === 'delete') {
+            const shipmentSnap = await shipmentRef.get();
+            if (!shipmentSnap.exists) {
+                return { statusCode: 404, body: JSON.stringify({ error: `Import shipment ${shipmentId} not found.` }) };
+            }
+            if (shipmentSnap.data().status !== 'Draft') {
+                return { statusCode: 409, body: JSON.stringify({ error: `${shipmentSnap.data().shipmentNumber} is finalized; its landed costs have already been recorded for its items.` }) };
+            }
+            await shipmentRef.delete();
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'IMPORT_SHIPMENT_DELETED',
+                objectId: shipmentId,
+                details: { shipmentNumber: shipmentSnap.data().shipmentNumber, reference: shipmentSnap.data().reference },
+                performedByEmail: performedBy,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { statusCode: 200, body: JSON.stringify({ message: `Import shipment ${shipmentSnap.data().shipmentNumber} deleted.`, shipmentId }) };
+        }
+
+        if (action === 'save') {
+            const input = shipment || {};
+            const purchaseOrderIds = Array.isArray(input.lines)
+                ? [...new Set(input.lines.map(line => line && line.purchaseOrderId).filter(id => typeof id === 'string' && id && !id.includes('/')))]
+                : [];
+            // Looked up outside the transaction; only used when the shipment has peso amounts and no rate was typed
+            const currentRate = typeof input.rate === 'number' ? null : await findExchangeRate(db, EXCHANGE_RATES_COLLECTION);
+            let saved;
+
+            // --- 3. Validate against the purchase orders, allocate the charges and write the draft ---
+            await db.runTransaction(async (transaction) => {
+                const existingSnap = shipmentId ? await transaction.get(shipmentRef) : null;
+                const purchaseOrderSnaps = purchaseOrderIds.length > 0
+                    ? await transaction.getAll(...purchaseOrderIds.map(id => db.collection(PURCHASE_ORDERS_COLLECTION).doc(id)))
+                    : [];
+
+                if (existingSnap && !existingSnap.exists) {
+                    throw Object.assign(new Error(`Import shipment ${shipmentId} not found.`), { statusCode: 404 });
+                }
+                if (existingSnap && existingSnap.data().status !== 'Draft') {
+                    throw Object.assign(new Error(`${existingSnap.data().shipmentNumber} is finalized and can no longer be edited.`), { statusCode: 409 });
+                }
+
+                const purchaseOrdersById = {};
+                purchaseOrderSnaps.forEach(snap => { if (snap.exists) purchaseOrdersById[snap.id] = snap.data(); });
+                const normalized = normalizeImportShipment(input, purchaseOrdersById);
+                if (normalized.error) {
+                    throw Object.assign(new Error(normalized.error), { statusCode: 400 });
+                }
+
+                let exchangeRate = null;
+                if (normalized.needsRate) {
+                    exchangeRate = typeof input.rate === 'number'
+                        ? { base: CATALOG_CURRENCY, quote: 'COP', rate: input.rate, effectiveDate: null }
+                        : currentRate;
+                    if (!exchangeRate) {
+                        throw Object.assign(new Error('The shipment has peso amounts but no exchange rate is configured; enter the rate to use.'), { statusCode: 400 });
+                    }
+                }
+
+                const allocation = allocateLandedCosts({ ...normalized.shipment, exchangeRate });
+                const shipmentNumber = existingSnap
+                    ? existingSnap.data().shipmentNumber
+                    : await allocateImportShipmentNumber(transaction, db);
+                saved = { ...normalized.shipment, shipmentNumber, exchangeRate, lines: allocation.lines, totals: allocation.totals };
+
+                transaction.set(shipmentRef, {
+                    ...saved,
+                    ...(existingSnap ? {} : { status: 'Draft', createdBy: performedBy, createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+                    updatedBy: performedBy,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                }, { merge: true });
+            });
+
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: shipmentId ? 'IMPORT_SHIPMENT_UPDATED' : 'IMPORT_SHIPMENT_CREATED',
+                objectId: shipmentRef.id,
+                details: {
+                    shipmentNumber: saved.shipmentNumber,
+                    reference: saved.reference,
+                    purchaseOrderIds: saved.purchaseOrderIds,
+                    charges: saved.charges,
+                    totals: saved.totals,
+                    exchangeRate: saved.exchangeRate
+                },
+                performedByEmail: performedBy,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return idempotency.complete({
+                statusCode: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    message: `Import shipment ${saved.shipmentNumber} ${shipmentId ? 'updated' : 'created'}.`,
+                    shipmentId: shipmentRef.id,
+                    shipmentNumber: saved.shipmentNumber,
+                    totals: saved.totals
+                })
+            });
+        }
+
+        // --- 3. Finalize: record the landed unit cost of every item of the shipment ---
+        let finalized;
+        let itemUpdates = [];
+        await db.runTransaction(async (transaction) => {
+            const shipmentSnap = await transaction.get(shipmentRef);
+            if (!shipmentSnap.exists) {
+                throw Object.assign(new Error(`Import shipment ${shipmentId} not found.`), { statusCode: 404 });
+            }
+            finalized = shipmentSnap.data();
+            if (finalized.status !== 'Draft') {
+                throw Object.assign(new Error(`${finalized.shipmentNumber} is already finalized.`), { statusCode: 409 });
+            }
+
+            const itemLandedCosts = getItemLandedCosts(allocateLandedCosts(finalized));
+            const itemIds = Object.keys(itemLandedCosts);
+            const itemSnaps = await transaction.getAll(...itemIds.map(id => db.collection(ITEMS_COLLECTION).doc(id)));
+            const costSnaps = await transaction.getAll(...itemIds.map(id => db.collection(LANDED_COSTS_COLLECTION).doc(id)));
+            const at = new Date().toISOString();
+
+            // Items deleted since the purchase order was placed are skipped
+            itemUpdates = itemSnaps.map((snap, index) => ({ snap, costSnap: costSnaps[index] })).filter(({ snap }) => snap.exists).map(({ snap, costSnap }) => {
+                // Costs recorded before they moved off the item documents are still on the item
+                const previous = costSnap.exists ? costSnap.data() : snap.data();
+                return {
+                    itemRef: snap.ref,
+                    costRef: costSnap.ref,
+                    onItem: snap.data().landedUnitCostCents !== undefined || snap.data().landedCost !== undefined,
+                    itemId: snap.id,
+                    name: snap.data().name,
+                    previousCents: typeof previous.landedUnitCostCents === 'number' ? previous.landedUnitCostCents : null,
+                    landedUnitCostCents: itemLandedCosts[snap.id].landedUnitCostCents
+                };
+            });
+            itemUpdates.forEach(update => {
+                transaction.set(update.costRef, {
+                    itemId: update.itemId,
+                    name: update.name,
+                    landedUnitCostCents: update.landedUnitCostCents,
+                    landedCost: { shipmentId, shipmentNumber: finalized.shipmentNumber, units: itemLandedCosts[update.itemId].units, at },
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                if (update.onItem) {
+                    transaction.update(update.itemRef, {
+                        landedUnitCostCents: admin.firestore.FieldValue.delete(),
+                        landedCost: admin.firestore.FieldValue.delete()
+                    });
+                }
+            });
+            transaction.update(shipmentRef, {
+                status: 'Finalized',
+                itemLandedCosts,
+                finalizedBy: performedBy,
+                finalizedAt: at,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'IMPORT_SHIPMENT_FINALIZED',
+            objectId: shipmentId,
+            details: {
+                shipmentNumber: finalized.shipmentNumber,
+                reference: finalized.reference,
+                totals: finalized.totals,
+                items: itemUpdates.map(({ itemId, name, previousCents, landedUnitCostCents }) => ({ itemId, name, previousCents, landedUnitCostCents }))
+            },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return idempotency.complete({
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `${finalized.shipmentNumber} finalized; landed cost updated on ${itemUpdates.length} item(s).`,
+                shipmentId,
+                items: itemUpdates.map(({ itemId, name, landedUnitCostCents }) => ({ itemId, name, landedUnitCostCents }))
+            })
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return idempotency.complete({ statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) });
+        }
+        console.error(`Error managing import shipment (${action}):`, error);
+        return idempotency.complete({ statusCode: 500, body: JSON.stringify({ error: 'Failed to update import shipment', details: error.message }) });
+    }
+};
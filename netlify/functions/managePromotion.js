@@ -0,0 +1,123 @@
+/**
+ * Netlify Function (Admin Only) to create, edit or delete a promotion (discount code).
+ * POST { action: 'save', promotion: { code, description, type, value, scope, scopeIds, minCartCents,
+ *        startsOn, endsOn, maxUses, maxUsesPerCustomer, active } }   (amounts in catalog cents)
+ * POST { action: 'delete', code }
+ * The code is the document ID, so saving an existing code edits it and keeps its usage counters.
+ * Promotions that have been redeemed cannot be deleted (orders and the usage report refer to them);
+ * deactivate them instead.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const PROMOTIONS_COLLECTION = process.env.PROMOTIONS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/promotions';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { action, promotion, code } = requestBody;
+    const { normalizePromotion, normalizePromotionCode } = await import('./js/utilities/promotions.js');
+
+    // --- 2. Input Validation ---
+    if (action !== 'save' && action !== 'delete') {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Action must be "save" or "delete".' }) };
+    }
+    const deleteCode = action === 'delete' ? normalizePromotionCode(code) : null;
+    if (action === 'delete' && !deleteCode) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid code.' }) };
+    }
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+
+    try {
+        if (action === 'delete') {
+            const promotionRef = db.collection(PROMOTIONS_COLLECTION).doc(deleteCode);
+            const promotionSnap = await promotionRef.get();
+            if (!promotionSnap.exists) {
+                return { statusCode: 404, body: JSON.stringify({ error: `Promotion ${deleteCode} not found.` }) };
+            }
+            if ((promotionSnap.data().usageCount || 0) > 0) {
+                return { statusCode: 409, body: JSON.stringify({ error: `Promotion ${deleteCode} has been used; deactivate it instead of deleting it.` }) };
+            }
+            await promotionRef.delete();
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'PROMOTION_DELETED',
+                objectId: deleteCode,
+                details: { description: promotionSnap.data().description || '' },
+                performedByEmail: performedBy,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { statusCode: 200, body: JSON.stringify({ message: `Promotion ${deleteCode} deleted.`, code: deleteCode }) };
+        }
+
+        const normalized = normalizePromotion(promotion);
+        if (normalized.error) {
+            return { statusCode: 400, body: JSON.stringify({ error: normalized.error }) };
+        }
+
+        const promotionRef = db.collection(PROMOTIONS_COLLECTION).doc(normalized.promotion.code);
+        const previous = await promotionRef.get();
+        // Merge so an edit keeps usageCount, customerCount and discountTotalCents
+        await promotionRef.set({
+            ...normalized.promotion,
+            ...(previous.exists ? {} : { usageCount: 0, customerCount: 0, discountTotalCents: 0, createdBy: performedBy }),
+            updatedBy: performedBy,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: previous.exists ? 'PROMOTION_UPDATED' : 'PROMOTION_CREATED',
+            objectId: normalized.promotion.code,
+            details: normalized.promotion,
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: `Promotion ${normalized.promotion.code} ${previous.exists ? 'updated' : 'created'}.`, code: normalized.promotion.code })
+        };
+    } catch (error) {
+        console.error('Error managing promotion:', error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to update promotion', details: error.message }) };
+    }
+};
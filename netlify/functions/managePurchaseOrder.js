@@ -0,0 +1,301 @@
+/**
+ * Netlify Function (Admin Only) for supplier purchase orders (see js/utilities/purchaseOrders.js).
+ * POST { action: 'save', purchaseOrderId?, purchaseOrder: { supplierId, currency, incoterm, incotermPlace,
+ *        expectedDate, notes, lines: [{ itemId, quantity, unitCostCents }] } }   creates or edits a Draft
+ * POST { action: 'send', purchaseOrderId }     Draft -> Sent, once the PO has gone to the supplier
+ * POST { action: 'cancel', purchaseOrderId, reason? }
+ * POST { action: 'pdf', purchaseOrderId }      bilingual PDF for the supplier -> { pdfUrl }
+ * Goods are received against the PO by receivePurchaseOrder.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const SUPPLIERS_COLLECTION = process.env.SUPPLIERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/suppliers';
+const PURCHASE_ORDERS_COLLECTION = process.env.PURCHASE_ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/purchaseOrders';
+const CONFIG_DOC_PATH = 'admin/config';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const DOWNLOAD_LINK_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_REASON_LENGTH = 500;
+const ACTIONS = ['save', 'send', 'cancel', 'pdf'];
+
+// Helper function to sanitize strings and remove HTML/script tags
+function sanitizeString(str) {
+    if (!str) return '';
+    return String(str).replace(/</g, "&lt;").replace(/>/g, "&gt;").trim();
+}
+
+// Renders the purchase order HTML through Doppio, like the invoice PDFs
+async function renderPdf(html) {
+    const doppioRes = await fetch('https://api.doppio.sh/v1/render/pdf/direct', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${process.env.DOPPIO_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            page: {
+                setContent: { html: Buffer.from(html, 'utf8').toString('base64') },
+                pdf: { format: 'A4', printBackground: true, margin: { top: '1cm', bottom: '1cm', left: '1cm', right: '1cm' } }
+            }
+        })
+    });
+    if (!doppioRes.ok) {
+        throw new Error(`Doppio API Failed: ${doppioRes.status} - ${await doppioRes.text()}`);
+    }
+    return Buffer.from(await doppioRes.arrayBuffer());
+}
+
+// The buyer block of the PDF comes from the seller details configured for electronic invoicing
+function getBuyer(config) {
+    const seller = (config.invoiceSettings && config.invoiceSettings.seller) || {};
+    return {
+        name: seller.tradeName || seller.legalName || 'autoInx',
+        taxId: seller.nit ? `NIT ${seller.nit}` : '',
+        address: [seller.address, seller.cityName].filter(Boolean).join(', '),
+        country: 'Colombia',
+        email: seller.email || '',
+        phone: seller.phone || ''
+    };
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { action, purchaseOrderId, purchaseOrder, reason } = requestBody;
+
+    // --- 2. Input Validation ---
+    if (!ACTIONS.includes(action)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Action must be one of: ${ACTIONS.join(', ')}.` }) };
+    }
+    if ((action !== 'save' || purchaseOrderId) && (typeof purchaseOrderId !== 'string' || purchaseOrderId.includes('/'))) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid purchaseOrderId.' }) };
+    }
+
+    const {
+        normalizePurchaseOrder,
+        allocatePurchaseOrderNumber,
+        canTransitionPurchaseOrder,
+        buildPurchaseOrderHistoryEntry,
+        getPurchaseOrderTotals,
+        renderPurchaseOrderHtml
+    } = await import('./js/utilities/purchaseOrders.js');
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+
+    // Creating a PO uses up a number, so retries of save/send/cancel must not run twice
+    const idempotency = action !== 'pdf'
+        ? await claimIdempotencyKey(db, `managePurchaseOrder:${action}`, event, decodedToken.uid)
+        : { complete: response => response };
+    if (idempotency.response) return idempotency.response;
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+    const purchaseOrderRef = purchaseOrderId
+        ? db.collection(PURCHASE_ORDERS_COLLECTION).doc(purchaseOrderId)
+        : db.collection(PURCHASE_ORDERS_COLLECTION).doc();
+
+    try {
+        if (action === 'pdf') {
+            const [purchaseOrderSnap, configSnap] = await Promise.all([purchaseOrderRef.get(), db.doc(CONFIG_DOC_PATH).get()]);
+            if (!purchaseOrderSnap.exists) {
+                return { statusCode: 404, body: JSON.stringify({ error: `Purchase order ${purchaseOrderId} not found.` }) };
+            }
+            const po = purchaseOrderSnap.data();
+            if (po.status === 'Cancelled') {
+                return { statusCode: 409, body: JSON.stringify({ error: `${po.purchaseOrderNumber} is cancelled.` }) };
+            }
+            const supplierSnap = await db.collection(SUPPLIERS_COLLECTION).doc(po.supplierId).get();
+            const supplier = supplierSnap.exists ? supplierSnap.data() : { name: po.supplierName, language: 'en' };
+            const html = renderPurchaseOrderHtml(
+                { ...po, createdAtIso: po.createdAt && po.createdAt.toDate ? po.createdAt.toDate().toISOString() : null },
+                supplier,
+                getBuyer(configSnap.exists ? configSnap.data() : {})
+            );
+
+            const pdfPath = `purchaseOrders/${po.purchaseOrderNumber}.pdf`;
+            const bucket = admin.storage().bucket(process.env.FIREBASE_STORAGE_BUCKET);
+            await bucket.file(pdfPath).save(await renderPdf(html), { contentType: 'application/pdf', resumable: false });
+            await purchaseOrderRef.update({ pdfPath });
+            const [pdfUrl] = await bucket.file(pdfPath).getSignedUrl({ action: 'read', expires: Date.now() + DOWNLOAD_LINK_TTL_MS });
+
+            return {
+                statusCode: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ message: `PDF for ${po.purchaseOrderNumber} generated.`, purchaseOrderId, pdfUrl })
+            };
+        }
+
+        if (action === 'save') {
+            const input = purchaseOrder || {};
+            const itemIds = Array.isArray(input.lines)
+                ? [...new Set(input.lines.map(line => line && line.itemId).filter(id => typeof id === 'string' && id && !id.includes('/')))]
+                : [];
+            let saved;
+
+            // --- 3. Validate against the supplier and catalog, then write the draft atomically ---
+            await db.runTransaction(async (transaction) => {
+                const existingSnap = purchaseOrderId ? await transaction.get(purchaseOrderRef) : null;
+                const supplierSnap = typeof input.supplierId === 'string' && input.supplierId && !input.supplierId.includes('/')
+                    ? await transaction.get(db.collection(SUPPLIERS_COLLECTION).doc(input.supplierId))
+                    : null;
+                const itemSnaps = itemIds.length > 0
+                    ? await transaction.getAll(...itemIds.map(id => db.collection(ITEMS_COLLECTION).doc(id)))
+                    : [];
+
+                if (existingSnap && !existingSnap.exists) {
+                    throw Object.assign(new Error(`Purchase order ${purchaseOrderId} not found.`), { statusCode: 404 });
+                }
+                if (existingSnap && existingSnap.data().status !== 'Draft') {
+                    throw Object.assign(new Error(`${existingSnap.data().purchaseOrderNumber} was already sent and can no longer be edited.`), { statusCode: 409 });
+                }
+                if (!supplierSnap || !supplierSnap.exists) {
+                    throw Object.assign(new Error('Choose an existing supplier.'), { statusCode: 400 });
+                }
+                if (!existingSnap && supplierSnap.data().active === false) {
+                    throw Object.assign(new Error(`${supplierSnap.data().name} is inactive.`), { statusCode: 400 });
+                }
+
+                const itemsById = {};
+                itemSnaps.forEach(snap => { if (snap.exists) itemsById[snap.id] = snap.data(); });
+                const normalized = normalizePurchaseOrder(input, itemsById);
+                if (normalized.error) {
+                    throw Object.assign(new Error(normalized.error), { statusCode: 400 });
+                }
+
+                const purchaseOrderNumber = existingSnap
+                    ? existingSnap.data().purchaseOrderNumber
+                    : await allocatePurchaseOrderNumber(transaction, db);
+                saved = {
+                    ...normalized.purchaseOrder,
+                    supplierName: supplierSnap.data().name,
+                    purchaseOrderNumber,
+                    ...getPurchaseOrderTotals(normalized.purchaseOrder)
+                };
+                transaction.set(purchaseOrderRef, {
+                    ...saved,
+                    ...(existingSnap ? {} : {
+                        status: 'Draft',
+                        statusHistory: [buildPurchaseOrderHistoryEntry(null, 'Draft', performedBy)],
+                        receipts: [],
+                        createdBy: performedBy,
+                        createdAt: admin.firestore.FieldValue.serverTimestamp()
+                    }),
+                    updatedBy: performedBy,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                }, { merge: true });
+            });
+
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: purchaseOrderId ? 'PURCHASE_ORDER_UPDATED' : 'PURCHASE_ORDER_CREATED',
+                objectId: purchaseOrderRef.id,
+                details: {
+                    purchaseOrderNumber: saved.purchaseOrderNumber,
+                    supplierId: saved.supplierId,
+                    supplier: saved.supplierName,
+                    incoterm: `${saved.incoterm} ${saved.incotermPlace}`,
+                    currency: saved.currency,
+                    subtotalCents: saved.subtotalCents,
+                    lines: saved.lines.map(({ itemId, quantity, unitCostCents }) => ({ itemId, quantity, unitCostCents }))
+                },
+                performedByEmail: performedBy,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return idempotency.complete({
+                statusCode: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    message: `Purchase order ${saved.purchaseOrderNumber} ${purchaseOrderId ? 'updated' : 'created'}.`,
+                    purchaseOrderId: purchaseOrderRef.id,
+                    purchaseOrderNumber: saved.purchaseOrderNumber
+                })
+            });
+        }
+
+        // --- 3. Send or cancel ---
+        const newStatus = action === 'send' ? 'Sent' : 'Cancelled';
+        const sanitizedReason = sanitizeString(reason).substring(0, MAX_REASON_LENGTH) || null;
+        let previousStatus;
+        let po;
+
+        await db.runTransaction(async (transaction) => {
+            const purchaseOrderSnap = await transaction.get(purchaseOrderRef);
+            if (!purchaseOrderSnap.exists) {
+                throw Object.assign(new Error(`Purchase order ${purchaseOrderId} not found.`), { statusCode: 404 });
+            }
+            po = purchaseOrderSnap.data();
+            previousStatus = po.status;
+            // Once goods have arrived the stock has moved, so the PO can only be completed
+            if (!canTransitionPurchaseOrder(previousStatus, newStatus) || (newStatus === 'Cancelled' && (po.receivedUnits || 0) > 0)) {
+                throw Object.assign(new Error(`Cannot change ${po.purchaseOrderNumber} from ${previousStatus} to ${newStatus}.`), { statusCode: 409 });
+            }
+
+            const historyEntry = buildPurchaseOrderHistoryEntry(previousStatus, newStatus, performedBy, sanitizedReason);
+            transaction.update(purchaseOrderRef, {
+                status: newStatus,
+                statusHistory: [...(po.statusHistory || []), historyEntry],
+                ...(newStatus === 'Sent' ? { sentAt: historyEntry.at } : { cancelledAt: historyEntry.at }),
+                updatedBy: performedBy,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: newStatus === 'Sent' ? 'PURCHASE_ORDER_SENT' : 'PURCHASE_ORDER_CANCELLED',
+            objectId: purchaseOrderId,
+            details: { purchaseOrderNumber: po.purchaseOrderNumber, supplier: po.supplierName, from: previousStatus, to: newStatus, reason: sanitizedReason },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return idempotency.complete({
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: `${po.purchaseOrderNumber} marked ${newStatus}.`, purchaseOrderId, from: previousStatus, to: newStatus })
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return idempotency.complete({ statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) });
+        }
+        console.error(`Error managing purchase order (${action}):`, error);
+        return idempotency.complete({ statusCode: 500, body: JSON.stringify({ error: 'Failed to update purchase order', details: error.message }) });
+    }
+};
@@ -0,0 +1,125 @@
+/**
+ * Netlify Function (Admin Only) to create, edit or delete a supplier for purchase orders.
+ * POST { action: 'save', supplierId?, supplier: { name, contactName, email, phone, country, taxId, address,
+ *        currency, defaultIncoterm, leadTimeDays, language, notes, active } }
+ * POST { action: 'delete', supplierId }
+ * Suppliers that purchase orders refer to cannot be deleted; deactivate them instead.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SUPPLIERS_COLLECTION = process.env.SUPPLIERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/suppliers';
+const PURCHASE_ORDERS_COLLECTION = process.env.PURCHASE_ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/purchaseOrders';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { action, supplierId, supplier } = requestBody;
+    const { normalizeSupplier } = await import('./js/utilities/purchaseOrders.js');
+
+    // --- 2. Input Validation ---
+    if (action !== 'save' && action !== 'delete') {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Action must be "save" or "delete".' }) };
+    }
+    if ((action === 'delete' || supplierId) && (typeof supplierId !== 'string' || supplierId.includes('/'))) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid supplierId.' }) };
+    }
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+
+    try {
+        if (action === 'delete') {
+            const supplierRef = db.collection(SUPPLIERS_COLLECTION).doc(supplierId);
+            const supplierSnap = await supplierRef.get();
+            if (!supplierSnap.exists) {
+                return { statusCode: 404, body: JSON.stringify({ error: `Supplier ${supplierId} not found.` }) };
+            }
+            const ordersSnap = await db.collection(PURCHASE_ORDERS_COLLECTION).where('supplierId', '==', supplierId).limit(1).get();
+            if (!ordersSnap.empty) {
+                return { statusCode: 409, body: JSON.stringify({ error: `${supplierSnap.data().name} has purchase orders; deactivate the supplier instead of deleting it.` }) };
+            }
+            await supplierRef.delete();
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'SUPPLIER_DELETED',
+                objectId: supplierId,
+                details: { name: supplierSnap.data().name },
+                performedByEmail: performedBy,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { statusCode: 200, body: JSON.stringify({ message: `Supplier ${supplierSnap.data().name} deleted.`, supplierId }) };
+        }
+
+        const normalized = normalizeSupplier(supplier);
+        if (normalized.error) {
+            return { statusCode: 400, body: JSON.stringify({ error: normalized.error }) };
+        }
+
+        const supplierRef = supplierId
+            ? db.collection(SUPPLIERS_COLLECTION).doc(supplierId)
+            : db.collection(SUPPLIERS_COLLECTION).doc();
+        if (supplierId && !(await supplierRef.get()).exists) {
+            return { statusCode: 404, body: JSON.stringify({ error: `Supplier ${supplierId} not found.` }) };
+        }
+        await supplierRef.set({
+            ...normalized.supplier,
+            ...(supplierId ? {} : { createdBy: performedBy, createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+            updatedBy: performedBy,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: supplierId ? 'SUPPLIER_UPDATED' : 'SUPPLIER_CREATED',
+            objectId: supplierRef.id,
+            details: normalized.supplier,
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: `Supplier ${normalized.supplier.name} ${supplierId ? 'updated' : 'created'}.`, supplierId: supplierRef.id })
+        };
+    } catch (error) {
+        console.error('Error managing supplier:', error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to update supplier', details: error.message }) };
+    }
+};
@@ -0,0 +1,320 @@
+/**
+ * Netlify Function (Public, signed) that receives payment gateway webhooks.
+ * POST /.netlify/functions/paymentWebhook?provider=wompi|mercadopago|fake
+ * The provider adapter (js/utilities/paymentProviders.js) verifies the signature and normalizes the
+ * event; the event's reference names the order (its order number). An approved transaction appends a
+ * payment to the order's ledger and a voided, refunded or charged-back one appends the matching credit,
+ * then the receipt or credit note is emailed with the gateway's transaction ID. A payment that settles
+ * the order issues its electronic invoice first, so the receipt carries it.
+ * Every gateway transaction is tracked in the payment transactions collection, updated in the same
+ * Firestore transaction as the order, so replayed events change nothing and events arriving out of
+ * order (an APPROVED retried after the VOIDED) are recorded but ignored.
+ * Answers 200 for anything that was recorded, including events it chose to ignore, so gateways stop
+ * retrying; 401 for a bad signature and 5xx only when the event should be retried.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const INVOICES_COLLECTION = process.env.INVOICES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/invoices';
+const EXCHANGE_RATES_COLLECTION = process.env.EXCHANGE_RATES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/exchangeRates';
+const CONFIG_DOC_PATH = 'admin/config';
+const PAYMENT_TRANSACTIONS_COLLECTION = process.env.PAYMENT_TRANSACTIONS_COLLECTION_PATH || 'admin/payments/transactions';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+// A transaction document keeps its most recent events only; older ones are in the action log
+const MAX_TRANSACTION_EVENTS = 20;
+
+/**
+ * Decides what an event does to the order's ledger, given the gateway transaction's state so far.
+ * @returns {{outcome: string, entry?: object}} outcome is 'recorded' when an entry was produced.
+ */
+function planLedgerEntry(paymentEvent, transactionState, order, helpers) {
+    const { CREDIT_STATUS_ENTRY_TYPES, getStatusStage, creditExceedsPaid, getOrderCurrency } = helpers;
+
+    if (transactionState && (transactionState.eventIds || []).includes(paymentEvent.eventId)) {
+        return { outcome: 'duplicate' };
+    }
+    if (transactionState) {
+        const currentStage = getStatusStage(transactionState.status);
+        const newStage = getStatusStage(paymentEvent.status);
+        if (newStage < currentStage || (newStage === currentStage && paymentEvent.occurredAt < transactionState.occurredAt)) {
+            return { outcome: 'out_of_order' };
+        }
+    }
+    if (paymentEvent.currency !== getOrderCurrency(order)) {
+        return { outcome: 'currency_mismatch' };
+    }
+
+    const history = order.paymentHistory || [];
+    const payment = history.find(existing => existing.transactionId === paymentEvent.transactionId && (existing.type || 'payment') === 'payment');
+    const baseEntry = {
+        entryId: `LED-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+        method: paymentEvent.method,
+        transactionId: paymentEvent.transactionId,
+        recordedBy: `paymentWebhook:${helpers.provider.name}`,
+        date: new Date().toISOString()
+    };
+
+    if (paymentEvent.status === 'approved') {
+        if (payment) return { outcome: 'already_recorded' };
+        return { outcome: 'recorded', entry: { ...baseEntry, type: 'payment', amountCents: paymentEvent.amountCents, reason: null, relatesToEntryId: null } };
+    }
+
+    const creditType = CREDIT_STATUS_ENTRY_TYPES[paymentEvent.status];
+    if (!creditType) return { outcome: 'no_ledger_change' };
+    // A void or chargeback of a payment we never recorded leaves the ledger as it is
+    if (!payment) return { outcome: 'no_ledger_change' };
+    if (history.some(existing => existing.transactionId === paymentEvent.transactionId && existing.type === creditType)) {
+        return { outcome: 'already_recorded' };
+    }
+
+    const entry = {
+        ...baseEntry,
+        type: creditType,
+        // A void or chargeback takes back the whole payment; a refund may be partial
+        amountCents: creditType === 'reversal' ? payment.amountCents : Math.min(paymentEvent.amountCents, payment.amountCents),
+        reason: `${helpers.provider.label} transaction ${paymentEvent.status.replace('_', ' ')}`,
+        relatesToEntryId: payment.entryId
+    };
+    if (creditExceedsPaid(entry, history)) return { outcome: 'needs_review' };
+    return { outcome: 'recorded', entry };
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    const {
+        getPaymentProvider,
+        validatePaymentEvent,
+        parseOrderReference,
+        getStatusStage,
+        CREDIT_STATUS_ENTRY_TYPES
+    } = await import('./js/utilities/paymentProviders.js');
+
+    const query = event.queryStringParameters || {};
+    const provider = getPaymentProvider(query.provider);
+    if (!provider) {
+        return { statusCode: 404, body: JSON.stringify({ error: 'Unknown or disabled payment provider.' }) };
+    }
+
+    // --- 1. Signature Check: computed over the body exactly as the gateway sent it ---
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+    let body;
+    try {
+        body = JSON.parse(rawBody);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const request = { headers: event.headers || {}, rawBody, body, query };
+    if (!provider.verifySignature(request)) {
+        console.warn(`Rejected ${provider.name} webhook with an invalid signature.`);
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid signature.' }) };
+    }
+
+    const { computePaidCents, creditExceedsPaid } = await import('./js/utilities/paymentLedger.js');
+    const { getAmountDueCents } = await import('./js/utilities/taxes.js');
+    const { issuePaidOrderInvoice } = await import('./js/utilities/invoices.js');
+    const { getOrderCurrency } = await import('./js/utilities/currency.js');
+
+    try {
+        // --- 2. Normalize the event and find its order ---
+        const paymentEvent = await provider.toPaymentEvent(request);
+        if (!paymentEvent) {
+            return { statusCode: 200, body: JSON.stringify({ message: 'Event ignored.', outcome: 'ignored' }) };
+        }
+        const eventError = validatePaymentEvent(paymentEvent);
+        if (eventError) {
+            console.warn(`Unusable ${provider.name} event ${paymentEvent.eventId}: ${eventError}`);
+            return { statusCode: 200, body: JSON.stringify({ message: eventError, outcome: 'invalid' }) };
+        }
+
+        const transactionRef = db.collection(PAYMENT_TRANSACTIONS_COLLECTION).doc(`${provider.name}_${paymentEvent.transactionId}`);
+        const orderNumber = parseOrderReference(paymentEvent.reference);
+        const orderQuery = orderNumber
+            ? await db.collection(ORDERS_COLLECTION).where('orderNumber', '==', orderNumber).limit(1).get()
+            : null;
+
+        if (!orderQuery || orderQuery.empty) {
+            // Kept for reconciliation: money may have been taken for an order we cannot find
+            await transactionRef.set({
+                provider: provider.name,
+                transactionId: paymentEvent.transactionId,
+                reference: paymentEvent.reference || null,
+                orderId: null,
+                status: paymentEvent.status,
+                amountCents: paymentEvent.amountCents,
+                currency: paymentEvent.currency,
+                occurredAt: paymentEvent.occurredAt,
+                outcome: 'unmatched',
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+            console.warn(`${provider.name} transaction ${paymentEvent.transactionId} references unknown order "${paymentEvent.reference}".`);
+            return { statusCode: 200, body: JSON.stringify({ message: 'No order matches this reference.', outcome: 'unmatched' }) };
+        }
+
+        const orderRef = orderQuery.docs[0].ref;
+        const orderId = orderRef.id;
+        let order;
+        let plan;
+        let ledgerUpdate = null;
+
+        // --- 3. Apply the event to the ledger and the transaction state atomically ---
+        await db.runTransaction(async (transaction) => {
+            const [orderSnap, transactionSnap] = await transaction.getAll(orderRef, transactionRef);
+            if (!orderSnap.exists) {
+                throw new Error(`Order ${orderNumber} was removed while the event was processed.`);
+            }
+            order = orderSnap.data();
+            const transactionState = transactionSnap.exists ? transactionSnap.data() : null;
+
+            plan = planLedgerEntry(paymentEvent, transactionState, order, {
+                CREDIT_STATUS_ENTRY_TYPES, getStatusStage, creditExceedsPaid, getOrderCurrency, provider
+            });
+            if (plan.outcome === 'duplicate') return;
+
+            if (plan.entry) {
+                const paymentHistory = [...(order.paymentHistory || []), plan.entry];
+                const paidCents = computePaidCents(paymentHistory);
+                ledgerUpdate = {
+                    paymentHistory,
+                    paidCents,
+                    isPaid: paidCents >= getAmountDueCents(order),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                };
+                if (plan.entry.type === 'payment') ledgerUpdate.lastPaymentMethod = plan.entry.method;
+                transaction.update(orderRef, ledgerUpdate);
+            }
+
+            // Out-of-order events are remembered as seen but do not move the transaction's status back
+            const advances = plan.outcome !== 'out_of_order';
+            const previousEvents = transactionState ? (transactionState.events || []) : [];
+            const events = [...previousEvents, {
+                eventId: paymentEvent.eventId,
+                status: paymentEvent.status,
+                amountCents: paymentEvent.amountCents,
+                occurredAt: paymentEvent.occurredAt,
+                outcome: plan.outcome,
+                entryId: plan.entry ? plan.entry.entryId : null,
+                receivedAt: new Date().toISOString()
+            }].slice(-MAX_TRANSACTION_EVENTS);
+
+            transaction.set(transactionRef, {
+                provider: provider.name,
+                transactionId: paymentEvent.transactionId,
+                reference: paymentEvent.reference,
+                orderId,
+                orderNumber,
+                currency: paymentEvent.currency,
+                status: advances ? paymentEvent.status : transactionState.status,
+                occurredAt: advances ? paymentEvent.occurredAt : transactionState.occurredAt,
+                amountCents: advances ? paymentEvent.amountCents : transactionState.amountCents,
+                outcome: plan.outcome,
+                eventIds: [...(transactionState ? transactionState.eventIds || [] : []), paymentEvent.eventId].slice(-MAX_TRANSACTION_EVENTS),
+                events,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+        });
+
+        if (plan.outcome === 'duplicate') {
+            return { statusCode: 200, body: JSON.stringify({ message: 'Event already processed.', outcome: plan.outcome }) };
+        }
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: plan.entry ? `PAYMENT_LEDGER_${plan.entry.type.toUpperCase()}` : 'PAYMENT_WEBHOOK_EVENT',
+            objectId: orderId,
+            details: {
+                provider: provider.name,
+                transactionId: paymentEvent.transactionId,
+                status: paymentEvent.status,
+                outcome: plan.outcome,
+                amountCents: paymentEvent.amountCents,
+                currency: paymentEvent.currency,
+                ...(plan.entry ? { entryId: plan.entry.entryId, paidCents: ledgerUpdate.paidCents, isPaid: ledgerUpdate.isPaid } : {})
+            },
+            performedByEmail: `paymentWebhook:${provider.name}`,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+        if (plan.outcome === 'currency_mismatch' || plan.outcome === 'needs_review') {
+            console.warn(`${provider.name} transaction ${paymentEvent.transactionId} on order ${orderNumber} needs review: ${plan.outcome}.`);
+        }
+
+        // --- 4. Electronic invoice once the order is paid in full; the receipt below attaches it ---
+        if (plan.entry && plan.entry.type === 'payment' && ledgerUpdate.isPaid) {
+            try {
+                const issued = await issuePaidOrderInvoice(db, {
+                    ordersCollection: ORDERS_COLLECTION,
+                    invoicesCollection: INVOICES_COLLECTION,
+                    exchangeRatesCollection: EXCHANGE_RATES_COLLECTION,
+                    configDocPath: CONFIG_DOC_PATH,
+                    orderId,
+                    issuedBy: `paymentWebhook:${provider.name}`
+                });
+                if (issued && issued.created) {
+                    await db.collection(LOGS_COLLECTION_PATH).add({
+                        actionType: 'INVOICE_ISSUED',
+                        objectId: orderId,
+                        details: { invoiceNumber: issued.invoice.number, cufe: issued.invoice.cufe, payableCents: issued.invoice.totals.payableCents, currency: issued.invoice.currency },
+                        performedByEmail: `paymentWebhook:${provider.name}`,
+                        timestamp: admin.firestore.FieldValue.serverTimestamp()
+                    });
+                }
+            } catch (invoiceError) {
+                // Invoicing is optional until it is configured; the invoice can be issued later from the admin panel
+                console.error(`Electronic invoice for order ${orderId} was not issued:`, invoiceError);
+            }
+        }
+
+        // --- 5. Email the receipt or credit note with the gateway's transaction ID ---
+        let documentSent = false;
+        if (plan.entry) {
+            const entry = plan.entry;
+            try {
+                // The email function reads the buyer, lines, amounts and the entry itself from the stored order
+                const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendReceiptConfirmation`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${orderId}:ledger:${entry.entryId}` },
+                    body: JSON.stringify({ orderId, entryId: entry.entryId })
+                });
+                documentSent = emailResponse.ok;
+                if (!emailResponse.ok) {
+                    console.error(`Webhook document email failed for order ${orderId}: ${await emailResponse.text()}`);
+                }
+            } catch (emailError) {
+                // The ledger entry is committed; the document can be resent from the admin panel
+                console.error(`Webhook document email trigger failed for order ${orderId}:`, emailError);
+            }
+        }
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: plan.entry ? `Recorded ${plan.entry.type} on order ${orderNumber}.` : `Event recorded on order ${orderNumber} without a ledger change.`,
+                outcome: plan.outcome,
+                entryId: plan.entry ? plan.entry.entryId : null,
+                documentSent
+            })
+        };
+    } catch (error) {
+        // 500 makes the gateway retry, which is safe: the event is only marked seen when it was applied
+        console.error(`Error processing ${provider.name} webhook:`, error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to process payment event', details: error.message }) };
+    }
+};
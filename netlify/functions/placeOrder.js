@@ -0,0 +1,405 @@
+/**
+ * Netlify Function (Public) to place a storefront order.
+ * The client only sends item IDs and quantities. Prices are loaded from the items collection,
+ * stock is decremented inside a Firestore transaction together with the order write,
+ * and the confirmation email is triggered once the order is committed.
+ * Stock held by other shoppers' checkout reservations is excluded; the caller's own holds are converted.
+ * Each line taken from stock is a sale movement in the inventory ledger.
+ * Items with a backorder policy (allow / preorder) accept more than is in stock: the shortfall is
+ * flagged on the line as `backorderedQuantity` and filled later by allocateBackorders.
+ * Shipping is priced from `geolocation` against the delivery zones and added to the total.
+ * IVA is split out per tax category using the store's tax settings, which are frozen on the order.
+ * `currency` (COP or USD, default USD) bills the order in pesos at the day's exchange rate, which is
+ * frozen on the order with every amount converted.
+ * `promotionCode` applies a discount code: it is checked against its dates, limits and the cart in the
+ * same transaction, the discount is recorded on the order and lines, and the redemption is counted
+ * (against the signed-in buyer's uid, or the email for guests).
+ * `fulfillmentLocation` picks the sellable location the order ships from (default the main warehouse);
+ * units it lacks are taken from the other sellable locations, and in-transit stock is never sold.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const RESERVATIONS_COLLECTION = process.env.RESERVATIONS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/stockReservations';
+const DELIVERY_ZONES_COLLECTION = process.env.DELIVERY_ZONES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/deliveryZones';
+const EXCHANGE_RATES_COLLECTION = process.env.EXCHANGE_RATES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/exchangeRates';
+const PROMOTIONS_COLLECTION = process.env.PROMOTIONS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/promotions';
+const CONFIG_DOC_PATH = 'admin/config';
+
+// Rate limiting (per warm instance) to stop scripted checkouts from draining stock
+const rateLimitStore = {};
+const MAX_ORDERS_PER_HOUR = 10;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// Helper function to sanitize strings and remove HTML/script tags
+function sanitizeString(str) {
+    if (!str) return '';
+    return String(str).replace(/</g, "&lt;").replace(/>/g, "&gt;").trim();
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Rate Limiting ---
+    const clientIp = event.headers['client-ip'] || event.headers['x-nf-client-connection-ip'] || 'unknown';
+    const now = Date.now();
+    rateLimitStore[clientIp] = (rateLimitStore[clientIp] || []).filter(timestamp => timestamp > now - RATE_LIMIT_WINDOW_MS);
+
+    if (rateLimitStore[clientIp].length >= MAX_ORDERS_PER_HOUR) {
+        console.warn(`Rate limit exceeded for IP: ${clientIp} on placeOrder.`);
+        return { statusCode: 429, body: JSON.stringify({ error: 'Rate limit exceeded. Please wait one hour before trying another purchase.' }) };
+    }
+    rateLimitStore[clientIp].push(now);
+
+    let orderRequest;
+    try {
+        orderRequest = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const {
+        buyerEmail,
+        buyerName,
+        buyerPhone,
+        communicationLang,
+        deliveryAddress,
+        prefersWhatsapp,
+        items,
+        geolocation,
+        reservationSessionId,
+        currency,
+        promotionCode,
+        fulfillmentLocation
+    } = orderRequest;
+
+    const {
+        normalizeCartLines,
+        getHeldQuantities,
+        isValidSessionId,
+        MAX_QUANTITY_PER_LINE
+    } = await import('./js/utilities/stockReservations.js');
+    const { buildStatusHistoryEntry } = await import('./js/utilities/orderStatus.js');
+    const { allocateOrderNumber } = await import('./js/utilities/orderNumbers.js');
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+    const { getBackorderPolicy, estimateShipDays, splitBackorderQuantity, hasOpenBackorders } = await import('./js/utilities/backorders.js');
+    const { createInventoryLedger } = await import('./js/utilities/inventoryLedger.js');
+    const { DEFAULT_LOCATION, isSellableLocation, planLocationTake } = await import('./js/utilities/stockLocations.js');
+    const { resolveDeliveryZone, computeShipping } = await import('./js/utilities/deliveryZones.js');
+    const { getTaxCategory, getTaxSettings, computeOrderTaxes } = await import('./js/utilities/taxes.js');
+    const { CATALOG_CURRENCY, CURRENCIES, convertFromCatalog, convertToCatalog, findExchangeRate } = await import('./js/utilities/currency.js');
+    const {
+        normalizePromotionCode,
+        getPromotionErrorMessage,
+        getPromotionUnavailableReason,
+        freezePromotionRule,
+        computeDiscount,
+        setLineDiscounts,
+        readPromotionForOrder,
+        recordRedemption
+    } = await import('./js/utilities/promotions.js');
+
+    // --- 2. Input Validation and Sanitization ---
+    if (!buyerEmail || typeof buyerEmail !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(buyerEmail.trim()) ||
+        !buyerName || typeof buyerName !== 'string' ||
+        !deliveryAddress || typeof deliveryAddress !== 'string' ||
+        !Array.isArray(items) || items.length === 0) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid required order fields: email, name, address, or items (array).' }) };
+    }
+
+    const requestedItems = normalizeCartLines(items);
+    if (!requestedItems) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Each item needs an id and a whole quantity between 1 and ${MAX_QUANTITY_PER_LINE}.` }) };
+    }
+
+    if (currency !== undefined && !CURRENCIES.includes(currency)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Currency must be one of: ${CURRENCIES.join(', ')}.` }) };
+    }
+    const orderCurrency = currency || CATALOG_CURRENCY;
+    const lang = communicationLang === 'en' ? 'en' : 'es';
+
+    if (fulfillmentLocation !== undefined && !isSellableLocation(fulfillmentLocation)) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'The fulfillment location must be a location with sellable stock.' }) };
+    }
+    const orderLocation = fulfillmentLocation || DEFAULT_LOCATION;
+
+    const code = promotionCode ? normalizePromotionCode(promotionCode) : null;
+    if (promotionCode && !code) {
+        return { statusCode: 400, body: JSON.stringify({ error: getPromotionErrorMessage('not_found', lang), promotionError: 'not_found' }) };
+    }
+
+    const sessionId = isValidSessionId(reservationSessionId) ? reservationSessionId : null;
+
+    let finalGeolocation = null;
+    if (geolocation && typeof geolocation.lat === 'number' && typeof geolocation.lng === 'number') {
+        finalGeolocation = { lat: geolocation.lat, lng: geolocation.lng };
+    }
+
+    // Orders are tied to the caller's Firebase UID when a token is sent, never to a client-supplied ID
+    let userId = 'guest';
+    const authHeader = event.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        try {
+            const decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+            userId = decodedToken.uid;
+        } catch (e) {
+            return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+        }
+    }
+    // --- End Input Validation ---
+
+    // A retried submission with the same Idempotency-Key gets the original result, not a second order
+    const idempotency = await claimIdempotencyKey(db, 'placeOrder', event, userId === 'guest' ? null : userId);
+    if (idempotency.response) return idempotency.response;
+
+    try {
+        // --- 3. Maintenance Mode Check ---
+        const configDoc = await db.doc(CONFIG_DOC_PATH).get();
+        if (configDoc.exists && configDoc.data().maintenanceMode === true) {
+            return idempotency.complete({ statusCode: 503, body: JSON.stringify({ error: 'Checkout is temporarily unavailable (maintenance mode).' }) });
+        }
+
+        const exchangeRate = orderCurrency === CATALOG_CURRENCY ? null : await findExchangeRate(db, EXCHANGE_RATES_COLLECTION);
+        if (orderCurrency !== CATALOG_CURRENCY && !exchangeRate) {
+            return idempotency.complete({ statusCode: 409, body: JSON.stringify({ error: `Orders in ${orderCurrency} are unavailable: no exchange rate is configured.` }) });
+        }
+
+        // The retención base is configured in dollars; it is frozen in the order's currency
+        const taxSettings = getTaxSettings(configDoc.exists ? configDoc.data().taxSettings : undefined);
+        taxSettings.withholdingMinBaseCents = convertFromCatalog(taxSettings.withholdingMinBaseCents, exchangeRate);
+
+        // Zones are configuration, read once outside the transaction
+        const zoneEntry = finalGeolocation
+            ? resolveDeliveryZone((await db.collection(DELIVERY_ZONES_COLLECTION).get()).docs.map(doc => ({ id: doc.id, data: doc.data() })), finalGeolocation)
+            : null;
+
+        // --- 4. Re-price the cart and reserve stock atomically ---
+        const orderRef = db.collection(ORDERS_COLLECTION).doc();
+        const timestamp = new Date().toISOString();
+        let orderData;
+
+        const reservationsRef = db.collection(RESERVATIONS_COLLECTION);
+
+        await db.runTransaction(async (transaction) => {
+            const itemRefs = requestedItems.map(line => db.collection(ITEMS_COLLECTION).doc(line.id));
+            const itemSnaps = await transaction.getAll(...itemRefs);
+            const heldByOthers = await getHeldQuantities(transaction, reservationsRef, requestedItems.map(line => line.id), sessionId);
+            const ownHolds = sessionId
+                ? await transaction.get(reservationsRef.where('sessionId', '==', sessionId).where('status', '==', 'active'))
+                : null;
+            const promotionRead = code ? await readPromotionForOrder(transaction, db, PROMOTIONS_COLLECTION, code, buyerEmail, userId === 'guest' ? null : userId) : null;
+
+            const stockErrors = [];
+            const pricedItems = [];
+
+            itemSnaps.forEach((snap, index) => {
+                const { id, quantity } = requestedItems[index];
+
+                if (!snap.exists) {
+                    stockErrors.push({ id, requested: quantity, available: 0, reason: 'not_found' });
+                    return;
+                }
+
+                const item = snap.data();
+                const stock = typeof item.stock === 'number' ? item.stock : 0;
+                const available = Math.max(0, stock - (heldByOthers[id] || 0));
+
+                // Items with a backorder policy accept the shortfall instead of rejecting the line
+                const split = splitBackorderQuantity(item, quantity, available);
+
+                if (typeof item.price !== 'number' || item.price <= 0) {
+                    stockErrors.push({ id, name: item.name, requested: quantity, available, reason: 'unavailable' });
+                } else if (!split) {
+                    stockErrors.push({ id, name: item.name, requested: quantity, available, reason: 'insufficient_stock' });
+                } else {
+                    const line = { id, name: item.name, sku: item.sku || null, price: convertFromCatalog(item.price, exchangeRate), quantity, taxCategory: getTaxCategory(item) };
+                    if (split.backordered > 0) {
+                        line.backordered = true;
+                        line.backorderedQuantity = split.backordered;
+                        line.backorderPolicy = getBackorderPolicy(item);
+                        line.estimatedShipDays = estimateShipDays(item);
+                        if (line.backorderPolicy === 'preorder' && item.expectedDate) line.expectedDate = item.expectedDate;
+                    }
+                    pricedItems.push({ snap, fromStock: split.fromStock, line, catalogId: item.catalogId || null });
+                }
+            });
+
+            if (stockErrors.length > 0) {
+                const stockError = new Error('One or more items cannot be fulfilled.');
+                stockError.stockErrors = stockErrors;
+                throw stockError;
+            }
+
+            let orderItems = pricedItems.map(entry => entry.line);
+
+            // The discount is taken off the lines before IVA and the free-shipping threshold are worked out
+            let discount = null;
+            if (promotionRead) {
+                const reason = getPromotionUnavailableReason(promotionRead.promotion, promotionRead.customerUses);
+                const rule = reason ? null : freezePromotionRule(promotionRead.promotion, exchangeRate);
+                const result = rule ? computeDiscount(rule, pricedItems.map(entry => ({ ...entry.line, catalogId: entry.catalogId }))) : { error: reason };
+                if (result.error) {
+                    const promotionError = new Error(getPromotionErrorMessage(result.error, lang));
+                    promotionError.promotionError = result.error;
+                    throw promotionError;
+                }
+                orderItems = setLineDiscounts(orderItems, result.lineDiscounts);
+                discount = { ...rule, amountCents: result.amountCents };
+            }
+
+            // Storefront buyers never withhold; business orders with retención are created from the admin panel
+            const taxes = computeOrderTaxes(orderItems, taxSettings, false);
+            const shipping = computeShipping(zoneEntry, taxes.goodsTotalCents, exchangeRate);
+            const orderNumber = await allocateOrderNumber(transaction, db);
+
+            orderData = {
+                orderNumber,
+                buyerEmail: buyerEmail.trim(),
+                buyerName: sanitizeString(buyerName),
+                buyerPhone: buyerPhone ? sanitizeString(buyerPhone) : null,
+                communicationLang: lang,
+                deliveryAddress: sanitizeString(deliveryAddress),
+                prefersWhatsapp: prefersWhatsapp === true,
+                items: orderItems,
+                hasBackorders: hasOpenBackorders(orderItems),
+                currency: orderCurrency,
+                exchangeRate,
+                taxSettings,
+                subtotalCents: taxes.subtotalCents,
+                taxLines: taxes.taxLines,
+                taxCents: taxes.taxCents,
+                withholding: null,
+                discount,
+                shipping,
+                totalCents: taxes.goodsTotalCents + (shipping ? shipping.feeCents : 0),
+                geolocation: finalGeolocation,
+                userId: userId,
+                uid: userId,
+                fulfillmentLocation: orderLocation,
+                status: 'Pending',
+                statusHistory: [buildStatusHistoryEntry(null, 'Pending', 'checkout')],
+                timestamp: timestamp,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            };
+
+            if (sessionId) orderData.reservationSessionId = sessionId;
+            if (discount) orderData.promotionRedemptionId = promotionRead.redemptionRef.id;
+
+            const ledger = createInventoryLedger(db, { performedBy: `customer:${orderData.buyerEmail}` });
+            const reference = { kind: 'order', id: orderRef.id, number: orderNumber };
+            pricedItems
+                .filter(entry => entry.fromStock > 0)
+                .forEach(entry => planLocationTake(ledger.stockByLocation(entry.snap), entry.fromStock, orderLocation)
+                    .forEach(part => ledger.move(entry.snap, { type: 'sale', location: part.location, quantityDelta: -part.quantity, reference, note: 'Checkout' })));
+            if (ownHolds) {
+                const snapsById = Object.fromEntries(itemSnaps.filter(snap => snap.exists).map(snap => [snap.id, snap]));
+                ownHolds.docs
+                    .filter(holdDoc => snapsById[holdDoc.data().itemId] && holdDoc.data().quantity > 0)
+                    .forEach(holdDoc => ledger.move(snapsById[holdDoc.data().itemId], {
+                        type: 'reservation',
+                        heldDelta: -holdDoc.data().quantity,
+                        reference,
+                        note: 'Hold converted at checkout'
+                    }));
+            }
+            ledger.write(transaction);
+            transaction.set(orderRef, orderData);
+            if (discount) {
+                recordRedemption(transaction, promotionRead, {
+                    orderId: orderRef.id,
+                    orderNumber,
+                    email: orderData.buyerEmail,
+                    discountCatalogCents: convertToCatalog(discount.amountCents, exchangeRate)
+                });
+            }
+
+            // Convert this session's holds: the stock is now actually decremented
+            if (ownHolds) {
+                ownHolds.docs.forEach(holdDoc => transaction.update(holdDoc.ref, {
+                    status: 'converted',
+                    orderId: orderRef.id,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                }));
+            }
+        });
+
+        const orderId = orderRef.id;
+        console.log(`Order ${orderData.orderNumber} (${orderId}) placed for ${orderData.buyerEmail} (${orderData.items.length} lines, ${orderData.totalCents} ${orderData.currency} cents).`);
+
+        // --- 5. Trigger the confirmation email ---
+        try {
+            const { createdAt, ...emailOrder } = orderData;
+            const emailPayload = { ...emailOrder, orderId };
+            const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendOrderConfirmation`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${orderId}:confirmation` },
+                body: JSON.stringify(emailPayload)
+            });
+
+            if (!emailResponse.ok) {
+                const emailErrorText = await emailResponse.text();
+                console.error(`Email function failed for order ${orderId}: ${emailErrorText}`);
+                await orderRef.update({ emailStatus: 'Failed' });
+            } else {
+                await orderRef.update({ emailStatus: 'Sent' });
+            }
+        } catch (emailError) {
+            // The order is already committed; an email failure must not fail the checkout
+            console.error(`Email trigger failed for order ${orderId}:`, emailError);
+            await orderRef.update({ emailStatus: 'Failed' });
+        }
+
+        return idempotency.complete({
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: 'Order placed successfully.',
+                orderId: orderId,
+                orderNumber: orderData.orderNumber,
+                currency: orderData.currency,
+                subtotalCents: orderData.subtotalCents,
+                taxLines: orderData.taxLines,
+                taxCents: orderData.taxCents,
+                discount: orderData.discount,
+                shipping: orderData.shipping,
+                totalCents: orderData.totalCents,
+                items: orderData.items
+            }),
+        });
+
+    } catch (error) {
+        if (error.stockErrors) {
+            return idempotency.complete({
+                statusCode: 409,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: error.message, items: error.stockErrors }),
+            });
+        }
+        if (error.promotionError) {
+            return idempotency.complete({ statusCode: 400, body: JSON.stringify({ error: error.message, promotionError: error.promotionError }) });
+        }
+
+        console.error('Error placing order:', error);
+        return idempotency.complete({
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to place order', details: error.message }),
+        });
+    }
+};
@@ -0,0 +1,95 @@
+/**
+ * Netlify Function (Scheduled/Cron) that polls the carriers of every delivery in progress
+ * (see requestDelivery and js/utilities/carriers.js), moving orders to Shipped and Delivered as the
+ * carrier reports them and emailing the customer about each change.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+
+exports.handler = async function (event) {
+    try {
+        console.log('Starting scheduled delivery status poll...');
+        const carriers = await import('./js/utilities/carriers.js');
+        const orderStatus = await import('./js/utilities/orderStatus.js');
+
+        // Only deliveries that can still change; finished ones drop out of the query
+        const activeStatuses = carriers.DELIVERY_STATUSES.filter(status => !carriers.FINAL_DELIVERY_STATUSES.includes(status));
+        const activeSnap = await db.collection(ORDERS_COLLECTION).where('delivery.status', 'in', activeStatuses).get();
+
+        const updated = [];
+        let failedCount = 0;
+        for (const doc of activeSnap.docs) {
+            try {
+                const result = await carriers.refreshDeliveryStatus(db, {
+                    orderRef: doc.ref,
+                    by: `carrier:${doc.data().delivery.carrier}`,
+                    orderStatus,
+                    timestamp: () => admin.firestore.FieldValue.serverTimestamp()
+                });
+                if (result.transitions.length === 0) continue;
+                updated.push({ orderId: doc.id, trackingNumber: result.delivery.trackingNumber, deliveryStatus: result.delivery.status, transitions: result.transitions });
+
+                const last = result.transitions[result.transitions.length - 1];
+                if (orderStatus.shouldNotifyCustomer(result.transitions[0].from, last.to)) {
+                    const { createdAt, updatedAt, ...emailOrder } = result.order;
+                    const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendOrderConfirmation`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${doc.id}:status:${result.order.statusHistory.length}` },
+                        body: JSON.stringify({
+                            ...emailOrder,
+                            orderId: doc.id,
+                            newStatus: last.to,
+                            communicationLang: result.order.communicationLang || result.order.language || 'es'
+                        })
+                    }).catch(emailError => ({ ok: false, text: async () => emailError.message }));
+                    if (!emailResponse.ok) {
+                        console.error(`Delivery status email failed for order ${doc.id}: ${await emailResponse.text()}`);
+                    }
+                }
+            } catch (pollError) {
+                // One carrier being down must not stop the others from being polled
+                failedCount += 1;
+                console.error(`Failed to poll delivery for order ${doc.id}:`, pollError);
+            }
+        }
+
+        if (updated.length > 0) {
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'DELIVERY_STATUSES_POLLED',
+                objectId: null,
+                details: { polledCount: activeSnap.size, failedCount, updated },
+                performedByEmail: 'system:pollDeliveryStatuses',
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        console.log(`Delivery status poll complete. Polled: ${activeSnap.size}, order updates: ${updated.length}, failed: ${failedCount}`);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: `Polled ${activeSnap.size} deliveries.`, updatedCount: updated.length, failedCount }),
+        };
+
+    } catch (error) {
+        console.error('CRON Error polling delivery statuses:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to complete delivery status poll', details: error.message }),
+        };
+    }
+};
@@ -0,0 +1,70 @@
+/**
+ * Netlify Function (Scheduled/Cron) to permanently delete archived orders
+ * once they are older than ARCHIVED_ORDER_RETENTION_DAYS (default 365).
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const ARCHIVED_ORDERS_COLLECTION = process.env.ARCHIVED_ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/archivedOrders';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const RETENTION_DAYS = parseInt(process.env.ARCHIVED_ORDER_RETENTION_DAYS, 10) || 365;
+const BATCH_SIZE = 400; // Firestore batches allow 500 writes
+
+exports.handler = async function (event) {
+    try {
+        const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        console.log(`Starting archived order purge (retention: ${RETENTION_DAYS} days, cutoff: ${cutoff.toDate().toISOString()})...`);
+
+        const expiredSnap = await db.collection(ARCHIVED_ORDERS_COLLECTION).where('archivedAt', '<', cutoff).get();
+        const purgedIds = expiredSnap.docs.map(doc => doc.id);
+
+        // Shipments stay under the order's original path while it is archived, so they go with it
+        const shipmentRefs = [];
+        for (const orderId of purgedIds) {
+            const shipmentsSnap = await db.collection(ORDERS_COLLECTION).doc(orderId).collection('shipments').get();
+            shipmentsSnap.docs.forEach(doc => shipmentRefs.push(doc.ref));
+        }
+
+        const refsToDelete = [...expiredSnap.docs.map(doc => doc.ref), ...shipmentRefs];
+        for (let i = 0; i < refsToDelete.length; i += BATCH_SIZE) {
+            const batch = db.batch();
+            refsToDelete.slice(i, i + BATCH_SIZE).forEach(ref => batch.delete(ref));
+            await batch.commit();
+        }
+
+        if (purgedIds.length > 0) {
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'ARCHIVED_ORDERS_PURGED',
+                objectId: null,
+                details: { retentionDays: RETENTION_DAYS, purgedCount: purgedIds.length, orderIds: purgedIds },
+                performedByEmail: 'system:purgeArchivedOrders',
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        console.log(`Archived order purge complete. Orders deleted: ${purgedIds.length}`);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: `Purge complete. Deleted ${purgedIds.length} archived orders.`, purgedCount: purgedIds.length }),
+        };
+
+    } catch (error) {
+        console.error('CRON Error purging archived orders:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to complete archived order purge', details: error.message }),
+        };
+    }
+};
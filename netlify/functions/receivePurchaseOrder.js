@@ -0,0 +1,279 @@
+/**
+ * Netlify Function (Admin Only) to receive goods against a sent purchase order.
+ * POST { purchaseOrderId, receipts: [{ lineId, quantity }], location?, note? }
+ * Each received line adds its units to the item's stock at `location` (default the main warehouse)
+ * in the same transaction that updates the PO. Units received at a sellable location go to
+ * backordered orders first exactly like a manual stock addition (updateItemStock); goods received
+ * in transit wait for a transfer to a sellable location.
+ * Every line is a receipt movement in the inventory ledger (and a sale movement for each order it
+ * fills) and is logged as INVENTORY_UPDATED with the PO number; the PO moves to Partially Received
+ * or Received.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const PURCHASE_ORDERS_COLLECTION = process.env.PURCHASE_ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/purchaseOrders';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const MAX_NOTE_LENGTH = 500;
+
+// Helper function to sanitize strings and remove HTML/script tags
+function sanitizeString(str) {
+    if (!str) return '';
+    return String(str).replace(/</g, "&lt;").replace(/>/g, "&gt;").trim();
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { purchaseOrderId, receipts, note } = requestBody;
+    const { DEFAULT_LOCATION, isStockLocation, isSellableLocation, planLocationTake } = await import('./js/utilities/stockLocations.js');
+    const location = requestBody.location || DEFAULT_LOCATION;
+
+    // --- 2. Input Validation ---
+    if (!purchaseOrderId || typeof purchaseOrderId !== 'string' || purchaseOrderId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid purchaseOrderId.' }) };
+    }
+    if (!Array.isArray(receipts) || receipts.length === 0) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Enter the quantity received on at least one line.' }) };
+    }
+    if (!isStockLocation(location)) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Unknown stock location.' }) };
+    }
+
+    const { planPurchaseOrderReceipt, buildPurchaseOrderHistoryEntry } = await import('./js/utilities/purchaseOrders.js');
+    const { planBackorderAllocation, hasOpenBackorders } = await import('./js/utilities/backorders.js');
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+    const { createInventoryLedger } = await import('./js/utilities/inventoryLedger.js');
+
+    const idempotency = await claimIdempotencyKey(db, 'receivePurchaseOrder', event, decodedToken.uid);
+    if (idempotency.response) return idempotency.response;
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+    const sanitizedNote = sanitizeString(note).substring(0, MAX_NOTE_LENGTH) || null;
+    const purchaseOrderRef = db.collection(PURCHASE_ORDERS_COLLECTION).doc(purchaseOrderId);
+    let po;
+    let previousStatus;
+    let newStatus;
+    let movements = [];
+    let allocations = [];
+
+    try {
+        // --- 3. Update the PO, stock and waiting orders atomically ---
+        await db.runTransaction(async (transaction) => {
+            const purchaseOrderSnap = await transaction.get(purchaseOrderRef);
+            if (!purchaseOrderSnap.exists) {
+                throw Object.assign(new Error(`Purchase order ${purchaseOrderId} not found.`), { statusCode: 404 });
+            }
+            po = purchaseOrderSnap.data();
+            previousStatus = po.status;
+            allocations = [];
+
+            const plan = planPurchaseOrderReceipt(po, receipts);
+            if (plan.error) {
+                throw Object.assign(new Error(plan.error), { statusCode: plan.error.startsWith('Goods can only') ? 409 : 400 });
+            }
+
+            const itemSnaps = await transaction.getAll(...plan.received.map(line => db.collection(ITEMS_COLLECTION).doc(line.itemId)));
+            const missing = itemSnaps.find(snap => !snap.exists);
+            if (missing) {
+                throw Object.assign(new Error(`Item ${missing.id} no longer exists; it cannot be received into stock.`), { statusCode: 409 });
+            }
+            const waitingSnap = isSellableLocation(location)
+                ? await transaction.get(db.collection(ORDERS_COLLECTION).where('hasBackorders', '==', true))
+                : null;
+
+            // Items are planned one after another so an order waiting on several of them sees earlier allocations
+            const waiting = waitingSnap ? waitingSnap.docs.map(doc => ({ id: doc.id, data: doc.data() })) : [];
+            const orderUpdates = {};
+            const ledger = createInventoryLedger(db, { performedBy });
+            const reference = { kind: 'purchaseOrder', id: purchaseOrderId, number: po.purchaseOrderNumber };
+            movements = plan.received.map((line, index) => {
+                const item = itemSnaps[index].data();
+                const oldStock = ledger.balance(line.itemId) !== null ? ledger.balance(line.itemId) : (typeof item.stock === 'number' ? item.stock : 0);
+                ledger.move(itemSnaps[index], { type: 'receipt', location, quantityDelta: line.quantity, reference, note: sanitizedNote || '' });
+                const lineAllocations = waitingSnap ? planBackorderAllocation(waiting, line.itemId, ledger.balance(line.itemId)) : [];
+                const allocated = lineAllocations.reduce((sum, entry) => sum + entry.allocated, 0);
+
+                lineAllocations.forEach(entry => {
+                    const waitingOrder = waiting.find(candidate => candidate.id === entry.orderId);
+                    const history = [...(waitingOrder.data.backorderAllocations || []), { itemId: line.itemId, quantity: entry.allocated, by: performedBy, at: new Date().toISOString(), purchaseOrderNumber: po.purchaseOrderNumber }];
+                    waitingOrder.data = { ...waitingOrder.data, items: entry.items, hasBackorders: hasOpenBackorders(entry.items), backorderAllocations: history };
+                    orderUpdates[entry.orderId] = waitingOrder.data;
+                    allocations.push({ ...entry, itemId: line.itemId, itemName: item.name, allocationCount: history.length });
+                });
+
+                lineAllocations.forEach(entry => planLocationTake(ledger.stockByLocation(itemSnaps[index]), entry.allocated, location).forEach(part => ledger.move(itemSnaps[index], {
+                    type: 'sale',
+                    location: part.location,
+                    quantityDelta: -part.quantity,
+                    reference: { kind: 'order', id: entry.orderId, number: entry.order.orderNumber },
+                    note: `Backorder allocation from ${po.purchaseOrderNumber}`
+                })));
+                return { ...line, item: item.name, oldStock, newStock: ledger.balance(line.itemId), allocated };
+            });
+
+            ledger.write(transaction);
+            Object.entries(orderUpdates).forEach(([orderId, data]) => transaction.update(db.collection(ORDERS_COLLECTION).doc(orderId), {
+                items: data.items,
+                hasBackorders: data.hasBackorders,
+                backorderAllocations: data.backorderAllocations,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            }));
+
+            newStatus = plan.status;
+            const historyEntry = buildPurchaseOrderHistoryEntry(previousStatus, newStatus, performedBy, sanitizedNote);
+            transaction.update(purchaseOrderRef, {
+                lines: plan.lines,
+                status: newStatus,
+                receivedUnits: plan.lines.reduce((sum, line) => sum + line.receivedQuantity, 0),
+                statusHistory: [...(po.statusHistory || []), historyEntry],
+                receipts: [...(po.receipts || []), { lines: plan.received.map(({ lineId, itemId, quantity }) => ({ lineId, itemId, quantity })), location, note: sanitizedNote, by: performedBy, at: historyEntry.at }],
+                ...(newStatus === 'Received' ? { receivedAt: historyEntry.at } : {}),
+                updatedBy: performedBy,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        // --- 4. Log one inventory movement per line, then the receipt ---
+        for (const movement of movements) {
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'INVENTORY_UPDATED',
+                objectId: movement.itemId,
+                details: {
+                    itemId: movement.itemId,
+                    item: movement.item,
+                    action: 'receive',
+                    amount: movement.quantity,
+                    location,
+                    oldStock: movement.oldStock,
+                    newStock: movement.newStock,
+                    purchaseOrderId,
+                    purchaseOrderNumber: po.purchaseOrderNumber,
+                    unitCostCents: movement.unitCostCents,
+                    currency: po.currency,
+                    backorderAllocations: allocations
+                        .filter(entry => entry.itemId === movement.itemId)
+                        .map(entry => ({ orderId: entry.orderId, orderNumber: entry.order.orderNumber || null, quantity: entry.allocated }))
+                },
+                performedByEmail: performedBy,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'PURCHASE_ORDER_RECEIVED',
+            objectId: purchaseOrderId,
+            details: {
+                purchaseOrderNumber: po.purchaseOrderNumber,
+                supplier: po.supplierName,
+                from: previousStatus,
+                to: newStatus,
+                lines: movements.map(({ lineId, itemId, quantity }) => ({ lineId, itemId, quantity })),
+                location,
+                note: sanitizedNote
+            },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // --- 5. Tell each waiting customer their backordered parts have arrived ---
+        const notified = [];
+        for (const entry of allocations) {
+            const { createdAt, updatedAt, ...emailOrder } = entry.order;
+            try {
+                const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendOrderConfirmation`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${entry.orderId}:backorder:${entry.allocationCount}` },
+                    body: JSON.stringify({
+                        ...emailOrder,
+                        orderId: entry.orderId,
+                        items: [{ ...entry.items.find(line => line.id === entry.itemId), quantity: entry.allocated, backorderedQuantity: 0 }],
+                        newStatus: emailOrder.status,
+                        backorderAllocation: { itemName: entry.itemName, quantity: entry.allocated, complete: entry.complete },
+                        communicationLang: emailOrder.communicationLang || emailOrder.language || 'es'
+                    })
+                });
+                if (emailResponse.ok) {
+                    notified.push(`${entry.orderId}:${entry.itemId}`);
+                } else {
+                    console.error(`Backorder email failed for order ${entry.orderId}: ${await emailResponse.text()}`);
+                }
+            } catch (emailError) {
+                // The allocation is committed; the admin sees which customers were not emailed
+                console.error(`Backorder email trigger failed for order ${entry.orderId}:`, emailError);
+            }
+        }
+
+        return idempotency.complete({
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `${movements.reduce((sum, movement) => sum + movement.quantity, 0)} units received on ${po.purchaseOrderNumber}; it is now ${newStatus}.`,
+                purchaseOrderId,
+                from: previousStatus,
+                to: newStatus,
+                movements: movements.map(({ itemId, item, quantity, oldStock, newStock }) => ({ itemId, item, quantity, oldStock, newStock })),
+                allocations: allocations.map(entry => ({
+                    orderId: entry.orderId,
+                    orderNumber: entry.order.orderNumber || null,
+                    itemId: entry.itemId,
+                    quantity: entry.allocated,
+                    complete: entry.complete,
+                    emailSent: notified.includes(`${entry.orderId}:${entry.itemId}`)
+                }))
+            }),
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return idempotency.complete({ statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) });
+        }
+
+        console.error(`Error receiving purchase order ${purchaseOrderId}:`, error);
+        return idempotency.complete({
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to receive purchase order', details: error.message }),
+        });
+    }
+};
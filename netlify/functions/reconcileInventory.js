@@ -0,0 +1,120 @@
+/**
+ * Netlify Function (Scheduled/Cron) to reconcile item stock against the inventory ledger.
+ * Every item's units at each location should equal its opening balance there plus the sum of its
+ * movements there, and its stock the sellable total of those. Items that do not match (stock edited
+ * outside the stock functions, or a lost movement) are flagged with `stockLedger.mismatch`, which the
+ * Inventory tab shows. Flags clear once the item matches again.
+ * Items moved in the last few minutes are left for the next run, as their transaction may still be
+ * committing while the job reads.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const SETTLING_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 400; // Firestore batches allow 500 writes
+
+function toMillis(value) {
+    if (!value) return 0;
+    return typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime();
+}
+
+function describeMismatch({ expected, actual, locations = [] }) {
+    return [`${expected}/${actual}`, ...locations.map(entry => `${entry.location}:${entry.expected}/${entry.actual}`)].join(' ');
+}
+
+exports.handler = async function (event) {
+    try {
+        console.log('Starting inventory reconciliation job...');
+        const startedAt = Date.now();
+
+        const { INVENTORY_MOVEMENTS_COLLECTION_PATH, findBalanceMismatch } = await import('./js/utilities/inventoryLedger.js');
+        const { DEFAULT_LOCATION } = await import('./js/utilities/stockLocations.js');
+
+        // Movements are read first: anything committed after this read is excluded by the settling window below
+        const movementsSnap = await db.collection(INVENTORY_MOVEMENTS_COLLECTION_PATH).select('itemId', 'location', 'quantityDelta').get();
+        const totals = {};
+        movementsSnap.docs.forEach(doc => {
+            const { itemId, location, quantityDelta } = doc.data();
+            if (!quantityDelta) return;
+            // Movements written before stock locations existed were all at the default location
+            const byLocation = totals[itemId] || (totals[itemId] = {});
+            const key = location || DEFAULT_LOCATION;
+            byLocation[key] = (byLocation[key] || 0) + quantityDelta;
+        });
+        const itemsSnap = await db.collection(ITEMS_COLLECTION).get();
+
+        const checkedAt = new Date().toISOString();
+        const flagged = [];
+        const cleared = [];
+        const updates = [];
+        let skipped = 0;
+        itemsSnap.docs.forEach(doc => {
+            const item = doc.data();
+            const ledger = item.stockLedger || {};
+            if (toMillis(ledger.lastMovementAt) > startedAt - SETTLING_MS) {
+                skipped += 1;
+                return;
+            }
+            const mismatch = findBalanceMismatch(item, totals[doc.id] || {});
+            if (mismatch) {
+                flagged.push({ itemId: doc.id, item: item.name, ...mismatch });
+                const previous = ledger.mismatch;
+                // Only write when the finding changed, so a standing mismatch keeps its first checkedAt
+                if (!previous || describeMismatch(previous) !== describeMismatch(mismatch)) {
+                    updates.push({ ref: doc.ref, data: { 'stockLedger.mismatch': { ...mismatch, checkedAt } } });
+                }
+            } else if (ledger.mismatch) {
+                cleared.push({ itemId: doc.id, item: item.name });
+                updates.push({ ref: doc.ref, data: { 'stockLedger.mismatch': admin.firestore.FieldValue.delete() } });
+            }
+        });
+
+        for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+            const batch = db.batch();
+            updates.slice(i, i + BATCH_SIZE).forEach(update => batch.update(update.ref, update.data));
+            await batch.commit();
+        }
+
+        flagged.forEach(entry => console.warn(`Stock mismatch on ${entry.item || entry.itemId}: stock ${entry.actual}, ledger ${entry.expected}.`));
+        if (flagged.length > 0 || cleared.length > 0) {
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'INVENTORY_RECONCILED',
+                objectId: null,
+                details: { checkedItems: itemsSnap.size - skipped, skippedItems: skipped, movements: movementsSnap.size, mismatches: flagged, cleared },
+                performedByEmail: 'system:reconcileInventory',
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        console.log(`Inventory reconciliation complete. Items checked: ${itemsSnap.size - skipped}, mismatches: ${flagged.length}, cleared: ${cleared.length}`);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: `Reconciliation complete. ${flagged.length} item(s) do not match the ledger.`,
+                checkedItems: itemsSnap.size - skipped,
+                mismatches: flagged,
+                cleared
+            }),
+        };
+
+    } catch (error) {
+        console.error('CRON Error reconciling inventory:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to complete inventory reconciliation job', details: error.message }),
+        };
+    }
+};
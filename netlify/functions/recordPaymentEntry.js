@@ -0,0 +1,225 @@
+/**
+ * Netlify Function (Admin Only) to record a typed entry in an order's payment ledger.
+ * POST { orderId, type: 'payment'|'refund'|'reversal'|'adjustment', amountCents, method, reason, relatesToEntryId?, transactionId? }
+ * paidCents and isPaid are recomputed from the whole ledger in the same transaction.
+ * Payments email a receipt and refunds/reversals email a credit note, both through sendReceiptConfirmation.
+ * A payment that settles the order issues its electronic invoice first, so the receipt carries it.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const INVOICES_COLLECTION = process.env.INVOICES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/invoices';
+const EXCHANGE_RATES_COLLECTION = process.env.EXCHANGE_RATES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/exchangeRates';
+const CONFIG_DOC_PATH = 'admin/config';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const MAX_TEXT_LENGTH = 500;
+
+// Helper function to sanitize strings and remove HTML/script tags
+function sanitizeString(str) {
+    if (!str) return '';
+    return String(str).replace(/</g, "&lt;").replace(/>/g, "&gt;").trim().substring(0, MAX_TEXT_LENGTH);
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { orderId, type, amountCents, method, reason, relatesToEntryId, transactionId } = requestBody;
+
+    if (!orderId || typeof orderId !== 'string' || orderId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid orderId.' }) };
+    }
+
+    const {
+        validateLedgerEntry,
+        creditExceedsPaid,
+        computePaidCents,
+        CREDIT_ENTRY_TYPES
+    } = await import('./js/utilities/paymentLedger.js');
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+    const { getAmountDueCents } = await import('./js/utilities/taxes.js');
+    const { issuePaidOrderInvoice } = await import('./js/utilities/invoices.js');
+
+    const entry = {
+        entryId: `LED-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+        type,
+        amountCents,
+        method: sanitizeString(method) || 'Other',
+        reason: sanitizeString(reason) || null,
+        relatesToEntryId: sanitizeString(relatesToEntryId) || null,
+        transactionId: sanitizeString(transactionId) || null,
+        recordedBy: decodedToken.email || decodedToken.uid,
+        date: new Date().toISOString(),
+    };
+
+    const inputError = validateLedgerEntry(entry);
+    if (inputError) {
+        return { statusCode: 400, body: JSON.stringify({ error: inputError }) };
+    }
+
+    const idempotency = await claimIdempotencyKey(db, 'recordPaymentEntry', event, decodedToken.uid);
+    if (idempotency.response) return idempotency.response;
+
+    const orderRef = db.collection(ORDERS_COLLECTION).doc(orderId);
+    let order;
+    let ledgerUpdate;
+
+    try {
+        // --- 2. Append the entry and recompute the balance atomically ---
+        await db.runTransaction(async (transaction) => {
+            const orderSnap = await transaction.get(orderRef);
+            if (!orderSnap.exists) {
+                const notFound = new Error(`Order ${orderId} not found.`);
+                notFound.statusCode = 404;
+                throw notFound;
+            }
+
+            order = orderSnap.data();
+            const history = order.paymentHistory || [];
+            if (creditExceedsPaid(entry, history)) {
+                const invalid = new Error(`A ${entry.type} cannot exceed the amount paid to date.`);
+                invalid.statusCode = 422;
+                throw invalid;
+            }
+            if (entry.relatesToEntryId && !history.some(existing => existing.entryId === entry.relatesToEntryId)) {
+                const unknown = new Error(`Ledger entry ${entry.relatesToEntryId} does not exist on this order.`);
+                unknown.statusCode = 422;
+                throw unknown;
+            }
+
+            const paymentHistory = [...history, entry];
+            const paidCents = computePaidCents(paymentHistory);
+            ledgerUpdate = {
+                paymentHistory,
+                paidCents,
+                isPaid: paidCents >= getAmountDueCents(order),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            };
+            if (entry.type === 'payment') ledgerUpdate.lastPaymentMethod = entry.method;
+
+            transaction.update(orderRef, ledgerUpdate);
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: `PAYMENT_LEDGER_${entry.type.toUpperCase()}`,
+            objectId: orderId,
+            details: { entryId: entry.entryId, amountCents: entry.amountCents, method: entry.method, reason: entry.reason, paidCents: ledgerUpdate.paidCents },
+            performedByEmail: entry.recordedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // --- 3. Electronic invoice once the order is paid in full; the receipt below attaches it ---
+        if (entry.type === 'payment' && ledgerUpdate.isPaid) {
+            try {
+                const issued = await issuePaidOrderInvoice(db, {
+                    ordersCollection: ORDERS_COLLECTION,
+                    invoicesCollection: INVOICES_COLLECTION,
+                    exchangeRatesCollection: EXCHANGE_RATES_COLLECTION,
+                    configDocPath: CONFIG_DOC_PATH,
+                    orderId,
+                    issuedBy: entry.recordedBy
+                });
+                if (issued && issued.created) {
+                    await db.collection(LOGS_COLLECTION_PATH).add({
+                        actionType: 'INVOICE_ISSUED',
+                        objectId: orderId,
+                        details: { invoiceNumber: issued.invoice.number, cufe: issued.invoice.cufe, payableCents: issued.invoice.totals.payableCents, currency: issued.invoice.currency },
+                        performedByEmail: entry.recordedBy,
+                        timestamp: admin.firestore.FieldValue.serverTimestamp()
+                    });
+                }
+            } catch (invoiceError) {
+                // Invoicing is optional until it is configured; the invoice can be issued later from the admin panel
+                console.error(`Electronic invoice for order ${orderId} was not issued:`, invoiceError);
+            }
+        }
+
+        // --- 4. Receipt for payments, credit note for refunds and reversals ---
+        const documentType = entry.type === 'payment' ? 'receipt' : CREDIT_ENTRY_TYPES.includes(entry.type) ? 'creditNote' : null;
+        let documentSent = false;
+
+        if (documentType) {
+            try {
+                // The email function reads the buyer, lines, amounts and the entry itself from the stored order
+                const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendReceiptConfirmation`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${orderId}:ledger:${entry.entryId}` },
+                    body: JSON.stringify({ orderId, entryId: entry.entryId })
+                });
+                documentSent = emailResponse.ok;
+                if (!emailResponse.ok) {
+                    console.error(`Ledger document email failed for order ${orderId}: ${await emailResponse.text()}`);
+                }
+            } catch (emailError) {
+                // The ledger entry is committed; the document can be resent from the admin panel
+                console.error(`Ledger document email trigger failed for order ${orderId}:`, emailError);
+            }
+        }
+
+        return idempotency.complete({
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Recorded ${entry.type} on order ${order.orderNumber || orderId}.`,
+                orderId,
+                entry,
+                paidCents: ledgerUpdate.paidCents,
+                isPaid: ledgerUpdate.isPaid,
+                documentType,
+                documentSent
+            }),
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return idempotency.complete({ statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) });
+        }
+
+        console.error(`Error recording ledger entry for order ${orderId}:`, error);
+        return idempotency.complete({
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to record payment entry', details: error.message }),
+        });
+    }
+};
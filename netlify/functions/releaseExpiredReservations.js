@@ -0,0 +1,98 @@
+/**
+ * Netlify Function (Scheduled/Cron) to release checkout stock reservations whose TTL has passed.
+ * Expired holds already stop counting against available stock; this job marks them 'expired'
+ * and records what was freed in the admin action log, with a reservation movement per hold in the
+ * inventory ledger.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const RESERVATIONS_COLLECTION = process.env.RESERVATIONS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/stockReservations';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const BATCH_SIZE = 200; // Two writes per hold (the hold and its movement); Firestore batches allow 500
+
+exports.handler = async function (event) {
+    try {
+        console.log('Starting scheduled stock reservation cleanup job...');
+
+        const { expiresAtMillis } = await import('./js/utilities/stockReservations.js');
+        const { createInventoryLedger } = await import('./js/utilities/inventoryLedger.js');
+        const now = Date.now();
+
+        // Only active holds are read; the active set stays small because holds are short-lived
+        const activeSnap = await db.collection(RESERVATIONS_COLLECTION).where('status', '==', 'active').get();
+        const expiredDocs = activeSnap.docs.filter(doc => expiresAtMillis(doc.data()) <= now);
+
+        const freedByItem = {};
+        for (let i = 0; i < expiredDocs.length; i += BATCH_SIZE) {
+            const batch = db.batch();
+            const chunk = expiredDocs.slice(i, i + BATCH_SIZE);
+            const itemIds = [...new Set(chunk.map(doc => doc.data().itemId))];
+            const itemSnaps = await db.getAll(...itemIds.map(itemId => db.collection(ITEMS_COLLECTION).doc(itemId)));
+            const snapsById = Object.fromEntries(itemSnaps.filter(snap => snap.exists).map(snap => [snap.id, snap]));
+            const ledger = createInventoryLedger(db, { performedBy: 'system:releaseExpiredReservations' });
+
+            chunk.forEach(doc => {
+                const hold = doc.data();
+                batch.update(doc.ref, {
+                    status: 'expired',
+                    releasedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                if (snapsById[hold.itemId] && hold.quantity > 0) {
+                    ledger.move(snapsById[hold.itemId], {
+                        type: 'reservation',
+                        heldDelta: -hold.quantity,
+                        reference: { kind: 'reservation', id: hold.sessionId },
+                        note: 'Hold expired'
+                    });
+                }
+
+                const entry = freedByItem[hold.itemId] || { itemId: hold.itemId, itemName: hold.itemName || null, quantity: 0, holds: 0 };
+                entry.quantity += hold.quantity || 0;
+                entry.holds += 1;
+                freedByItem[hold.itemId] = entry;
+            });
+            // Reservation movements never touch the items, so the batch only adds movement documents
+            ledger.write(batch);
+            await batch.commit();
+        }
+
+        const freed = Object.values(freedByItem);
+        freed.forEach(entry => console.log(`Released ${entry.quantity} unit(s) of ${entry.itemName || entry.itemId} from ${entry.holds} expired hold(s).`));
+
+        if (expiredDocs.length > 0) {
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'RESERVATIONS_EXPIRED',
+                objectId: null,
+                details: { releasedHolds: expiredDocs.length, items: freed },
+                performedByEmail: 'system:releaseExpiredReservations',
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        console.log(`Reservation cleanup complete. Expired holds released: ${expiredDocs.length}`);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: `Cleanup complete. Released ${expiredDocs.length} expired holds.`, releasedHolds: expiredDocs.length, items: freed }),
+        };
+
+    } catch (error) {
+        console.error('CRON Error releasing expired reservations:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to complete reservation cleanup job', details: error.message }),
+        };
+    }
+};
@@ -0,0 +1,271 @@
+/**
+ * Netlify Function (Admin Only) to book, follow and cancel an order's courier delivery.
+ * POST { action: 'carriers' }                         -> { carriers: [{ name, label }] } enabled on this site
+ * POST { action: 'create', orderId, carrier }         books the pickup with the chosen carrier
+ * POST { action: 'status', orderId }                  polls the carrier and applies the new status
+ * POST { action: 'cancel', orderId }                  cancels a booking the carrier has not picked up
+ * POST { action: 'label', orderId }                   -> { labelUrl } short-lived link to the label
+ * Carriers are adapters in js/utilities/carriers.js. The booking is stored on the order as `delivery`
+ * (carrier, tracking number, label path, status and the carrier's events) and its label in Cloud Storage.
+ * Booking moves a Pending order to Processing; polled statuses move it to Shipped and Delivered and
+ * email the customer like updateOrderStatus does. Orders split into partial shipments (createShipment)
+ * keep their carriers on each shipment instead. pollDeliveryStatuses refreshes active deliveries on a schedule.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const LABEL_LINK_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const ACTIONS = ['carriers', 'create', 'status', 'cancel', 'label'];
+
+// Emails the customer about the last status the delivery moved the order to, as updateOrderStatus does
+async function notifyStatusChange(orderId, order, transitions, orderStatus) {
+    const last = transitions[transitions.length - 1];
+    if (!last || !orderStatus.shouldNotifyCustomer(transitions[0].from, last.to)) return false;
+    try {
+        const { createdAt, updatedAt, ...emailOrder } = order;
+        const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendOrderConfirmation`, {
+            method: 'POST',
+            // One email per history entry, even if the delivery is polled again after the commit
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${orderId}:status:${order.statusHistory.length}` },
+            body: JSON.stringify({
+                ...emailOrder,
+                orderId,
+                newStatus: last.to,
+                communicationLang: order.communicationLang || order.language || 'es'
+            })
+        });
+        if (!emailResponse.ok) {
+            console.error(`Delivery status email failed for order ${orderId}: ${await emailResponse.text()}`);
+        }
+        return emailResponse.ok;
+    } catch (emailError) {
+        // The status change is committed; a failed email is reported, not rolled back
+        console.error(`Delivery status email trigger failed for order ${orderId}:`, emailError);
+        return false;
+    }
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { action, orderId, carrier: carrierName } = requestBody;
+    const carriers = await import('./js/utilities/carriers.js');
+    const orderStatus = await import('./js/utilities/orderStatus.js');
+
+    // --- 2. Input Validation ---
+    if (!ACTIONS.includes(action)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Action must be one of: ${ACTIONS.join(', ')}.` }) };
+    }
+    if (action === 'carriers') {
+        return { statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ carriers: carriers.listEnabledCarriers() }) };
+    }
+    if (!orderId || typeof orderId !== 'string' || orderId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid orderId.' }) };
+    }
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+    const orderRef = db.collection(ORDERS_COLLECTION).doc(orderId);
+    const bucket = admin.storage().bucket(process.env.FIREBASE_STORAGE_BUCKET);
+
+    // Booking and cancelling reach the carrier, so a retried request must not do it twice
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+    const idempotency = ['create', 'cancel'].includes(action)
+        ? await claimIdempotencyKey(db, `requestDelivery:${action}`, event, decodedToken.uid)
+        : { complete: response => response };
+    if (idempotency.response) return idempotency.response;
+
+    try {
+        const orderSnap = await orderRef.get();
+        if (!orderSnap.exists) {
+            return idempotency.complete({ statusCode: 404, body: JSON.stringify({ error: `Order ${orderId} not found.` }) });
+        }
+        const order = orderSnap.data();
+        const orderRefLabel = order.orderNumber || orderId;
+
+        if (action === 'label') {
+            if (!order.delivery || !order.delivery.labelPath) {
+                return idempotency.complete({ statusCode: 404, body: JSON.stringify({ error: 'This order has no shipping label.' }) });
+            }
+            const [labelUrl] = await bucket.file(order.delivery.labelPath).getSignedUrl({ action: 'read', expires: Date.now() + LABEL_LINK_TTL_MS });
+            return idempotency.complete({ statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ labelUrl }) });
+        }
+
+        if (action === 'status') {
+            const result = await carriers.refreshDeliveryStatus(db, {
+                orderRef,
+                by: `carrier:${order.delivery ? order.delivery.carrier : 'unknown'}`,
+                orderStatus,
+                timestamp: () => admin.firestore.FieldValue.serverTimestamp()
+            });
+            const emailSent = await notifyStatusChange(orderId, result.order, result.transitions, orderStatus);
+            if (result.transitions.length > 0) {
+                await db.collection(LOGS_COLLECTION_PATH).add({
+                    actionType: 'DELIVERY_STATUS_UPDATE',
+                    objectId: orderId,
+                    details: { carrier: result.delivery.carrier, trackingNumber: result.delivery.trackingNumber, deliveryStatus: result.delivery.status, transitions: result.transitions },
+                    performedByEmail: performedBy,
+                    timestamp: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+            return idempotency.complete({
+                statusCode: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    message: `Delivery ${result.delivery.trackingNumber} is ${result.delivery.status.replace(/_/g, ' ')}; order ${orderRefLabel} is ${result.order.status}.`,
+                    delivery: result.delivery,
+                    orderStatus: result.order.status,
+                    transitions: result.transitions,
+                    emailSent
+                })
+            });
+        }
+
+        if (action === 'cancel') {
+            const delivery = order.delivery;
+            if (!carriers.isActiveDelivery(delivery)) {
+                return idempotency.complete({ statusCode: 409, body: JSON.stringify({ error: 'This order has no delivery in progress.' }) });
+            }
+            const carrier = carriers.getCarrier(delivery.carrier);
+            if (!carrier) {
+                return idempotency.complete({ statusCode: 409, body: JSON.stringify({ error: `Carrier "${delivery.carrier}" is not enabled on this site.` }) });
+            }
+            await carrier.cancelShipment(delivery.carrierShipmentId);
+
+            const now = new Date().toISOString();
+            await orderRef.update({
+                delivery: { ...delivery, status: 'cancelled', statusUpdatedAt: now, cancelledBy: performedBy, events: [...(delivery.events || []), { status: 'cancelled', at: now, description: `Cancelled by ${performedBy}` }] },
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'DELIVERY_CANCELLED',
+                objectId: orderId,
+                details: { carrier: delivery.carrier, trackingNumber: delivery.trackingNumber },
+                performedByEmail: performedBy,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return idempotency.complete({ statusCode: 200, body: JSON.stringify({ message: `Delivery ${delivery.trackingNumber} for order ${orderRefLabel} cancelled.` }) });
+        }
+
+        // --- 3. Create: book with the carrier first, then record the booking on the order ---
+        const carrier = carriers.getCarrier(carrierName);
+        if (!carrier) {
+            return idempotency.complete({ statusCode: 400, body: JSON.stringify({ error: `Unknown or disabled carrier "${carrierName}".` }) });
+        }
+        const currentStatus = orderStatus.normalizeStatus(order.status);
+        if (!carriers.DELIVERABLE_ORDER_STATUSES.includes(currentStatus)) {
+            return idempotency.complete({ statusCode: 409, body: JSON.stringify({ error: `Deliveries can only be requested for orders that are ${carriers.DELIVERABLE_ORDER_STATUSES.join(', ')} (this order is ${currentStatus}).` }) });
+        }
+        if (carriers.isActiveDelivery(order.delivery)) {
+            return idempotency.complete({ statusCode: 409, body: JSON.stringify({ error: `Order ${orderRefLabel} already has delivery ${order.delivery.trackingNumber} with ${order.delivery.carrierLabel}. Cancel it first.` }) });
+        }
+        if ((order.shipmentCount || 0) > 0) {
+            return idempotency.complete({ statusCode: 409, body: JSON.stringify({ error: 'This order ships in partial shipments; record the carrier on each shipment instead.' }) });
+        }
+        const carrierRequest = carriers.buildCarrierRequest(order, orderId);
+        if (carrierRequest.items.length === 0) {
+            return idempotency.complete({ statusCode: 409, body: JSON.stringify({ error: 'Every item on this order is still on backorder.' }) });
+        }
+
+        const booking = await carrier.createShipment(carrierRequest);
+        let labelPath = null;
+        if (booking.label) {
+            labelPath = carriers.getLabelPath(orderRefLabel, booking.trackingNumber, booking.label.extension);
+            await bucket.file(labelPath).save(booking.label.content, { contentType: booking.label.contentType, resumable: false });
+        }
+        const delivery = carriers.buildDeliveryRecord(carrier, booking, labelPath, performedBy);
+
+        let transitions = [];
+        try {
+            await db.runTransaction(async (transaction) => {
+                const snap = await transaction.get(orderRef);
+                const latest = snap.data();
+                if (carriers.isActiveDelivery(latest.delivery)) {
+                    throw Object.assign(new Error(`Order ${orderRefLabel} was booked with ${latest.delivery.carrierLabel} in the meantime.`), { statusCode: 409 });
+                }
+                const latestStatus = orderStatus.normalizeStatus(latest.status);
+                const update = {
+                    delivery,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                };
+                if (latest.delivery) update.previousDeliveries = [...(latest.previousDeliveries || []), latest.delivery];
+                if (latestStatus !== 'Processing' && orderStatus.canTransition(latestStatus, 'Processing')) {
+                    update.status = 'Processing';
+                    update.statusHistory = [...(latest.statusHistory || []), orderStatus.buildStatusHistoryEntry(latestStatus, 'Processing', performedBy, `Delivery requested with ${carrier.label}`)];
+                    transitions = [{ from: latestStatus, to: 'Processing' }];
+                }
+                transaction.update(orderRef, update);
+            });
+        } catch (writeError) {
+            // Do not leave a pickup booked that the order does not know about
+            await carrier.cancelShipment(booking.carrierShipmentId).catch(cancelError =>
+                console.error(`Could not cancel orphaned ${carrier.name} booking ${booking.carrierShipmentId}:`, cancelError));
+            throw writeError;
+        }
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'DELIVERY_REQUESTED',
+            objectId: orderId,
+            details: { carrier: carrier.name, trackingNumber: delivery.trackingNumber, carrierShipmentId: delivery.carrierShipmentId, transitions },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return idempotency.complete({
+            statusCode: 201,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Delivery requested with ${carrier.label}. Tracking number ${delivery.trackingNumber}.`,
+                orderId,
+                delivery
+            })
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return idempotency.complete({ statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) });
+        }
+        console.error(`Error handling delivery ${action} for order ${orderId}:`, error);
+        return idempotency.complete({ statusCode: 500, body: JSON.stringify({ error: `Failed to ${action === 'create' ? 'request' : action} delivery`, details: error.message }) });
+    }
+};
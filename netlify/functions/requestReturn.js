@@ -0,0 +1,229 @@
+/**
+ * Netlify Function (Signed-in customers) to open a return (RMA) request from myOrders.html.
+ * POST { orderId, lines: [{ id, quantity }], reason, details?, photos?: [dataUrl] }
+ * The caller must own the order. The return is created with status 'Requested' in the returns
+ * collection, photos go to its `photos` sub-collection, and the customer and orders@ are emailed.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const RETURNS_COLLECTION = process.env.RETURNS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/returns';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const MAX_DETAILS_LENGTH = 1000;
+
+// Rate limiting (per warm instance) so a script cannot flood the returns queue
+const rateLimitStore = {};
+const MAX_REQUESTS_PER_HOUR = 10;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// Helper function to sanitize strings and remove HTML/script tags
+function sanitizeString(str) {
+    if (!str) return '';
+    return String(str).replace(/</g, "&lt;").replace(/>/g, "&gt;").trim();
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: the caller must be a signed-in customer ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    const now = Date.now();
+    rateLimitStore[decodedToken.uid] = (rateLimitStore[decodedToken.uid] || []).filter(timestamp => timestamp > now - RATE_LIMIT_WINDOW_MS);
+    if (rateLimitStore[decodedToken.uid].length >= MAX_REQUESTS_PER_HOUR) {
+        return { statusCode: 429, body: JSON.stringify({ error: 'Too many return requests. Please try again later.' }) };
+    }
+    rateLimitStore[decodedToken.uid].push(now);
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { orderId, lines, reason, details, photos = [] } = requestBody;
+
+    const {
+        RETURN_REASONS,
+        RETURNABLE_ORDER_STATUSES,
+        MAX_RETURN_PHOTOS,
+        MAX_PHOTO_DATA_URL_LENGTH,
+        validateReturnLines,
+        formatRmaNumber,
+        buildReturnHistoryEntry
+    } = await import('./js/utilities/returns.js');
+    const { SHIPMENTS_SUBCOLLECTION } = await import('./js/utilities/shipments.js');
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+
+    // --- 2. Input Validation ---
+    if (!orderId || typeof orderId !== 'string' || orderId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid orderId.' }) };
+    }
+    if (!RETURN_REASONS.includes(reason)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Unknown return reason. Expected one of: ${RETURN_REASONS.join(', ')}.` }) };
+    }
+    if (!Array.isArray(photos) || photos.length > MAX_RETURN_PHOTOS ||
+        photos.some(photo => typeof photo !== 'string' || !/^data:image\/(jpeg|png|webp);base64,/.test(photo) || photo.length > MAX_PHOTO_DATA_URL_LENGTH)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Up to ${MAX_RETURN_PHOTOS} JPEG, PNG or WebP photos under 900 KB each are allowed.` }) };
+    }
+
+    const idempotency = await claimIdempotencyKey(db, 'requestReturn', event, decodedToken.uid);
+    if (idempotency.response) return idempotency.response;
+
+    const orderRef = db.collection(ORDERS_COLLECTION).doc(orderId);
+    const returnRef = db.collection(RETURNS_COLLECTION).doc();
+    let returnData;
+    let order;
+
+    try {
+        // --- 3. Validate against the order and its open returns, then create the RMA atomically ---
+        await db.runTransaction(async (transaction) => {
+            const orderSnap = await transaction.get(orderRef);
+            // Someone else's order is reported as missing so order IDs cannot be probed
+            if (!orderSnap.exists || orderSnap.data().userId !== decodedToken.uid) {
+                const notFound = new Error(`Order ${orderId} not found.`);
+                notFound.statusCode = 404;
+                throw notFound;
+            }
+
+            order = orderSnap.data();
+            if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+                const notReturnable = new Error('Returns can only be requested once the order has shipped.');
+                notReturnable.statusCode = 409;
+                throw notReturnable;
+            }
+
+            const existingSnap = await transaction.get(db.collection(RETURNS_COLLECTION).where('orderId', '==', orderId));
+            const shipmentsSnap = (order.shipmentCount || 0) > 0
+                ? await transaction.get(orderRef.collection(SHIPMENTS_SUBCOLLECTION))
+                : { docs: [] };
+            const orderItems = order.items || [];
+            const linesError = validateReturnLines(lines, orderItems, existingSnap.docs.map(doc => doc.data()), shipmentsSnap.docs.map(doc => doc.data()));
+            if (linesError) {
+                const invalid = new Error(linesError);
+                invalid.statusCode = 422;
+                throw invalid;
+            }
+
+            const sequence = (order.returnCount || 0) + 1;
+            returnData = {
+                rmaNumber: formatRmaNumber(order.orderNumber || orderId, sequence),
+                orderId,
+                orderNumber: order.orderNumber || null,
+                userId: decodedToken.uid,
+                buyerName: order.buyerName,
+                buyerEmail: order.buyerEmail,
+                communicationLang: order.communicationLang || order.language || 'es',
+                // Line prices are in the order's currency (null for dollar orders from before currencies)
+                currency: order.currency || null,
+                lines: lines.map(line => {
+                    const item = orderItems.find(orderItem => orderItem.id === line.id);
+                    const returnLine = { id: line.id, name: item.name, sku: item.sku || null, price: item.price, quantity: line.quantity, taxCategory: item.taxCategory || null, disposition: null };
+                    // A discounted line is refunded at what was paid: its discount shared out per unit
+                    if (item.discountCents) returnLine.discountCents = Math.round(item.discountCents * line.quantity / item.quantity);
+                    return returnLine;
+                }),
+                reason,
+                details: sanitizeString(details).substring(0, MAX_DETAILS_LENGTH) || null,
+                photoCount: photos.length,
+                status: 'Requested',
+                statusHistory: [buildReturnHistoryEntry(null, 'Requested', decodedToken.email || decodedToken.uid)],
+                timestamp: new Date().toISOString(),
+            };
+
+            transaction.set(returnRef, { ...returnData, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+            photos.forEach((dataUrl, index) => transaction.set(returnRef.collection('photos').doc(String(index + 1)), { dataUrl }));
+            transaction.update(orderRef, { returnCount: sequence, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'RETURN_REQUESTED',
+            objectId: orderId,
+            details: { returnId: returnRef.id, rmaNumber: returnData.rmaNumber, reason, lines: returnData.lines.map(line => ({ id: line.id, quantity: line.quantity })) },
+            performedByEmail: decodedToken.email || decodedToken.uid,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // --- 4. Acknowledge the request by email (customer and orders@) ---
+        let emailSent = false;
+        try {
+            const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendOrderConfirmation`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${returnRef.id}:return:1` },
+                body: JSON.stringify({
+                    orderId,
+                    orderNumber: order.orderNumber,
+                    buyerName: order.buyerName,
+                    buyerEmail: order.buyerEmail,
+                    deliveryAddress: order.deliveryAddress,
+                    buyerPhone: order.buyerPhone,
+                    timestamp: returnData.timestamp,
+                    items: returnData.lines,
+                    totalCents: order.totalCents,
+                    currency: returnData.currency,
+                    newStatus: 'Requested',
+                    returnRequest: { returnId: returnRef.id, rmaNumber: returnData.rmaNumber, reason, details: returnData.details },
+                    communicationLang: returnData.communicationLang
+                })
+            });
+            emailSent = emailResponse.ok;
+            if (!emailResponse.ok) {
+                console.error(`Return email failed for ${returnData.rmaNumber}: ${await emailResponse.text()}`);
+            }
+        } catch (emailError) {
+            // The return is committed; the customer can still see it in myOrders.html
+            console.error(`Return email trigger failed for ${returnData.rmaNumber}:`, emailError);
+        }
+
+        return idempotency.complete({
+            statusCode: 201,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Return ${returnData.rmaNumber} requested.`,
+                returnId: returnRef.id,
+                rmaNumber: returnData.rmaNumber,
+                status: returnData.status,
+                emailSent
+            }),
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return idempotency.complete({ statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) });
+        }
+
+        console.error(`Error requesting return for order ${orderId}:`, error);
+        return idempotency.complete({
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to request return', details: error.message }),
+        });
+    }
+};
@@ -0,0 +1,192 @@
+/**
+ * Netlify Function (Public) to hold stock while a customer is in checkout.
+ * POST { sessionId, items: [{ id, quantity }] } creates or refreshes one hold per item for the session
+ * and releases the session's holds on items no longer in the cart.
+ * POST { sessionId, action: 'release' } releases every hold of the session.
+ * Holds expire after RESERVATION_TTL_MINUTES and are swept by releaseExpiredReservations.
+ * Items that accept backorders never fail here: only the units in stock are held, and the
+ * shortfall is returned as `backorderedItems` so checkout can show the expected ship time.
+ * Every change in the units a session holds is a reservation movement in the inventory ledger
+ * (stock itself is only taken when the order is placed).
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const RESERVATIONS_COLLECTION = process.env.RESERVATIONS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/stockReservations';
+
+// Rate limiting (per warm instance): checkout refreshes holds on every load and language switch
+const rateLimitStore = {};
+const MAX_REQUESTS_PER_HOUR = 60;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Rate Limiting ---
+    const clientIp = event.headers['client-ip'] || event.headers['x-nf-client-connection-ip'] || 'unknown';
+    const now = Date.now();
+    rateLimitStore[clientIp] = (rateLimitStore[clientIp] || []).filter(timestamp => timestamp > now - RATE_LIMIT_WINDOW_MS);
+
+    if (rateLimitStore[clientIp].length >= MAX_REQUESTS_PER_HOUR) {
+        console.warn(`Rate limit exceeded for IP: ${clientIp} on reserveStock.`);
+        return { statusCode: 429, body: JSON.stringify({ error: 'Rate limit exceeded. Please try again later.' }) };
+    }
+    rateLimitStore[clientIp].push(now);
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { sessionId, items, action } = requestBody;
+
+    const {
+        normalizeCartLines,
+        getHeldQuantities,
+        isValidSessionId,
+        reservationDocId,
+        RESERVATION_TTL_MS,
+        MAX_QUANTITY_PER_LINE
+    } = await import('./js/utilities/stockReservations.js');
+    const { splitBackorderQuantity, estimateShipDays } = await import('./js/utilities/backorders.js');
+    const { createInventoryLedger } = await import('./js/utilities/inventoryLedger.js');
+
+    // --- 2. Input Validation ---
+    if (!isValidSessionId(sessionId)) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid sessionId.' }) };
+    }
+
+    const isRelease = action === 'release';
+    const requestedItems = isRelease ? [] : (Array.isArray(items) ? normalizeCartLines(items) : null);
+    if (!requestedItems || (!isRelease && requestedItems.length === 0)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Each item needs an id and a whole quantity between 1 and ${MAX_QUANTITY_PER_LINE}.` }) };
+    }
+
+    const reservationsRef = db.collection(RESERVATIONS_COLLECTION);
+    const expiresAt = admin.firestore.Timestamp.fromMillis(now + RESERVATION_TTL_MS);
+    let backorderedItems = [];
+
+    try {
+        // --- 3. Create / refresh / release holds atomically ---
+        await db.runTransaction(async (transaction) => {
+            backorderedItems = [];
+            const itemSnaps = requestedItems.length > 0
+                ? await transaction.getAll(...requestedItems.map(line => db.collection(ITEMS_COLLECTION).doc(line.id)))
+                : [];
+            const heldByOthers = await getHeldQuantities(transaction, reservationsRef, requestedItems.map(line => line.id), sessionId);
+            const sessionHolds = await transaction.get(reservationsRef.where('sessionId', '==', sessionId).where('status', '==', 'active'));
+            const keptIds = new Set(requestedItems.map(line => line.id));
+            const releasedHolds = sessionHolds.docs.filter(holdDoc => !keptIds.has(holdDoc.data().itemId));
+            const releasedItemSnaps = releasedHolds.length > 0
+                ? await transaction.getAll(...releasedHolds.map(holdDoc => db.collection(ITEMS_COLLECTION).doc(holdDoc.data().itemId)))
+                : [];
+
+            const stockErrors = [];
+            const holdQuantities = {};
+            itemSnaps.forEach((snap, index) => {
+                const { id, quantity } = requestedItems[index];
+                if (!snap.exists) {
+                    stockErrors.push({ id, requested: quantity, available: 0, reason: 'not_found' });
+                    return;
+                }
+                const item = snap.data();
+                const stock = typeof item.stock === 'number' ? item.stock : 0;
+                const available = Math.max(0, stock - (heldByOthers[id] || 0));
+                // Backorderable items only hold what is on the shelf; the rest is reported back to checkout
+                const split = splitBackorderQuantity(item, quantity, available);
+                if (!split) {
+                    stockErrors.push({ id, name: item.name, requested: quantity, available, reason: 'insufficient_stock' });
+                    return;
+                }
+                holdQuantities[id] = split.fromStock;
+                if (split.backordered > 0) {
+                    backorderedItems.push({ id, name: item.name, backordered: split.backordered, estimatedShipDays: estimateShipDays(item) });
+                }
+            });
+
+            if (stockErrors.length > 0) {
+                const stockError = new Error('Some items could not be reserved.');
+                stockError.stockErrors = stockErrors;
+                throw stockError;
+            }
+
+            const ledger = createInventoryLedger(db, { performedBy: `session:${sessionId}` });
+            const reference = { kind: 'reservation', id: sessionId };
+
+            // Release holds on items that left the cart (or all of them for an explicit release)
+            releasedHolds.forEach((holdDoc, index) => {
+                transaction.update(holdDoc.ref, {
+                    status: 'released',
+                    releasedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                if (releasedItemSnaps[index].exists && holdDoc.data().quantity > 0) {
+                    ledger.move(releasedItemSnaps[index], { type: 'reservation', heldDelta: -holdDoc.data().quantity, reference, note: 'Hold released' });
+                }
+            });
+
+            const existingHolds = Object.fromEntries(sessionHolds.docs.map(holdDoc => [holdDoc.data().itemId, holdDoc.data().quantity || 0]));
+            itemSnaps.forEach((snap, index) => {
+                const { id } = requestedItems[index];
+                const heldDelta = holdQuantities[id] - (existingHolds[id] || 0);
+                if (heldDelta !== 0) {
+                    ledger.move(snap, { type: 'reservation', heldDelta, reference, note: heldDelta > 0 ? 'Held at checkout' : 'Hold reduced' });
+                }
+                const hold = {
+                    sessionId,
+                    itemId: id,
+                    itemName: snap.data().name || null,
+                    quantity: holdQuantities[id],
+                    status: 'active',
+                    expiresAt,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                };
+                if (!(id in existingHolds)) hold.createdAt = admin.firestore.FieldValue.serverTimestamp();
+                transaction.set(reservationsRef.doc(reservationDocId(sessionId, id)), hold, { merge: true });
+            });
+            ledger.write(transaction);
+        });
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: isRelease ? 'Reservations released.' : 'Stock reserved.',
+                sessionId,
+                expiresAt: isRelease ? null : expiresAt.toDate().toISOString(),
+                items: requestedItems,
+                backorderedItems
+            }),
+        };
+
+    } catch (error) {
+        if (error.stockErrors) {
+            return {
+                statusCode: 409,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: error.message, items: error.stockErrors }),
+            };
+        }
+
+        console.error(`Error reserving stock for session ${sessionId}:`, error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to reserve stock', details: error.message }),
+        };
+    }
+};
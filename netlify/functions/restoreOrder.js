@@ -0,0 +1,120 @@
+/**
+ * Netlify Function (Admin Only) to move an archived order back into the orders collection.
+ * The archive metadata is dropped from the order and kept in its restore trail instead.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const ARCHIVED_ORDERS_COLLECTION = process.env.ARCHIVED_ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/archivedOrders';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let orderId;
+    try {
+        ({ orderId } = JSON.parse(event.body));
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    if (!orderId || typeof orderId !== 'string' || orderId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid orderId.' }) };
+    }
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+
+    try {
+        const archiveRef = db.collection(ARCHIVED_ORDERS_COLLECTION).doc(orderId);
+        const orderRef = db.collection(ORDERS_COLLECTION).doc(orderId);
+
+        await db.runTransaction(async (transaction) => {
+            const [archivedSnap, existingSnap] = await transaction.getAll(archiveRef, orderRef);
+
+            if (!archivedSnap.exists) {
+                const notFound = new Error(`Archived order ${orderId} not found.`);
+                notFound.statusCode = 404;
+                throw notFound;
+            }
+            if (existingSnap.exists) {
+                const conflict = new Error(`An active order with ID ${orderId} already exists.`);
+                conflict.statusCode = 409;
+                throw conflict;
+            }
+
+            const { archivedAt, archivedBy, archivedFromIp, archiveReason, ...order } = archivedSnap.data();
+            const restoreEntry = {
+                archivedAt: archivedAt && archivedAt.toDate ? archivedAt.toDate().toISOString() : null,
+                archivedBy: archivedBy || null,
+                archiveReason: archiveReason || null,
+                restoredBy: performedBy,
+                restoredAt: new Date().toISOString(),
+            };
+
+            transaction.set(orderRef, {
+                ...order,
+                restoreHistory: [...(order.restoreHistory || []), restoreEntry],
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            transaction.delete(archiveRef);
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'ORDER_RESTORED',
+            objectId: orderId,
+            details: {},
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.log(`Order ${orderId} restored from archive by ${performedBy}.`);
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: `Order ${orderId} restored.`, orderId }),
+        };
+
+    } catch (error) {
+        if (error.statusCode) {
+            return { statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) };
+        }
+
+        console.error(`Error restoring order ${orderId}:`, error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to restore order', details: error.message }),
+        };
+    }
+};
@@ -6,6 +6,21 @@
 const nodemailer = require("nodemailer");
 const fs = require("fs").promises;
 const path = require("path");
+const admin = require('firebase-admin');
+
+// Firebase Admin is only used to store Idempotency-Key records
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
 
 // --- Configuration and Helpers ---
 
@@ -14,6 +29,11 @@ const rateLimitStore = {};
 const MAX_REQUESTS_PER_HOUR = 20;
 const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
 
+// Tracking details are stored as the admin or carrier typed them, so they are escaped here
+function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 // 1. Configure Nodemailer Transporter
 const transporter = nodemailer.createTransport({
     host: process.env.BREVO_SMTP_HOST,
@@ -25,13 +45,165 @@ const transporter = nodemailer.createTransport({
     },
 });
 
-// Helper to format cents to currency string ($X,XXX.XX)
-function formatPrice(cents) {
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD',
-        minimumFractionDigits: 2
-    }).format(cents / 100);
+// Formats cents in the order's currency and the email's locale (es-CO / en-US); orders from before
+// currencies are in dollars. The helpers below take the result as their `formatPrice` argument.
+async function getPriceFormatter(orderData, languageCode) {
+    const { formatMoney, getOrderCurrency } = await import('../js/utilities/currency.js');
+    const currency = getOrderCurrency(orderData);
+    return cents => formatMoney(cents, currency, languageCode);
+}
+
+// Spanish labels for the statuses updateOrderStatus can notify about (English uses the status name)
+const STATUS_LABELS_ES = {
+    'Pending': 'Pendiente',
+    'Processing': 'En Proceso',
+    'Partially Shipped': 'Enviado Parcialmente',
+    'Shipped': 'Enviado',
+    'Delivered': 'Entregado',
+    'Cancelled': 'Cancelado'
+};
+
+// Wording for per-shipment notifications sent by updateShipmentStatus (only that shipment's items are listed)
+function getShipmentContent(orderData, languageCode, orderIdShort) {
+    const { shipmentNumber, carrier, trackingNumber } = orderData.shipment;
+    const delivered = orderData.newStatus === 'Delivered';
+    const moreToCome = orderData.status === 'Partially Shipped';
+
+    if (languageCode === 'es') {
+        const carrierText = carrier ? ` con ${carrier}` : '';
+        const trackingText = trackingNumber ? ` Número de guía: <strong>${trackingNumber}</strong>.` : '';
+        return delivered ? {
+            subjectLine: `Su envío ${shipmentNumber} del pedido autoInx #${orderIdShort} fue Entregado`,
+            mainTitle: "¡Envío entregado!",
+            mainIntro: `Hola ${orderData.buyerName}, el envío ${shipmentNumber} de su pedido #${orderIdShort} fue entregado. Abajo están los artículos de este envío.`,
+            badgeText: "✓ Envío Entregado",
+            badgeColor: "#10b981",
+            closeMessage: moreToCome ? `El resto de su pedido llegará en otro envío. ¿Preguntas? Responda a este correo.` : `¿Preguntas? Responda a este correo—¡estamos aquí para ayudar!`
+        } : {
+            subjectLine: `Su pedido autoInx #${orderIdShort}: el envío ${shipmentNumber} va en camino`,
+            mainTitle: moreToCome ? "¡Parte de su pedido va en camino!" : "¡Su pedido va en camino!",
+            mainIntro: `Hola ${orderData.buyerName}, el envío ${shipmentNumber} de su pedido #${orderIdShort} salió${carrierText}.${trackingText} Abajo están los artículos de este envío.`,
+            badgeText: "Envío en Camino",
+            badgeColor: "#6366f1",
+            closeMessage: moreToCome ? `Los demás artículos se enviarán por separado y le avisaremos cuando salgan.` : `¿Preguntas? Responda a este correo—¡estamos aquí para ayudar!`
+        };
+    }
+
+    const carrierText = carrier ? ` with ${carrier}` : '';
+    const trackingText = trackingNumber ? ` Tracking number: <strong>${trackingNumber}</strong>.` : '';
+    return delivered ? {
+        subjectLine: `Your autoInx Order #${orderIdShort}: Shipment ${shipmentNumber} Was Delivered`,
+        mainTitle: "Shipment delivered!",
+        mainIntro: `Hello ${orderData.buyerName}, shipment ${shipmentNumber} of your order #${orderIdShort} has been delivered. The items in this shipment are listed below.`,
+        badgeText: "✓ Shipment Delivered",
+        badgeColor: "#10b981",
+        closeMessage: moreToCome ? `The rest of your order will arrive in a separate shipment. Questions? Reply to this email.` : `Questions? Reply to this email — we’re here to help!`
+    } : {
+        subjectLine: `Your autoInx Order #${orderIdShort}: Shipment ${shipmentNumber} Is on Its Way`,
+        mainTitle: moreToCome ? "Part of your order is on its way!" : "Your order is on its way!",
+        mainIntro: `Hello ${orderData.buyerName}, shipment ${shipmentNumber} of your order #${orderIdShort} has left our warehouse${carrierText}.${trackingText} The items in this shipment are listed below.`,
+        badgeText: "Shipment on Its Way",
+        badgeColor: "#6366f1",
+        closeMessage: moreToCome ? `The remaining items will ship separately and we'll email you when they do.` : `Questions? Reply to this email — we’re here to help!`
+    };
+}
+
+// Carrier, estimated delivery and tracking link appended to "on its way" emails (js/utilities/tracking.js).
+// Shipment emails already name their carrier and tracking number; the link goes to the public tracking
+// page unless the carrier has its own.
+async function getTrackingHtml(orderData, languageCode) {
+    const { getOrderTracking, getShippedAt, estimateDeliveryDate, formatEstimatedDelivery, getTrackingPageUrl } = await import('../js/utilities/tracking.js');
+    const tracking = orderData.shipment ? null : getOrderTracking(orderData);
+    const shippedAt = (!orderData.shipment && getShippedAt(orderData)) || new Date().toISOString();
+    const eta = estimateDeliveryDate(orderData.shipment ? { shipping: orderData.shipping } : orderData, shippedAt);
+    const link = (tracking && tracking.trackingUrl) || (orderData.orderNumber ? getTrackingPageUrl(SITE_URL, orderData.orderNumber) : null);
+    const es = languageCode === 'es';
+
+    let html = '';
+    if (tracking) {
+        html += es ? ` Transportadora: <strong>${escapeHtml(tracking.carrier)}</strong>.` : ` Carrier: <strong>${escapeHtml(tracking.carrier)}</strong>.`;
+        if (tracking.trackingNumber) html += es ? ` Número de guía: <strong>${escapeHtml(tracking.trackingNumber)}</strong>.` : ` Tracking number: <strong>${escapeHtml(tracking.trackingNumber)}</strong>.`;
+    }
+    if (eta) {
+        const etaText = formatEstimatedDelivery(eta, languageCode);
+        html += es ? ` Entrega estimada: <strong>${etaText}</strong>.` : ` Estimated delivery: <strong>${etaText}</strong>.`;
+    }
+    if (link) {
+        html += `<br><br><a href="${escapeHtml(link)}" style="display: inline-block; padding: 10px 18px; background: #6366f1; color: #ffffff; border-radius: 6px; text-decoration: none; font-weight: bold;">${es ? 'Rastrear mi pedido' : 'Track my order'}</a>`;
+    }
+    return html;
+}
+
+// Wording for return (RMA) notifications sent by requestReturn and updateReturnStatus; the table lists the returned lines
+const RETURN_REASON_LABELS = {
+    en: { wrong_fitment: 'wrong fitment', defective: 'defective part', damaged_in_transit: 'damaged in transit', not_as_described: 'not as described', no_longer_needed: 'no longer needed', other: 'other' },
+    es: { wrong_fitment: 'no corresponde al vehículo', defective: 'pieza defectuosa', damaged_in_transit: 'dañado en el transporte', not_as_described: 'no coincide con la descripción', no_longer_needed: 'ya no lo necesita', other: 'otro' }
+};
+
+function getReturnContent(orderData, languageCode, orderIdShort, formatPrice) {
+    const { rmaNumber, reason, note, refundCents, replacementOrderNumber } = orderData.returnRequest;
+    const lang = languageCode === 'es' ? 'es' : 'en';
+    const reasonLabel = RETURN_REASON_LABELS[lang][reason] || reason;
+    const noteText = note ? (lang === 'es' ? ` Nota: ${note}` : ` Note: ${note}`) : '';
+    const name = orderData.buyerName;
+
+    const content = {
+        en: {
+            Requested: ["Return Request Received", "#6366f1", `Hello ${name}, we received your return request ${rmaNumber} for order #${orderIdShort} (reason: ${reasonLabel}). We'll review it and email you the next steps.`],
+            Approved: ["Return Approved", "#10b981", `Hello ${name}, your return ${rmaNumber} has been approved. Please send the items listed below back to us, with the RMA number visible on the package.${noteText}`],
+            Rejected: ["Return Not Approved", "#ef4444", `Hello ${name}, we could not approve your return ${rmaNumber} for order #${orderIdShort}.${noteText}`],
+            Received: ["Return Received", "#6366f1", `Hello ${name}, the items from return ${rmaNumber} have arrived and been inspected. We'll email you again once your refund or replacement is on its way.`],
+            Refunded: ["Return Refunded", "#10b981", `Hello ${name}, a refund of ${formatPrice(refundCents || 0)} for return ${rmaNumber} has been issued. You'll receive the credit note in a separate email.`],
+            Replaced: ["Replacement On Its Way", "#10b981", `Hello ${name}, we've created replacement order #${replacementOrderNumber} for return ${rmaNumber} at no charge. We'll email you when it ships.`]
+        },
+        es: {
+            Requested: ["Solicitud de Devolución Recibida", "#6366f1", `Hola ${name}, recibimos su solicitud de devolución ${rmaNumber} del pedido #${orderIdShort} (motivo: ${reasonLabel}). La revisaremos y le enviaremos los siguientes pasos por correo.`],
+            Approved: ["Devolución Aprobada", "#10b981", `Hola ${name}, su devolución ${rmaNumber} fue aprobada. Por favor envíenos los artículos listados abajo, con el número RMA visible en el paquete.${noteText}`],
+            Rejected: ["Devolución No Aprobada", "#ef4444", `Hola ${name}, no pudimos aprobar su devolución ${rmaNumber} del pedido #${orderIdShort}.${noteText}`],
+            Received: ["Devolución Recibida", "#6366f1", `Hola ${name}, los artículos de la devolución ${rmaNumber} llegaron y fueron inspeccionados. Le escribiremos de nuevo cuando su reembolso o reemplazo esté en camino.`],
+            Refunded: ["Devolución Reembolsada", "#10b981", `Hola ${name}, se emitió un reembolso de ${formatPrice(refundCents || 0)} por la devolución ${rmaNumber}. Recibirá la nota crédito en un correo aparte.`],
+            Replaced: ["Reemplazo en Camino", "#10b981", `Hola ${name}, creamos el pedido de reemplazo #${replacementOrderNumber} para la devolución ${rmaNumber} sin costo. Le avisaremos cuando sea enviado.`]
+        }
+    };
+
+    const [title, badgeColor, mainIntro] = content[lang][orderData.newStatus] || content[lang].Requested;
+    return {
+        subjectLine: lang === 'es' ? `Devolución ${rmaNumber}: ${title}` : `Return ${rmaNumber}: ${title}`,
+        mainTitle: title,
+        mainIntro,
+        badgeText: title,
+        badgeColor,
+        closeMessage: lang === 'es' ? `¿Preguntas sobre su devolución? Responda a este correo—¡estamos aquí para ayudar!` : `Questions about your return? Reply to this email — we’re here to help!`
+    };
+}
+
+// Wording for the email sent by updateItemStock when replenished stock is allocated to a backordered order
+function getBackorderContent(orderData, languageCode, orderIdShort) {
+    const { itemName, quantity, complete } = orderData.backorderAllocation;
+    const name = orderData.buyerName;
+
+    if (languageCode === 'es') {
+        return {
+            subjectLine: `Su pedido autoInx #${orderIdShort}: llegaron sus artículos pendientes`,
+            mainTitle: "¡Llegaron sus artículos!",
+            mainIntro: `Hola ${name}, recibimos ${quantity} unidad(es) de ${itemName} que estaban pendientes en su pedido #${orderIdShort} y ya están reservadas para usted.`,
+            badgeText: "✓ Pendientes Disponibles",
+            badgeColor: "#10b981",
+            closeMessage: complete
+                ? `Su pedido ya está completo y lo prepararemos para el envío. ¿Preguntas? Responda a este correo—¡estamos aquí para ayudar!`
+                : `Aún quedan artículos pendientes en su pedido; le avisaremos cuando lleguen. ¿Preguntas? Responda a este correo.`
+        };
+    }
+    return {
+        subjectLine: `Your autoInx Order #${orderIdShort}: Backordered Items Have Arrived`,
+        mainTitle: "Your items have arrived!",
+        mainIntro: `Hello ${name}, ${quantity} unit(s) of ${itemName} that were backordered on your order #${orderIdShort} have arrived and are now reserved for you.`,
+        badgeText: "✓ Backorder Filled",
+        badgeColor: "#10b981",
+        closeMessage: complete
+            ? `Your order is now complete and we'll get it ready to ship. Questions? Reply to this email — we’re here to help!`
+            : `Some items on your order are still backordered; we'll email you when they arrive. Questions? Reply to this email.`
+    };
 }
 
 // MODIFIED: Load base HTML template based on language code
@@ -54,19 +226,103 @@ async function getTemplateHtml(languageCode) {
     }
 }
 
-// Generate HTML rows for the order items table
-function generateTableRows(items, languageCode) {
-    return items.map(item => {
+// Generate HTML rows for the order items table. With `taxSummary` (orders placed since IVA was split
+// out, see labelTaxSummary) each line names its IVA category and the rows end with any discount, the
+// subtotal and one row per tax rate. Discounted lines show their share of the discount.
+function generateTableRows(items, languageCode, formatPrice, taxSummary = null) {
+    const itemRows = items.map(item => {
         const subtotal = item.price * item.quantity;
+        // Backordered units are called out under the item name with the estimate given at checkout
+        let backorderNote = '';
+        if (item.backorderedQuantity > 0) {
+            const days = item.estimatedShipDays ? (languageCode === 'es' ? ` — envío en ~${item.estimatedShipDays} días` : ` — ships in ~${item.estimatedShipDays} days`) : '';
+            const label = item.backorderPolicy === 'preorder'
+                ? (languageCode === 'es' ? 'Preventa' : 'Pre-order')
+                : (languageCode === 'es' ? 'Pendiente' : 'Backordered');
+            backorderNote = `<br><span style="font-size: 12px; color: #b45309;">${label}: ${item.backorderedQuantity}${days}</span>`;
+        }
+        const taxNote = item.taxLabel ? `<br><span style="font-size: 12px; color: #64748b;">${item.taxLabel}</span>` : '';
+        const discountNote = item.discountCents ? `<br><span style="font-size: 12px; color: #059669;">${languageCode === 'es' ? 'Descuento' : 'Discount'}: -${formatPrice(item.discountCents)}</span>` : '';
         return `
             <tr>
-                <td style="padding: 12px; border-bottom: 1px solid #eee; text-align: left; font-size: 14px;">${item.name} (${item.sku || 'N/A'})</td>
+                <td style="padding: 12px; border-bottom: 1px solid #eee; text-align: left; font-size: 14px;">${item.name} (${item.sku || 'N/A'})${backorderNote}${taxNote}${discountNote}</td>
                 <td style="padding: 12px; border-bottom: 1px solid #eee; text-align: right; font-size: 14px;">${item.quantity}</td>
                 <td style="padding: 12px; border-bottom: 1px solid #eee; text-align: right; font-size: 14px;">${formatPrice(item.price)}</td>
                 <td style="padding: 12px; border-bottom: 1px solid #eee; text-align: right; font-size: 14px;">${formatPrice(subtotal)}</td>
             </tr>
         `;
     }).join('');
+
+    if (!taxSummary) return itemRows;
+
+    const es = languageCode === 'es';
+    const summaryRow = (label, amount, color = '#475569') => `
+            <tr>
+                <td colspan="3" style="padding: 12px; border-bottom: 1px solid #eee; text-align: right; font-size: 14px; color: ${color};">${label}</td>
+                <td style="padding: 12px; border-bottom: 1px solid #eee; text-align: right; font-size: 14px; color: ${color};">${amount}</td>
+            </tr>
+        `;
+    const discount = taxSummary.discount;
+    const discountRow = discount
+        ? summaryRow(`${es ? 'Descuento' : 'Discount'} ${discount.code}${discount.description ? ` — ${discount.description}` : ''}`, `-${formatPrice(discount.amountCents)}`, '#059669')
+        : '';
+    return itemRows + discountRow +
+        summaryRow(es ? 'Subtotal (antes de IVA)' : 'Subtotal (before VAT)', formatPrice(taxSummary.subtotalCents)) +
+        taxSummary.taxLines.map(line => summaryRow(
+            `${line.label} ${es ? 'sobre' : 'on'} ${formatPrice(line.baseCents)}`,
+            formatPrice(line.taxCents)
+        )).join('');
+}
+
+// Retención en la fuente is withheld by the buyer, so it is shown under the total with the net amount to pay
+function generateWithholdingRow(withholding, totalCents, languageCode, formatPrice) {
+    const es = languageCode === 'es';
+    const label = `${withholding.label} — ` +
+        (es ? `practicada por el comprador; neto a pagar ${formatPrice(totalCents - withholding.amountCents)}`
+            : `withheld by the buyer; net amount to pay ${formatPrice(totalCents - withholding.amountCents)}`);
+    return `
+            <tr>
+                <td colspan="3" style="padding: 12px; border-bottom: 1px solid #eee; text-align: left; font-size: 14px; color: #b45309;">${label}</td>
+                <td style="padding: 12px; border-bottom: 1px solid #eee; text-align: right; font-size: 14px; color: #b45309;">-${formatPrice(withholding.amountCents)}</td>
+            </tr>
+        `;
+}
+
+// The order's tax fields with their labels in the email's language (js/utilities/taxes.js is ESM)
+async function labelTaxSummary(orderData, languageCode) {
+    const { getTaxCategory, getTaxLabel, getWithholdingLabel, formatTaxRate } = await import('../js/utilities/taxes.js');
+    return {
+        items: orderData.items.map(item => ({ ...item, taxLabel: getTaxLabel(getTaxCategory(item), languageCode) })),
+        subtotalCents: orderData.subtotalCents,
+        discount: orderData.discount || null,
+        taxLines: orderData.taxLines.map(line => ({ ...line, label: getTaxLabel(line.category, languageCode) })),
+        withholding: orderData.withholding
+            ? { ...orderData.withholding, label: `${getWithholdingLabel(languageCode)} ${formatTaxRate(orderData.withholding.rate, languageCode)}` }
+            : null
+    };
+}
+
+// The delivery-zone shipping line under the items; orders outside every zone say shipping is confirmed separately
+function generateShippingRow(shipping, languageCode, formatPrice) {
+    const es = languageCode === 'es';
+    let label;
+    let amount;
+    if (shipping) {
+        const eta = shipping.etaMinDays === shipping.etaMaxDays
+            ? `${shipping.etaMaxDays}`
+            : `${shipping.etaMinDays}–${shipping.etaMaxDays}`;
+        label = `${es ? 'Envío' : 'Shipping'} (${shipping.zoneName}) — ${es ? `entrega en ${eta} días hábiles` : `delivery in ${eta} business days`}`;
+        amount = shipping.freeShipping ? (es ? 'Gratis' : 'Free') : formatPrice(shipping.feeCents);
+    } else {
+        label = es ? 'Envío: fuera de nuestras zonas de entrega, le confirmaremos el costo' : 'Shipping: outside our delivery zones, we will confirm the cost';
+        amount = '—';
+    }
+    return `
+            <tr>
+                <td colspan="3" style="padding: 12px; border-bottom: 1px solid #eee; text-align: left; font-size: 14px; color: #475569;">${label}</td>
+                <td style="padding: 12px; border-bottom: 1px solid #eee; text-align: right; font-size: 14px;">${amount}</td>
+            </tr>
+        `;
 }
 
 /**
@@ -75,8 +331,10 @@ function generateTableRows(items, languageCode) {
  */
 async function populateTemplate(orderData, recipientType) {
     const languageCode = orderData.language || 'en';
+    const formatPrice = await getPriceFormatter(orderData, languageCode);
     const orderStatus = orderData.newStatus || 'Confirmed'; 
-    const orderIdShort = orderData.orderId.substring(0, 5);
+    // Orders placed before sequential numbering fall back to the short Firestore ID
+    const orderIdShort = orderData.orderNumber || orderData.orderId.substring(0, 5);
 
     let template = await getTemplateHtml(languageCode); 
 
@@ -90,59 +348,83 @@ async function populateTemplate(orderData, recipientType) {
     // --- Dynamic Content Calculation ---
     if (languageCode === 'es') {
         if (orderStatus === 'Confirmed') {
-            subjectLine = "Su pedido autoInx ha sido Confirmado";
+            subjectLine = `Su pedido autoInx #${orderIdShort} ha sido Confirmado`;
             mainTitle = "¡Gracias por su pedido!";
             mainIntro = `Hola ${orderData.buyerName}, hemos recibido su pedido y estamos preparando sus artículos para el envío.`;
             badgeText = "✓ Pedido Confirmado";
             badgeColor = "#10b981"; // Green
             closeMessage = `Recibirá otro correo cuando su pedido sea enviado. ¿Preguntas? Responda a este correo—¡estamos aquí para ayudar!`;
         } else if (orderStatus === 'Cancelled') {
-            subjectLine = "Actualización: Su Pedido autoInx ha sido Cancelado";
+            subjectLine = `Actualización: Su Pedido autoInx #${orderIdShort} ha sido Cancelado`;
             mainTitle = "Pedido Cancelado";
             mainIntro = `Su pedido #${orderIdShort} ha sido cancelado. Contacte a soporte si tiene preguntas.`;
             badgeText = "✗ Pedido Cancelado";
             badgeColor = "#ef4444"; // Red
             closeMessage = `Si fue un error, responda inmediatamente o cree un nuevo pedido.`;
         } else {
-             subjectLine = `Actualización: Su Pedido ahora es ${orderStatus}`;
-             mainTitle = `Estado: ${orderStatus}`;
-             mainIntro = `Hola ${orderData.buyerName}, el estado de su pedido #${orderIdShort} ahora es **${orderStatus}**.`;
-             badgeText = `Estado: ${orderStatus}`;
+             const statusLabel = STATUS_LABELS_ES[orderStatus] || orderStatus;
+             subjectLine = `Actualización: Su Pedido #${orderIdShort} ahora es ${statusLabel}`;
+             mainTitle = `Estado: ${statusLabel}`;
+             mainIntro = `Hola ${orderData.buyerName}, el estado de su pedido #${orderIdShort} ahora es **${statusLabel}**.`;
+             badgeText = `Estado: ${statusLabel}`;
              badgeColor = "#6366f1";
+             closeMessage = `¿Preguntas? Responda a este correo—¡estamos aquí para ayudar!`;
         }
     } else { // English (en)
         if (orderStatus === 'Confirmed') {
-            subjectLine = "Your autoInx Order is Confirmed";
+            subjectLine = `Your autoInx Order #${orderIdShort} is Confirmed`;
             mainTitle = "Thank you for your order!";
             mainIntro = `Hello ${orderData.buyerName}, we've received your order and are getting it ready to ship.`;
             badgeText = "✓ Order Confirmed";
             badgeColor = "#10b981"; 
             closeMessage = `You’ll receive another email when your order ships. Questions? Reply to this email — we’re here to help!`;
         } else if (orderStatus === 'Cancelled') {
-            subjectLine = "Update: Your autoInx Order Has Been Cancelled";
+            subjectLine = `Update: Your autoInx Order #${orderIdShort} Has Been Cancelled`;
             mainTitle = "Order Cancelled";
             mainIntro = `Your order #${orderIdShort} has been cancelled per your request or due to an issue.`;
             badgeText = "✗ Order Cancelled";
             badgeColor = "#ef4444"; 
             closeMessage = `If this was an error, please reply immediately or create a new order.`;
         } else {
-             subjectLine = `Update: Your autoInx Order is Now ${orderStatus}`;
+             subjectLine = `Update: Your autoInx Order #${orderIdShort} is Now ${orderStatus}`;
              mainTitle = `Your Order is Now ${orderStatus}!`;
              mainIntro = `Hello ${orderData.buyerName}, the status of your order #${orderIdShort} is now **${orderStatus}**.`;
              badgeText = `Status: ${orderStatus}`;
              badgeColor = "#6366f1";
+             closeMessage = `Questions? Reply to this email — we’re here to help!`;
         }
     }
 
+    if (orderData.shipment) {
+        ({ subjectLine, mainTitle, mainIntro, badgeText, badgeColor, closeMessage } = getShipmentContent(orderData, languageCode, orderIdShort));
+    } else if (orderData.returnRequest) {
+        ({ subjectLine, mainTitle, mainIntro, badgeText, badgeColor, closeMessage } = getReturnContent(orderData, languageCode, orderIdShort, formatPrice));
+    } else if (orderData.backorderAllocation) {
+        ({ subjectLine, mainTitle, mainIntro, badgeText, badgeColor, closeMessage } = getBackorderContent(orderData, languageCode, orderIdShort));
+    }
+    if (orderStatus === 'Shipped' && !orderData.returnRequest && !orderData.backorderAllocation) {
+        mainIntro += await getTrackingHtml(orderData, languageCode);
+    }
+
     // Admin subject logic override
     let recipientEmailPlaceholder = orderData.buyerEmail;
 
     if (recipientType !== 'customer') {
         subjectLine = orderStatus === 'Confirmed' 
-            ? `NEW ORDER #${orderData.orderId.substring(0, 8).toUpperCase()} - ${orderData.buyerName}`
-            : `STATUS UPDATE [${orderStatus}]: Order #${orderIdShort} - ${orderData.buyerName}`;
+            ? `NEW ORDER #${orderData.orderNumber || orderData.orderId.substring(0, 8).toUpperCase()} - ${orderData.buyerName}`
+            : orderData.shipment
+                ? `SHIPMENT ${orderData.shipment.shipmentNumber} [${orderStatus}]: Order #${orderIdShort} - ${orderData.buyerName}`
+                : orderData.returnRequest
+                ? `RETURN ${orderData.returnRequest.rmaNumber} [${orderStatus}]: Order #${orderIdShort} - ${orderData.buyerName}`
+                : orderData.backorderAllocation
+                ? `BACKORDER FILLED: Order #${orderIdShort} - ${orderData.backorderAllocation.quantity} x ${orderData.backorderAllocation.itemName}`
+                : `STATUS UPDATE [${orderStatus}]: Order #${orderIdShort} - ${orderData.buyerName}`;
         mainTitle = subjectLine;
-        mainIntro = "Internal notification. Please process this order.";
+        mainIntro = orderData.returnRequest
+            ? `Internal notification. Return reason: ${orderData.returnRequest.reason}.${orderData.returnRequest.details ? ` Customer details: ${orderData.returnRequest.details}` : ''} Review it in the Returns tab.`
+            : orderData.backorderAllocation && !orderData.backorderAllocation.complete
+            ? "Internal notification. Replenished stock was allocated to this order; other lines are still backordered."
+            : "Internal notification. Please process this order.";
         closeMessage = 'Internal admin copy.';
         recipientEmailPlaceholder = "orders@autoinx.com"; 
     }
@@ -155,12 +437,22 @@ async function populateTemplate(orderData, recipientType) {
     template = template.replace(/{{params\.closeMessage}}/g, closeMessage);
     
     // Existing replacements:
-    template = template.replace(/{{params\.orderId}}/g, orderData.orderId);
+    template = template.replace(/{{params\.orderId}}/g, orderData.orderNumber || orderData.orderId);
     template = template.replace(/{{params\.orderDate}}/g, new Date(orderData.timestamp).toLocaleDateString(languageCode === 'es' ? 'es-ES' : 'en-US', {
         year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
     }));
-    template = template.replace(/{{params\.orderTableRows}}/g, generateTableRows(orderData.items));
-    template = template.replace(/{{params\.totalPrice}}/g, formatPrice(orderData.totalCents));
+    // Shipment, return and backorder emails total only the lines they list
+    const listsLinesOnly = orderData.shipment || orderData.returnRequest || orderData.backorderAllocation;
+    // Orders from before delivery zones have no subtotalCents and get no shipping row
+    const shippingRow = !listsLinesOnly && orderData.subtotalCents !== undefined ? generateShippingRow(orderData.shipping, languageCode, formatPrice) : '';
+    // Orders from before taxes have no taxLines and list their lines only
+    const taxSummary = !listsLinesOnly && Array.isArray(orderData.taxLines) ? await labelTaxSummary(orderData, languageCode) : null;
+    const withholdingRow = taxSummary && taxSummary.withholding ? generateWithholdingRow(taxSummary.withholding, orderData.totalCents, languageCode, formatPrice) : '';
+    template = template.replace(/{{params\.orderTableRows}}/g, generateTableRows(taxSummary ? taxSummary.items : orderData.items, languageCode, formatPrice, taxSummary) + shippingRow + withholdingRow);
+    const totalCents = listsLinesOnly
+        ? orderData.items.reduce((sum, item) => sum + item.price * item.quantity - (item.discountCents || 0), 0)
+        : orderData.totalCents;
+    template = template.replace(/{{params\.totalPrice}}/g, formatPrice(totalCents));
     template = template.replace(/{{params\.orderStatus}}/g, orderStatus);
     
     // Brevo email placeholder in footer 
@@ -228,6 +520,11 @@ exports.handler = async function (event) {
         return { statusCode: 400, body: JSON.stringify({ error: "Missing required order data for email processing." }) };
     }
 
+    // Replays of the same Idempotency-Key return the first result without emailing again
+    const { claimIdempotencyKey } = await import('../js/utilities/idempotency.js');
+    const idempotency = await claimIdempotencyKey(db, 'sendOrderConfirmation', event);
+    if (idempotency.response) return idempotency.response;
+
     try {
         // Prepare a reusable payload for the language, which the template function expects as 'language' property.
         const langPayload = { language: communicationLang };
@@ -279,18 +576,18 @@ exports.handler = async function (event) {
             console.log(`Sent order copy to requester: ${requesterEmail} in ${communicationLang}.`);
         }
 
-        return {
+        return idempotency.complete({
             statusCode: 200,
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ message: "Emails sent successfully to admin(s) and potentially customer.", orderId }),
-        };
+        });
 
     } catch (error) {
         console.error(`Failed to execute email function for order ${orderId}:`, error);
-        return {
+        return idempotency.complete({
             statusCode: 500,
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ error: "Failed to execute email function.", details: error.message }),
-        };
+        });
     }
 };
@@ -0,0 +1,147 @@
+/**
+ * Netlify Function (Scheduled/Cron) that emails payment reminders for unpaid order balances.
+ * Runs daily; does nothing unless `paymentReminders.enabled` is set in admin/config. Each order gets
+ * the reminders its age calls for under the configured cadence (js/utilities/receivables.js), in the
+ * customer's language, and stops getting them once it is paid or cancelled.
+ * Every reminder is logged on the order in `paymentReminders` ({ reminderId, step, sentAt, ageDays,
+ * balanceCents, currency, language, status }). The entry is claimed in a transaction before the email
+ * goes out, so overlapping runs never send the same step twice; a failed send is marked 'failed' and
+ * the step is retried on the next run.
+ */
+const admin = require('firebase-admin');
+const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const CONFIG_DOC_PATH = 'admin/config';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+// Keeps one run well inside the function timeout; the rest are picked up the next day
+const MAX_REMINDERS_PER_RUN = 50;
+// A claim still 'sending' after this long belongs to a run that crashed
+const CLAIM_TIMEOUT_MS = 60 * 60 * 1000;
+
+const transporter = nodemailer.createTransport({
+    host: process.env.BREVO_SMTP_HOST,
+    port: parseInt(process.env.BREVO_SMTP_PORT || "587"),
+    secure: false,
+    auth: {
+        user: process.env.BREVO_SMTP_USER,
+        pass: process.env.BREVO_SMTP_PASSWORD,
+    },
+});
+
+exports.handler = async function (event) {
+    try {
+        const {
+            getReminderSettings,
+            getDueReminderStep,
+            getBalanceCents,
+            getAgeDays,
+            buildReminderEmail
+        } = await import('./js/utilities/receivables.js');
+        const { getOrderCurrency } = await import('./js/utilities/currency.js');
+
+        const configSnap = await db.doc(CONFIG_DOC_PATH).get();
+        const settings = getReminderSettings(configSnap.exists ? configSnap.data().paymentReminders : null);
+        if (!settings.enabled) {
+            console.log('Payment reminders are disabled; nothing to send.');
+            return { statusCode: 200, body: JSON.stringify({ message: 'Payment reminders are disabled.', sentCount: 0 }) };
+        }
+
+        console.log(`Starting payment reminder run (cadence: ${settings.cadenceDays.join(', ')} days, then every ${settings.repeatEveryDays || '-'} days)...`);
+        const now = new Date();
+        const ordersSnap = await db.collection(ORDERS_COLLECTION).get();
+        const dueOrders = ordersSnap.docs
+            .filter(doc => doc.data().buyerEmail && getDueReminderStep(doc.data(), settings, now) !== null)
+            .slice(0, MAX_REMINDERS_PER_RUN);
+
+        const sent = [];
+        const failed = [];
+        for (const doc of dueOrders) {
+            const orderRef = doc.ref;
+            let claim = null;
+
+            // --- 1. Claim the step on the order, re-checked against its current balance ---
+            await db.runTransaction(async (transaction) => {
+                const snap = await transaction.get(orderRef);
+                if (!snap.exists) return;
+                const order = snap.data();
+                const step = getDueReminderStep(order, settings, now);
+                if (step === null) return;
+                const inFlight = (order.paymentReminders || []).some(reminder =>
+                    reminder.status === 'sending' && now.getTime() - new Date(reminder.sentAt).getTime() < CLAIM_TIMEOUT_MS);
+                if (inFlight) return;
+
+                claim = {
+                    reminderId: `REM-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+                    step,
+                    sentAt: now.toISOString(),
+                    ageDays: getAgeDays(order, now),
+                    balanceCents: getBalanceCents(order),
+                    currency: getOrderCurrency(order),
+                    language: (order.language || order.communicationLang) === 'en' ? 'en' : 'es',
+                    status: 'sending'
+                };
+                // A claim left 'sending' by a run that crashed is dropped; failed attempts stay in the log
+                const reminders = (order.paymentReminders || []).filter(reminder => reminder.status !== 'sending');
+                transaction.update(orderRef, { paymentReminders: [...reminders, claim] });
+                claim.order = { id: orderRef.id, ...order };
+            });
+            if (!claim) continue;
+
+            // --- 2. Send the email and record how it went ---
+            const { order, ...reminder } = claim;
+            let status = 'sent';
+            try {
+                const { subject, html } = buildReminderEmail({ order, balanceCents: reminder.balanceCents, ageDays: reminder.ageDays, step: reminder.step, lang: reminder.language });
+                await transporter.sendMail({ from: "noreply@autoinx.com", to: order.buyerEmail, subject, html });
+            } catch (sendError) {
+                console.error(`Payment reminder email failed for order ${orderRef.id}:`, sendError);
+                status = 'failed';
+            }
+
+            await db.runTransaction(async (transaction) => {
+                const snap = await transaction.get(orderRef);
+                const reminders = (snap.data().paymentReminders || []).map(existing =>
+                    existing.reminderId === reminder.reminderId ? { ...existing, status } : existing);
+                transaction.update(orderRef, { paymentReminders: reminders });
+            });
+            (status === 'sent' ? sent : failed).push({ orderId: orderRef.id, orderNumber: order.orderNumber || null, step: reminder.step, balanceCents: reminder.balanceCents, currency: reminder.currency });
+        }
+
+        if (sent.length > 0 || failed.length > 0) {
+            await db.collection(LOGS_COLLECTION_PATH).add({
+                actionType: 'PAYMENT_REMINDERS_SENT',
+                objectId: null,
+                details: { sentCount: sent.length, failedCount: failed.length, sent, failed },
+                performedByEmail: 'system:sendPaymentReminders',
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        console.log(`Payment reminder run complete. Sent: ${sent.length}, failed: ${failed.length}`);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: `Sent ${sent.length} payment reminders.`, sentCount: sent.length, failedCount: failed.length }),
+        };
+
+    } catch (error) {
+        console.error('CRON Error sending payment reminders:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to complete payment reminder run', details: error.message }),
+        };
+    }
+};
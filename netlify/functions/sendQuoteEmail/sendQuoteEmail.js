@@ -0,0 +1,206 @@
+/**
+ * Netlify Function: emails a quote (cotización) as a PDF in the customer's language, with the
+ * accept link, and copies sales@. Called by createQuote.
+ * With `notice: 'accepted'` or `notice: 'declined'` it instead tells orders@ that the customer
+ * answered the quote (sent by acceptQuote, no PDF).
+ */
+const nodemailer = require("nodemailer");
+const fs = require("fs").promises;
+const path = require("path");
+const fetch = require("node-fetch");
+const admin = require('firebase-admin');
+
+// Firebase Admin is only used to store Idempotency-Key records
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+
+const transporter = nodemailer.createTransport({
+    host: process.env.BREVO_SMTP_HOST,
+    port: parseInt(process.env.BREVO_SMTP_PORT || "587"),
+    secure: false,
+    auth: {
+        user: process.env.BREVO_SMTP_USER,
+        pass: process.env.BREVO_SMTP_PASSWORD,
+    },
+});
+
+function formatPrice(cents) {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 2
+    }).format(cents / 100);
+}
+
+function formatDate(iso, lang) {
+    return new Date(iso).toLocaleDateString(lang === 'es' ? 'es-CO' : 'en-US', {
+        year: 'numeric', month: 'long', day: 'numeric', timeZone: 'America/Bogota'
+    });
+}
+
+function generateTableRows(items) {
+    return items.map(item => {
+        const subtotal = item.price * item.quantity;
+        return `
+            <tr>
+                <td style="padding: 16px 20px; border-bottom: 1px solid #e2e8f0; text-align: left; font-size: 15px; color: #334155;">${item.name}${item.sku ? ` <span style="color: #94a3b8; font-size: 12px;">(${item.sku})</span>` : ''}</td>
+                <td style="padding: 16px 20px; border-bottom: 1px solid #e2e8f0; text-align: center; font-size: 15px; color: #334155;">${item.quantity}</td>
+                <td style="padding: 16px 20px; border-bottom: 1px solid #e2e8f0; text-align: right; font-size: 15px; color: #334155;">${formatPrice(item.price)}</td>
+                <td style="padding: 16px 20px; border-bottom: 1px solid #e2e8f0; text-align: right; font-size: 15px; font-weight: 700; color: #1e293b;">${formatPrice(subtotal)}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== "POST") {
+        return { statusCode: 405, body: "Method Not Allowed" };
+    }
+
+    const { claimIdempotencyKey } = await import('../js/utilities/idempotency.js');
+    const idempotency = await claimIdempotencyKey(db, 'sendQuoteEmail', event);
+    if (idempotency.response) return idempotency.response;
+
+    try {
+        const data = JSON.parse(event.body);
+        const {
+            quoteId,
+            quoteNumber,
+            buyerName,
+            buyerEmail,
+            items,
+            totalCents,
+            expiresAt,
+            timestamp,
+            acceptUrl,
+            communicationLang,
+            requesterEmail,
+            notice
+        } = data;
+
+        if (!quoteId || !quoteNumber || !buyerEmail || !Array.isArray(items) || items.length === 0) {
+            return idempotency.complete({ statusCode: 400, body: JSON.stringify({ error: "Missing required quote data for email processing." }) });
+        }
+
+        // --- Customer answered the quote: internal notice only ---
+        if (notice === 'accepted' || notice === 'declined') {
+            const verb = notice === 'accepted' ? 'ACCEPTED' : 'DECLINED';
+            await transporter.sendMail({
+                from: '"autoInx System" <noreply@autoinx.com>',
+                to: "orders@autoinx.com",
+                subject: `QUOTE ${verb}: ${quoteNumber} - ${buyerName}`,
+                html: `
+                    <p>${buyerName} (${buyerEmail}) ${notice} quote <strong>${quoteNumber}</strong> for ${formatPrice(totalCents)}.</p>
+                    ${notice === 'accepted' ? '<p>Convert it into an order from the Quotes page in the admin dashboard.</p>' : ''}
+                    <table cellpadding="0" cellspacing="0" style="border-collapse: collapse;">${generateTableRows(items)}</table>
+                `
+            });
+            return idempotency.complete({ statusCode: 200, body: JSON.stringify({ message: `Quote ${notice} notice sent.` }) });
+        }
+
+        const lang = communicationLang === 'es' ? 'es' : 'en';
+        const validUntil = formatDate(expiresAt, lang);
+
+        // 1. Language-specific strings
+        const strings = {
+            en: {
+                subject: `Your autoInx Quote ${quoteNumber}`,
+                badge: "Quote",
+                title: "Your Parts Quote",
+                intro: `Hello ${buyerName}, here is the quote you asked for. The prices below are held until ${validUntil}. Use the button to accept it and we'll turn it into an order.`,
+                close: "Questions or changes? Reply to this email — we’re here to help!",
+                filename: `Quote_${quoteNumber}.pdf`
+            },
+            es: {
+                subject: `Su Cotización autoInx ${quoteNumber}`,
+                badge: "Cotización",
+                title: "Su Cotización de Repuestos",
+                intro: `Hola ${buyerName}, aquí está la cotización que solicitó. Los precios se mantienen hasta el ${validUntil}. Use el botón para aceptarla y la convertiremos en un pedido.`,
+                close: "¿Preguntas o cambios? Responda a este correo—¡estamos aquí para ayudar!",
+                filename: `Cotizacion_${quoteNumber}.pdf`
+            }
+        };
+        const t = strings[lang];
+
+        // 2. Load the template and fill it in
+        const templateName = lang === 'es' ? "quoteTemplateSpanish.html" : "quoteTemplate.html";
+        let htmlContent = await fs.readFile(path.join(__dirname, "emailTemplates", templateName), "utf8");
+
+        const replacements = {
+            "{{params.badgeColor}}": "#6366f1",
+            "{{params.badgeText}}": t.badge,
+            "{{params.mainTitle}}": t.title,
+            "{{params.mainIntro}}": t.intro,
+            "{{params.quoteNumber}}": quoteNumber,
+            "{{params.buyerName}}": buyerName,
+            "{{params.quoteDate}}": formatDate(timestamp || new Date().toISOString(), lang),
+            "{{params.validUntil}}": validUntil,
+            "{{params.quoteTableRows}}": generateTableRows(items),
+            "{{params.quoteTotal}}": formatPrice(totalCents),
+            "{{params.acceptUrl}}": acceptUrl,
+            "{{params.closeMessage}}": t.close,
+            "{{contact.EMAIL}}": buyerEmail
+        };
+
+        for (const [key, value] of Object.entries(replacements)) {
+            htmlContent = htmlContent.split(key).join(value);
+        }
+
+        // 3. Generate the PDF via Doppio (same settings as sendReceiptConfirmation)
+        const doppioRes = await fetch('https://api.doppio.sh/v1/render/pdf/direct', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${process.env.DOPPIO_API_KEY}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                page: {
+                    setContent: { html: Buffer.from(htmlContent, 'utf8').toString('base64') },
+                    pdf: {
+                        format: 'A4',
+                        printBackground: true,
+                        margin: { top: '1cm', bottom: '1cm', left: '1cm', right: '1cm' }
+                    }
+                }
+            })
+        });
+
+        if (!doppioRes.ok) {
+            const errText = await doppioRes.text();
+            throw new Error(`Doppio API Failed: ${doppioRes.status} - ${errText}`);
+        }
+
+        const pdfBuffer = Buffer.from(await doppioRes.arrayBuffer());
+
+        // 4. Send to the customer, copying sales@ and the admin who prepared the quote
+        await transporter.sendMail({
+            from: '"autoInx Sales" <noreply@autoinx.com>',
+            to: buyerEmail,
+            cc: ["sales@autoinx.com", requesterEmail].filter(Boolean),
+            subject: t.subject,
+            html: htmlContent,
+            attachments: [{ filename: t.filename, content: pdfBuffer, contentType: 'application/pdf' }]
+        });
+
+        return idempotency.complete({
+            statusCode: 200,
+            body: JSON.stringify({ message: `Quote ${quoteNumber} sent to ${buyerEmail}.` })
+        });
+
+    } catch (error) {
+        console.error("Quote Email Error:", error);
+        return idempotency.complete({
+            statusCode: 500,
+            body: JSON.stringify({ error: error.message || "Internal server error" })
+        });
+    }
+};
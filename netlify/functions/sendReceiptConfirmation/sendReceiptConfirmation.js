@@ -2,6 +2,22 @@ const nodemailer = require("nodemailer");
 const fs = require("fs").promises;
 const path = require("path");
 const fetch = require("node-fetch");
+const admin = require('firebase-admin');
+
+// Firebase Admin reads the order the receipt is for, stores Idempotency-Key records and the invoice files
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const INVOICES_COLLECTION = process.env.INVOICES_COLLECTION_PATH || 'artifacts/default-app-id/public/data/invoices';
 
 const transporter = nodemailer.createTransport({
     host: process.env.BREVO_SMTP_HOST,
@@ -13,20 +29,18 @@ const transporter = nodemailer.createTransport({
     },
 });
 
-function formatPrice(cents) {
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD',
-        minimumFractionDigits: 2
-    }).format(cents / 100);
+// Order and ledger values are typed by customers and admins, so everything interpolated into the email is escaped
+function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
-function generateTableRows(items) {
+// The row helpers take `formatPrice`, which formats cents in the order's currency and the receipt's locale
+function generateTableRows(items, formatPrice) {
     return items.map(item => {
         const subtotal = item.price * item.quantity;
         return `
             <tr>
-                <td style="padding: 16px 20px; border-bottom: 1px solid #e2e8f0; text-align: left; font-size: 15px; color: #334155;">${item.name}</td>
+                <td style="padding: 16px 20px; border-bottom: 1px solid #e2e8f0; text-align: left; font-size: 15px; color: #334155;">${escapeHtml(item.name)}</td>
                 <td style="padding: 16px 20px; border-bottom: 1px solid #e2e8f0; text-align: center; font-size: 15px; color: #334155;">${item.quantity}</td>
                 <td style="padding: 16px 20px; border-bottom: 1px solid #e2e8f0; text-align: right; font-size: 15px; color: #334155;">${formatPrice(item.price)}</td>
                 <td style="padding: 16px 20px; border-bottom: 1px solid #e2e8f0; text-align: right; font-size: 15px; font-weight: 700; color: #1e293b;">${formatPrice(subtotal)}</td>
@@ -35,6 +49,105 @@ function generateTableRows(items) {
     }).join('');
 }
 
+// Delivery-zone shipping is billed with the order, so receipts list it under the items
+function generateShippingRow(shipping, lang, formatPrice) {
+    if (!shipping) return '';
+    const label = lang === 'es' ? `Envío (${escapeHtml(shipping.zoneName)})` : `Shipping (${escapeHtml(shipping.zoneName)})`;
+    const amount = shipping.freeShipping ? (lang === 'es' ? 'Gratis' : 'Free') : formatPrice(shipping.feeCents);
+    return `
+            <tr>
+                <td colspan="3" style="padding: 16px 20px; border-bottom: 1px solid #e2e8f0; text-align: left; font-size: 15px; color: #475569;">${label}</td>
+                <td style="padding: 16px 20px; border-bottom: 1px solid #e2e8f0; text-align: right; font-size: 15px; font-weight: 700; color: #1e293b;">${amount}</td>
+            </tr>
+        `;
+}
+
+// Any discount, the subtotal and one IVA row per rate above the order total, for orders that store taxLines
+function generateTaxSummaryRows(subtotalCents, taxLines, discount, lang, formatPrice, getTaxLabel) {
+    const row = (label, amount, color = '#1e293b') => `
+            <tr style="background:#f8fafc;">
+                <td colspan="3" align="right" style="padding: 12px 20px; color: #475569; border-top: 1px solid #e2e8f0;">${label}</td>
+                <td align="right" style="padding: 12px 20px; font-weight: 600; color: ${color}; border-top: 1px solid #e2e8f0;">${amount}</td>
+            </tr>
+        `;
+    return (discount ? row(`${lang === 'es' ? 'Descuento' : 'Discount'} ${escapeHtml(discount.code)}`, `−${formatPrice(discount.amountCents)}`, '#059669') : '') +
+        row(lang === 'es' ? 'Subtotal (antes de IVA)' : 'Subtotal (before VAT)', formatPrice(subtotalCents)) +
+        taxLines.map(line => row(getTaxLabel(line.category, lang), formatPrice(line.taxCents))).join('');
+}
+
+// Retención withheld by a business buyer comes off the total before the balance is worked out
+function generateWithholdingRow(withholding, lang, formatPrice, getWithholdingLabel, formatTaxRate) {
+    return `
+            <tr style="background:#f8fafc;">
+                <td colspan="3" align="right" style="padding: 12px 20px; color: #475569;">${getWithholdingLabel(lang)} ${formatTaxRate(withholding.rate, lang)}</td>
+                <td align="right" style="padding: 12px 20px; font-weight: 600; color: #e11d48;">−${formatPrice(withholding.amountCents)}</td>
+            </tr>
+        `;
+}
+
+// Renders HTML to a PDF buffer through Doppio
+async function renderPdf(html) {
+    const doppioRes = await fetch('https://api.doppio.sh/v1/render/pdf/direct', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${process.env.DOPPIO_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            page: {
+                setContent: { html: Buffer.from(html, 'utf8').toString('base64') },
+                pdf: {
+                    format: 'A4',
+                    printBackground: true,
+                    margin: { top: '1cm', bottom: '1cm', left: '1cm', right: '1cm' }
+                }
+            }
+        })
+    });
+
+    if (!doppioRes.ok) {
+        const errText = await doppioRes.text();
+        throw new Error(`Doppio API Failed: ${doppioRes.status} - ${errText}`);
+    }
+    return Buffer.from(await doppioRes.arrayBuffer());
+}
+
+/**
+ * The electronic invoice the order already has, as attachments. Invoices are issued by the functions
+ * that record payments (recordPaymentEntry, paymentWebhook) or by an admin (generateInvoice), never
+ * from here. The stored files are attached; they are built from the snapshot and saved only the first
+ * time. Any failure only leaves the invoice out of this email.
+ */
+async function getInvoiceAttachments(orderId, order) {
+    if (!order.invoice) return [];
+    try {
+        const { buildInvoiceXml, renderInvoiceHtml, saveInvoiceFiles } = await import('../js/utilities/invoices.js');
+        const invoiceSnap = await db.collection(INVOICES_COLLECTION).doc(order.invoice.number).get();
+        if (!invoiceSnap.exists) throw new Error(`Invoice ${order.invoice.number} is missing.`);
+
+        const invoice = invoiceSnap.data();
+        const bucket = admin.storage().bucket(process.env.FIREBASE_STORAGE_BUCKET);
+        const [[xmlStored], [pdfStored]] = await Promise.all([bucket.file(invoice.xmlPath).exists(), bucket.file(invoice.pdfPath).exists()]);
+        let xmlContent;
+        let pdfBuffer;
+        if (xmlStored && pdfStored) {
+            [[xmlContent], [pdfBuffer]] = await Promise.all([bucket.file(invoice.xmlPath).download(), bucket.file(invoice.pdfPath).download()]);
+        } else {
+            xmlContent = buildInvoiceXml(invoice);
+            pdfBuffer = await renderPdf(renderInvoiceHtml(invoice));
+            await saveInvoiceFiles(bucket, invoice, xmlContent, pdfBuffer);
+        }
+
+        return [
+            { filename: `${invoice.number}.xml`, content: xmlContent, contentType: 'application/xml' },
+            { filename: `${invoice.number}.pdf`, content: pdfBuffer, contentType: 'application/pdf' }
+        ];
+    } catch (error) {
+        console.error(`Electronic invoice for order ${orderId} could not be attached:`, error);
+        return [];
+    }
+}
+
 exports.handler = async function (event) {
     // Handle CORS preflight
     if (event.httpMethod === "OPTIONS") {
@@ -43,7 +156,7 @@ exports.handler = async function (event) {
             headers: {
                 "Access-Control-Allow-Origin": "*",
                 "Access-Control-Allow-Methods": "POST",
-                "Access-Control-Allow-Headers": "Content-Type"
+                "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key"
             }
         };
     }
@@ -52,26 +165,68 @@ exports.handler = async function (event) {
         return { statusCode: 405, body: "Method Not Allowed" };
     }
 
+    // The payment path and "Resend Receipt" send a key so a double submit emails only once
+    const { claimIdempotencyKey } = await import('../js/utilities/idempotency.js');
+    const idempotency = await claimIdempotencyKey(db, 'sendReceiptConfirmation', event);
+    if (idempotency.response) return idempotency.response;
+
     try {
-        const data = JSON.parse(event.body);
+        // The request only names the order and its ledger entry; the recipient, lines, amounts and the
+        // document itself come from the stored order, so a caller can neither redirect nor invent one
+        const { orderId, entryId } = JSON.parse(event.body);
+
+        if (typeof orderId !== 'string' || !orderId || orderId.includes('/')) {
+            return idempotency.complete({ statusCode: 400, body: JSON.stringify({ error: 'A valid orderId is required.' }) });
+        }
+        if (typeof entryId !== 'string' || !entryId) {
+            return idempotency.complete({ statusCode: 400, body: JSON.stringify({ error: 'A valid entryId is required.' }) });
+        }
+        const orderSnap = await db.collection(ORDERS_COLLECTION).doc(orderId).get();
+        if (!orderSnap.exists) {
+            return idempotency.complete({ statusCode: 404, body: JSON.stringify({ error: `Order ${orderId} not found.` }) });
+        }
+        const order = orderSnap.data();
+        const { CREDIT_ENTRY_TYPES, computePaidCents } = await import('../js/utilities/paymentLedger.js');
+        const entry = (order.paymentHistory || []).find(candidate => candidate.entryId === entryId);
+        // Adjustments are internal corrections and have no customer document
+        if (!entry || !(entry.type === 'payment' || CREDIT_ENTRY_TYPES.includes(entry.type))) {
+            return idempotency.complete({ statusCode: 404, body: JSON.stringify({ error: `Order ${orderId} has no payment, refund or reversal ${entryId}.` }) });
+        }
+        const documentType = entry.type === 'payment' ? 'receipt' : 'creditNote';
+        const { type: entryType, amountCents: entryAmountCents, reason, method: paymentMethod } = entry;
         const {
-            orderId,
+            orderNumber,
             buyerEmail,
             buyerName,
-            items,
-            paidCents,
-            paymentMethod,
-            language,
-            transactionId
-        } = data;
-
-        const lang = language === 'es' ? 'es' : 'en';
-
-        // 1. Calculate totals and timestamp
-        const orderTotalCents = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const balanceCents = orderTotalCents - paidCents;
+            items = [],
+            shipping,
+            currency,
+            subtotalCents,
+            taxLines,
+            totalCents,
+            withholding,
+            discount
+        } = order;
+        const paidCents = computePaidCents(order.paymentHistory);
+
+        const lang = (order.language || order.communicationLang) === 'es' ? 'es' : 'en';
+        // Amounts in the order's currency (dollars for orders from before currencies) and the customer's locale
+        const { formatMoney, getOrderCurrency } = await import('../js/utilities/currency.js');
+        const orderCurrency = getOrderCurrency({ currency });
+        const formatPrice = cents => formatMoney(cents, orderCurrency, lang);
+        // Customer-facing reference: the sequential number, or the Firestore ID for older orders
+        const orderRef = orderNumber || orderId;
+
+        // 1. Calculate totals and timestamp. Orders from before taxes store no taxLines and are totalled from their lines
+        const { getTaxLabel, getWithholdingLabel, formatTaxRate, getAmountDueCents } = await import('../js/utilities/taxes.js');
+        const hasTaxes = Array.isArray(taxLines);
+        const orderTotalCents = hasTaxes && Number.isInteger(totalCents)
+            ? totalCents
+            : items.reduce((sum, item) => sum + (item.price * item.quantity), 0) + (shipping ? shipping.feeCents : 0);
+        const balanceCents = getAmountDueCents({ totalCents: orderTotalCents, withholding, returnCreditCents: order.returnCreditCents }) - paidCents;
         const balanceColor = balanceCents <= 0 ? "#16a34a" : "#e11d48";
-        const finalTxnId = transactionId || `TXN-${Math.random().toString(36).toUpperCase().substring(2, 10)}`;
+        // The gateway's or the ledger's ID; a made-up one would match nothing on the customer's statement
+        const finalTxnId = entry.transactionId || entry.entryId;
 
         const transactionTimestamp = new Date().toLocaleString(lang === 'es' ? 'es-ES' : 'en-US', {
             dateStyle: 'medium',
@@ -87,83 +242,85 @@ exports.handler = async function (event) {
         // 3. Language-specific strings
         const strings = {
             en: {
-                subject: `Payment Receipt - Order #${orderId}`,
-                financeSubject: `[INTERNAL] Payment Received - Order #${orderId}`,
+                subject: `Payment Receipt - Order #${orderRef}`,
+                financeSubject: `[INTERNAL] Payment Received - Order #${orderRef}`,
                 badge: "Payment Received",
                 title: "Payment Confirmation",
-                intro: `Hi ${buyerName}, your payment for order #${orderId} has been successfully processed.`,
+                intro: `Hi ${escapeHtml(buyerName)}, your payment for order #${escapeHtml(orderRef)} has been successfully processed.`,
                 close: "Thank you for your business!",
-                filename: `Receipt_${orderId}.pdf`
+                filename: `Receipt_${orderRef}.pdf`
             },
             es: {
-                subject: `Recibo de Pago - Pedido #${orderId}`,
-                financeSubject: `[INTERNO] Pago Recibido - Pedido #${orderId}`,
+                subject: `Recibo de Pago - Pedido #${orderRef}`,
+                financeSubject: `[INTERNO] Pago Recibido - Pedido #${orderRef}`,
                 badge: "Pago Recibido",
                 title: "Confirmación de Pago",
-                intro: `Hola ${buyerName}, se ha procesado exitosamente su pago para el pedido #${orderId}.`,
+                intro: `Hola ${escapeHtml(buyerName)}, se ha procesado exitosamente su pago para el pedido #${escapeHtml(orderRef)}.`,
                 close: "¡Gracias por su compra!",
-                filename: `Recibo_${orderId}.pdf`
+                filename: `Recibo_${orderRef}.pdf`
+            }
+        };
+
+        // Credit notes (refunds and reversals) reuse the receipt template with their own wording
+        const isCreditNote = documentType === 'creditNote';
+        const creditStrings = {
+            en: {
+                subject: `Credit Note - Order #${orderRef}`,
+                financeSubject: `[INTERNAL] ${entryType === 'reversal' ? 'Payment Reversed' : 'Refund Issued'} - Order #${orderRef}`,
+                badge: entryType === 'reversal' ? "Payment Reversed" : "Refund Issued",
+                title: "Credit Note",
+                intro: `Hi ${escapeHtml(buyerName)}, ${formatPrice(entryAmountCents || 0)} has been credited on order #${escapeHtml(orderRef)}.${reason ? ` Reason: ${escapeHtml(reason)}.` : ''}`,
+                close: "If you have any questions about this credit, reply to this email.",
+                filename: `CreditNote_${orderRef}.pdf`
+            },
+            es: {
+                subject: `Nota Crédito - Pedido #${orderRef}`,
+                financeSubject: `[INTERNO] ${entryType === 'reversal' ? 'Pago Revertido' : 'Reembolso Emitido'} - Pedido #${orderRef}`,
+                badge: entryType === 'reversal' ? "Pago Revertido" : "Reembolso Emitido",
+                title: "Nota Crédito",
+                intro: `Hola ${escapeHtml(buyerName)}, se ha acreditado ${formatPrice(entryAmountCents || 0)} en el pedido #${escapeHtml(orderRef)}.${reason ? ` Motivo: ${escapeHtml(reason)}.` : ''}`,
+                close: "Si tiene preguntas sobre esta nota crédito, responda a este correo.",
+                filename: `NotaCredito_${orderRef}.pdf`
             }
         };
 
-        const t = strings[lang];
+        const t = isCreditNote ? creditStrings[lang] : strings[lang];
 
         // 4. Template replacements
         const replacements = {
-            "{{params.badgeColor}}": "#10b981",
+            "{{params.badgeColor}}": isCreditNote ? "#e11d48" : "#10b981",
             "{{params.badgeText}}": t.badge,
             "{{params.mainTitle}}": t.title,
             "{{params.mainIntro}}": t.intro,
-            "{{params.orderId}}": orderId,
+            "{{params.orderId}}": escapeHtml(orderRef),
             "{{params.transactionTimestamp}}": transactionTimestamp,
-            "{{params.transactionId}}": finalTxnId,
-            "{{params.paymentMethod}}": paymentMethod || "Other",
+            "{{params.transactionId}}": escapeHtml(finalTxnId),
+            "{{params.paymentMethod}}": escapeHtml(paymentMethod || "Other"),
+            "{{params.taxSummaryRows}}": hasTaxes ? generateTaxSummaryRows(subtotalCents, taxLines, discount, lang, formatPrice, getTaxLabel) : '',
             "{{params.orderTotal}}": formatPrice(orderTotalCents),
+            "{{params.withholdingRow}}": withholding ? generateWithholdingRow(withholding, lang, formatPrice, getWithholdingLabel, formatTaxRate) : '',
             "{{params.totalPaid}}": formatPrice(paidCents),
             "{{params.remainingBalance}}": balanceCents <= 0 ? (lang === 'es' ? "Pagado totalmente" : "Paid in Full") : formatPrice(balanceCents),
             "{{params.balanceColor}}": balanceColor,
-            "{{params.orderTableRows}}": generateTableRows(items),
+            "{{params.orderTableRows}}": generateTableRows(items, formatPrice) + generateShippingRow(shipping, lang, formatPrice),
             "{{params.closeMessage}}": t.close,
-            "{{contact.EMAIL}}": buyerEmail
+            "{{contact.EMAIL}}": escapeHtml(buyerEmail)
         };
 
         for (const [key, value] of Object.entries(replacements)) {
             htmlContent = htmlContent.split(key).join(value);
         }
 
-        // 5. Generate PDF via Doppio (fixed version)
-        const htmlBase64 = Buffer.from(htmlContent, 'utf8').toString('base64');
+        // 5. Generate PDF via Doppio
+        const pdfBuffer = await renderPdf(htmlContent);
 
-        const doppioRes = await fetch('https://api.doppio.sh/v1/render/pdf/direct', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.DOPPIO_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                page: {
-                    setContent: { html: htmlBase64 },
-                    pdf: {
-                        format: 'A4',
-                        printBackground: true,
-                        margin: { top: '1cm', bottom: '1cm', left: '1cm', right: '1cm' }
-                    }
-                }
-            })
-        });
-
-        if (!doppioRes.ok) {
-            const errText = await doppioRes.text();
-            throw new Error(`Doppio API Failed: ${doppioRes.status} - ${errText}`);
-        }
-
-        const pdfArrayBuffer = await doppioRes.arrayBuffer();
-        const pdfBuffer = Buffer.from(pdfArrayBuffer);
+        // Receipts that settle the order carry its electronic invoice (XML and PDF)
+        const invoiceAttachments = !isCreditNote && balanceCents <= 0 ? await getInvoiceAttachments(orderId, order) : [];
 
         // 6. Send email to buyer AND CC finance
         await transporter.sendMail({
             from: '"autoInx Payments" <noreply@autoinx.com>',
-            to: buyerEmail,                    // Buyer receives as main recipient
+            to: buyerEmail,                    // The order's buyer receives as main recipient
             cc: "finance@autoinx.com",         // Finance gets a copy
             subject: t.subject,                // Customer-friendly subject
             html: htmlContent,
@@ -172,7 +329,8 @@ exports.handler = async function (event) {
                     filename: t.filename,
                     content: pdfBuffer,
                     contentType: 'application/pdf'
-                }
+                },
+                ...invoiceAttachments
             ]
         });
 
@@ -188,16 +346,16 @@ exports.handler = async function (event) {
         });
         */
 
-        return {
+        return idempotency.complete({
             statusCode: 200,
             body: JSON.stringify({ message: "Receipt sent successfully to buyer and finance team" })
-        };
+        });
 
     } catch (error) {
         console.error("Critical Receipt Error:", error);
-        return {
+        return idempotency.complete({
             statusCode: 500,
             body: JSON.stringify({ error: error.message || "Internal server error" })
-        };
+        });
     }
 };
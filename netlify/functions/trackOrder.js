@@ -0,0 +1,83 @@
+/**
+ * Netlify Function (Public) behind track.html, where customers follow an order without signing in.
+ * POST { orderNumber, email } -> status, status history, carrier tracking, estimated delivery and shipments
+ * The email must be the one the order was placed with. Addresses, prices and admin details are never
+ * returned (js/utilities/tracking.js buildPublicTracking).
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+
+// Rate limiting (per warm instance) so order number and email pairs cannot be guessed by brute force
+const rateLimitStore = {};
+const MAX_REQUESTS_PER_HOUR = 30;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Rate Limiting ---
+    const clientIp = event.headers['client-ip'] || event.headers['x-nf-client-connection-ip'] || 'unknown';
+    const now = Date.now();
+    rateLimitStore[clientIp] = (rateLimitStore[clientIp] || []).filter(timestamp => timestamp > now - RATE_LIMIT_WINDOW_MS);
+
+    if (rateLimitStore[clientIp].length >= MAX_REQUESTS_PER_HOUR) {
+        console.warn(`Rate limit exceeded for IP: ${clientIp} on trackOrder.`);
+        return { statusCode: 429, body: JSON.stringify({ error: 'Rate limit exceeded. Please try again later.' }) };
+    }
+    rateLimitStore[clientIp].push(now);
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { normalizeOrderNumber, emailsMatch, buildPublicTracking } = await import('./js/utilities/tracking.js');
+    const { SHIPMENTS_SUBCOLLECTION } = await import('./js/utilities/shipments.js');
+
+    // --- 2. Input Validation ---
+    const orderNumber = normalizeOrderNumber(requestBody.orderNumber);
+    const { email } = requestBody;
+    if (!orderNumber || orderNumber.length > 40 || typeof email !== 'string' || !email.includes('@')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Enter your order number and the email you ordered with.' }) };
+    }
+
+    try {
+        const ordersSnap = await db.collection(ORDERS_COLLECTION).where('orderNumber', '==', orderNumber).limit(1).get();
+        const orderDoc = ordersSnap.docs[0];
+        // A wrong email is reported like a missing order so order numbers cannot be probed
+        if (!orderDoc || !emailsMatch(orderDoc.data().buyerEmail, email)) {
+            return { statusCode: 404, body: JSON.stringify({ error: 'Order not found.' }) };
+        }
+
+        const order = orderDoc.data();
+        const shipmentsSnap = (order.shipmentCount || 0) > 0
+            ? await orderDoc.ref.collection(SHIPMENTS_SUBCOLLECTION).get()
+            : { docs: [] };
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(buildPublicTracking(order, shipmentsSnap.docs.map(doc => doc.data())))
+        };
+    } catch (error) {
+        console.error(`Error tracking order ${orderNumber}:`, error);
+        return { statusCode: 500, body: JSON.stringify({ error: 'Failed to load order tracking', details: error.message }) };
+    }
+};
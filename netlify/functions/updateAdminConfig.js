@@ -76,6 +76,53 @@ exports.handler = async function (event) {
             };
         }
 
+        // Store-wide tax settings; orders freeze a copy, so changes only affect new orders
+        if (updates.hasOwnProperty('taxSettings') && updates.taxSettings && typeof updates.taxSettings === 'object') {
+            const { MAX_WITHHOLDING_RATE } = await import('./js/utilities/taxes.js');
+            const { pricesIncludeTax, withholdingRate, withholdingMinBaseCents } = updates.taxSettings;
+            if (typeof withholdingRate !== 'number' || withholdingRate < 0 || withholdingRate > MAX_WITHHOLDING_RATE) {
+                return { statusCode: 400, body: JSON.stringify({ error: `The withholding rate must be between 0% and ${MAX_WITHHOLDING_RATE * 100}%.` }) };
+            }
+            if (!Number.isInteger(withholdingMinBaseCents) || withholdingMinBaseCents < 0) {
+                return { statusCode: 400, body: JSON.stringify({ error: 'The withholding minimum base must be a whole number of cents (0 or more).' }) };
+            }
+            allowedUpdates.taxSettings = {
+                pricesIncludeTax: pricesIncludeTax !== false,
+                withholdingRate,
+                withholdingMinBaseCents,
+            };
+        }
+
+        // Seller details and DIAN numbering ranges for electronic invoices (see js/utilities/invoices.js)
+        if (updates.hasOwnProperty('invoiceSettings') && updates.invoiceSettings && typeof updates.invoiceSettings === 'object') {
+            const { normalizeInvoiceSettings } = await import('./js/utilities/invoices.js');
+            const normalized = normalizeInvoiceSettings(updates.invoiceSettings);
+            if (normalized.error) {
+                return { statusCode: 400, body: JSON.stringify({ error: normalized.error }) };
+            }
+            allowedUpdates.invoiceSettings = normalized.settings;
+        }
+
+        // Cadence of the payment reminders sent by sendPaymentReminders (see js/utilities/receivables.js)
+        if (updates.hasOwnProperty('paymentReminders') && updates.paymentReminders && typeof updates.paymentReminders === 'object') {
+            const { normalizeReminderSettings } = await import('./js/utilities/receivables.js');
+            const normalized = normalizeReminderSettings(updates.paymentReminders);
+            if (normalized.error) {
+                return { statusCode: 400, body: JSON.stringify({ error: normalized.error }) };
+            }
+            allowedUpdates.paymentReminders = normalized.settings;
+        }
+
+        // Per-location low-stock thresholds for the Inventory tab (see js/utilities/stockLocations.js)
+        if (updates.hasOwnProperty('lowStockThresholds') && updates.lowStockThresholds && typeof updates.lowStockThresholds === 'object') {
+            const { normalizeLowStockThresholds } = await import('./js/utilities/stockLocations.js');
+            const normalized = normalizeLowStockThresholds(updates.lowStockThresholds);
+            if (normalized.error) {
+                return { statusCode: 400, body: JSON.stringify({ error: normalized.error }) };
+            }
+            allowedUpdates.lowStockThresholds = normalized.thresholds;
+        }
+
         if (Object.keys(allowedUpdates).length === 0) {
             return { statusCode: 400, body: JSON.stringify({ error: 'No valid update fields provided' }) };
         }
@@ -0,0 +1,244 @@
+/**
+ * Netlify Function (Admin Only) to add, remove or transfer stock for one item from the Inventory tab.
+ * POST { itemId, action: 'add' | 'remove', quantity, location?, note? }
+ * POST { itemId, action: 'transfer', quantity, fromLocation, toLocation, note? }
+ * `location` defaults to the main warehouse (see js/utilities/stockLocations.js). Units that become
+ * sellable (added at, or transferred from in-transit to, a sellable location) go to orders waiting on
+ * backordered units of the item first, oldest order first, in the same transaction; only what is left
+ * over becomes sellable stock. Each customer whose order received units is emailed.
+ * The change is an adjustment movement (or a pair of transfer movements) in the inventory ledger, and
+ * each unit handed to a waiting order is a sale movement against that order.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const MAX_ADJUSTMENT = 100000;
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { itemId, action, quantity, note } = requestBody;
+    const { DEFAULT_LOCATION, isStockLocation, isSellableLocation, getLocationLabel, getSellableStock, planLocationTake } = await import('./js/utilities/stockLocations.js');
+    const location = requestBody.location || DEFAULT_LOCATION;
+    const { fromLocation, toLocation } = requestBody;
+
+    // --- 2. Input Validation ---
+    if (!itemId || typeof itemId !== 'string' || itemId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid itemId.' }) };
+    }
+    if (!['add', 'remove', 'transfer'].includes(action)) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Action must be "add", "remove" or "transfer".' }) };
+    }
+    if (action === 'transfer'
+        ? (!isStockLocation(fromLocation) || !isStockLocation(toLocation) || fromLocation === toLocation)
+        : !isStockLocation(location)) {
+        return { statusCode: 400, body: JSON.stringify({ error: action === 'transfer' ? 'A transfer needs two different, valid locations.' : 'Unknown stock location.' }) };
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0 || quantity > MAX_ADJUSTMENT) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Quantity must be a whole number between 1 and ${MAX_ADJUSTMENT}.` }) };
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+        return { statusCode: 400, body: JSON.stringify({ error: 'The note must be text.' }) };
+    }
+
+    const { planBackorderAllocation, hasOpenBackorders } = await import('./js/utilities/backorders.js');
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+    const { createInventoryLedger } = await import('./js/utilities/inventoryLedger.js');
+
+    const idempotency = await claimIdempotencyKey(db, 'updateItemStock', event, decodedToken.uid);
+    if (idempotency.response) return idempotency.response;
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+    const itemRef = db.collection(ITEMS_COLLECTION).doc(itemId);
+    let item;
+    let oldStock;
+    let newStock;
+    let stockByLocation;
+    let allocations = [];
+
+    try {
+        // --- 3. Adjust stock and hand added units to backordered orders atomically ---
+        await db.runTransaction(async (transaction) => {
+            const itemSnap = await transaction.get(itemRef);
+            if (!itemSnap.exists) {
+                const notFound = new Error(`Item ${itemId} not found.`);
+                notFound.statusCode = 404;
+                throw notFound;
+            }
+            // Only units that become sellable can fill backorders
+            const becomesSellable = action === 'add'
+                ? isSellableLocation(location)
+                : action === 'transfer' && isSellableLocation(toLocation) && !isSellableLocation(fromLocation);
+            const waitingSnap = becomesSellable
+                ? await transaction.get(db.collection(ORDERS_COLLECTION).where('hasBackorders', '==', true))
+                : null;
+
+            item = itemSnap.data();
+            oldStock = typeof item.stock === 'number' ? item.stock : 0;
+            const ledger = createInventoryLedger(db, { performedBy });
+            const onHand = ledger.stockByLocation(itemSnap);
+            allocations = [];
+
+            if (action === 'remove') {
+                if (onHand[location] > 0) {
+                    ledger.move(itemSnap, { type: 'adjustment', location, quantityDelta: -Math.min(quantity, onHand[location]), reference: { kind: 'manual' }, note });
+                }
+            } else if (action === 'transfer') {
+                if (onHand[fromLocation] < quantity) {
+                    throw Object.assign(new Error(`Only ${onHand[fromLocation]} unit(s) of ${item.name} are at ${getLocationLabel(fromLocation)}.`), { statusCode: 409 });
+                }
+                ledger.transfer(itemSnap, { from: fromLocation, to: toLocation, quantity, reference: { kind: 'manual' }, note });
+            } else {
+                ledger.move(itemSnap, { type: 'adjustment', location, quantityDelta: quantity, reference: { kind: 'manual' }, note });
+            }
+
+            if (becomesSellable) {
+                const waiting = waitingSnap.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+                allocations = planBackorderAllocation(waiting, itemId, getSellableStock(ledger.stockByLocation(itemSnap)));
+                const arrivedAt = action === 'transfer' ? toLocation : location;
+                allocations.forEach(entry => planLocationTake(ledger.stockByLocation(itemSnap), entry.allocated, arrivedAt).forEach(part => ledger.move(itemSnap, {
+                    type: 'sale',
+                    location: part.location,
+                    quantityDelta: -part.quantity,
+                    reference: { kind: 'order', id: entry.orderId, number: entry.order.orderNumber },
+                    note: 'Backorder allocation'
+                })));
+            }
+            newStock = ledger.movements.length > 0 ? ledger.balance(itemId) : oldStock;
+            stockByLocation = ledger.stockByLocation(itemSnap);
+
+            ledger.write(transaction);
+            allocations.forEach(entry => {
+                const history = [...(entry.order.backorderAllocations || []), { itemId, quantity: entry.allocated, by: performedBy, at: new Date().toISOString() }];
+                entry.allocationCount = history.length;
+                transaction.update(db.collection(ORDERS_COLLECTION).doc(entry.orderId), {
+                    items: entry.items,
+                    hasBackorders: hasOpenBackorders(entry.items),
+                    backorderAllocations: history,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+            });
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'INVENTORY_UPDATED',
+            objectId: itemId,
+            details: {
+                itemId,
+                item: item.name,
+                action,
+                amount: quantity,
+                ...(action === 'transfer' ? { fromLocation, toLocation } : { location }),
+                oldStock,
+                newStock,
+                note: note || null,
+                backorderAllocations: allocations.map(entry => ({ orderId: entry.orderId, orderNumber: entry.order.orderNumber || null, quantity: entry.allocated }))
+            },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // --- 4. Tell each waiting customer their backordered parts have arrived ---
+        const notified = [];
+        for (const entry of allocations) {
+            const { createdAt, updatedAt, ...emailOrder } = entry.order;
+            try {
+                const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendOrderConfirmation`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${entry.orderId}:backorder:${entry.allocationCount}` },
+                    body: JSON.stringify({
+                        ...emailOrder,
+                        orderId: entry.orderId,
+                        items: [{ ...entry.items.find(line => line.id === itemId), quantity: entry.allocated, backorderedQuantity: 0 }],
+                        newStatus: emailOrder.status,
+                        backorderAllocation: { itemName: item.name, quantity: entry.allocated, complete: entry.complete },
+                        communicationLang: emailOrder.communicationLang || emailOrder.language || 'es'
+                    })
+                });
+                if (emailResponse.ok) {
+                    notified.push(entry.orderId);
+                } else {
+                    console.error(`Backorder email failed for order ${entry.orderId}: ${await emailResponse.text()}`);
+                }
+            } catch (emailError) {
+                // The allocation is committed; the admin sees which customers were not emailed
+                console.error(`Backorder email trigger failed for order ${entry.orderId}:`, emailError);
+            }
+        }
+
+        return idempotency.complete({
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: action === 'transfer'
+                    ? `${quantity} unit(s) of ${item.name} moved from ${getLocationLabel(fromLocation)} to ${getLocationLabel(toLocation)}.`
+                    : `${item.name} stock updated from ${oldStock} to ${newStock}.`,
+                itemId,
+                oldStock,
+                newStock,
+                stockByLocation,
+                allocations: allocations.map(entry => ({
+                    orderId: entry.orderId,
+                    orderNumber: entry.order.orderNumber || null,
+                    quantity: entry.allocated,
+                    complete: entry.complete,
+                    emailSent: notified.includes(entry.orderId)
+                }))
+            }),
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return idempotency.complete({ statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) });
+        }
+
+        console.error(`Error updating stock for item ${itemId}:`, error);
+        return idempotency.complete({
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to update stock', details: error.message }),
+        });
+    }
+};
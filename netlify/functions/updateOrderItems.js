@@ -0,0 +1,273 @@
+/**
+ * Netlify Function (Admin Only) to change the lines of an order from the order edit modal.
+ * POST { orderId, items: [{ id, quantity }] }
+ * Lines are priced from the catalog at the order's frozen exchange rate, as the modal's draft shows
+ * them; the order's discount rule, tax settings and shipping fee are applied again to the new lines.
+ * Stock follows the edit in the same transaction as the order update: added units are sale movements
+ * at the order's fulfillment location (what is not on the shelves waits on backorder, as a manual
+ * order never fails for lack of stock), and removed units are return movements, taken from the
+ * line's backordered units first since those were never taken from stock.
+ * Cancelled orders, orders with shipments and totals on an issued invoice cannot be edited.
+ */
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const MAX_LINE_QUANTITY = 100000;
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { orderId, items } = requestBody;
+
+    // --- 2. Input Validation ---
+    if (!orderId || typeof orderId !== 'string' || orderId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid orderId.' }) };
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'An order needs at least one line; cancel it instead of removing every item.' }) };
+    }
+    const invalidLine = items.find(line => !line || !line.id || typeof line.id !== 'string' || line.id.includes('/')
+        || !Number.isInteger(line.quantity) || line.quantity <= 0 || line.quantity > MAX_LINE_QUANTITY);
+    if (invalidLine) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Each line needs an item id and a whole quantity between 1 and ${MAX_LINE_QUANTITY}.` }) };
+    }
+    if (new Set(items.map(line => line.id)).size !== items.length) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Each item can only appear on one line.' }) };
+    }
+
+    const { getTaxCategory, computeOrderTaxes, getAmountDueCents } = await import('./js/utilities/taxes.js');
+    const { computeDiscount, setLineDiscounts } = await import('./js/utilities/promotions.js');
+    const { convertFromCatalog } = await import('./js/utilities/currency.js');
+    const { getBackorderPolicy, estimateShipDays, hasOpenBackorders } = await import('./js/utilities/backorders.js');
+    const { DEFAULT_LOCATION, getSellableStock, planLocationTake } = await import('./js/utilities/stockLocations.js');
+    const { createInventoryLedger } = await import('./js/utilities/inventoryLedger.js');
+    const { computePaidCents } = await import('./js/utilities/paymentLedger.js');
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+
+    const idempotency = await claimIdempotencyKey(db, 'updateOrderItems', event, decodedToken.uid);
+    if (idempotency.response) return idempotency.response;
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+    const orderRef = db.collection(ORDERS_COLLECTION).doc(orderId);
+    let order;
+    let orderUpdate;
+    let stockChanges = [];
+
+    try {
+        // --- 3. Reprice the lines and move their stock with the order update ---
+        await db.runTransaction(async (transaction) => {
+            const orderSnap = await transaction.get(orderRef);
+            if (!orderSnap.exists) {
+                throw Object.assign(new Error(`Order ${orderId} not found.`), { statusCode: 404 });
+            }
+            order = orderSnap.data();
+            const orderRefLabel = order.orderNumber || orderId;
+            if (order.status === 'Cancelled') {
+                throw Object.assign(new Error(`Order ${orderRefLabel} is cancelled; its items can no longer be changed.`), { statusCode: 409 });
+            }
+            if ((order.shipmentCount || 0) > 0) {
+                throw Object.assign(new Error(`Order ${orderRefLabel} has shipments; record a return instead of editing its items.`), { statusCode: 409 });
+            }
+
+            const storedLines = new Map((order.items || []).map(line => [line.id, line]));
+            const itemIds = [...new Set([...items.map(line => line.id), ...storedLines.keys()])];
+            const itemSnaps = await transaction.getAll(...itemIds.map(id => db.collection(ITEMS_COLLECTION).doc(id)));
+            const snapsById = new Map(itemIds.map((id, index) => [id, itemSnaps[index]]));
+
+            // Items deleted or unpriced since keep their stored line; new lines need a priced catalog item
+            const isPriced = snap => snap.exists && typeof snap.data().price === 'number';
+            const missing = items.find(line => !isPriced(snapsById.get(line.id)) && !storedLines.has(line.id));
+            if (missing) {
+                throw Object.assign(new Error(`Item ${missing.id} not found or has no price.`), { statusCode: 404 });
+            }
+
+            const location = order.fulfillmentLocation || DEFAULT_LOCATION;
+            const ledger = createInventoryLedger(db, { performedBy });
+            const reference = { kind: 'order', id: orderId, number: order.orderNumber };
+            const note = 'Order items edited';
+            const changes = [];
+
+            let lines = items.map(({ id, quantity }) => {
+                const snap = snapsById.get(id);
+                const item = snap.exists ? snap.data() : null;
+                const { discountCents, ...storedLine } = storedLines.get(id) || {};
+                const line = {
+                    ...storedLine,
+                    id,
+                    name: item ? item.name : storedLine.name,
+                    sku: item ? item.sku || null : storedLine.sku || null,
+                    price: isPriced(snap) ? convertFromCatalog(item.price, order.exchangeRate || null) : storedLine.price,
+                    quantity,
+                    ...(order.taxSettings ? { taxCategory: item ? getTaxCategory(item) : storedLine.taxCategory } : {})
+                };
+
+                const previousQuantity = storedLine.quantity || 0;
+                const previousBackordered = storedLine.backorderedQuantity || 0;
+                if (quantity < previousQuantity) {
+                    const cancelledBackorder = Math.min(previousBackordered, previousQuantity - quantity);
+                    const returned = previousQuantity - quantity - cancelledBackorder;
+                    if (previousBackordered > 0) line.backorderedQuantity = previousBackordered - cancelledBackorder;
+                    if (returned > 0 && snap.exists) {
+                        ledger.move(snap, { type: 'return', location, quantityDelta: returned, reference, note });
+                        changes.push({ id, returned });
+                    }
+                } else if (quantity > previousQuantity && snap.exists) {
+                    const added = quantity - previousQuantity;
+                    const onHand = ledger.stockByLocation(snap);
+                    const taken = Math.min(added, getSellableStock(onHand));
+                    planLocationTake(onHand, taken, location).forEach(part => ledger.move(snap, {
+                        type: 'sale',
+                        location: part.location,
+                        quantityDelta: -part.quantity,
+                        reference,
+                        note
+                    }));
+                    if (added > taken) {
+                        Object.assign(line, {
+                            backordered: true,
+                            backorderedQuantity: previousBackordered + added - taken,
+                            backorderPolicy: getBackorderPolicy(item),
+                            estimatedShipDays: estimateShipDays(item)
+                        });
+                    }
+                    changes.push({ id, taken, backordered: added - taken });
+                }
+                return line;
+            });
+
+            // Removed lines give back what they took from stock
+            storedLines.forEach((storedLine, id) => {
+                if (items.some(line => line.id === id)) return;
+                const returned = (storedLine.quantity || 0) - (storedLine.backorderedQuantity || 0);
+                const snap = snapsById.get(id);
+                if (returned > 0 && snap.exists) {
+                    ledger.move(snap, { type: 'return', location, quantityDelta: returned, reference, note });
+                    changes.push({ id, returned });
+                }
+            });
+
+            // The order's frozen discount rule is applied again, and dropped once the lines no longer qualify
+            let discount = null;
+            if (order.discount) {
+                const result = computeDiscount(order.discount, lines.map(line => {
+                    const snap = snapsById.get(line.id);
+                    return { ...line, catalogId: snap.exists ? snap.data().catalogId || null : null };
+                }));
+                if (!result.error) {
+                    lines = setLineDiscounts(lines, result.lineDiscounts);
+                    discount = { ...order.discount, amountCents: result.amountCents };
+                }
+            }
+
+            const shippingCents = order.shipping ? order.shipping.feeCents : 0;
+            orderUpdate = { items: lines };
+            if (order.taxSettings) {
+                const taxes = computeOrderTaxes(lines, order.taxSettings, order.buyerWithholdsTax === true);
+                Object.assign(orderUpdate, {
+                    subtotalCents: taxes.subtotalCents,
+                    taxLines: taxes.taxLines,
+                    taxCents: taxes.taxCents,
+                    withholding: taxes.withholding,
+                    discount,
+                    totalCents: taxes.goodsTotalCents + shippingCents
+                });
+            } else {
+                orderUpdate.totalCents = lines.reduce((sum, line) => sum + line.price * line.quantity, 0) + shippingCents;
+            }
+
+            // An issued invoice is final: changing what was billed needs a credit note, not an edit
+            if (order.invoice && orderUpdate.totalCents !== order.totalCents) {
+                throw Object.assign(new Error(`Order ${orderRefLabel} has electronic invoice ${order.invoice.number}; its items and totals can no longer be changed.`), { statusCode: 409 });
+            }
+
+            const paidCents = Array.isArray(order.paymentHistory) ? computePaidCents(order.paymentHistory) : (order.paidCents || 0);
+            Object.assign(orderUpdate, {
+                hasBackorders: hasOpenBackorders(lines),
+                isPaid: paidCents >= getAmountDueCents({ ...order, ...orderUpdate }),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            ledger.write(transaction);
+            transaction.update(orderRef, orderUpdate);
+            stockChanges = changes;
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'ORDER_ITEMS_UPDATE',
+            objectId: orderId,
+            details: {
+                orderNumber: order.orderNumber || null,
+                fromTotalCents: order.totalCents,
+                toTotalCents: orderUpdate.totalCents,
+                lines: orderUpdate.items.map(line => ({ id: line.id, quantity: line.quantity })),
+                stockChanges
+            },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return idempotency.complete({
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Order ${order.orderNumber || orderId} items updated.`,
+                orderId,
+                totalCents: orderUpdate.totalCents,
+                hasBackorders: orderUpdate.hasBackorders,
+                stockChanges
+            }),
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return idempotency.complete({ statusCode: error.statusCode, body: JSON.stringify({ error: error.message }) });
+        }
+
+        console.error(`Error updating items of order ${orderId}:`, error);
+        return idempotency.complete({
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to update order items', details: error.message }),
+        });
+    }
+};
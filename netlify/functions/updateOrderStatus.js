@@ -0,0 +1,269 @@
+/**
+ * Netlify Function (Admin Only) to move an order to a new status.
+ * Transitions are validated against the shared state machine, every change is appended to the
+ * order's statusHistory, cancelling puts the order's items back in stock at its fulfillment location
+ * (return movements in the inventory ledger) and gives back its discount code redemption, and the
+ * server decides whether the customer is notified.
+ * Once an order has shipments, its shipping statuses come from createShipment / updateShipmentStatus
+ * and are refused here.
+ * POST { orderId, newStatus, reason?, tracking?: { carrier, trackingNumber?, trackingUrl?, estimatedDelivery? } }
+ * `tracking` records a courier without an integration (requestDelivery books the integrated ones)
+ * when the order is marked Shipped; the Shipped email and the public tracking page show it.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const PROMOTIONS_COLLECTION = process.env.PROMOTIONS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/promotions';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const MAX_REASON_LENGTH = 500;
+
+// Helper function to sanitize strings and remove HTML/script tags
+function sanitizeString(str) {
+    if (!str) return '';
+    return String(str).replace(/</g, "&lt;").replace(/>/g, "&gt;").trim();
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { orderId, newStatus, reason, tracking } = requestBody;
+
+    const {
+        ORDER_STATUSES,
+        normalizeStatus,
+        canTransition,
+        getAllowedTransitions,
+        shouldNotifyCustomer,
+        buildStatusHistoryEntry
+    } = await import('./js/utilities/orderStatus.js');
+    const { SHIPMENTS_SUBCOLLECTION, SHIPMENT_DERIVED_STATUSES, isActiveShipment } = await import('./js/utilities/shipments.js');
+    const { normalizeTrackingInput } = await import('./js/utilities/tracking.js');
+    const { createInventoryLedger } = await import('./js/utilities/inventoryLedger.js');
+    const { DEFAULT_LOCATION } = await import('./js/utilities/stockLocations.js');
+    const { readRedemptionForRelease, releaseRedemption } = await import('./js/utilities/promotions.js');
+    const { convertToCatalog } = await import('./js/utilities/currency.js');
+
+    // --- 2. Input Validation ---
+    if (!orderId || typeof orderId !== 'string' || orderId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid orderId.' }) };
+    }
+    if (!ORDER_STATUSES.includes(newStatus)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Unknown status "${newStatus}". Expected one of: ${ORDER_STATUSES.join(', ')}.` }) };
+    }
+    let normalizedTracking = null;
+    if (tracking !== undefined && tracking !== null) {
+        if (newStatus !== 'Shipped') {
+            return { statusCode: 400, body: JSON.stringify({ error: 'Tracking details can only be given when marking the order Shipped.' }) };
+        }
+        const result = normalizeTrackingInput(tracking);
+        if (result.error) {
+            return { statusCode: 400, body: JSON.stringify({ error: result.error }) };
+        }
+        normalizedTracking = result.tracking;
+    }
+
+    const sanitizedReason = sanitizeString(reason).substring(0, MAX_REASON_LENGTH) || null;
+    const performedBy = decodedToken.email || decodedToken.uid;
+    const orderRef = db.collection(ORDERS_COLLECTION).doc(orderId);
+
+    let previousStatus;
+    let orderData;
+    let restockedItems = [];
+
+    try {
+        // --- 3. Validate the transition and apply it atomically ---
+        await db.runTransaction(async (transaction) => {
+            const orderSnap = await transaction.get(orderRef);
+            if (!orderSnap.exists) {
+                const notFound = new Error(`Order ${orderId} not found.`);
+                notFound.statusCode = 404;
+                throw notFound;
+            }
+
+            orderData = orderSnap.data();
+            previousStatus = normalizeStatus(orderData.status);
+
+            if (!canTransition(previousStatus, newStatus)) {
+                const allowed = getAllowedTransitions(previousStatus);
+                const illegal = new Error(`Cannot change order status from ${previousStatus} to ${newStatus}.`);
+                illegal.statusCode = 409;
+                illegal.allowedTransitions = allowed;
+                throw illegal;
+            }
+
+            const hasShipments = (orderData.shipmentCount || 0) > 0;
+            if (newStatus === 'Partially Shipped' || (hasShipments && SHIPMENT_DERIVED_STATUSES.includes(newStatus))) {
+                const derived = new Error(`${newStatus} is set from the order's shipments. Create or update a shipment instead.`);
+                derived.statusCode = 409;
+                derived.allowedTransitions = getAllowedTransitions(previousStatus);
+                throw derived;
+            }
+            if (newStatus === 'Cancelled' && hasShipments) {
+                const shipmentsSnap = await transaction.get(orderRef.collection(SHIPMENTS_SUBCOLLECTION));
+                if (shipmentsSnap.docs.some(doc => isActiveShipment(doc.data()))) {
+                    const active = new Error('This order has active shipments. Cancel them before cancelling the order.');
+                    active.statusCode = 409;
+                    active.allowedTransitions = getAllowedTransitions(previousStatus);
+                    throw active;
+                }
+            }
+
+            // Cancelling returns the quantities taken from stock (items deleted since are skipped);
+            // units still on backorder were never taken, so they are not added back
+            const stockUpdates = [];
+            let promotionRead = null;
+            if (newStatus === 'Cancelled') {
+                const lines = (orderData.items || [])
+                    .map(line => ({ id: line.id, quantity: line.quantity - (line.backorderedQuantity || 0) }))
+                    .filter(line => line.id && line.quantity > 0);
+                const itemSnaps = lines.length > 0
+                    ? await transaction.getAll(...lines.map(line => db.collection(ITEMS_COLLECTION).doc(line.id)))
+                    : [];
+                itemSnaps.forEach((snap, index) => {
+                    if (snap.exists) stockUpdates.push({ snap, id: lines[index].id, quantity: lines[index].quantity });
+                });
+                promotionRead = await readRedemptionForRelease(transaction, db, PROMOTIONS_COLLECTION, orderData);
+            }
+
+            const ledger = createInventoryLedger(db, { performedBy });
+            stockUpdates.forEach(update => ledger.move(update.snap, {
+                type: 'return',
+                location: orderData.fulfillmentLocation || DEFAULT_LOCATION,
+                quantityDelta: update.quantity,
+                reference: { kind: 'order', id: orderId, number: orderData.orderNumber },
+                note: sanitizedReason ? `Order cancelled: ${sanitizedReason}` : 'Order cancelled'
+            }));
+            ledger.write(transaction);
+            restockedItems = stockUpdates.map(update => ({ id: update.id, quantity: update.quantity }));
+
+            const historyEntry = buildStatusHistoryEntry(previousStatus, newStatus, performedBy, sanitizedReason);
+            const orderUpdate = {
+                status: newStatus,
+                statusHistory: [...(orderData.statusHistory || []), historyEntry],
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            };
+            if (newStatus === 'Cancelled') {
+                orderUpdate.stockRestored = true;
+                orderUpdate.hasBackorders = false;
+            }
+            if (promotionRead) {
+                releaseRedemption(transaction, promotionRead, { discountCatalogCents: convertToCatalog(orderData.discount.amountCents || 0, orderData.exchangeRate) });
+                orderUpdate.redemptionReleased = true;
+            }
+            if (normalizedTracking) {
+                orderUpdate.tracking = { ...normalizedTracking, recordedBy: performedBy, recordedAt: historyEntry.at };
+            }
+
+            transaction.update(orderRef, orderUpdate);
+            orderData = { ...orderData, ...orderUpdate };
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'ORDER_STATUS_UPDATE',
+            objectId: orderId,
+            details: { from: previousStatus, to: newStatus, reason: sanitizedReason, restockedItems, tracking: normalizedTracking },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // --- 4. Notify the customer when the transition calls for it ---
+        const notify = shouldNotifyCustomer(previousStatus, newStatus);
+        let emailSent = false;
+
+        if (notify) {
+            try {
+                const { createdAt, updatedAt, ...emailOrder } = orderData;
+                const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendOrderConfirmation`, {
+                    method: 'POST',
+                    // One email per history entry, even if this function is retried after the commit
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${orderId}:status:${orderData.statusHistory.length}` },
+                    body: JSON.stringify({
+                        ...emailOrder,
+                        orderId,
+                        newStatus,
+                        communicationLang: orderData.communicationLang || orderData.language || 'es'
+                    })
+                });
+                emailSent = emailResponse.ok;
+                if (!emailResponse.ok) {
+                    console.error(`Status email failed for order ${orderId}: ${await emailResponse.text()}`);
+                }
+            } catch (emailError) {
+                // The status change is committed; a failed email is reported, not rolled back
+                console.error(`Status email trigger failed for order ${orderId}:`, emailError);
+            }
+        }
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Order status updated from ${previousStatus} to ${newStatus}.`,
+                orderId,
+                from: previousStatus,
+                to: newStatus,
+                notified: notify,
+                emailSent,
+                restockedItems,
+                allowedTransitions: getAllowedTransitions(newStatus)
+            }),
+        };
+
+    } catch (error) {
+        if (error.statusCode) {
+            return {
+                statusCode: error.statusCode,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: error.message, allowedTransitions: error.allowedTransitions }),
+            };
+        }
+
+        console.error(`Error updating status for order ${orderId}:`, error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to update order status', details: error.message }),
+        };
+    }
+};
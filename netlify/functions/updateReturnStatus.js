@@ -0,0 +1,380 @@
+/**
+ * Netlify Function (Admin Only) to move a return (RMA) through its workflow.
+ * POST { returnId, action, note?, dispositions?, amountCents?, method? }
+ *   approve | reject   decide on a Requested return (reject needs a note)
+ *   receive            goods are back; `dispositions` maps every line's item id to 'restock' or 'scrap',
+ *                      and restocked quantities go back to the items' stock at the order's fulfillment
+ *                      location as return movements
+ *   refund             appends a refund to the order's payment ledger (defaults to the returned lines' value)
+ *                      and emails a credit note
+ *   replace            creates a no-charge replacement order for the returned lines, taking their stock
+ *                      (sale movements against the replacement order)
+ * Every step emails the customer in the order's communicationLang.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const ITEMS_COLLECTION = process.env.ITEMS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/items';
+const RETURNS_COLLECTION = process.env.RETURNS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/returns';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const MAX_NOTE_LENGTH = 500;
+
+// Helper function to sanitize strings and remove HTML/script tags
+function sanitizeString(str) {
+    if (!str) return '';
+    return String(str).replace(/</g, "&lt;").replace(/>/g, "&gt;").trim().substring(0, MAX_NOTE_LENGTH);
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { returnId, action, note, dispositions = {}, amountCents, method } = requestBody;
+
+    const {
+        RETURN_ACTIONS,
+        RETURN_STATUS_TRANSITIONS,
+        canTransitionReturn,
+        validateDispositions,
+        returnValueCents,
+        buildReturnHistoryEntry
+    } = await import('./js/utilities/returns.js');
+    const { computePaidCents, creditExceedsPaid } = await import('./js/utilities/paymentLedger.js');
+    const { buildStatusHistoryEntry } = await import('./js/utilities/orderStatus.js');
+    const { allocateOrderNumber } = await import('./js/utilities/orderNumbers.js');
+    const { claimIdempotencyKey } = await import('./js/utilities/idempotency.js');
+    const { getAmountDueCents, computeOrderTaxes } = await import('./js/utilities/taxes.js');
+    const { createInventoryLedger } = await import('./js/utilities/inventoryLedger.js');
+    const { DEFAULT_LOCATION, planLocationTake } = await import('./js/utilities/stockLocations.js');
+
+    // --- 2. Input Validation ---
+    if (!returnId || typeof returnId !== 'string' || returnId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid returnId.' }) };
+    }
+    if (!RETURN_ACTIONS[action]) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Unknown action "${action}". Expected one of: ${Object.keys(RETURN_ACTIONS).join(', ')}.` }) };
+    }
+    const sanitizedNote = sanitizeString(note) || null;
+    if (action === 'reject' && !sanitizedNote) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'A note explaining the rejection is required.' }) };
+    }
+    if (amountCents !== undefined && (!Number.isInteger(amountCents) || amountCents <= 0)) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'amountCents must be a positive whole number of cents.' }) };
+    }
+
+    // Refunds and replacements are not repeatable, so a retried click must not run twice
+    const idempotency = await claimIdempotencyKey(db, 'updateReturnStatus', event, decodedToken.uid);
+    if (idempotency.response) return idempotency.response;
+
+    const newStatus = RETURN_ACTIONS[action];
+    const performedBy = decodedToken.email || decodedToken.uid;
+    const returnRef = db.collection(RETURNS_COLLECTION).doc(returnId);
+
+    let returnData;
+    let order;
+    let previousStatus;
+    let refundEntry = null;
+    let ledgerUpdate = null;
+    let replacementOrder = null;
+    let restockedItems = [];
+
+    try {
+        // --- 3. Apply the step atomically ---
+        await db.runTransaction(async (transaction) => {
+            const returnSnap = await transaction.get(returnRef);
+            if (!returnSnap.exists) throw httpError(404, `Return ${returnId} not found.`);
+            returnData = returnSnap.data();
+            previousStatus = returnData.status;
+
+            if (!canTransitionReturn(previousStatus, newStatus)) {
+                const illegal = httpError(409, `Cannot ${action} return ${returnData.rmaNumber} while it is ${previousStatus}.`);
+                illegal.allowedTransitions = RETURN_STATUS_TRANSITIONS[previousStatus] || [];
+                throw illegal;
+            }
+
+            const orderRef = db.collection(ORDERS_COLLECTION).doc(returnData.orderId);
+            const orderSnap = await transaction.get(orderRef);
+            if (!orderSnap.exists) throw httpError(404, `Order ${returnData.orderId} for this return no longer exists.`);
+            order = orderSnap.data();
+
+            const returnUpdate = {};
+            const writes = [];
+            const ledger = createInventoryLedger(db, { performedBy });
+
+            if (action === 'receive') {
+                const dispositionError = validateDispositions(returnData.lines, dispositions);
+                if (dispositionError) throw httpError(422, dispositionError);
+
+                // Restocked lines go back on the shelf (items deleted since are skipped); scrapped ones do not
+                const restockLines = returnData.lines.filter(line => dispositions[line.id] === 'restock');
+                const itemSnaps = restockLines.length > 0
+                    ? await transaction.getAll(...restockLines.map(line => db.collection(ITEMS_COLLECTION).doc(line.id)))
+                    : [];
+                itemSnaps.forEach((snap, index) => {
+                    if (!snap.exists) return;
+                    restockedItems.push({ id: restockLines[index].id, quantity: restockLines[index].quantity });
+                    ledger.move(snap, {
+                        type: 'return',
+                        location: order.fulfillmentLocation || DEFAULT_LOCATION,
+                        quantityDelta: restockLines[index].quantity,
+                        reference: { kind: 'return', id: returnId, number: returnData.rmaNumber },
+                        note: `Restocked from order ${order.orderNumber || returnData.orderId}`
+                    });
+                });
+                returnUpdate.lines = returnData.lines.map(line => ({ ...line, disposition: dispositions[line.id] }));
+                returnUpdate.receivedAt = new Date().toISOString();
+            }
+
+            if (action === 'refund') {
+                refundEntry = {
+                    entryId: `LED-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+                    type: 'refund',
+                    // By default the returned lines are refunded with their IVA, priced like the order was
+                    amountCents: amountCents || (order.taxSettings
+                        ? computeOrderTaxes(returnData.lines, order.taxSettings).goodsTotalCents
+                        : returnValueCents(returnData.lines)),
+                    method: sanitizeString(method) || 'Other',
+                    reason: `Return ${returnData.rmaNumber}${sanitizedNote ? `: ${sanitizedNote}` : ''}`,
+                    relatesToEntryId: null,
+                    transactionId: null,
+                    returnId,
+                    recordedBy: performedBy,
+                    date: new Date().toISOString(),
+                };
+                const history = order.paymentHistory || [];
+                if (creditExceedsPaid(refundEntry, history)) {
+                    throw httpError(422, 'The refund cannot exceed the amount paid on the order.');
+                }
+                const paymentHistory = [...history, refundEntry];
+                const paidCents = computePaidCents(paymentHistory);
+                // The refunded return is settled, not owed again: the order's amount due drops with paidCents
+                const returnCreditCents = (order.returnCreditCents || 0) + refundEntry.amountCents;
+                ledgerUpdate = { paymentHistory, paidCents, returnCreditCents, isPaid: paidCents >= getAmountDueCents({ ...order, returnCreditCents }) };
+                writes.push(() => transaction.update(orderRef, { ...ledgerUpdate, updatedAt: admin.firestore.FieldValue.serverTimestamp() }));
+                returnUpdate.refund = { entryId: refundEntry.entryId, amountCents: refundEntry.amountCents };
+            }
+
+            if (action === 'replace') {
+                const itemRefs = returnData.lines.map(line => db.collection(ITEMS_COLLECTION).doc(line.id));
+                const itemSnaps = await transaction.getAll(...itemRefs);
+                const shortages = [];
+                itemSnaps.forEach((snap, index) => {
+                    const line = returnData.lines[index];
+                    const stock = snap.exists ? (snap.data().stock || 0) : 0;
+                    if (stock < line.quantity) shortages.push({ id: line.id, name: line.name, requested: line.quantity, available: stock });
+                });
+                if (shortages.length > 0) {
+                    const outOfStock = httpError(409, 'Not enough stock to send a replacement.');
+                    outOfStock.stockErrors = shortages;
+                    throw outOfStock;
+                }
+
+                const replacementRef = db.collection(ORDERS_COLLECTION).doc();
+                const orderNumber = await allocateOrderNumber(transaction, db);
+                replacementOrder = {
+                    orderNumber,
+                    buyerEmail: order.buyerEmail,
+                    buyerName: order.buyerName,
+                    buyerPhone: order.buyerPhone || null,
+                    communicationLang: returnData.communicationLang,
+                    deliveryAddress: order.deliveryAddress,
+                    geolocation: order.geolocation || null,
+                    // Replacements ship at no charge; the original price stays on the returned order
+                    items: returnData.lines.map(line => ({ id: line.id, name: line.name, sku: line.sku, price: 0, quantity: line.quantity })),
+                    totalCents: 0,
+                    currency: order.currency || null,
+                    exchangeRate: order.exchangeRate || null,
+                    paidCents: 0,
+                    isPaid: true,
+                    userId: order.userId || 'guest',
+                    uid: order.userId || 'guest',
+                    replacementForOrderId: returnData.orderId,
+                    returnId,
+                    fulfillmentLocation: order.fulfillmentLocation || DEFAULT_LOCATION,
+                    status: 'Processing',
+                    statusHistory: [buildStatusHistoryEntry(null, 'Processing', performedBy, `Replacement for return ${returnData.rmaNumber}`)],
+                    createdByAdmin: performedBy,
+                    timestamp: new Date().toISOString(),
+                };
+                itemSnaps.forEach((snap, index) => planLocationTake(ledger.stockByLocation(snap), returnData.lines[index].quantity, replacementOrder.fulfillmentLocation)
+                    .forEach(part => ledger.move(snap, {
+                        type: 'sale',
+                        location: part.location,
+                        quantityDelta: -part.quantity,
+                        reference: { kind: 'order', id: replacementRef.id, number: orderNumber },
+                        note: `Replacement for return ${returnData.rmaNumber}`
+                    })));
+                writes.push(() => transaction.set(replacementRef, { ...replacementOrder, createdAt: admin.firestore.FieldValue.serverTimestamp() }));
+                replacementOrder.id = replacementRef.id;
+                returnUpdate.replacementOrderId = replacementRef.id;
+                returnUpdate.replacementOrderNumber = orderNumber;
+            }
+
+            // All reads are done; apply the writes
+            writes.forEach(write => write());
+            ledger.write(transaction);
+            returnUpdate.status = newStatus;
+            returnUpdate.statusHistory = [...(returnData.statusHistory || []), buildReturnHistoryEntry(previousStatus, newStatus, performedBy, sanitizedNote)];
+            returnUpdate.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+            transaction.update(returnRef, returnUpdate);
+
+            const { updatedAt, ...returnFields } = returnUpdate;
+            returnData = { ...returnData, ...returnFields };
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: `RETURN_${newStatus.toUpperCase()}`,
+            objectId: returnData.orderId,
+            details: {
+                returnId,
+                rmaNumber: returnData.rmaNumber,
+                from: previousStatus,
+                to: newStatus,
+                note: sanitizedNote,
+                restockedItems,
+                refund: returnData.refund || null,
+                replacementOrderId: returnData.replacementOrderId || null
+            },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // --- 4. Customer emails: the return's new status, plus a credit note for refunds ---
+        const communicationLang = returnData.communicationLang || 'es';
+        let emailSent = false;
+        try {
+            const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendOrderConfirmation`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${returnId}:return:${returnData.statusHistory.length}` },
+                body: JSON.stringify({
+                    orderId: returnData.orderId,
+                    orderNumber: order.orderNumber,
+                    buyerName: order.buyerName,
+                    buyerEmail: order.buyerEmail,
+                    deliveryAddress: order.deliveryAddress,
+                    buyerPhone: order.buyerPhone,
+                    timestamp: order.timestamp,
+                    items: returnData.lines,
+                    totalCents: order.totalCents,
+                    currency: order.currency,
+                    newStatus,
+                    returnRequest: {
+                        returnId,
+                        rmaNumber: returnData.rmaNumber,
+                        reason: returnData.reason,
+                        note: sanitizedNote,
+                        refundCents: returnData.refund ? returnData.refund.amountCents : null,
+                        replacementOrderNumber: returnData.replacementOrderNumber || null
+                    },
+                    communicationLang
+                })
+            });
+            emailSent = emailResponse.ok;
+            if (!emailResponse.ok) {
+                console.error(`Return status email failed for ${returnData.rmaNumber}: ${await emailResponse.text()}`);
+            }
+        } catch (emailError) {
+            // The step is committed; a failed email is reported, not rolled back
+            console.error(`Return status email trigger failed for ${returnData.rmaNumber}:`, emailError);
+        }
+
+        let creditNoteSent = null;
+        if (refundEntry) {
+            creditNoteSent = false;
+            try {
+                // The email function reads the buyer, lines, amounts and the entry itself from the stored order
+                const creditResponse = await fetch(`${SITE_URL}/.netlify/functions/sendReceiptConfirmation`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${returnData.orderId}:ledger:${refundEntry.entryId}` },
+                    body: JSON.stringify({ orderId: returnData.orderId, entryId: refundEntry.entryId })
+                });
+                creditNoteSent = creditResponse.ok;
+                if (!creditResponse.ok) {
+                    console.error(`Credit note email failed for ${returnData.rmaNumber}: ${await creditResponse.text()}`);
+                }
+            } catch (emailError) {
+                console.error(`Credit note email trigger failed for ${returnData.rmaNumber}:`, emailError);
+            }
+        }
+
+        return idempotency.complete({
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Return ${returnData.rmaNumber} updated from ${previousStatus} to ${newStatus}.`,
+                returnId,
+                from: previousStatus,
+                to: newStatus,
+                restockedItems,
+                refund: returnData.refund || null,
+                replacementOrderId: returnData.replacementOrderId || null,
+                replacementOrderNumber: returnData.replacementOrderNumber || null,
+                emailSent,
+                creditNoteSent,
+                allowedTransitions: RETURN_STATUS_TRANSITIONS[newStatus]
+            }),
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return idempotency.complete({
+                statusCode: error.statusCode,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: error.message, allowedTransitions: error.allowedTransitions, items: error.stockErrors }),
+            });
+        }
+
+        console.error(`Error updating return ${returnId}:`, error);
+        return idempotency.complete({
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to update return', details: error.message }),
+        });
+    }
+};
@@ -0,0 +1,245 @@
+/**
+ * Netlify Function (Admin Only) to move a shipment to a new status and, optionally, set its
+ * carrier and tracking number.
+ * POST { orderId, shipmentId, newStatus, carrier?, trackingNumber? }
+ * The order's status is re-derived from all of its shipments in the same transaction
+ * (e.g. Processing -> Partially Shipped -> Shipped), and the customer gets one email per shipment
+ * listing only the items in that shipment.
+ */
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+
+// Ensure Firebase Admin is initialized once
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    }),
+  });
+}
+
+const db = admin.firestore();
+const SITE_URL = process.env.URL || 'https://autoinx-placeholder.netlify.app';
+const ORDERS_COLLECTION = process.env.ORDERS_COLLECTION_PATH || 'artifacts/default-app-id/public/data/orders';
+const LOGS_COLLECTION_PATH = 'admin/logs/catalogActions';
+const MAX_TEXT_LENGTH = 200;
+
+// Shipment statuses the customer is emailed about
+const NOTIFIABLE_SHIPMENT_STATUSES = ['Shipped', 'Delivered'];
+
+// Helper function to sanitize strings and remove HTML/script tags
+function sanitizeString(str) {
+    if (!str) return '';
+    return String(str).replace(/</g, "&lt;").replace(/>/g, "&gt;").trim().substring(0, MAX_TEXT_LENGTH);
+}
+
+exports.handler = async function (event) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    // --- 1. Security Check: Validate Admin Token ---
+    const authHeader = event.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Authorization token required.' }) };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+        return { statusCode: 401, body: JSON.stringify({ error: 'Invalid or expired token.' }) };
+    }
+
+    if (decodedToken.admin !== true) {
+        return { statusCode: 403, body: JSON.stringify({ error: 'Access denied: Admin privileges required.' }) };
+    }
+    // --- End Security Check ---
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body);
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const { orderId, shipmentId, newStatus, carrier, trackingNumber } = requestBody;
+
+    const { normalizeStatus, buildStatusHistoryEntry } = await import('./js/utilities/orderStatus.js');
+    const {
+        SHIPMENTS_SUBCOLLECTION,
+        SHIPMENT_STATUSES,
+        SHIPMENT_STATUS_TRANSITIONS,
+        canTransitionShipment,
+        isActiveShipment,
+        deriveOrderStatus,
+        buildShipmentHistoryEntry
+    } = await import('./js/utilities/shipments.js');
+
+    // --- 2. Input Validation ---
+    if (!orderId || typeof orderId !== 'string' || orderId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid orderId.' }) };
+    }
+    if (!shipmentId || typeof shipmentId !== 'string' || shipmentId.includes('/')) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Missing or invalid shipmentId.' }) };
+    }
+    if (!SHIPMENT_STATUSES.includes(newStatus)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Unknown shipment status "${newStatus}". Expected one of: ${SHIPMENT_STATUSES.join(', ')}.` }) };
+    }
+
+    const performedBy = decodedToken.email || decodedToken.uid;
+    const orderRef = db.collection(ORDERS_COLLECTION).doc(orderId);
+    const shipmentRef = orderRef.collection(SHIPMENTS_SUBCOLLECTION).doc(shipmentId);
+
+    let orderData;
+    let shipment;
+    let previousShipmentStatus;
+    let previousOrderStatus;
+    let orderStatus;
+    let activeShipmentCount;
+
+    try {
+        // --- 3. Apply the shipment transition and re-derive the order status atomically ---
+        await db.runTransaction(async (transaction) => {
+            const orderSnap = await transaction.get(orderRef);
+            if (!orderSnap.exists) {
+                const notFound = new Error(`Order ${orderId} not found.`);
+                notFound.statusCode = 404;
+                throw notFound;
+            }
+            const shipmentsSnap = await transaction.get(orderRef.collection(SHIPMENTS_SUBCOLLECTION));
+            const shipmentDoc = shipmentsSnap.docs.find(doc => doc.id === shipmentId);
+            if (!shipmentDoc) {
+                const notFound = new Error(`Shipment ${shipmentId} not found on order ${orderId}.`);
+                notFound.statusCode = 404;
+                throw notFound;
+            }
+
+            orderData = orderSnap.data();
+            shipment = shipmentDoc.data();
+            previousShipmentStatus = shipment.status;
+
+            if (!canTransitionShipment(previousShipmentStatus, newStatus)) {
+                const illegal = new Error(`Cannot change shipment ${shipment.shipmentNumber} from ${previousShipmentStatus} to ${newStatus}.`);
+                illegal.statusCode = 409;
+                illegal.allowedTransitions = SHIPMENT_STATUS_TRANSITIONS[previousShipmentStatus] || [];
+                throw illegal;
+            }
+
+            const shipmentUpdate = {
+                status: newStatus,
+                statusHistory: [...(shipment.statusHistory || []), buildShipmentHistoryEntry(previousShipmentStatus, newStatus, performedBy)],
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            };
+            if (carrier !== undefined) shipmentUpdate.carrier = sanitizeString(carrier) || null;
+            if (trackingNumber !== undefined) shipmentUpdate.trackingNumber = sanitizeString(trackingNumber) || null;
+            if (newStatus === 'Shipped') shipmentUpdate.shippedAt = new Date().toISOString();
+            if (newStatus === 'Delivered') shipmentUpdate.deliveredAt = new Date().toISOString();
+
+            const { updatedAt, ...shipmentFields } = shipmentUpdate;
+            shipment = { ...shipment, ...shipmentFields };
+            const shipments = shipmentsSnap.docs.map(doc => (doc.id === shipmentId ? shipment : doc.data()));
+            activeShipmentCount = shipments.filter(isActiveShipment).length;
+
+            previousOrderStatus = normalizeStatus(orderData.status);
+            orderStatus = deriveOrderStatus(orderData.items, shipments, previousOrderStatus);
+
+            transaction.update(shipmentRef, shipmentUpdate);
+            if (orderStatus !== previousOrderStatus) {
+                const historyEntry = buildStatusHistoryEntry(previousOrderStatus, orderStatus, performedBy, `Shipment ${shipment.shipmentNumber} ${newStatus.toLowerCase()}`);
+                const orderUpdate = {
+                    status: orderStatus,
+                    statusHistory: [...(orderData.statusHistory || []), historyEntry],
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                };
+                transaction.update(orderRef, orderUpdate);
+                orderData = { ...orderData, ...orderUpdate };
+            }
+        });
+
+        await db.collection(LOGS_COLLECTION_PATH).add({
+            actionType: 'SHIPMENT_STATUS_UPDATE',
+            objectId: orderId,
+            details: {
+                shipmentId,
+                shipmentNumber: shipment.shipmentNumber,
+                from: previousShipmentStatus,
+                to: newStatus,
+                carrier: shipment.carrier || null,
+                trackingNumber: shipment.trackingNumber || null,
+                orderStatus: { from: previousOrderStatus, to: orderStatus }
+            },
+            performedByEmail: performedBy,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // --- 4. Per-shipment notification listing only this shipment's items ---
+        const notify = NOTIFIABLE_SHIPMENT_STATUSES.includes(newStatus);
+        let emailSent = false;
+
+        if (notify) {
+            try {
+                const { createdAt, updatedAt, ...emailOrder } = orderData;
+                const emailResponse = await fetch(`${SITE_URL}/.netlify/functions/sendOrderConfirmation`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `${orderId}:shipment:${shipmentId}:${newStatus}` },
+                    body: JSON.stringify({
+                        ...emailOrder,
+                        orderId,
+                        items: shipment.lines,
+                        newStatus,
+                        shipment: {
+                            shipmentNumber: shipment.shipmentNumber,
+                            sequence: shipment.sequence,
+                            activeShipmentCount,
+                            carrier: shipment.carrier || null,
+                            trackingNumber: shipment.trackingNumber || null
+                        },
+                        communicationLang: orderData.communicationLang || orderData.language || 'es'
+                    })
+                });
+                emailSent = emailResponse.ok;
+                if (!emailResponse.ok) {
+                    console.error(`Shipment email failed for order ${orderId}: ${await emailResponse.text()}`);
+                }
+            } catch (emailError) {
+                // The shipment change is committed; a failed email is reported, not rolled back
+                console.error(`Shipment email trigger failed for order ${orderId}:`, emailError);
+            }
+        }
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Shipment ${shipment.shipmentNumber} updated from ${previousShipmentStatus} to ${newStatus}.`,
+                orderId,
+                shipmentId,
+                from: previousShipmentStatus,
+                to: newStatus,
+                orderStatus,
+                orderStatusChanged: orderStatus !== previousOrderStatus,
+                notified: notify,
+                emailSent,
+                allowedTransitions: SHIPMENT_STATUS_TRANSITIONS[newStatus]
+            }),
+        };
+
+    } catch (error) {
+        if (error.statusCode) {
+            return {
+                statusCode: error.statusCode,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: error.message, allowedTransitions: error.allowedTransitions }),
+            };
+        }
+
+        console.error(`Error updating shipment ${shipmentId} on order ${orderId}:`, error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to update shipment', details: error.message }),
+        };
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * Sends a signed event from the fake payment gateway to a local paymentWebhook, to exercise the
+ * webhook without a real Wompi or Mercado Pago account.
+ * Run `netlify dev` with FAKE_PAYMENT_WEBHOOK_SECRET set, then from the repository root:
+ *   FAKE_PAYMENT_WEBHOOK_SECRET=... node scripts/sendFakePaymentEvent.js AX-2026-000123 1500000 approved [COP] [transactionId]
+ * Send the same command again to check replays, or a later status (voided, refunded, charged_back)
+ * with the same transactionId followed by an earlier one to check out-of-order handling.
+ * WEBHOOK_URL overrides the default http://localhost:8888 endpoint.
+ */
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const WEBHOOK_URL = process.env.WEBHOOK_URL || 'http://localhost:8888/.netlify/functions/paymentWebhook?provider=fake';
+
+async function main() {
+    const [reference, amount, status = 'approved', currency = 'COP', transactionId] = process.argv.slice(2);
+    const secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+    if (!reference || !amount || !secret) {
+        console.error('Usage: FAKE_PAYMENT_WEBHOOK_SECRET=... node scripts/sendFakePaymentEvent.js <orderNumber> <amountCents> [status] [currency] [transactionId]');
+        process.exit(1);
+    }
+
+    const rawBody = JSON.stringify({
+        transactionId: transactionId || `FAKE-${reference}`,
+        reference,
+        status,
+        amountCents: Number(amount),
+        currency,
+        method: 'Fake gateway (CARD)',
+        occurredAt: new Date().toISOString()
+    });
+    const signature = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+    const response = await fetch(WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-fake-signature': signature },
+        body: rawBody
+    });
+    console.log(response.status, await response.text());
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});